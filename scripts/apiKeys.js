@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { ApiKeyStore, SCOPES } = require('../src/services/apiKeyStore');
+
+/**
+ * Manage the API keys accepted by the signing server
+ */
+
+const keysFile = process.env.API_KEYS_FILE || path.join(__dirname, '../data/api-keys.json');
+
+/**
+ * Read --name value options following the positional arguments
+ */
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+const list = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : undefined);
+
+// CLI Interface
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const store = new ApiKeyStore(keysFile);
+
+  try {
+    switch (command) {
+      case 'create': {
+        const options = parseOptions(args.slice(1));
+        const { apiKey, record } = store.create(args[0], {
+          scopes: list(options.scopes),
+          signers: list(options.signers),
+          description: options.description
+        });
+        console.log(`✓ Created key ${record.keyId} for client "${record.clientId}"`);
+        console.log(`  Scopes:  ${record.scopes.join(', ')}`);
+        console.log(`  Signers: ${record.signers.join(', ')}`);
+        console.log('');
+        console.log(`  ${apiKey}`);
+        console.log('');
+        console.log('  Store it now: only its hash is kept.');
+        break;
+      }
+
+      case 'list':
+        store.getKeys().forEach((key) => {
+          const status = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+          console.log(`  ${key.keyId}  ${key.clientId}  [${key.scopes.join(', ')}]  signers: ${key.signers.join(', ')}  ${status}`);
+        });
+        break;
+
+      case 'revoke': {
+        const record = store.revoke(args[0]);
+        console.log(`✓ Revoked key ${record.keyId} of client "${record.clientId}"`);
+        break;
+      }
+
+      default:
+        console.log(`
+API Key Management
+
+Usage:
+  node apiKeys.js create <client-id> [--scopes ${SCOPES.join(',')}] [--signers id1,id2|*] [--description text]
+  node apiKeys.js list
+  node apiKeys.js revoke <key-id>
+
+Environment Variables:
+  API_KEYS_FILE - Keys file (default: data/api-keys.json)
+        `);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
@@ -2,25 +2,39 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const http = require('http');
 const https = require('https');
 const FormData = require('form-data');
+const { verifyChain } = require('../src/utils/auditChain');
 
 /**
  * Client utilities for testing the PDF Signing API
  */
 
 const API_URL = process.env.API_URL || 'http://localhost:3000';
+const API_KEY = process.env.API_KEY;
+
+/**
+ * Add the X-API-Key header when API_KEY is set
+ */
+function authHeaders(headers = {}) {
+  return API_KEY ? { ...headers, 'X-API-Key': API_KEY } : headers;
+}
 
 /**
  * Sign PDF via multipart upload
+ * @param {object} [options] - Query parameters of /api/sign
+ * @param {object} [encryption] - password, userPassword, ownerPassword, permissions and
+ *   encryption, sent as form fields to keep passwords out of the URL
  */
-async function signPdfFile(filePath, options = {}) {
+async function signPdfFile(filePath, options = {}, encryption = {}) {
   return new Promise((resolve, reject) => {
     const fileStream = fs.createReadStream(filePath);
     const form = new FormData();
 
     form.append('pdf', fileStream);
+    Object.entries(encryption).forEach(([key, value]) => form.append(key, value));
 
     const query = new URLSearchParams(options).toString();
     const url = `${API_URL}/api/sign${query ? '?' + query : ''}`;
@@ -30,7 +44,7 @@ async function signPdfFile(filePath, options = {}) {
     
     const req = protocol.request(url, {
       method: 'POST',
-      headers: form.getHeaders()
+      headers: authHeaders(form.getHeaders())
     }, (res) => {
       const chunks = [];
       res.on('data', (chunk) => chunks.push(chunk));
@@ -39,7 +53,9 @@ async function signPdfFile(filePath, options = {}) {
           resolve({
             status: res.statusCode,
             data: Buffer.concat(chunks),
-            contentType: res.headers['content-type']
+            contentType: res.headers['content-type'],
+            preflight: res.headers['x-preflight'] || null,
+            pdfa: res.headers['x-pdfa'] || null
           });
         } else {
           reject(new Error(`HTTP ${res.statusCode}: ${Buffer.concat(chunks).toString()}`));
@@ -64,17 +80,27 @@ async function signPdfBase64(pdfPath, options = {}) {
     
     const payload = JSON.stringify({
       pdf: base64Pdf,
+      signer: options.signer || undefined,
       reason: options.reason || '',
       location: options.location || '',
-      contact: options.contact || ''
+      contact: options.contact || '',
+      fieldName: options.fieldName || undefined,
+      transforms: options.transforms ? JSON.parse(options.transforms) : undefined,
+      ltv: options.ltv || undefined,
+      pdfa: options.pdfa || undefined,
+      password: options.password,
+      userPassword: options.userPassword,
+      ownerPassword: options.ownerPassword,
+      permissions: options.permissions,
+      encryption: options.encryption
     });
 
     const req = protocol.request(`${API_URL}/api/sign/base64`, {
       method: 'POST',
-      headers: {
+      headers: authHeaders({
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(payload)
-      }
+      })
     }, (res) => {
       let data = '';
       res.on('data', (chunk) => data += chunk);
@@ -84,7 +110,8 @@ async function signPdfBase64(pdfPath, options = {}) {
             const result = JSON.parse(data);
             resolve({
               status: res.statusCode,
-              signedPdf: Buffer.from(result.signedPdf, 'base64')
+              signedPdf: Buffer.from(result.signedPdf, 'base64'),
+              pdfa: result.pdfa
             });
           } catch (e) {
             reject(new Error(`Failed to parse response: ${e.message}`));
@@ -101,14 +128,525 @@ async function signPdfBase64(pdfPath, options = {}) {
   });
 }
 
+/**
+ * Sign every PDF of a directory in one batch call
+ * @param {string} dir - Directory holding the PDFs
+ * @param {object} options - Shared signing options (query parameters of /api/sign/batch)
+ * @returns {Promise<{ archive: Buffer, total: number, signed: number, failed: number }>}
+ */
+async function signBatch(dir, options = {}) {
+  const files = fs.readdirSync(dir).filter((name) => name.toLowerCase().endsWith('.pdf'));
+  if (files.length === 0) {
+    throw new Error(`No PDF files in ${dir}`);
+  }
+
+  return new Promise((resolve, reject) => {
+    const form = new FormData();
+    files.forEach((name) => form.append('pdf', fs.createReadStream(path.join(dir, name)), name));
+
+    const query = new URLSearchParams(options).toString();
+    const url = `${API_URL}/api/sign/batch${query ? '?' + query : ''}`;
+    const protocol = url.startsWith('https') ? https : http;
+
+    const req = protocol.request(url, {
+      method: 'POST',
+      headers: authHeaders(form.getHeaders())
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          resolve({
+            archive: Buffer.concat(chunks),
+            total: Number(res.headers['x-batch-total']),
+            signed: Number(res.headers['x-batch-signed']),
+            failed: Number(res.headers['x-batch-failed'])
+          });
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${Buffer.concat(chunks).toString()}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    form.pipe(req);
+  });
+}
+
+/**
+ * Queue a signing job
+ * @param {string} filePath - PDF to sign
+ * @param {object} options - Signing options and optional callbackUrl
+ * @returns {Promise<object>} The queued job
+ */
+async function submitJob(filePath, options = {}) {
+  return new Promise((resolve, reject) => {
+    const form = new FormData();
+    form.append('pdf', fs.createReadStream(filePath));
+    Object.entries(options).forEach(([key, value]) => form.append(key, String(value)));
+
+    const url = `${API_URL}/api/jobs`;
+    const protocol = url.startsWith('https') ? https : http;
+
+    const req = protocol.request(url, {
+      method: 'POST',
+      headers: authHeaders(form.getHeaders())
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 202) {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(new Error(`Failed to parse response: ${e.message}`));
+          }
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    form.pipe(req);
+  });
+}
+
+/**
+ * Get the status of a signing job, or its signed PDF when `result` is set
+ */
+async function getJob(id, result = false) {
+  return new Promise((resolve, reject) => {
+    const protocol = API_URL.startsWith('https') ? https : http;
+    const url = `${API_URL}/api/jobs/${encodeURIComponent(id)}${result ? '/result' : ''}`;
+
+    const req = protocol.get(url, { headers: authHeaders() }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const data = Buffer.concat(chunks);
+        if (res.statusCode !== 200) {
+          reject(new Error(`HTTP ${res.statusCode}: ${data.toString()}`));
+        } else if (result) {
+          resolve(data);
+        } else {
+          try {
+            resolve(JSON.parse(data.toString()));
+          } catch (e) {
+            reject(new Error(`Failed to parse response: ${e.message}`));
+          }
+        }
+      });
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Poll a job until it is done or failed
+ */
+async function waitForJob(id, interval = 1000) {
+  for (;;) {
+    const job = await getJob(id);
+    if (job.status === 'done' || job.status === 'failed') {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+/**
+ * Create a multi-party signing envelope
+ * @param {string} filePath - PDF to sign
+ * @param {object[]} signers - One step per entry: { signer, client, label, ...signing options }
+ * @param {string} [order] - sequential (default) or parallel
+ * @returns {Promise<object>} The envelope
+ */
+async function createWorkflow(filePath, signers, order) {
+  return new Promise((resolve, reject) => {
+    const form = new FormData();
+    form.append('pdf', fs.createReadStream(filePath));
+    form.append('signers', JSON.stringify(signers));
+    if (order) form.append('order', order);
+
+    const url = `${API_URL}/api/workflows`;
+    const protocol = url.startsWith('https') ? https : http;
+
+    const req = protocol.request(url, {
+      method: 'POST',
+      headers: authHeaders(form.getHeaders())
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 201) {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(new Error(`Failed to parse response: ${e.message}`));
+          }
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    form.pipe(req);
+  });
+}
+
+/**
+ * Get the status of an envelope, or its PDF when `download` is 'document' (current version) or 'result'
+ */
+async function getWorkflow(id, download) {
+  return new Promise((resolve, reject) => {
+    const protocol = API_URL.startsWith('https') ? https : http;
+    const url = `${API_URL}/api/workflows/${encodeURIComponent(id)}${download ? `/${download}` : ''}`;
+
+    const req = protocol.get(url, { headers: authHeaders() }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const data = Buffer.concat(chunks);
+        if (res.statusCode !== 200) {
+          reject(new Error(`HTTP ${res.statusCode}: ${data.toString()}`));
+        } else if (download) {
+          resolve(data);
+        } else {
+          try {
+            resolve(JSON.parse(data.toString()));
+          } catch (e) {
+            reject(new Error(`Failed to parse response: ${e.message}`));
+          }
+        }
+      });
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Sign or reject a step of an envelope
+ * @param {string} action - sign or reject
+ * @param {object} [body] - Optional step (0-based index) and, to reject, reason
+ * @returns {Promise<object>} The envelope
+ */
+async function updateWorkflow(id, action, body = {}) {
+  return new Promise((resolve, reject) => {
+    const protocol = API_URL.startsWith('https') ? https : http;
+    const payload = JSON.stringify(body);
+
+    const req = protocol.request(`${API_URL}/api/workflows/${encodeURIComponent(id)}/${action}`, {
+      method: 'POST',
+      headers: authHeaders({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      })
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(new Error(`Failed to parse response: ${e.message}`));
+          }
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * One line per step of an envelope
+ */
+function printWorkflow(envelope) {
+  const marks = { signed: '✓', rejected: '✗', pending: '○' };
+  console.log(`${envelope.id}: ${envelope.status} (${envelope.progress.signed}/${envelope.progress.total} signed, ${envelope.order})`);
+  envelope.steps.forEach((step) => {
+    const label = step.label ? ` ${step.label}` : '';
+    const turn = step.canSign ? ' <- can sign' : '';
+    const reason = step.rejectionReason ? `: ${step.rejectionReason}` : '';
+    console.log(`  ${marks[step.status]} #${step.index}${label} (${step.signer}, client ${step.client}) ${step.status}${reason}${turn}`);
+  });
+}
+
+/**
+ * Prepare a PDF for signing with a key the server does not hold
+ * @param {string} filePath - PDF to sign
+ * @param {object} options - Signing options, certificate and chain (PEM)
+ * @returns {Promise<object>} Session with the digest or signed attributes to sign
+ */
+async function prepareRemoteSigning(filePath, options = {}) {
+  return new Promise((resolve, reject) => {
+    const form = new FormData();
+    form.append('pdf', fs.createReadStream(filePath));
+    Object.entries(options).forEach(([key, value]) => form.append(key, String(value)));
+
+    const url = `${API_URL}/api/sign/prepare`;
+    const protocol = url.startsWith('https') ? https : http;
+
+    const req = protocol.request(url, {
+      method: 'POST',
+      headers: authHeaders(form.getHeaders())
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(new Error(`Failed to parse response: ${e.message}`));
+          }
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    form.pipe(req);
+  });
+}
+
+/**
+ * Complete a prepared session with a raw signature or a CMS (Buffers)
+ * @returns {Promise<Buffer>} Signed PDF
+ */
+async function completeRemoteSigning(sessionId, { signature, cms }) {
+  const payload = JSON.stringify({
+    sessionId,
+    signature: signature ? signature.toString('base64') : undefined,
+    cms: cms ? cms.toString('base64') : undefined
+  });
+
+  return new Promise((resolve, reject) => {
+    const protocol = API_URL.startsWith('https') ? https : http;
+    const req = protocol.request(`${API_URL}/api/sign/complete`, {
+      method: 'POST',
+      headers: authHeaders({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      })
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          resolve(Buffer.concat(chunks));
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${Buffer.concat(chunks).toString()}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+/**
+ * Verify PDF signatures via multipart upload
+ */
+async function verifyPdfFile(filePath, password) {
+  return new Promise((resolve, reject) => {
+    const form = new FormData();
+    form.append('pdf', fs.createReadStream(filePath));
+    if (password) form.append('password', password);
+
+    const url = `${API_URL}/api/verify`;
+    const protocol = url.startsWith('https') ? https : http;
+
+    const req = protocol.request(url, {
+      method: 'POST',
+      headers: authHeaders(form.getHeaders())
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(new Error(`Failed to parse response: ${e.message}`));
+          }
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    form.pipe(req);
+  });
+}
+
+/**
+ * Run the preflight checks on a PDF without signing it
+ */
+async function preflightPdfFile(filePath, password) {
+  return new Promise((resolve, reject) => {
+    const form = new FormData();
+    form.append('pdf', fs.createReadStream(filePath));
+    if (password) form.append('password', password);
+
+    const url = `${API_URL}/api/preflight`;
+    const protocol = url.startsWith('https') ? https : http;
+
+    const req = protocol.request(url, {
+      method: 'POST',
+      headers: authHeaders(form.getHeaders())
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(new Error(`Failed to parse response: ${e.message}`));
+          }
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    form.pipe(req);
+  });
+}
+
+/**
+ * Add LTV data to the signatures of a signed PDF via multipart upload
+ */
+async function addLtv(filePath, password) {
+  return new Promise((resolve, reject) => {
+    const form = new FormData();
+    form.append('pdf', fs.createReadStream(filePath));
+    if (password) form.append('password', password);
+
+    const url = `${API_URL}/api/ltv`;
+    const protocol = url.startsWith('https') ? https : http;
+
+    const req = protocol.request(url, {
+      method: 'POST',
+      headers: authHeaders(form.getHeaders())
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          resolve({
+            data: Buffer.concat(chunks),
+            signatures: Number(res.headers['x-ltv-signatures'])
+          });
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${Buffer.concat(chunks).toString()}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    form.pipe(req);
+  });
+}
+
+/**
+ * Add a document timestamp to a PDF via multipart upload
+ * @param {boolean} [ltv] - Add LTV data for the existing signatures first
+ * @param {string} [password] - Password of an encrypted PDF
+ */
+async function timestampPdf(filePath, ltv = false, password) {
+  return new Promise((resolve, reject) => {
+    const form = new FormData();
+    form.append('pdf', fs.createReadStream(filePath));
+    if (ltv) form.append('ltv', 'true');
+    if (password) form.append('password', password);
+
+    const url = `${API_URL}/api/timestamp`;
+    const protocol = url.startsWith('https') ? https : http;
+
+    const req = protocol.request(url, {
+      method: 'POST',
+      headers: authHeaders(form.getHeaders())
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          resolve({
+            data: Buffer.concat(chunks),
+            time: res.headers['x-timestamp-time']
+          });
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${Buffer.concat(chunks).toString()}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    form.pipe(req);
+  });
+}
+
+/**
+ * List the signature fields of a PDF via multipart upload
+ */
+async function listSignatureFields(filePath, password) {
+  return new Promise((resolve, reject) => {
+    const form = new FormData();
+    form.append('pdf', fs.createReadStream(filePath));
+    if (password) form.append('password', password);
+
+    const url = `${API_URL}/api/fields`;
+    const protocol = url.startsWith('https') ? https : http;
+
+    const req = protocol.request(url, {
+      method: 'POST',
+      headers: authHeaders(form.getHeaders())
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          try {
+            resolve(JSON.parse(data).fields);
+          } catch (e) {
+            reject(new Error(`Failed to parse response: ${e.message}`));
+          }
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    form.pipe(req);
+  });
+}
+
 /**
  * Get certificate info
+ * @param {string} [signer] - Signing identity, the server default when omitted
  */
-async function getCertificateInfo() {
+async function getCertificateInfo(signer) {
   return new Promise((resolve, reject) => {
     const protocol = API_URL.startsWith('https') ? https : http;
+    const query = signer ? `?signer=${encodeURIComponent(signer)}` : '';
     
-    const req = protocol.get(`${API_URL}/api/cert/info`, (res) => {
+    const req = protocol.get(`${API_URL}/api/cert/info${query}`, { headers: authHeaders() }, (res) => {
       let data = '';
       res.on('data', (chunk) => data += chunk);
       res.on('end', () => {
@@ -128,6 +666,82 @@ async function getCertificateInfo() {
   });
 }
 
+/**
+ * List the signing identities of the server
+ */
+async function listCertificates() {
+  return new Promise((resolve, reject) => {
+    const protocol = API_URL.startsWith('https') ? https : http;
+
+    const req = protocol.get(`${API_URL}/api/certs`, { headers: authHeaders() }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(new Error(`Failed to parse response: ${e.message}`));
+          }
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Query the audit log
+ * @param {object} filter - Query parameters of GET /api/audit
+ */
+async function queryAuditLog(filter = {}) {
+  return new Promise((resolve, reject) => {
+    const protocol = API_URL.startsWith('https') ? https : http;
+    const query = new URLSearchParams(filter).toString();
+
+    const req = protocol.get(`${API_URL}/api/audit${query ? '?' + query : ''}`, { headers: authHeaders() }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(new Error(`Failed to parse response: ${e.message}`));
+          }
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Download the whole audit log and check its hash chain locally
+ */
+async function verifyAuditLog() {
+  const entries = [];
+  let head = null;
+  for (;;) {
+    const page = await queryAuditLog({ afterSeq: entries.length ? entries[entries.length - 1].seq : 0, limit: 1000 });
+    entries.push(...page.entries);
+    head = page.head;
+    if (page.entries.length === 0 || page.total <= page.entries.length) break;
+  }
+
+  const result = verifyChain(entries);
+  if (result.valid && head && (head.seq !== (entries.length ? entries[entries.length - 1].seq : 0) || head.hash !== result.head)) {
+    return { ...result, valid: false, reason: 'Downloaded entries do not end at the head reported by the server' };
+  }
+  return { ...result, serverHead: head };
+}
+
 /**
  * Check server health
  */
@@ -155,6 +769,19 @@ async function checkHealth() {
 if (require.main === module) {
   const args = process.argv.slice(2);
   const command = args[0];
+  const signer = process.env.SIGNER;
+  const fieldName = process.env.FIELD_NAME;
+  const transforms = process.env.TRANSFORMS;
+  const ltv = process.env.LTV === 'true';
+  const pdfa = process.env.PDFA;
+  const password = process.env.PDF_PASSWORD;
+  const encryption = Object.fromEntries(Object.entries({
+    password,
+    userPassword: process.env.USER_PASSWORD,
+    ownerPassword: process.env.OWNER_PASSWORD,
+    permissions: process.env.PERMISSIONS,
+    encryption: process.env.ENCRYPTION
+  }).filter(([, value]) => value !== undefined));
 
   (async () => {
     try {
@@ -167,10 +794,34 @@ if (require.main === module) {
 
         case 'cert-info':
           console.log('Fetching certificate info...');
-          const certInfo = await getCertificateInfo();
+          const certInfo = await getCertificateInfo(args[1] || signer);
           console.log('✓ Certificate Info:', JSON.stringify(certInfo, null, 2));
           break;
 
+        case 'certs':
+          console.log('Fetching signing identities...');
+          const { certificates } = await listCertificates();
+          certificates.forEach((cert) => {
+            const marker = cert.default ? ' (default)' : '';
+            const details = cert.loaded
+              ? `${cert.subject}, expires ${cert.notAfter}`
+              : cert.error;
+            console.log(`  ${cert.loaded ? '✓' : '✗'} ${cert.id}${marker}: ${details}`);
+          });
+          break;
+
+        case 'audit-verify':
+          console.log('Checking audit log integrity...');
+          const integrity = await verifyAuditLog();
+          if (integrity.valid) {
+            console.log(`✓ Audit chain intact: ${integrity.checked} entries`);
+            console.log(`  Head: ${integrity.head}`);
+          } else {
+            console.log(`✗ Audit chain broken${integrity.brokenAt ? ` at entry ${integrity.brokenAt}` : ''}: ${integrity.reason}`);
+            process.exit(2);
+          }
+          break;
+
         case 'sign':
           if (!args[1]) {
             console.error('Usage: node client.js sign <pdf-file> [reason] [location] [contact]');
@@ -183,10 +834,15 @@ if (require.main === module) {
           }
           console.log(`Signing PDF: ${path.basename(pdfPath)}...`);
           const result = await signPdfFile(pdfPath, {
+            ...(signer ? { signer } : {}),
+            ...(fieldName ? { fieldName } : {}),
+            ...(transforms ? { transforms } : {}),
+            ...(ltv ? { ltv } : {}),
+            ...(pdfa ? { pdfa } : {}),
             reason: args[2] || '',
             location: args[3] || '',
             contact: args[4] || ''
-          });
+          }, encryption);
           const outputPath = path.join(
             path.dirname(pdfPath),
             `signed-${Date.now()}-${path.basename(pdfPath)}`
@@ -194,6 +850,12 @@ if (require.main === module) {
           fs.writeFileSync(outputPath, result.data);
           console.log(`✓ PDF signed successfully!`);
           console.log(`  Output: ${outputPath}`);
+          if (result.preflight) {
+            console.log(`  Preflight: ${result.preflight}`);
+          }
+          if (result.pdfa) {
+            console.log(`  PDF/A: ${result.pdfa}`);
+          }
           break;
 
         case 'sign-base64':
@@ -208,6 +870,12 @@ if (require.main === module) {
           }
           console.log(`Signing PDF (base64): ${path.basename(pdfPath2)}...`);
           const result2 = await signPdfBase64(pdfPath2, {
+            signer,
+            fieldName,
+            transforms,
+            ltv,
+            pdfa,
+            ...encryption,
             reason: args[2] || '',
             location: args[3] || '',
             contact: args[4] || ''
@@ -219,6 +887,215 @@ if (require.main === module) {
           fs.writeFileSync(outputPath2, result2.signedPdf);
           console.log(`✓ PDF signed successfully!`);
           console.log(`  Output: ${outputPath2}`);
+          if (result2.pdfa !== undefined) {
+            console.log(`  PDF/A: ${result2.pdfa ? result2.pdfa.level : 'none'}`);
+          }
+          break;
+
+        case 'sign-batch':
+          if (!args[1] || !fs.existsSync(args[1]) || !fs.statSync(args[1]).isDirectory()) {
+            console.error('Usage: node client.js sign-batch <dir> [reason] [location]');
+            process.exit(1);
+          }
+          console.log(`Signing PDFs in ${args[1]}...`);
+          const batch = await signBatch(args[1], {
+            ...(signer ? { signer } : {}),
+            reason: args[2] || '',
+            location: args[3] || ''
+          });
+          const archivePath = path.join(args[1], `signed-batch-${Date.now()}.zip`);
+          fs.writeFileSync(archivePath, batch.archive);
+          console.log(`${batch.failed ? '!' : '✓'} Signed ${batch.signed} of ${batch.total} files`);
+          console.log(`  Output: ${archivePath} (see manifest.json for per-file status)`);
+          if (batch.failed) process.exit(2);
+          break;
+
+        case 'sign-async':
+          if (!args[1] || !fs.existsSync(args[1])) {
+            console.error('Usage: node client.js sign-async <pdf-file> [reason] [location] [callback-url]');
+            process.exit(1);
+          }
+          const queued = await submitJob(args[1], {
+            ...(signer ? { signer } : {}),
+            reason: args[2] || '',
+            location: args[3] || '',
+            ...(args[4] ? { callbackUrl: args[4] } : {})
+          });
+          console.log(`Queued job ${queued.id}, waiting...`);
+          const job = await waitForJob(queued.id);
+          if (job.status === 'failed') {
+            console.log(`✗ Job failed: ${job.error}`);
+            process.exit(2);
+          }
+          const jobOutput = path.join(path.dirname(args[1]), `signed-${Date.now()}-${path.basename(args[1])}`);
+          fs.writeFileSync(jobOutput, await getJob(job.id, true));
+          console.log(`✓ PDF signed successfully!`);
+          console.log(`  Output: ${jobOutput}`);
+          break;
+
+        case 'sign-remote':
+          if (!args[1] || !args[2] || !args[3] || !fs.existsSync(args[1])) {
+            console.error('Usage: node client.js sign-remote <pdf-file> <key.pem> <cert.pem> [reason]');
+            process.exit(1);
+          }
+          // Stands in for a smart card or wallet: the key never leaves this process
+          const session = await prepareRemoteSigning(args[1], {
+            certificate: fs.readFileSync(args[3], 'utf8'),
+            reason: args[4] || ''
+          });
+          const remoteSignature = crypto.sign(
+            'sha256',
+            Buffer.from(session.signedAttributes, 'base64'),
+            crypto.createPrivateKey(fs.readFileSync(args[2]))
+          );
+          const remoteOutput = path.join(path.dirname(args[1]), `signed-${Date.now()}-${path.basename(args[1])}`);
+          fs.writeFileSync(remoteOutput, await completeRemoteSigning(session.sessionId, { signature: remoteSignature }));
+          console.log(`✓ PDF signed successfully!`);
+          console.log(`  Output: ${remoteOutput}`);
+          break;
+
+        case 'job':
+          if (!args[1]) {
+            console.error('Usage: node client.js job <job-id>');
+            process.exit(1);
+          }
+          console.log(JSON.stringify(await getJob(args[1]), null, 2));
+          break;
+
+        case 'workflow-create':
+          if (!args[1] || !args[2] || !fs.existsSync(args[1])) {
+            console.error('Usage: node client.js workflow-create <pdf-file> <signer[:client],...> [sequential|parallel]');
+            process.exit(1);
+          }
+          const envelope = await createWorkflow(args[1], args[2].split(',').map((entry) => {
+            const [id, client] = entry.split(':');
+            return client ? { signer: id, client } : { signer: id };
+          }), args[3]);
+          printWorkflow(envelope);
+          break;
+
+        case 'workflow':
+          if (!args[1]) {
+            console.error('Usage: node client.js workflow <workflow-id>');
+            process.exit(1);
+          }
+          printWorkflow(await getWorkflow(args[1]));
+          break;
+
+        case 'workflow-sign':
+          if (!args[1]) {
+            console.error('Usage: node client.js workflow-sign <workflow-id> [step]');
+            process.exit(1);
+          }
+          const signedEnvelope = await updateWorkflow(args[1], 'sign', args[2] !== undefined ? { step: Number(args[2]) } : {});
+          printWorkflow(signedEnvelope);
+          if (signedEnvelope.status === 'completed') {
+            const workflowOutput = `signed-${path.basename(signedEnvelope.name)}`;
+            fs.writeFileSync(workflowOutput, await getWorkflow(signedEnvelope.id, 'result'));
+            console.log(`✓ All signers have signed`);
+            console.log(`  Output: ${workflowOutput}`);
+          }
+          break;
+
+        case 'workflow-reject':
+          if (!args[1]) {
+            console.error('Usage: node client.js workflow-reject <workflow-id> [reason]');
+            process.exit(1);
+          }
+          printWorkflow(await updateWorkflow(args[1], 'reject', { reason: args[2] }));
+          break;
+
+        case 'verify':
+          if (!args[1]) {
+            console.error('Usage: node client.js verify <pdf-file>');
+            process.exit(1);
+          }
+          if (!fs.existsSync(args[1])) {
+            console.error(`File not found: ${args[1]}`);
+            process.exit(1);
+          }
+          console.log(`Verifying PDF: ${path.basename(args[1])}...`);
+          const report = await verifyPdfFile(args[1], password);
+          report.signatures.forEach((signature) => {
+            const status = signature.valid ? '✓' : '✗';
+            const signer = signature.signer ? signature.signer.subject : 'unknown signer';
+            const kind = signature.type === 'timestamp' ? 'Document timestamp by ' : '';
+            console.log(`  ${status} #${signature.index} ${kind}${signer} (${signature.signingTime || 'no time'})`);
+            if (signature.pades && signature.pades.level) {
+              console.log(`    PAdES ${signature.pades.level}`);
+            }
+            if (signature.certification) {
+              console.log(`    Certification P=${signature.certification.permission}: ${signature.certification.description}`);
+            }
+            if (!signature.coversWholeDocument) {
+              console.log('    Document was modified after this signature');
+            }
+            if (signature.ltv && signature.ltv.complete) {
+              console.log('    Long-term validation data embedded');
+            }
+            signature.errors.forEach((err) => console.log(`    ${err}`));
+          });
+          console.log(report.valid ? '✓ All signatures valid' : '✗ Verification failed');
+          if (!report.valid) process.exit(2);
+          break;
+
+        case 'preflight':
+          if (!args[1] || !fs.existsSync(args[1])) {
+            console.error('Usage: node client.js preflight <pdf-file>');
+            process.exit(1);
+          }
+          console.log(`Checking PDF: ${path.basename(args[1])}...`);
+          const checked = await preflightPdfFile(args[1], password);
+          const marks = { allow: '○', warn: '!', strip: '!', reject: '✗' };
+          checked.findings.forEach((finding) => {
+            console.log(`  ${marks[finding.action]} ${finding.code} (${finding.action}): ${finding.message}`);
+          });
+          if (checked.document.pdfa) {
+            console.log(`  ${checked.document.pdfa.level}`);
+          }
+          console.log(checked.passed ? '✓ Preflight passed' : '✗ Preflight failed');
+          if (!checked.passed) process.exit(2);
+          break;
+
+        case 'ltv':
+          if (!args[1] || !fs.existsSync(args[1])) {
+            console.error('Usage: node client.js ltv <pdf-file>');
+            process.exit(1);
+          }
+          console.log(`Adding LTV data: ${path.basename(args[1])}...`);
+          const ltvResult = await addLtv(args[1], password);
+          const ltvPath = path.join(path.dirname(args[1]), `ltv-${path.basename(args[1])}`);
+          fs.writeFileSync(ltvPath, ltvResult.data);
+          console.log(`✓ LTV data added for ${ltvResult.signatures} signature(s)`);
+          console.log(`  Output: ${ltvPath}`);
+          break;
+
+        case 'timestamp':
+          if (!args[1] || !fs.existsSync(args[1])) {
+            console.error('Usage: node client.js timestamp <pdf-file>');
+            process.exit(1);
+          }
+          console.log(`Timestamping: ${path.basename(args[1])}...`);
+          const timestamped = await timestampPdf(args[1], ltv, password);
+          const timestampedPath = path.join(path.dirname(args[1]), `timestamped-${path.basename(args[1])}`);
+          fs.writeFileSync(timestampedPath, timestamped.data);
+          console.log(`✓ Document timestamp added (${timestamped.time})`);
+          console.log(`  Output: ${timestampedPath}`);
+          break;
+
+        case 'fields':
+          if (!args[1] || !fs.existsSync(args[1])) {
+            console.error('Usage: node client.js fields <pdf-file>');
+            process.exit(1);
+          }
+          const fields = await listSignatureFields(args[1], password);
+          if (fields.length === 0) {
+            console.log('No signature fields');
+          }
+          fields.forEach((field) => {
+            const position = field.visible ? `page ${field.page}, [${field.rect.join(', ')}]` : 'invisible';
+            console.log(`  ${field.signed ? '✓' : '○'} ${field.name} (${position})${field.signed ? ' signed' : ''}`);
+          });
           break;
 
         default:
@@ -227,15 +1104,43 @@ PDF Signing Client
 
 Usage:
   node client.js health              - Check server health
-  node client.js cert-info           - Get certificate information
+  node client.js cert-info [id]      - Get certificate information
+  node client.js certs               - List signing identities
   node client.js sign <file>         - Sign PDF file (multipart)
   node client.js sign-base64 <file>  - Sign PDF file (base64)
+  node client.js sign-batch <dir>    - Sign every PDF in a directory (returns a ZIP)
+  node client.js sign-async <file>   - Sign PDF file through a background job
+  node client.js job <id>            - Show a signing job
+  node client.js sign-remote <file> <key.pem> <cert.pem> - Sign with a local key (two-phase)
+  node client.js workflow-create <file> <signer[:client],...> [parallel] - Create a multi-party envelope
+  node client.js workflow <id>       - Show an envelope and its signers
+  node client.js workflow-sign <id> [step]     - Sign your step of an envelope
+  node client.js workflow-reject <id> [reason] - Reject your step of an envelope
+  node client.js verify <file>       - Verify PDF signatures
+  node client.js preflight <file>    - Check a PDF for corruption and active content
+  node client.js ltv <file>          - Add LTV data to a signed PDF
+  node client.js timestamp <file>    - Add a document timestamp
+  node client.js fields <file>       - List signature fields
+  node client.js audit-verify        - Check the audit log hash chain
 
 Environment Variables:
   API_URL - API endpoint (default: http://localhost:3000)
+  API_KEY - API key sent as X-API-Key
+  SIGNER  - Signing identity to use (default: the server default)
+  FIELD_NAME - Existing signature field to sign (sign, sign-base64)
+  TRANSFORMS - Pre-sign transforms as JSON (sign, sign-base64)
+  LTV     - Set to true to embed revocation data (sign, sign-base64, timestamp)
+  PDFA    - warn or require: keep PDF/A conformance (sign, sign-base64)
+  PDF_PASSWORD - Password of an encrypted PDF (sign, sign-base64, verify, preflight, ltv, timestamp, fields)
+  USER_PASSWORD, OWNER_PASSWORD - Password-protect the signed PDF (sign, sign-base64)
+  PERMISSIONS - Comma-separated permissions of the signed PDF, or none (default: all)
+  ENCRYPTION - AES-256 (default), AES-128 or RC4-128
 
 Examples:
   node client.js sign document.pdf "Approved by CEO" "New York" "ceo@company.com"
+  node client.js workflow-create contract.pdf legal:alice,ceo:bob
+  PDF_PASSWORD=secret node client.js sign protected.pdf
+  USER_PASSWORD=open PERMISSIONS=print node client.js sign document.pdf
   API_URL=https://api.example.com node client.js health
           `);
       }
@@ -249,6 +1154,23 @@ Examples:
 module.exports = {
   signPdfFile,
   signPdfBase64,
+  signBatch,
+  submitJob,
+  getJob,
+  waitForJob,
+  createWorkflow,
+  getWorkflow,
+  updateWorkflow,
+  prepareRemoteSigning,
+  completeRemoteSigning,
+  verifyPdfFile,
+  preflightPdfFile,
+  addLtv,
+  timestampPdf,
+  listSignatureFields,
   getCertificateInfo,
+  listCertificates,
+  queryAuditLog,
+  verifyAuditLog,
   checkHealth
 };
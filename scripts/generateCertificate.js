@@ -1,100 +1,640 @@
+#!/usr/bin/env node
+
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const crypto = require('crypto');
+const {
+  createCertificate,
+  describeCertificate,
+  parseCertificates,
+  buildChain,
+  isSelfSigned,
+  getNames,
+  getKeyUsage,
+  getCommonName,
+  toPem,
+} = require('../src/utils/x509');
+const { createCsr, parseCsr } = require('../src/utils/pkcs10');
+const { loadPkcs12, createPkcs12 } = require('../src/utils/pkcs12');
+const { parseSignedData } = require('../src/utils/cms');
 
 /**
- * Generate a self-signed P12 certificate for testing
- * In production, you would use a proper CA-signed certificate
+ * Certificate lifecycle for signing identities, without OpenSSL: a self-signed
+ * test certificate, an internal root CA issuing document signing certificates,
+ * requests to an external CA with import of the returned chain, and renewal
  */
 
 const certDir = path.join(__dirname, '../certs');
-const certPath = path.join(certDir, 'signing-cert.p12');
-const keyPath = path.join(certDir, 'signing-key.pem');
-const crtPath = path.join(certDir, 'signing-cert.pem');
-
-const PASSPHRASE = 'password';
-const CERTIFICATE_VALIDITY = 3650; // 10 years
+// Outside certs/, which the server loads every keystore from and the Docker image copies
+const caDir = path.join(__dirname, '../ca');
 
-console.log('🔐 Generating P12 Certificate for PDF Signing...\n');
+const DEFAULT_SUBJECT = 'CN=PDF Signer, O=Organization, L=City, ST=State, C=US';
+const DEFAULT_DAYS = { selfSigned: 3650, ca: 3650, issue: 730 };
+const DEFAULT_RENEW_WITHIN = 30;
+const CURVES = { 'P-256': 'prime256v1', 'P-384': 'secp384r1', 'P-521': 'secp521r1' };
+const DAY = 24 * 60 * 60 * 1000;
 
-// Ensure cert directory exists
-if (!fs.existsSync(certDir)) {
-  fs.mkdirSync(certDir, { recursive: true });
+/**
+ * Read --name value options following the positional arguments; a flag
+ * without a value is true
+ */
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const value = args[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        options[args[i].slice(2)] = true;
+      } else {
+        options[args[i].slice(2)] = value;
+        i++;
+      }
+    }
+  }
+  return options;
 }
 
-try {
-  // Step 1: Generate private key
-  console.log('Step 1: Generating private key...');
-  execSync(
-    `openssl genrsa -out "${keyPath}" 2048`,
-    { stdio: 'inherit' }
-  );
-  console.log('✓ Private key generated\n');
-
-  // Step 2: Create certificate signing request (CSR)
-  console.log('Step 2: Creating certificate signing request...');
-  const csrPath = path.join(certDir, 'signing.csr');
-  execSync(
-    `openssl req -new -key "${keyPath}" -out "${csrPath}" -subj "/C=US/ST=State/L=City/O=Organization/CN=PDF Signer"`,
-    { stdio: 'inherit' }
-  );
-  console.log('✓ CSR created\n');
-
-  // Step 3: Sign the certificate
-  console.log('Step 3: Creating self-signed certificate...');
-  execSync(
-    `openssl x509 -req -days ${CERTIFICATE_VALIDITY} -in "${csrPath}" -signkey "${keyPath}" -out "${crtPath}"`,
-    { stdio: 'inherit' }
-  );
-  console.log('✓ Certificate created\n');
-
-  // Step 4: Convert to PKCS#12 (.p12)
-  console.log('Step 4: Converting to PKCS#12 format...');
-  execSync(
-    `openssl pkcs12 -export -in "${crtPath}" -inkey "${keyPath}" -out "${certPath}" -name "PDF Signer" -passout pass:${PASSPHRASE}`,
-    { stdio: 'inherit' }
-  );
-  console.log('✓ P12 certificate created\n');
-
-  // Step 5: Cleanup intermediate files
-  console.log('Step 5: Cleaning up...');
-  fs.unlinkSync(csrPath);
-  console.log('✓ Cleanup done\n');
-
-  // Display certificate info
-  console.log('════════════════════════════════════════');
-  console.log('✓ Certificate Generated Successfully! ✓');
-  console.log('════════════════════════════════════════\n');
-  console.log('Certificate Details:');
-  console.log(`  Path: ${certPath}`);
-  console.log(`  Passphrase: ${PASSPHRASE}`);
-  console.log(`  Validity: ${CERTIFICATE_VALIDITY} days\n`);
-  
-  console.log('Environment Setup:');
-  console.log(`  export CERT_PASSPHRASE="${PASSPHRASE}"\n`);
-
-  console.log('⚠️  IMPORTANT SECURITY NOTES:');
-  console.log('  • This is a SELF-SIGNED certificate for testing only');
-  console.log('  • For production, use a certificate from a trusted CA');
-  console.log('  • Store the passphrase securely (use environment variables)');
-  console.log('  • Never commit the P12 file to version control');
-  console.log('  • Add certs/*.p12 to .gitignore\n');
-
-  // Display certificate content
-  console.log('Certificate Information:');
+const positiveNumber = (value, name, fallback) => {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`--${name} must be a positive whole number`);
+  }
+  return number;
+};
+
+/**
+ * New key pair as asked for with --key, --key-size and --curve
+ * @param {object} options - { key: 'rsa'|'ec', keySize, curve }
+ */
+const generateKeyPair = ({ key = 'rsa', keySize = 2048, curve = 'P-256' } = {}) => {
+  const type = String(key).toLowerCase();
+  if (type === 'rsa') {
+    if (![2048, 3072, 4096].includes(Number(keySize))) {
+      throw new Error('RSA key size must be 2048, 3072 or 4096');
+    }
+    return crypto.generateKeyPairSync('rsa', { modulusLength: Number(keySize) });
+  }
+  if (type === 'ec' || type === 'ecdsa') {
+    if (!CURVES[curve]) {
+      throw new Error(`Unsupported curve "${curve}" (expected ${Object.keys(CURVES).join(', ')})`);
+    }
+    return crypto.generateKeyPairSync('ec', { namedCurve: CURVES[curve] });
+  }
+  throw new Error(`Unsupported key type "${key}" (expected rsa or ec)`);
+};
+
+/**
+ * Key options from the command line, with the default RSA key size of the command
+ */
+const keyOptions = (options, defaultKeySize = 2048) => ({
+  key: options.key || 'rsa',
+  keySize: options['key-size'] || defaultKeySize,
+  curve: options.curve || 'P-256',
+});
+
+/**
+ * Key options matching an existing key, overridden by the ones given
+ */
+const keyOptionsLike = (privateKey, options) => {
+  const details = privateKey.asymmetricKeyDetails || {};
+  const curve = Object.keys(CURVES).find((name) => CURVES[name] === details.namedCurve);
+  return {
+    key: options.key || privateKey.asymmetricKeyType,
+    keySize: options['key-size'] || details.modulusLength,
+    curve: options.curve || curve,
+  };
+};
+
+/**
+ * Write a file through a temporary file and a rename, so the server's keystore
+ * watcher never reads half of it. An existing file is kept as <file>.bak.
+ */
+const writeOutput = (filePath, data, { force = false, mode = 0o600 } = {}) => {
+  const exists = fs.existsSync(filePath);
+  if (exists && !force) {
+    throw new Error(`${filePath} already exists (use --force to replace it)`);
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  if (exists) {
+    fs.copyFileSync(filePath, `${filePath}.bak`);
+  }
+  const temporary = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(temporary, data, { mode });
+  fs.renameSync(temporary, filePath);
+  return filePath;
+};
+
+/**
+ * Passphrase given with --<option> or the environment; a random one when
+ * generate is set and none is given
+ */
+const resolvePassphrase = (options, option, variable, generate = false) => {
+  const passphrase = options[option] || process.env[variable];
+  if (passphrase) return { passphrase: String(passphrase), generated: false };
+  if (!generate) {
+    throw new Error(`Passphrase required: use --${option} or set ${variable}`);
+  }
+  return { passphrase: crypto.randomBytes(18).toString('hex'), generated: true };
+};
+
+/**
+ * File name for an identity: certs/<common name>.p12, which CERTS_DIR serves as that id
+ */
+const defaultOutput = (subject, extension) => {
+  const commonName = /(?:^|[,/])\s*CN\s*=\s*([^,/]+)/i.exec(subject);
+  const id = (commonName ? commonName[1] : 'signer').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return path.join(certDir, `${id || 'signer'}${extension}`);
+};
+
+/**
+ * Open a CA keystore and check it may issue certificates
+ */
+const loadCa = (caPath, passphrase) => {
+  const ca = loadPkcs12(fs.readFileSync(caPath), passphrase);
+  if (!getKeyUsage(ca.certificate).includes('keyCertSign')) {
+    throw new Error(`${caPath} does not hold a CA certificate (no keyCertSign key usage)`);
+  }
+  const { expired, notAfter } = describeCertificate(ca.certificate);
+  if (expired) {
+    throw new Error(`The CA certificate in ${caPath} expired on ${notAfter}`);
+  }
+  return ca;
+};
+
+/**
+ * DER data of a PEM block with the label, or of a DER file
+ */
+const readPemOrDer = (filePath, label) => {
+  const data = fs.readFileSync(filePath);
+  const pem = new RegExp(`-----BEGIN ${label}-----([^-]+)-----END ${label}-----`).exec(data.toString('latin1'));
+  return pem ? Buffer.from(pem[1].replace(/\s+/g, ''), 'base64') : data;
+};
+
+/**
+ * Read certificates from a PEM bundle, a DER certificate or a PKCS#7 (.p7b) file
+ * @returns {Buffer[]} DER certificates
+ */
+const readCertificates = (filePath) => {
+  const data = fs.readFileSync(filePath);
+  const text = data.toString('latin1');
+  const pkcs7 = /-----BEGIN PKCS7-----([^-]+)-----END PKCS7-----/.exec(text);
+  if (pkcs7) {
+    return parseSignedData(Buffer.from(pkcs7[1].replace(/\s+/g, ''), 'base64')).certificates;
+  }
+  if (text.includes('-----BEGIN CERTIFICATE-----')) {
+    return parseCertificates(text);
+  }
   try {
-    execSync(`openssl x509 -in "${crtPath}" -text -noout`, { stdio: 'inherit' });
-  } catch (e) {
-    // Command might fail on Windows
-    console.log('(Run "openssl x509 -in certs/signing-cert.pem -text -noout" to view full details)');
-  }
-
-} catch (error) {
-  console.error('❌ Error generating certificate:', error.message);
-  console.error('\n⚠️  Requirements:');
-  console.error('  • OpenSSL must be installed and available in PATH');
-  console.error('  • On Windows: Download from https://slproweb.com/products/Win32OpenSSL.html');
-  console.error('  • On macOS: brew install openssl');
-  console.error('  • On Linux: apt-get install openssl (or yum/dnf equivalent)\n');
-  process.exit(1);
+    return [Buffer.from(new crypto.X509Certificate(data).raw)];
+  } catch (error) {
+    return parseSignedData(data).certificates;
+  }
+};
+
+/**
+ * Self-signed document signing certificate, for testing
+ * @returns {{ file: string, certificate: Buffer, passphrase: string, generated: boolean }}
+ */
+const createSelfSigned = (options) => {
+  const subject = options.subject || DEFAULT_SUBJECT;
+  const file = options.out || path.join(certDir, 'signing-cert.p12');
+  // The test certificate keeps the passphrase the setup instructions use
+  const passphrase = options.passphrase || process.env.CERT_PASSPHRASE || 'password';
+  const { publicKey, privateKey } = generateKeyPair(keyOptions(options));
+  const certificate = createCertificate({
+    subject,
+    publicKey,
+    signingKey: privateKey,
+    days: positiveNumber(options.days, 'days', DEFAULT_DAYS.selfSigned),
+  });
+  writeOutput(file, createPkcs12({
+    privateKey,
+    certificate,
+    passphrase,
+    friendlyName: options.name || getCommonName(certificate) || 'PDF Signer',
+  }), { force: options.force });
+  return { file, certificate, passphrase, generated: false };
+};
+
+/**
+ * Internal root CA: a keystore with the CA key, and its certificate as PEM
+ * for the clients and validators that should trust it
+ */
+const createCa = (options) => {
+  if (!options.subject) {
+    throw new Error('--subject is required, e.g. --subject "CN=Example Signing CA, O=Example"');
+  }
+  const file = options.out || path.join(caDir, 'ca.p12');
+  const { passphrase, generated } = resolvePassphrase(options, 'passphrase', 'CA_PASSPHRASE', true);
+  const { publicKey, privateKey } = generateKeyPair(keyOptions(options, 3072));
+  const certificate = createCertificate({
+    subject: options.subject,
+    publicKey,
+    signingKey: privateKey,
+    profile: 'ca',
+    days: positiveNumber(options.days, 'days', DEFAULT_DAYS.ca),
+  });
+  writeOutput(file, createPkcs12({
+    privateKey,
+    certificate,
+    passphrase,
+    friendlyName: options.name || getCommonName(certificate),
+  }), { force: options.force });
+  const pemFile = writeOutput(file.replace(/\.p12$/i, '') + '.pem', toPem(certificate), {
+    force: options.force,
+    mode: 0o644,
+  });
+  return { file, pemFile, certificate, passphrase, generated };
+};
+
+/**
+ * Document signing certificate from the internal CA, either with a new key
+ * written to a keystore, or for the key of a certification request (--csr)
+ * written as a PEM chain
+ */
+const issueCertificate = (options) => {
+  if (!options.ca) {
+    throw new Error('--ca is required: the CA keystore created with the ca command');
+  }
+  const ca = loadCa(options.ca, resolvePassphrase(options, 'ca-passphrase', 'CA_PASSPHRASE').passphrase);
+  const days = positiveNumber(options.days, 'days', DEFAULT_DAYS.issue);
+  const { notAfter } = describeCertificate(ca.certificate);
+  if (Date.now() + days * DAY > new Date(notAfter).getTime()) {
+    console.log(`! The certificate would outlive the CA certificate (valid until ${notAfter})`);
+  }
+
+  if (options.csr) {
+    const request = parseCsr(readPemOrDer(options.csr, 'CERTIFICATE REQUEST'));
+    const certificate = createCertificate({
+      subject: options.subject || request.subject,
+      publicKey: request.publicKey,
+      signingKey: ca.privateKey,
+      issuerCertificate: ca.certificate,
+      days,
+    });
+    const file = options.out || options.csr.replace(/(\.csr)?(\.pem)?$/i, '.crt.pem');
+    writeOutput(file, [certificate, ca.certificate, ...ca.chain].map((der) => toPem(der)).join(''), {
+      force: options.force,
+      mode: 0o644,
+    });
+    return { file, certificate, passphrase: null, generated: false };
+  }
+
+  if (!options.subject) {
+    throw new Error('--subject is required, e.g. --subject "CN=Jane Doe, O=Example"');
+  }
+  const file = options.out || defaultOutput(options.subject, '.p12');
+  const { passphrase, generated } = resolvePassphrase(options, 'passphrase', 'CERT_PASSPHRASE', true);
+  const { publicKey, privateKey } = generateKeyPair(keyOptions(options));
+  const certificate = createCertificate({
+    subject: options.subject,
+    publicKey,
+    signingKey: ca.privateKey,
+    issuerCertificate: ca.certificate,
+    days,
+  });
+  writeOutput(file, createPkcs12({
+    privateKey,
+    certificate,
+    chain: [ca.certificate, ...ca.chain],
+    passphrase,
+    friendlyName: options.name || getCommonName(certificate),
+  }), { force: options.force });
+  return { file, certificate, passphrase, generated };
+};
+
+/**
+ * Key and certification request for an external CA. A new key is written as
+ * encrypted PKCS#8 PEM until the import command puts it into a keystore.
+ * @param {object} options - Command line options
+ * @param {crypto.KeyObject} [privateKey] - Existing key to certify instead of a new one
+ * @param {string|Buffer} [subject] - Subject string or DER Name, --subject by default
+ */
+const createRequest = (options, privateKey = null, subject = options.subject) => {
+  if (!subject) {
+    throw new Error('--subject is required, e.g. --subject "CN=Jane Doe, O=Example"');
+  }
+  const file = options.out || defaultOutput(typeof subject === 'string' ? subject : '', '.csr.pem');
+  const { passphrase, generated } = resolvePassphrase(options, 'passphrase', 'CERT_PASSPHRASE', true);
+  let keyFile = null;
+  let key = privateKey;
+  if (!key) {
+    key = generateKeyPair(keyOptions(options)).privateKey;
+    keyFile = writeOutput(
+      options['key-out'] || file.replace(/(\.csr)?(\.pem)?$/i, '.key.pem'),
+      key.export({ type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase }),
+      { force: options.force }
+    );
+  }
+
+  writeOutput(file, toPem(createCsr({ subject, privateKey: key }), 'CERTIFICATE REQUEST'), {
+    force: options.force,
+    mode: 0o644,
+  });
+  return { file, keyFile, passphrase, generated };
+};
+
+/**
+ * Keystore from a key and the certificate chain an external CA returned
+ */
+const importChain = (options) => {
+  if (!options.key || !options.cert) {
+    throw new Error('--key and --cert are required');
+  }
+  const { passphrase } = resolvePassphrase(options, 'passphrase', 'CERT_PASSPHRASE');
+  let privateKey;
+  try {
+    privateKey = /\.(p12|pfx)$/i.test(options.key)
+      ? loadPkcs12(fs.readFileSync(options.key), options['key-passphrase'] || passphrase).privateKey
+      : crypto.createPrivateKey({
+        key: fs.readFileSync(options.key),
+        passphrase: options['key-passphrase'] || passphrase,
+      });
+  } catch (error) {
+    throw new Error(`Cannot read the private key in ${options.key} (wrong passphrase?): ${error.message}`);
+  }
+
+  const certificates = [
+    ...readCertificates(options.cert),
+    ...(options.chain ? readCertificates(options.chain) : []),
+  ];
+  const keyDer = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+  const certificate = certificates.find((der) => new crypto.X509Certificate(der).publicKey
+    .export({ type: 'spki', format: 'der' }).equals(keyDer));
+  if (!certificate) {
+    throw new Error('None of the certificates matches the private key');
+  }
+
+  const chain = buildChain(certificate, certificates.filter((der) => der !== certificate)).slice(1);
+  const { expired, notAfter } = describeCertificate(certificate);
+  if (expired) {
+    throw new Error(`The certificate expired on ${notAfter}`);
+  }
+  const last = new crypto.X509Certificate(chain.length > 0 ? chain[chain.length - 1] : certificate);
+  if (!isSelfSigned(last)) {
+    console.log('! The chain does not end with a root certificate; add it with --chain if validators need it');
+  }
+  const keyUsage = getKeyUsage(certificate);
+  if (keyUsage.length > 0 && !keyUsage.includes('digitalSignature') && !keyUsage.includes('nonRepudiation')) {
+    console.log(`! The certificate's key usage (${keyUsage.join(', ')}) does not allow signing documents`);
+  }
+
+  const file = options.out || options.key.replace(/(\.key)?(\.pem)?$/i, '.p12');
+  writeOutput(file, createPkcs12({
+    privateKey,
+    certificate,
+    chain,
+    passphrase,
+    friendlyName: options.name || getCommonName(certificate),
+  }), { force: options.force });
+  return { file, certificate, chainLength: chain.length };
+};
+
+/**
+ * Renew a keystore whose certificate expires within --within days: re-issue
+ * self-signed certificates, or certificates of the internal CA given with
+ * --ca, in place; for other issuers write a new request for the external CA.
+ * @returns {{ renewed: boolean, file?: string, certificate?: Buffer, request?: object, current: object }}
+ */
+const renewKeystore = (options) => {
+  if (!options.in) {
+    throw new Error('--in is required: the keystore to renew');
+  }
+  const { passphrase } = resolvePassphrase(options, 'passphrase', 'CERT_PASSPHRASE');
+  const identity = loadPkcs12(fs.readFileSync(options.in), passphrase);
+  const current = describeCertificate(identity.certificate);
+  const within = positiveNumber(options.within, 'within', DEFAULT_RENEW_WITHIN);
+  if (!options.force && current.daysUntilExpiry > within) {
+    return { renewed: false, current, within };
+  }
+
+  const certificate = new crypto.X509Certificate(identity.certificate);
+  const { subject } = getNames(identity.certificate);
+  const keyLike = keyOptionsLike(identity.privateKey, options);
+  const selfSigned = isSelfSigned(certificate);
+
+  if (!selfSigned && !options.ca) {
+    // Issued by an external CA: ask it for a new certificate
+    const base = options.in.replace(/\.p12$/i, '');
+    const request = createRequest({
+      ...options,
+      key: keyLike.key,
+      'key-size': keyLike.keySize,
+      curve: keyLike.curve,
+      passphrase,
+      out: `${base}.csr.pem`,
+      'key-out': `${base}.key.pem`,
+      force: true,
+    }, options['keep-key'] ? identity.privateKey : null, subject);
+    return { renewed: false, request, current, within };
+  }
+
+  const privateKey = options['keep-key'] ? identity.privateKey : generateKeyPair(keyLike).privateKey;
+  const publicKey = crypto.createPublicKey(privateKey);
+  const days = positiveNumber(options.days, 'days', Math.round(
+    (new Date(current.notAfter) - new Date(current.notBefore)) / DAY
+  ));
+  const profile = getKeyUsage(identity.certificate).includes('cRLSign') ? 'ca' : 'documentSigning';
+
+  let renewed;
+  if (selfSigned) {
+    renewed = {
+      certificate: createCertificate({ subject, publicKey, signingKey: privateKey, profile, days }),
+      chain: [],
+    };
+  } else {
+    const ca = loadCa(options.ca, resolvePassphrase(options, 'ca-passphrase', 'CA_PASSPHRASE').passphrase);
+    const caCertificate = new crypto.X509Certificate(ca.certificate);
+    if (!certificate.checkIssued(caCertificate) || !certificate.verify(caCertificate.publicKey)) {
+      throw new Error(`The certificate in ${options.in} was not issued by the CA in ${options.ca}`);
+    }
+    renewed = {
+      certificate: createCertificate({
+        subject,
+        publicKey,
+        signingKey: ca.privateKey,
+        issuerCertificate: ca.certificate,
+        profile,
+        days,
+      }),
+      chain: [ca.certificate, ...ca.chain],
+    };
+  }
+
+  const file = writeOutput(options.in, createPkcs12({
+    privateKey,
+    certificate: renewed.certificate,
+    chain: renewed.chain,
+    passphrase,
+    friendlyName: options.name || getCommonName(renewed.certificate),
+  }), { force: true });
+  const pemFile = profile === 'ca'
+    ? writeOutput(file.replace(/\.p12$/i, '') + '.pem', toPem(renewed.certificate), { force: true, mode: 0o644 })
+    : null;
+  return { renewed: true, file, pemFile, certificate: renewed.certificate, current, within };
+};
+
+const printCertificate = (der, indent = '  ') => {
+  const info = describeCertificate(der);
+  const key = info.curve ? `${info.keyAlgorithm} ${info.curve}` : `${info.keyAlgorithm} ${info.keySize}`;
+  console.log(`${indent}Subject:   ${info.subject}`);
+  console.log(`${indent}Issuer:    ${info.issuer}${info.selfSigned ? ' (self-signed)' : ''}`);
+  console.log(`${indent}Serial:    ${info.serialNumber}`);
+  console.log(`${indent}Valid:     ${info.notBefore} to ${info.notAfter}${info.expired ? ' (expired)' : ` (${info.daysUntilExpiry} days left)`}`);
+  console.log(`${indent}Key:       ${key}`);
+  if (info.keyUsage.length > 0) console.log(`${indent}Key usage: ${info.keyUsage.join(', ')}`);
+  if (info.extendedKeyUsage.length > 0) console.log(`${indent}Extended:  ${info.extendedKeyUsage.join(', ')}`);
+  console.log(`${indent}SHA-256:   ${info.fingerprint256}`);
+};
+
+/**
+ * Variable the server reads a keystore's passphrase from when it serves certs/ (CERTS_DIR)
+ */
+const passphraseVariable = (file) => {
+  if (path.resolve(path.dirname(file)) !== certDir) return 'CERT_PASSPHRASE';
+  const id = path.basename(file, path.extname(file));
+  return `CERT_PASSPHRASE_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+};
+
+const printPassphrase = ({ passphrase, generated }, variable = 'CERT_PASSPHRASE') => {
+  if (!passphrase) return;
+  if (generated) {
+    console.log(`\n  Generated passphrase (store it now, it is not kept anywhere):\n    ${passphrase}`);
+  }
+  console.log(`\n  export ${variable}="${passphrase}"`);
+};
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'self-signed';
+  const options = parseOptions(args);
+
+  try {
+    switch (command) {
+      case 'self-signed': {
+        const result = createSelfSigned(options);
+        console.log(`✓ Self-signed certificate written to ${result.file}`);
+        printCertificate(result.certificate);
+        printPassphrase(result);
+        console.log('\n⚠️  This certificate is for testing only: validators will not trust it.');
+        console.log('   Never commit keystores (certs/*.p12) to version control.');
+        break;
+      }
+
+      case 'ca': {
+        const result = createCa(options);
+        console.log(`✓ CA keystore written to ${result.file}`);
+        console.log(`✓ CA certificate written to ${result.pemFile} (distribute it to the validators that should trust it)`);
+        printCertificate(result.certificate);
+        printPassphrase(result, 'CA_PASSPHRASE');
+        console.log('\n⚠️  Keep the CA keystore off the signing server; it is only needed to issue and renew certificates.');
+        break;
+      }
+
+      case 'issue': {
+        const result = issueCertificate(options);
+        console.log(`✓ Certificate ${options.csr ? 'chain' : 'keystore'} written to ${result.file}`);
+        printCertificate(result.certificate);
+        printPassphrase(result, passphraseVariable(result.file));
+        break;
+      }
+
+      case 'csr': {
+        const result = createRequest(options);
+        console.log(`✓ Certification request written to ${result.file}`);
+        console.log(`✓ Encrypted private key written to ${result.keyFile}`);
+        printPassphrase(result);
+        console.log('\n  Send the request to your CA, then import the certificate it returns:');
+        console.log(`    node scripts/generateCertificate.js import --key ${result.keyFile} --cert <certificate.pem|.p7b>`);
+        break;
+      }
+
+      case 'import': {
+        const result = importChain(options);
+        console.log(`✓ Keystore written to ${result.file} (${result.chainLength} CA certificate(s))`);
+        printCertificate(result.certificate);
+        break;
+      }
+
+      case 'renew': {
+        const result = renewKeystore(options);
+        if (result.request) {
+          console.log(`! ${options.in} expires on ${result.current.notAfter} and was issued by an external CA`);
+          console.log(`✓ Certification request written to ${result.request.file}`);
+          if (result.request.keyFile) console.log(`✓ Encrypted private key written to ${result.request.keyFile}`);
+          console.log('\n  Send the request to your CA, then replace the keystore with:');
+          console.log(`    node scripts/generateCertificate.js import --key ${result.request.keyFile || options.in} --cert <certificate.pem|.p7b> --out ${options.in} --force`);
+        } else if (result.renewed) {
+          console.log(`✓ Renewed ${result.file} (previous keystore kept as ${result.file}.bak)`);
+          if (result.pemFile) console.log(`✓ CA certificate written to ${result.pemFile}`);
+          printCertificate(result.certificate);
+          if (!options['keep-key'] && getKeyUsage(result.certificate).includes('cRLSign')) {
+            console.log('\n! The CA has a new key: certificates it issued before must be renewed with --ca too.');
+          }
+        } else {
+          console.log(`✓ ${options.in} is valid until ${result.current.notAfter} (${result.current.daysUntilExpiry} days left), renewal is due within ${result.within} days`);
+        }
+        break;
+      }
+
+      case 'info': {
+        const file = options.in || args[1];
+        if (!file) throw new Error('--in is required: the keystore to show');
+        const identity = loadPkcs12(fs.readFileSync(file), resolvePassphrase(options, 'passphrase', 'CERT_PASSPHRASE').passphrase);
+        console.log(`${file}:`);
+        printCertificate(identity.certificate);
+        identity.chain.forEach((der) => {
+          console.log('');
+          printCertificate(der);
+        });
+        break;
+      }
+
+      default:
+        console.log(`
+Signing Certificate Management
+
+Usage:
+  node generateCertificate.js [self-signed] [--subject "CN=PDF Signer, O=Organization"] [--out certs/signing-cert.p12]
+  node generateCertificate.js ca --subject "CN=Example Signing CA, O=Example" [--out ca/ca.p12]
+  node generateCertificate.js issue --ca ca/ca.p12 --subject "CN=Jane Doe, O=Example" [--out certs/jane-doe.p12]
+  node generateCertificate.js issue --ca ca/ca.p12 --csr request.csr.pem [--out request.crt.pem]
+  node generateCertificate.js csr --subject "CN=Jane Doe, O=Example" [--out certs/jane-doe.csr.pem] [--key-out file]
+  node generateCertificate.js import --key certs/jane-doe.key.pem|.p12 --cert issued.pem|.p7b [--chain ca-bundle.pem] [--out file]
+  node generateCertificate.js renew --in certs/jane-doe.p12 [--ca ca/ca.p12] [--within ${DEFAULT_RENEW_WITHIN}] [--keep-key]
+  node generateCertificate.js info --in certs/jane-doe.p12
+
+Options:
+  --key rsa|ec       - Key type (default: rsa)
+  --key-size n       - RSA key size: 2048, 3072 or 4096 (default: 2048, CA 3072)
+  --curve name       - ECDSA curve: ${Object.keys(CURVES).join(', ')} (default: P-256)
+  --days n           - Validity (default: self-signed ${DEFAULT_DAYS.selfSigned}, CA ${DEFAULT_DAYS.ca}, issued ${DEFAULT_DAYS.issue}, renewed as before)
+  --passphrase text  - Passphrase of the keystore or key written, or read by import, renew and info
+  --ca-passphrase text - Passphrase of the CA keystore
+  --name text        - Friendly name of the keystore entry (default: the common name)
+  --force            - Replace existing files (kept as .bak), or renew before it is due
+
+Environment Variables:
+  CERT_PASSPHRASE - Keystore passphrase when --passphrase is not given (a random one is generated otherwise,
+                    the self-signed test certificate uses "password")
+  CA_PASSPHRASE   - CA keystore passphrase when --ca-passphrase or --passphrase (ca command) is not given
+        `);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
 }
+
+module.exports = {
+  generateKeyPair,
+  createSelfSigned,
+  createCa,
+  issueCertificate,
+  createRequest,
+  importChain,
+  renewKeystore,
+};
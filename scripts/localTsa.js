@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { loadPkcs12 } = require('../src/utils/pkcs12');
+const {
+  OIDS,
+  signatureAlgorithmFor,
+  signingCertificateV2Attribute,
+  createSignedAttributes,
+  encodeSet,
+  createSignedData,
+} = require('../src/utils/cms');
+const {
+  parseTimeStampRequest,
+  createTstInfo,
+  createTimeStampResponse,
+  randomInteger,
+} = require('../src/utils/tsp');
+
+/**
+ * Local RFC 3161 timestamp authority stand-in for development and tests.
+ * Tokens are signed with a P12 identity (by default the signing certificate),
+ * so they are only as trustworthy as that certificate.
+ */
+
+const TSA_POLICY = '1.3.6.1.4.1.99999.1.1';
+
+/**
+ * Build a TimeStampResp for a DER TimeStampReq
+ * @param {object} identity - { privateKey, certificate, chain } from loadPkcs12
+ * @param {Buffer} requestDer - DER encoded request
+ * @param {Date} [genTime] - Time to certify
+ * @returns {Buffer} DER encoded response
+ */
+function createTimestampResponse(identity, requestDer, genTime = new Date()) {
+  let request;
+  try {
+    request = parseTimeStampRequest(requestDer);
+  } catch (error) {
+    // 2 = rejection
+    return createTimeStampResponse(null, 2);
+  }
+
+  const tstInfo = createTstInfo({
+    policy: TSA_POLICY,
+    digestAlgorithm: request.digestAlgorithm,
+    digest: request.digest,
+    serialNumber: randomInteger(),
+    genTime,
+    nonce: request.nonce,
+  });
+
+  const signedAttributes = createSignedAttributes({
+    contentType: OIDS.tstInfo,
+    messageDigest: crypto.createHash('sha256').update(tstInfo).digest(),
+    signingTime: genTime,
+    extra: [signingCertificateV2Attribute(identity.certificate)],
+  });
+
+  const token = createSignedData({
+    certificate: identity.certificate,
+    chain: request.certReq ? identity.chain : [],
+    signedAttributes,
+    signature: crypto.sign('sha256', encodeSet(signedAttributes), identity.privateKey),
+    signatureAlgorithm: signatureAlgorithmFor(identity.privateKey),
+    contentType: OIDS.tstInfo,
+    content: tstInfo,
+  });
+
+  return createTimeStampResponse(token);
+}
+
+/**
+ * Create the HTTP server answering application/timestamp-query POSTs
+ */
+function createTsaServer(identity) {
+  return http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405);
+      res.end();
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const response = createTimestampResponse(identity, Buffer.concat(chunks));
+      res.writeHead(200, { 'Content-Type': 'application/timestamp-reply' });
+      res.end(response);
+    });
+  });
+}
+
+// CLI Interface
+if (require.main === module) {
+  const port = process.env.TSA_PORT || 3181;
+  const certPath = process.env.TSA_CERT_PATH || path.join(__dirname, '../certs/signing-cert.p12');
+  const passphrase = process.env.TSA_CERT_PASSPHRASE || process.env.CERT_PASSPHRASE || 'password';
+
+  if (!fs.existsSync(certPath)) {
+    console.error(`Certificate not found at ${certPath}`);
+    console.error('Please generate a certificate using: npm run generate-cert');
+    process.exit(1);
+  }
+
+  const identity = loadPkcs12(fs.readFileSync(certPath), passphrase);
+  createTsaServer(identity).listen(port, () => {
+    console.log(`✓ Local TSA listening on http://localhost:${port}`);
+    console.log(`  Use TSA_URL=http://localhost:${port} for the signing server`);
+  });
+}
+
+module.exports = {
+  createTimestampResponse,
+  createTsaServer
+};
@@ -2,44 +2,572 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { PdfSigner } = require('./services/pdfSigner');
+const crypto = require('crypto');
+const { PADES_PROFILES } = require('./services/pdfSigner');
+const { KeystoreRegistry } = require('./services/keystoreRegistry');
+const { ApiKeyStore } = require('./services/apiKeyStore');
+const { Authenticator, AuthError } = require('./services/authenticator');
+const { AuditLog } = require('./services/auditLog');
+const { BatchSigner } = require('./services/batchSigner');
+const { JobQueue } = require('./services/jobQueue');
+const { WorkflowStore } = require('./services/workflowStore');
+const { ConcurrencyLimiter } = require('./services/concurrencyLimiter');
+const { HttpTsaClient } = require('./services/tsaClient');
+const { HttpRevocationSource, FileRevocationSource } = require('./services/revocationSource');
+const { parseTransforms } = require('./services/documentTransforms');
+const { RemoteSigningSessions } = require('./services/remoteSigning');
+const { PERMISSIONS, ENCRYPTION_ALGORITHMS } = require('./services/pdfEncryption');
+const { Preflight, parsePreflightPolicy } = require('./services/preflight');
+const { parsePdfaMode } = require('./services/pdfa');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./services/metrics');
+const { parseCertificates } = require('./utils/x509');
+const { codedError } = require('./utils/errors');
+const { boundedMemoryStorage } = require('./utils/uploads');
+const { decodeBase64Field } = require('./utils/base64');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Ensure directories exist
-const uploadDir = path.join(__dirname, '../uploads');
 const certDir = path.join(__dirname, '../certs');
+const dataDir = path.join(__dirname, '../data');
 
-[uploadDir, certDir].forEach(dir => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-});
+if (!fs.existsSync(certDir)) {
+  fs.mkdirSync(certDir, { recursive: true });
+}
+
+// Uploads are kept in memory and never written to disk
+const MAX_UPLOAD_SIZE = Number(process.env.MAX_UPLOAD_SIZE) || 50 * 1024 * 1024;
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    cb(null, `${Date.now()}-${file.originalname}`);
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname === 'image' || file.fieldname === 'watermarkImage') {
+      if (['image/png', 'image/jpeg'].includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(codedError(`${file.fieldname === 'image' ? 'Signature' : 'Watermark'} image must be a PNG or JPEG`, 'INVALID_UPLOAD', { status: 400 }), false);
+      }
+    } else if (file.mimetype === 'application/pdf' || file.originalname.endsWith('.pdf')) {
+      cb(null, true);
+    } else {
+      cb(codedError('Only PDF files are allowed', 'INVALID_UPLOAD', { status: 400 }), false);
+    }
   }
 });
 
-const upload = multer({
-  storage,
+// Batch uploads are expanded and signed in memory as well
+const BATCH_MAX_FILES = Number(process.env.BATCH_MAX_FILES) || 1000;
+const BATCH_MAX_SIZE = Number(process.env.BATCH_MAX_SIZE) || 200 * 1024 * 1024;
+
+const isZipUpload = (file) => ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype)
+  || file.originalname.toLowerCase().endsWith('.zip');
+
+// PDFs are held to MAX_UPLOAD_SIZE, ZIP archives and all files of a request together to BATCH_MAX_SIZE
+const batchUpload = multer({
+  storage: boundedMemoryStorage({
+    fileLimit: (file) => (isZipUpload(file) ? BATCH_MAX_SIZE : MAX_UPLOAD_SIZE),
+    totalLimit: BATCH_MAX_SIZE
+  }),
+  limits: { fileSize: BATCH_MAX_SIZE, files: BATCH_MAX_FILES },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf' || file.originalname.endsWith('.pdf')) {
+    if (file.mimetype === 'application/pdf' || file.originalname.toLowerCase().endsWith('.pdf') || isZipUpload(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'), false);
+      cb(codedError('Only PDF files and ZIP archives are allowed', 'INVALID_UPLOAD', { status: 400 }), false);
     }
   }
 });
 
+const batchSigner = new BatchSigner({ maxFiles: BATCH_MAX_FILES, maxFileSize: MAX_UPLOAD_SIZE, maxTotalSize: BATCH_MAX_SIZE });
+
+// Two-phase signing with keys held by the client
+const signingSessions = new RemoteSigningSessions({
+  ttlMs: (Number(process.env.SIGN_SESSION_TTL) || 300) * 1000,
+  maxSessions: Number(process.env.SIGN_SESSION_MAX) || 50
+});
+
+/**
+ * Build visible signature options from query or body fields.
+ * Returns undefined when no appearance option was supplied (invisible signature).
+ */
+const parseAppearanceOptions = (source, image) => {
+  const keys = ['page', 'x', 'y', 'width', 'height', 'text'];
+  const visible = Boolean(image)
+    || String(source.visible) === 'true'
+    || keys.some((key) => source[key] !== undefined && source[key] !== '');
+
+  if (!visible) {
+    return undefined;
+  }
+
+  const number = (key, fallback, min) => {
+    if (source[key] === undefined || source[key] === '') return fallback;
+    const value = Number(source[key]);
+    if (!Number.isFinite(value) || value < min) {
+      throw new Error(`Invalid appearance option "${key}": ${source[key]}`);
+    }
+    return value;
+  };
+
+  return {
+    page: number('page', 0, 0),
+    x: number('x', 50, 0),
+    y: number('y', 50, 0),
+    width: number('width', 200, 1),
+    height: number('height', 60, 1),
+    // An empty text with an image draws the image only
+    text: source.text === '' && image ? '' : source.text || undefined,
+    image
+  };
+};
+
+/**
+ * Validate the optional PAdES baseline profile of a signing request
+ */
+const parsePadesProfile = (value) => {
+  if (value === undefined || value === '') return undefined;
+  if (!PADES_PROFILES.includes(value)) {
+    throw new Error(`Invalid profile "${value}" (expected one of ${PADES_PROFILES.join(', ')})`);
+  }
+  return value;
+};
+
+/**
+ * Validate the optional DocMDP permission of a certification request
+ */
+const parseCertify = (value) => {
+  if (value === undefined || value === '') return undefined;
+  if (!['1', '2', '3'].includes(String(value))) {
+    throw new Error(`Invalid certify "${value}" (expected 1, 2 or 3)`);
+  }
+  return Number(value);
+};
+
+/**
+ * Validate the optional output encryption of a signing request: userPassword,
+ * ownerPassword, permissions (comma-separated names or 'none', all by default)
+ * and encryption (algorithm, AES-256 by default)
+ */
+const parseEncryptOptions = (source) => {
+  const { userPassword, ownerPassword } = source;
+  if (!userPassword && !ownerPassword) {
+    if (source.permissions || source.encryption) {
+      throw new Error('permissions and encryption need a userPassword or ownerPassword');
+    }
+    return undefined;
+  }
+
+  const algorithm = source.encryption || 'AES-256';
+  if (!ENCRYPTION_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Invalid encryption "${algorithm}" (expected one of ${ENCRYPTION_ALGORITHMS.join(', ')})`);
+  }
+  let permissions = PERMISSIONS;
+  if (source.permissions) {
+    const names = Array.isArray(source.permissions) ? source.permissions : String(source.permissions).split(',');
+    permissions = names.map((name) => String(name).trim()).filter((name) => name && name !== 'none');
+    const unknown = permissions.filter((name) => !PERMISSIONS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid permissions "${unknown.join(', ')}" (expected ${PERMISSIONS.join(', ')} or none)`);
+    }
+  }
+
+  return {
+    userPassword: userPassword ? String(userPassword) : '',
+    ownerPassword: ownerPassword ? String(ownerPassword) : undefined,
+    permissions,
+    algorithm
+  };
+};
+
+/**
+ * Whether a signing request needs the timestamp authority
+ */
+const needsTimestamp = (timestamp, profile) => timestamp || profile === 'B-T' || profile === 'B-LT';
+
+/**
+ * PAdES level reached by the most recent signature of a document
+ */
+const getPadesLevel = async (signedPdf, password) => {
+  const report = await signers.get().verifyPdfBuffer(signedPdf, { password });
+  const latest = report.signatures[report.signatures.length - 1];
+  return latest && latest.pades.level;
+};
+
+// Initialize authentication
+let authenticator;
+
+const initializeAuth = () => {
+  try {
+    const apiKeyStore = new ApiKeyStore(process.env.API_KEYS_FILE || path.join(dataDir, 'api-keys.json'));
+    const jwtPublicKey = process.env.JWT_PUBLIC_KEY
+      ? crypto.createPublicKey(fs.readFileSync(process.env.JWT_PUBLIC_KEY))
+      : null;
+
+    authenticator = new Authenticator({
+      apiKeyStore,
+      jwtPublicKey,
+      jwtIssuer: process.env.JWT_ISSUER,
+      jwtAudience: process.env.JWT_AUDIENCE,
+      enabled: process.env.AUTH_ENABLED !== 'false'
+    });
+
+    if (!authenticator.enabled) {
+      console.warn('! Authentication is disabled (AUTH_ENABLED=false): anyone can sign');
+    } else if (!apiKeyStore.exists() && !jwtPublicKey) {
+      console.warn('! No API keys or JWT public key configured: every API request will be refused');
+      console.warn('  Create a key with: npm run api-keys -- create <client-id>');
+    } else {
+      console.log(`✓ Authentication enabled (${[apiKeyStore.exists() && 'API keys', jwtPublicKey && 'JWT'].filter(Boolean).join(', ')})`);
+    }
+  } catch (error) {
+    console.error('Failed to initialize authentication:', error.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Identify the client of every API request and log the outcome against it
+ */
+const authenticate = (req, res, next) => {
+  const started = Date.now();
+  res.on('finish', () => {
+    const clientId = req.auth ? req.auth.clientId : (req.authClientId || 'unknown');
+    const mark = res.statusCode < 400 ? '✓' : '✗';
+    const reason = req.authError ? ` (${req.authError})` : '';
+    console.log(`${mark} ${req.method} ${req.originalUrl.split('?')[0]} ${res.statusCode} client=${clientId} ${Date.now() - started}ms${reason}`);
+  });
+
+  try {
+    req.auth = authenticator.authenticate(req);
+    next();
+  } catch (error) {
+    req.authClientId = error.clientId;
+    req.authError = error.message;
+    res.status(error.status || 401).json({ error: error.message, code: error.code });
+  }
+};
+
+/**
+ * Only let clients holding a scope through
+ */
+const requireScope = (scope) => (req, res, next) => {
+  try {
+    Authenticator.requireScope(req.auth, scope);
+    next();
+  } catch (error) {
+    req.authError = error.message;
+    res.status(error.status).json({ error: error.message, code: error.code });
+  }
+};
+
+// Initialize the audit trail
+const auditLog = new AuditLog(process.env.AUDIT_LOG_FILE || path.join(dataDir, 'audit.log'));
+
+const initializeAudit = () => {
+  try {
+    const integrity = auditLog.open();
+    if (integrity.valid) {
+      console.log(`✓ Audit log ready (${integrity.checked} entries, chain intact)`);
+    } else {
+      console.error(`✗ Audit log chain broken at entry ${integrity.brokenAt}: ${integrity.reason}`);
+    }
+  } catch (error) {
+    console.error('Failed to open audit log:', error.message);
+    process.exit(1);
+  }
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Compare secrets in constant time
+const sameSecret = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(a).digest(),
+  crypto.createHash('sha256').update(b).digest()
+);
+
+// Prometheus metrics, served by GET /metrics
+const metrics = new MetricsRegistry();
+const metricsToken = process.env.METRICS_TOKEN || null;
+// How long a test signature of GET /health/ready is reused
+const READINESS_SIGN_INTERVAL = (Number(process.env.READINESS_SIGN_INTERVAL) || 60) * 1000;
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const SIZE_BUCKETS = [10 * 1024, 100 * 1024, 1024 * 1024, 5 * 1024 * 1024, 10 * 1024 * 1024, 50 * 1024 * 1024, 100 * 1024 * 1024];
+
+const requestsTotal = metrics.counter('pdf_signer_requests_total', 'API calls by action and result (success, failure, aborted)');
+const requestDuration = metrics.histogram('pdf_signer_request_duration_seconds', 'API call duration by action', DURATION_BUCKETS);
+const requestsInFlight = metrics.gauge('pdf_signer_requests_in_flight', 'API calls being processed, by action');
+const documentsSigned = metrics.counter('pdf_signer_documents_signed_total', 'Documents signed, by signer and result (success, failure)');
+const signDuration = metrics.histogram('pdf_signer_sign_duration_seconds', 'Time to sign one document, by signer', DURATION_BUCKETS);
+const signInputSize = metrics.histogram('pdf_signer_sign_input_bytes', 'Size of the documents sent for signing', SIZE_BUCKETS);
+const verifications = metrics.counter('pdf_signer_verifications_total', 'Verified documents by outcome (valid, invalid, unsigned, error)');
+metrics.gauge('pdf_signer_sign_slots_active', 'Signing requests holding a concurrency slot', () => [{ value: signLimiter.active }]);
+metrics.gauge('pdf_signer_sign_queue_length', 'Signing requests waiting for a concurrency slot', () => [{ value: signLimiter.queued }]);
+metrics.gauge('pdf_signer_certificate_expiry_seconds', 'Seconds until the signing certificate expires, negative once expired', () => (
+  signers ? [...signers.entries.entries()]
+    .filter(([, entry]) => entry.signer)
+    .map(([id, entry]) => ({
+      labels: { signer: id },
+      value: Math.round((new Date(entry.signer.certificateInfo.notAfter) - Date.now()) / 1000)
+    })) : []
+));
+metrics.gauge('pdf_signer_signer_loaded', 'Whether the signer is loaded and its files could be read (1) or not (0)', () => (
+  signers ? [...signers.entries.entries()].map(([id, entry]) => ({
+    labels: { signer: id },
+    value: entry.signer && !entry.error ? 1 : 0
+  })) : []
+));
+
+/**
+ * Sign one document, recording its size, the time taken and the result in the metrics
+ */
+const signDocument = async (signer, pdf, options) => {
+  signInputSize.observe({}, pdf.length);
+  try {
+    const output = await signDuration.time({ signer: signer.id }, () => signer.signPdfBuffer(pdf, options));
+    documentsSigned.inc({ signer: signer.id, result: 'success' });
+    return output;
+  } catch (error) {
+    documentsSigned.inc({ signer: signer.id, result: 'failure' });
+    throw error;
+  }
+};
+
+/**
+ * Record the call in the audit log and the metrics once the response is sent.
+ * Routes add details (signer, hashes, reason, ...) to req.audit.
+ */
+const auditCall = (action) => (req, res, next) => {
+  req.audit = { action };
+  const start = process.hrtime.bigint();
+  requestsInFlight.inc({ action });
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body) {
+      req.audit.error = body.details ? `${body.error}: ${body.details}` : body.error;
+    }
+    return json(body);
+  };
+
+  res.on('close', () => {
+    let result = res.statusCode < 400 ? 'success' : 'failure';
+    if (!res.writableFinished) result = 'aborted';
+    requestsInFlight.dec({ action });
+    requestsTotal.inc({ action, result });
+    requestDuration.observe({ action }, Number(process.hrtime.bigint() - start) / 1e9);
+    try {
+      auditLog.append({
+        clientId: req.auth.clientId,
+        ...req.audit,
+        status: res.statusCode,
+        result
+      });
+    } catch (error) {
+      console.error('Failed to write audit entry:', error.message);
+    }
+  });
+  next();
+};
+
+/**
+ * Audit fields describing the signer used for a call
+ */
+const describeSigner = (signer) => ({
+  signer: signer.id,
+  certificateFingerprint: signer.certificateInfo.fingerprint256
+});
+
+// Request fields read by buildSignOptions
+const SIGN_FIELDS = ['reason', 'location', 'contact', 'incremental', 'timestamp', 'profile', 'ltv', 'certify',
+  'fieldName', 'transforms', 'pdfa', 'page', 'x', 'y', 'width', 'height', 'text', 'visible'];
+
+/**
+ * Signing options for a signer from request fields. Throws on invalid options.
+ * @param {Buffer} [image] - Signature appearance image
+ * @param {Buffer} [watermarkImage] - Image for image watermarks
+ */
+const buildSignOptions = (signer, source, image, watermarkImage) => {
+  const profile = parsePadesProfile(source.profile);
+  const timestamp = String(source.timestamp) === 'true';
+  if (needsTimestamp(timestamp, profile) && !signer.tsaClient) {
+    throw codedError('Timestamping is not configured (set TSA_URL)', 'TSA_NOT_CONFIGURED');
+  }
+
+  return {
+    reason: source.reason || 'Document signed by server',
+    location: source.location || '',
+    contact: source.contact || '',
+    appearance: parseAppearanceOptions(source, image),
+    incremental: String(source.incremental) === 'true',
+    timestamp,
+    profile,
+    ltv: String(source.ltv) === 'true',
+    certify: parseCertify(source.certify),
+    fieldName: source.fieldName || undefined,
+    transforms: parseTransforms(source.transforms, watermarkImage),
+    pdfa: source.pdfa === undefined || source.pdfa === '' ? pdfaMode : parsePdfaMode(source.pdfa),
+    password: source.password ? String(source.password) : undefined,
+    encrypt: parseEncryptOptions(source)
+  };
+};
+
+/**
+ * Options of a multipart or form request from its query params and form
+ * fields; the query param wins when both carry an option
+ */
+const requestFields = (req) => ({ ...req.body, ...req.query });
+
+/**
+ * Resolve the signer and signing options of one document from request fields.
+ * Throws on invalid options, with `status` set for authorization failures.
+ */
+const readSignOptions = (req, source, image, watermarkImage) => {
+  const signer = resolveSigner(req, source);
+  return { signer, options: buildSignOptions(signer, source, image, watermarkImage) };
+};
+
+/**
+ * Preflight findings worth reporting, as CODE=action
+ */
+const summarizePreflight = (findings) => findings
+  .filter((finding) => finding.action !== 'allow')
+  .map((finding) => `${finding.code}=${finding.action}`);
+
+/**
+ * Sign one document of a request in memory, recording it in req.audit.
+ * Errors caused by the request carry `status` and `code`.
+ * @returns {Promise<{ signedPdf: Buffer, padesLevel: string|null|undefined, preflight: string[], pdfa: object|null|undefined }>}
+ *   padesLevel when a profile was requested, preflight findings that were warned about or stripped,
+ *   pdfa identification of the document in PDF/A mode
+ */
+const signForRequest = async (req, { pdf, image, watermarkImage, source }) => {
+  req.audit.inputSha256 = sha256(pdf);
+
+  let signer;
+  let options;
+  try {
+    ({ signer, options } = readSignOptions(req, source, image, watermarkImage));
+  } catch (error) {
+    error.status = error.status || 400;
+    error.code = error.code || 'INVALID_OPTIONS';
+    throw error;
+  }
+  Object.assign(req.audit, describeSigner(signer), { reason: options.reason, location: options.location });
+  if (options.transforms) {
+    req.audit.transforms = Object.keys(options.transforms);
+  }
+  if (options.encrypt) {
+    req.audit.encryption = options.encrypt.algorithm;
+  }
+
+  let reported = [];
+  options.onPreflight = (findings) => {
+    reported = summarizePreflight(findings);
+    if (reported.length > 0) req.audit.preflight = reported;
+  };
+  let pdfa;
+  options.onPdfa = (identified) => {
+    pdfa = identified;
+    req.audit.pdfa = identified ? identified.level : 'none';
+  };
+
+  const signedPdf = await signDocument(signer, pdf, options);
+  req.audit.outputSha256 = sha256(signedPdf);
+  const password = options.encrypt ? options.encrypt.userPassword : options.password;
+  return {
+    signedPdf,
+    padesLevel: options.profile ? await getPadesLevel(signedPdf, password) || null : undefined,
+    preflight: reported,
+    pdfa
+  };
+};
+
+// Documents and options the signer refuses, by error code (see README, Errors)
+const ERROR_STATUS = {
+  INVALID_PDF: 400,
+  INVALID_OPTIONS: 400,
+  TSA_NOT_CONFIGURED: 400,
+  FIELD_NOT_FOUND: 400,
+  PASSWORD_REQUIRED: 400,
+  NOT_SIGNED: 400,
+  INVALID_SIGNATURE: 400,
+  INVALID_PASSWORD: 403,
+  PERMISSION_DENIED: 403,
+  FIELD_SIGNED: 409,
+  DOCUMENT_SIGNED: 409,
+  DOCUMENT_LOCKED: 409,
+  PREFLIGHT_FAILED: 422,
+  NOT_PDFA: 422,
+  UNSUPPORTED_ENCRYPTION: 422,
+  INCOMPLETE_CHAIN: 422,
+  NOT_ASSIGNED: 403,
+  STEP_NOT_READY: 409,
+  STEP_NOT_PENDING: 409,
+  WORKFLOW_CLOSED: 409,
+  INVALID_ARCHIVE: 400,
+  FILE_TOO_LARGE: 413
+};
+
+/**
+ * Respond to an error about the document or the options, with its code and
+ * the preflight findings when it has them.
+ * @returns {boolean} Whether the error was one
+ */
+const sendDocumentError = (res, error) => {
+  const status = ERROR_STATUS[error.code];
+  if (!status) return false;
+  res.status(status).json({ error: error.message, code: error.code, findings: error.findings });
+  return true;
+};
+
+const sendSignError = (res, error) => {
+  if (sendDocumentError(res, error)) return;
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  res.status(500).json({
+    error: 'Failed to sign PDF',
+    details: error.message
+  });
+};
+
+// Bound concurrent signing; requests beyond the limit wait for a slot
+// before their body is read, and are refused once the queue is full
+const signLimiter = new ConcurrencyLimiter({
+  concurrency: Number(process.env.SIGN_CONCURRENCY) || 4,
+  maxQueue: process.env.SIGN_QUEUE_SIZE === undefined ? 32 : Number(process.env.SIGN_QUEUE_SIZE),
+  queueTimeout: Number(process.env.SIGN_QUEUE_TIMEOUT) || 30000
+});
+
+const limitSigning = async (req, res, next) => {
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  let release;
+  try {
+    release = await signLimiter.acquire();
+  } catch (error) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+
+  if (closed) {
+    return release();
+  }
+  res.on('close', release);
+  next();
+};
+
+// JSON bodies carry a base64 document and stamp image, each a third larger than the binary
+const jsonBody = express.json({ limit: Math.ceil(MAX_UPLOAD_SIZE * 4 / 3) * 2 + 64 * 1024 });
+
 // Middleware
-app.use(express.json());
+// Authenticate before request bodies are parsed or uploads stored
+app.use('/api', authenticate);
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files (HTML UI)
@@ -48,137 +576,976 @@ if (fs.existsSync(publicDir)) {
   app.use(express.static(publicDir));
 }
 
-// Initialize PDF Signer
-let pdfSigner;
+// Initialize signing identities
+let signers;
+let preflight;
+let pdfaMode;
 
 const initializeSigner = async () => {
   try {
-    const certPath = path.join(certDir, 'signing-cert.p12');
-    const passphrase = process.env.CERT_PASSPHRASE || 'password';
-    
-    if (!fs.existsSync(certPath)) {
-      console.error(`Certificate not found at ${certPath}`);
+    // Checks run on every document before it is signed
+    preflight = new Preflight(parsePreflightPolicy(process.env.PREFLIGHT_POLICY));
+    // Default of the pdfa signing option
+    pdfaMode = parsePdfaMode(process.env.PDFA_MODE);
+
+    const tsaClient = process.env.TSA_URL
+      ? new HttpTsaClient(process.env.TSA_URL, {
+        username: process.env.TSA_USERNAME,
+        password: process.env.TSA_PASSWORD,
+        timeout: Number(process.env.TSA_TIMEOUT) || undefined
+      })
+      : null;
+
+    // CRLs and OCSP responses for B-LT and LTV: fetched from the URLs in the
+    // certificates, through a directory cache, or from the directory only
+    const httpRevocationSource = new HttpRevocationSource({
+      timeout: Number(process.env.REVOCATION_TIMEOUT) || undefined
+    });
+    const revocationSource = process.env.REVOCATION_DIR
+      ? new FileRevocationSource({
+        dir: process.env.REVOCATION_DIR,
+        fallback: process.env.REVOCATION_OFFLINE === 'true' ? null : httpRevocationSource,
+        maxAgeMs: (Number(process.env.REVOCATION_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000
+      })
+      : httpRevocationSource;
+
+    signers = new KeystoreRegistry({
+      configPath: process.env.CERTS_CONFIG,
+      certPath: process.env.CERT_PATH,
+      certId: process.env.CERT_ID,
+      certDir: process.env.CERTS_DIR || certDir,
+      defaultId: process.env.DEFAULT_SIGNER,
+      signerOptions: { tsaClient, revocationSource, preflight }
+    });
+
+    try {
+      await signers.load();
+    } catch (error) {
+      console.error(`Failed to load signing certificates: ${error.message}`);
       console.error('Please generate a certificate using: npm run generate-cert');
       process.exit(1);
     }
-    
-    pdfSigner = new PdfSigner(certPath, passphrase);
-    console.log('✓ PDF Signer initialized successfully');
+    signers.watch();
+
+    console.log(`✓ Preflight policy: ${Object.entries(preflight.policy).map(([category, action]) => `${category}=${action}`).join(', ')}`);
+    if (pdfaMode) {
+      console.log(`✓ PDF/A mode: ${pdfaMode}`);
+    }
+    if (tsaClient) {
+      console.log(`✓ Timestamping enabled (${process.env.TSA_URL})`);
+    }
+    if (process.env.REVOCATION_DIR) {
+      console.log(`✓ Revocation data ${process.env.REVOCATION_OFFLINE === 'true' ? 'served' : 'cached'} from ${process.env.REVOCATION_DIR}`);
+    }
+    console.log(`✓ PDF Signer initialized successfully (${signers.entries.size} available, default "${signers.getDefaultId()}")`);
   } catch (error) {
     console.error('Failed to initialize PDF Signer:', error.message);
     process.exit(1);
   }
 };
 
+// Initialize the background signing jobs
+let jobQueue;
+
+const initializeJobs = () => {
+  try {
+    jobQueue = new JobQueue({
+      dir: process.env.JOBS_DIR || path.join(dataDir, 'jobs'),
+      concurrency: Number(process.env.JOBS_CONCURRENCY) || 2,
+      maxQueued: Number(process.env.JOBS_MAX_QUEUED) || 100,
+      retentionMs: (Number(process.env.JOBS_RETENTION_HOURS) || 24) * 60 * 60 * 1000,
+      webhookSecret: process.env.WEBHOOK_SECRET,
+      webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map((host) => host.trim()).filter(Boolean),
+      processor: async (job, { pdf, image, watermarkImage }) => {
+        const audit = { clientId: job.clientId, action: 'sign', jobId: job.id, inputSha256: job.inputSha256 };
+        try {
+          const signer = signers.get(job.signer);
+          const options = buildSignOptions(signer, job.fields, image, watermarkImage);
+          Object.assign(audit, describeSigner(signer), { reason: options.reason, location: options.location });
+          const output = await signDocument(signer, pdf, options);
+          auditLog.append({ ...audit, outputSha256: sha256(output), result: 'success' });
+          return output;
+        } catch (error) {
+          auditLog.append({ ...audit, error: error.message, result: 'failure' });
+          throw error;
+        }
+      }
+    });
+
+    const { queued, total } = jobQueue.open();
+    console.log(`✓ Job queue ready (${total} jobs kept, ${queued} queued, concurrency ${jobQueue.concurrency})`);
+  } catch (error) {
+    console.error('Failed to initialize job queue:', error.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Refuse new jobs while the queue is full, before the upload is read
+ */
+const checkJobCapacity = (req, res, next) => {
+  try {
+    jobQueue.assertCapacity();
+    next();
+  } catch (error) {
+    res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status).json({ error: error.message, code: error.code });
+  }
+};
+
+/**
+ * Job of the authenticated client; other clients' jobs are reported as not found
+ */
+const findJob = (req) => {
+  const job = jobQueue.get(req.params.id);
+  return job && job.clientId === req.auth.clientId ? job : null;
+};
+
+// Initialize the multi-party signing workflows
+let workflows;
+
+const initializeWorkflows = () => {
+  try {
+    workflows = new WorkflowStore({
+      dir: process.env.WORKFLOWS_DIR || path.join(dataDir, 'workflows'),
+      retentionMs: (Number(process.env.WORKFLOWS_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000
+    });
+
+    const { open, total } = workflows.open();
+    console.log(`✓ Workflows ready (${total} envelopes kept, ${open} open)`);
+  } catch (error) {
+    console.error('Failed to initialize workflows:', error.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Envelope the authenticated client created or signs in; others are reported as not found
+ */
+const findWorkflow = (req) => {
+  const envelope = workflows.get(req.params.id);
+  return envelope && workflows.isParticipant(envelope, req.auth.clientId) ? envelope : null;
+};
+
+// Signing options a workflow step cannot carry: steps are stored until signed,
+// and every signature after the first is an incremental update
+const WORKFLOW_REFUSED_FIELDS = ['password', 'userPassword', 'ownerPassword', 'permissions', 'encryption', 'transforms'];
+
+/**
+ * Steps of a new envelope from the `signers` field: a JSON array of
+ * { signer, client, label } plus the signing options of /api/sign.
+ * Throws on invalid steps.
+ */
+const parseWorkflowSteps = (req, value) => {
+  let entries;
+  try {
+    entries = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    throw new Error(`Invalid signers: ${error.message}`);
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('signers must be a non-empty JSON array of { signer, client, label, ...options }');
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Invalid signer ${index}: expected an object`);
+    }
+    const refused = WORKFLOW_REFUSED_FIELDS.find((key) => entry[key] !== undefined);
+    if (refused) {
+      throw new Error(`Invalid signer ${index}: ${refused} is not accepted for workflows`);
+    }
+    if (entry.certify !== undefined && entry.certify !== '') {
+      if (index > 0) {
+        throw new Error(`Invalid signer ${index}: only the first signer can certify the document`);
+      }
+      if (String(entry.certify) === '1' && entries.length > 1) {
+        throw new Error('certify=1 forbids any change, the later signers could not sign');
+      }
+    }
+
+    const client = entry.client === undefined ? req.auth.clientId : String(entry.client);
+    const signerId = entry.signer || entry.certId || signers.getDefaultId();
+    // The creator's own steps are checked now, other clients' when they sign
+    if (client === req.auth.clientId && !Authenticator.canUseSigner(req.auth, signerId)) {
+      req.authError = `Client "${req.auth.clientId}" may not use signer "${signerId}"`;
+      throw new AuthError(req.authError, 403, req.auth.clientId);
+    }
+
+    const fields = {};
+    SIGN_FIELDS.filter((key) => entry[key] !== undefined).forEach((key) => {
+      fields[key] = String(entry[key]);
+    });
+    fields.incremental = 'true';
+    try {
+      buildSignOptions(signers.get(signerId), fields);
+    } catch (error) {
+      error.message = `Invalid signer ${index}: ${error.message}`;
+      throw error;
+    }
+
+    return {
+      signer: signerId,
+      client,
+      label: entry.label ? String(entry.label) : null,
+      fields
+    };
+  });
+};
+
+/**
+ * Signer chosen by the `signer` (or `certId`) request parameter, the default one otherwise.
+ * Throws an AuthError when the authenticated client may not use it.
+ */
+const resolveSigner = (req, ...sources) => {
+  const source = sources.find((candidate) => candidate && (candidate.signer || candidate.certId));
+  const id = (source && (source.signer || source.certId)) || signers.getDefaultId();
+  if (!Authenticator.canUseSigner(req.auth, id)) {
+    req.authError = `Client "${req.auth.clientId}" may not use signer "${id}"`;
+    throw new AuthError(req.authError, 403, req.auth.clientId);
+  }
+  return signers.get(id);
+};
+
 // Routes
 
 /**
- * Health check endpoint
+ * Health check endpoint (liveness)
  */
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', message: 'PDF Signing Server is running' });
 });
 
+/**
+ * Readiness probe: 503 while a signer cannot sign, because its certificate is
+ * expired or unreadable or its key fails a test signature
+ * GET /health/ready
+ */
+app.get('/health/ready', async (req, res) => {
+  try {
+    const { ready, signers: checks } = await signers.checkReadiness({ maxAge: READINESS_SIGN_INTERVAL });
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', signers: checks });
+  } catch (error) {
+    res.status(503).json({ status: 'not ready', error: error.message });
+  }
+});
+
+/**
+ * Prometheus metrics, behind METRICS_TOKEN as a bearer token when set
+ * GET /metrics
+ */
+app.get('/metrics', (req, res) => {
+  if (metricsToken && !sameSecret(req.get('Authorization') || '', `Bearer ${metricsToken}`)) {
+    return res.status(401).json({ error: 'Metrics token required', code: 'UNAUTHENTICATED' });
+  }
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
 /**
  * Sign a PDF file
  * POST /api/sign
- * Body: multipart/form-data with 'pdf' file
- * Optional query: reason, location, contact
+ * Body: multipart/form-data with 'pdf' file, optional 'image' (PNG/JPEG stamp) and 'watermarkImage'
+ * Optional query: signer (or certId), reason, location, contact, incremental, timestamp, profile (B-B, B-T, B-LT), ltv,
+ * certify (DocMDP permission 1, 2 or 3), fieldName (existing empty signature field to sign),
+ * transforms (JSON: fields, watermarks, flatten, metadata applied before signing),
+ * pdfa (warn or require: keep PDF/A conformance, reported in X-PDFA)
+ * Optional visible signature query: page, x, y, width, height, text, visible
+ * Encrypted documents (form fields): password to open the input; userPassword, ownerPassword,
+ * permissions, encryption to password-protect the output
  */
-app.post('/api/sign', upload.single('pdf'), async (req, res) => {
+app.post('/api/sign', requireScope('sign'), auditCall('sign'), limitSigning, upload.fields([{ name: 'pdf', maxCount: 1 }, { name: 'image', maxCount: 1 }, { name: 'watermarkImage', maxCount: 1 }]), async (req, res) => {
+  const pdfFile = req.files && req.files.pdf && req.files.pdf[0];
+  const imageFile = req.files && req.files.image && req.files.image[0];
+  const watermarkFile = req.files && req.files.watermarkImage && req.files.watermarkImage[0];
+  if (!pdfFile) {
+    return res.status(400).json({ error: 'No PDF file provided', code: 'MISSING_PDF' });
+  }
+
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No PDF file provided' });
+    const { signedPdf, padesLevel, preflight: findings, pdfa } = await signForRequest(req, {
+      pdf: pdfFile.buffer,
+      image: imageFile && imageFile.buffer,
+      watermarkImage: watermarkFile && watermarkFile.buffer,
+      source: requestFields(req)
+    });
+
+    if (padesLevel !== undefined) {
+      res.set('X-PAdES-Level', padesLevel || 'none');
+    }
+    if (findings.length > 0) {
+      res.set('X-Preflight', findings.join(', '));
+    }
+    if (pdfa !== undefined) {
+      res.set('X-PDFA', pdfa ? pdfa.level : 'none');
     }
+    res.attachment(`signed-${pdfFile.originalname}`);
+    res.send(signedPdf);
+  } catch (error) {
+    sendSignError(res, error);
+  }
+});
+
+/**
+ * Sign PDF and return base64
+ * POST /api/sign/base64
+ * Body: { pdf: string (base64), signer?: string, reason?: string, location?: string, contact?: string, incremental?: boolean, timestamp?: boolean, profile?: string, ltv?: boolean, certify?: number, fieldName?: string, transforms?: object, pdfa?: string, watermarkImage?: string (base64 PNG/JPEG) }
+ * Optional visible signature fields: page, x, y, width, height, text, visible, image (base64 PNG/JPEG)
+ * Encrypted documents: password?: string, userPassword?: string, ownerPassword?: string,
+ * permissions?: string | string[], encryption?: string
+ */
+app.post('/api/sign/base64', requireScope('sign'), auditCall('sign'), limitSigning, jsonBody, async (req, res) => {
+  if (!req.body || !req.body.pdf) {
+    return res.status(400).json({ error: 'No PDF data provided', code: 'MISSING_PDF' });
+  }
+
+  let pdf;
+  let image;
+  let watermarkImage;
+  try {
+    pdf = decodeBase64Field(req.body, 'pdf');
+    image = decodeBase64Field(req.body, 'image');
+    watermarkImage = decodeBase64Field(req.body, 'watermarkImage');
+  } catch (error) {
+    return sendSignError(res, error);
+  }
+  if ([pdf, image, watermarkImage].some((buffer) => buffer && buffer.length > MAX_UPLOAD_SIZE)) {
+    return res.status(413).json({ error: `File too large (limit ${MAX_UPLOAD_SIZE} bytes)`, code: 'FILE_TOO_LARGE' });
+  }
+
+  try {
+    const { signedPdf, padesLevel, preflight: findings, pdfa } = await signForRequest(req, { pdf, image, watermarkImage, source: req.body });
 
-    const {
-      reason = 'Document signed by server',
-      location = '',
-      contact = ''
-    } = req.query;
+    const body = { signedPdf: signedPdf.toString('base64') };
+    if (padesLevel !== undefined) body.padesLevel = padesLevel;
+    if (findings.length > 0) body.preflight = findings;
+    if (pdfa !== undefined) body.pdfa = pdfa;
+    res.json(body);
+  } catch (error) {
+    sendSignError(res, error);
+  }
+});
 
-    const inputPath = req.file.path;
-    const outputPath = path.join(uploadDir, `signed-${Date.now()}-${req.file.originalname}`);
+/**
+ * Sign many PDFs and return a ZIP of the signed files with a manifest.json
+ * POST /api/sign/batch
+ * Body: multipart/form-data with one or more 'pdf' files; ZIP archives are expanded
+ * Shared options (query or form fields): signer, reason, location, contact, incremental, timestamp, profile,
+ * page, x, y, width, height, text, visible
+ * Per-file options: 'options' form field, a JSON object keyed by file name
+ */
+app.post('/api/sign/batch', requireScope('sign'), auditCall('sign-batch'), limitSigning, batchUpload.array('pdf', BATCH_MAX_FILES), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: 'No PDF files provided', code: 'MISSING_PDF' });
+  }
 
-    // Sign the PDF
-    await pdfSigner.signPdf(inputPath, outputPath, {
-      reason,
-      location,
-      contact
+  const { options: perFileJson, ...shared } = requestFields(req);
+  let perFile = {};
+  let files;
+  try {
+    perFile = perFileJson ? JSON.parse(perFileJson) : {};
+    if (!perFile || typeof perFile !== 'object' || Array.isArray(perFile)) {
+      throw new Error('"options" must be a JSON object keyed by file name');
+    }
+    files = batchSigner.expand(req.files.map((file) => ({ name: file.originalname, data: file.buffer })));
+  } catch (error) {
+    return res.status(400).json({
+      error: error instanceof SyntaxError ? `Invalid "options" JSON: ${error.message}` : error.message,
+      code: 'INVALID_OPTIONS'
     });
+  }
 
-    // Send the signed PDF
-    res.download(outputPath, `signed-${req.file.originalname}`, (err) => {
-      if (err) {
-        console.error('Error sending file:', err);
+  try {
+    const result = await batchSigner.signAll(files, async (file) => {
+      const audit = { clientId: req.auth.clientId, action: 'sign', batch: true, name: file.name, inputSha256: sha256(file.data) };
+      try {
+        const { signer, options } = readSignOptions(req, { ...shared, ...(perFile[file.name] || {}) });
+        Object.assign(audit, describeSigner(signer), { reason: options.reason, location: options.location });
+        options.onPreflight = (findings) => {
+          const reported = summarizePreflight(findings);
+          if (reported.length > 0) audit.preflight = reported;
+        };
+        options.onPdfa = (pdfa) => {
+          audit.pdfa = pdfa ? pdfa.level : 'none';
+        };
+        const output = await signDocument(signer, file.data, options);
+        auditLog.append({ ...audit, outputSha256: sha256(output), result: 'success' });
+        return { output, signer: signer.id };
+      } catch (error) {
+        auditLog.append({ ...audit, error: error.message, result: 'failure' });
+        throw error;
       }
-      // Clean up files
-      setTimeout(() => {
-        try {
-          fs.unlinkSync(inputPath);
-          if (fs.existsSync(outputPath)) {
-            fs.unlinkSync(outputPath);
-          }
-        } catch (e) {
-          console.error('Cleanup error:', e);
-        }
-      }, 1000);
     });
+
+    const archive = batchSigner.createArchive(result);
+    Object.assign(req.audit, {
+      total: result.manifest.total,
+      signed: result.manifest.signed,
+      failed: result.manifest.failed,
+      outputSha256: sha256(archive)
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="signed-batch-${Date.now()}.zip"`,
+      'X-Batch-Total': String(result.manifest.total),
+      'X-Batch-Signed': String(result.manifest.signed),
+      'X-Batch-Failed': String(result.manifest.failed)
+    });
+    res.send(archive);
   } catch (error) {
     res.status(500).json({
-      error: 'Failed to sign PDF',
+      error: 'Failed to sign batch',
       details: error.message
     });
   }
 });
 
 /**
- * Sign PDF and return base64
- * POST /api/sign/base64
- * Body: { pdf: string (base64), reason?: string, location?: string, contact?: string }
+ * Prepare a document for signing with a key the server does not hold
+ * POST /api/sign/prepare
+ * Body: multipart/form-data with 'pdf' file, optional 'image' and 'watermarkImage', plus the options of
+ * /api/sign (except signer) as query params or form fields, and optional 'certificate' (signer certificate)
+ * and 'chain' (PEM or base64 DER)
+ * Responds with the session id and the digest or signed attributes to sign
  */
-app.post('/api/sign/base64', async (req, res) => {
-  try {
-    const { pdf, reason = '', location = '', contact = '' } = req.body;
+app.post('/api/sign/prepare', requireScope('sign'), auditCall('sign-prepare'), limitSigning, upload.fields([{ name: 'pdf', maxCount: 1 }, { name: 'image', maxCount: 1 }, { name: 'watermarkImage', maxCount: 1 }]), async (req, res) => {
+  const file = (name) => req.files && req.files[name] && req.files[name][0];
+  if (!file('pdf')) {
+    return res.status(400).json({ error: 'No PDF file provided', code: 'MISSING_PDF' });
+  }
 
-    if (!pdf) {
-      return res.status(400).json({ error: 'No PDF data provided' });
+  const source = requestFields(req);
+  const pdf = file('pdf').buffer;
+  req.audit.inputSha256 = sha256(pdf);
+
+  let options;
+  let certificate = null;
+  let chain = [];
+  const pdfSigner = signers.get();
+  try {
+    options = buildSignOptions(pdfSigner, source, file('image') && file('image').buffer, file('watermarkImage') && file('watermarkImage').buffer);
+    if (source.certificate) {
+      [certificate] = parseCertificates(source.certificate);
+      req.audit.certificateFingerprint = new crypto.X509Certificate(certificate).fingerprint256;
     }
+    if (source.chain) {
+      chain = parseCertificates(source.chain);
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code || 'INVALID_OPTIONS' });
+  }
 
-    // Convert base64 to buffer
-    const pdfBuffer = Buffer.from(pdf, 'base64');
-    
-    const inputPath = path.join(uploadDir, `temp-${Date.now()}.pdf`);
-    const outputPath = path.join(uploadDir, `signed-${Date.now()}.pdf`);
+  try {
+    const session = await signingSessions.prepare(pdfSigner, pdf, options, {
+      clientId: req.auth.clientId,
+      name: file('pdf').originalname,
+      certificate,
+      chain
+    });
+    req.audit.sessionId = session.sessionId;
+    const findings = summarizePreflight(session.preflight);
+    if (findings.length > 0) req.audit.preflight = findings;
+    if (options.pdfa) req.audit.pdfa = session.pdfa ? session.pdfa.level : 'none';
+    res.json(session);
+  } catch (error) {
+    sendSignError(res, error);
+  }
+});
 
-    // Write temp PDF
-    fs.writeFileSync(inputPath, pdfBuffer);
+/**
+ * Embed an externally made signature into a prepared document
+ * POST /api/sign/complete
+ * Body: { sessionId: string, signature?: string (base64, over signedAttributes), cms?: string (base64 DER),
+ * format?: 'pdf' | 'base64' }
+ * Responds with the signed PDF, or { signedPdf } when format is base64
+ */
+app.post('/api/sign/complete', requireScope('sign'), auditCall('sign-complete'), limitSigning, jsonBody, async (req, res) => {
+  const body = req.body || {};
+  if (!body.sessionId) {
+    return res.status(400).json({ error: 'No sessionId provided', code: 'INVALID_OPTIONS' });
+  }
+  req.audit.sessionId = body.sessionId;
 
-    // Sign the PDF
-    await pdfSigner.signPdf(inputPath, outputPath, {
-      reason,
-      location,
-      contact
+  try {
+    // Decoded only once the session is found and claimed
+    const { signedPdf, session } = await signingSessions.complete(body.sessionId, req.auth.clientId, () => ({
+      signature: decodeBase64Field(body, 'signature'),
+      cms: decodeBase64Field(body, 'cms')
+    }));
+    Object.assign(req.audit, {
+      mode: body.signature ? 'signature' : 'cms',
+      outputSha256: sha256(signedPdf)
     });
+    if (session.certificate) {
+      req.audit.certificateFingerprint = new crypto.X509Certificate(session.certificate).fingerprint256;
+    }
 
-    // Read signed PDF and convert to base64
-    const signedPdf = fs.readFileSync(outputPath);
-    const base64Pdf = signedPdf.toString('base64');
+    if (body.format === 'base64') {
+      return res.json({ signedPdf: signedPdf.toString('base64') });
+    }
+    res.attachment(`signed-${session.name}`);
+    res.send(signedPdf);
+  } catch (error) {
+    sendSignError(res, error);
+  }
+});
+
+/**
+ * Queue a signing job
+ * POST /api/jobs
+ * Body: multipart/form-data with 'pdf' file and optional 'image', plus the options of /api/sign
+ * as query params or form fields, and an optional callbackUrl notified when the job finishes
+ * Responds 202 with the job
+ */
+app.post('/api/jobs', requireScope('sign'), auditCall('job-create'), checkJobCapacity, upload.fields([{ name: 'pdf', maxCount: 1 }, { name: 'image', maxCount: 1 }, { name: 'watermarkImage', maxCount: 1 }]), (req, res) => {
+  const pdfFile = req.files && req.files.pdf && req.files.pdf[0];
+  const imageFile = req.files && req.files.image && req.files.image[0];
+  const watermarkFile = req.files && req.files.watermarkImage && req.files.watermarkImage[0];
 
-    res.json({ signedPdf: base64Pdf });
+  try {
+    if (!pdfFile) {
+      return res.status(400).json({ error: 'No PDF file provided', code: 'MISSING_PDF' });
+    }
 
-    // Clean up
-    setTimeout(() => {
-      try {
-        fs.unlinkSync(inputPath);
-        fs.unlinkSync(outputPath);
-      } catch (e) {
-        console.error('Cleanup error:', e);
+    const pdf = pdfFile.buffer;
+    const image = imageFile && imageFile.buffer;
+    const watermarkImage = watermarkFile && watermarkFile.buffer;
+    const source = requestFields(req);
+    req.audit.inputSha256 = sha256(pdf);
+
+    let signer;
+    try {
+      ({ signer } = readSignOptions(req, source, image, watermarkImage));
+      Object.assign(req.audit, describeSigner(signer));
+      // Jobs are stored until they run, and passwords with them
+      const secret = ['password', 'userPassword', 'ownerPassword'].find((key) => source[key]);
+      if (secret) {
+        throw new Error(`${secret} is not accepted for jobs, sign encrypted documents with /api/sign`);
       }
-    }, 100);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message, code: error.code || 'INVALID_OPTIONS' });
+    }
+
+    const fields = {};
+    SIGN_FIELDS.filter((key) => source[key] !== undefined).forEach((key) => {
+      fields[key] = source[key];
+    });
+    let job;
+    try {
+      job = jobQueue.create({
+        clientId: req.auth.clientId,
+        name: pdfFile.originalname,
+        pdf,
+        image,
+        watermarkImage,
+        signer: signer.id,
+        fields,
+        callbackUrl: source.callbackUrl
+      });
+    } catch (error) {
+      // Failures to write the job files are the server's, answered below
+      if (!error.status && !ERROR_STATUS[error.code]) throw error;
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status || ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+    }
+
+    req.audit.jobId = job.id;
+    res.status(202).location(`/api/jobs/${job.id}`).json(jobQueue.describe(job));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to queue job',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Status of a signing job
+ * GET /api/jobs/:id
+ */
+app.get('/api/jobs/:id', requireScope('sign'), (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(jobQueue.describe(job));
+});
+
+/**
+ * Signed document of a finished job
+ * GET /api/jobs/:id/result
+ */
+app.get('/api/jobs/:id/result', requireScope('sign'), (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'done') {
+    return res.status(409).json({ error: `Job is ${job.status}`, status: job.status, details: job.error || undefined });
+  }
+
+  res.attachment(`signed-${path.basename(job.name)}`);
+  res.send(jobQueue.readResult(job));
+});
+
+/**
+ * Create a multi-party signing envelope
+ * POST /api/workflows
+ * Body: multipart/form-data with 'pdf' file, 'signers' (JSON array of
+ * { signer, client, label, ...options of /api/sign }, one per step), optional
+ * order (sequential, the default, or parallel) and name
+ * Responds 201 with the envelope
+ */
+app.post('/api/workflows', requireScope('sign'), auditCall('workflow-create'), upload.single('pdf'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No PDF file provided', code: 'MISSING_PDF' });
+  }
+
+  try {
+    const pdf = req.file.buffer;
+    req.audit.inputSha256 = sha256(pdf);
+
+    let steps;
+    try {
+      steps = parseWorkflowSteps(req, req.body.signers);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message, code: error.code || 'INVALID_OPTIONS' });
+    }
+
+    // Refuse documents the signers could not sign before anyone is asked to
+    const report = await preflight.inspect(pdf);
+    preflight.assertPassed(report.findings);
+    preflight.assertAppendable(report.findings);
+    if (report.document.encrypted) {
+      throw codedError('Encrypted documents cannot be signed in workflows', 'INVALID_OPTIONS');
+    }
+
+    let envelope;
+    try {
+      envelope = workflows.create({
+        clientId: req.auth.clientId,
+        name: req.body.name || req.file.originalname,
+        pdf,
+        order: req.body.order,
+        steps
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message, code: 'INVALID_OPTIONS' });
+    }
+
+    Object.assign(req.audit, { workflowId: envelope.id, signers: steps.map((step) => step.signer), order: envelope.order });
+    res.status(201).location(`/api/workflows/${envelope.id}`).json(workflows.describe(envelope));
   } catch (error) {
+    if (sendDocumentError(res, error)) return;
     res.status(500).json({
-      error: 'Failed to sign PDF',
+      error: 'Failed to create workflow',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Envelopes the client created or signs in, newest first
+ * GET /api/workflows
+ * Optional query: status (pending, partially-signed, completed, rejected)
+ */
+app.get('/api/workflows', requireScope('sign'), (req, res) => {
+  const envelopes = workflows.list(req.auth.clientId)
+    .filter((envelope) => !req.query.status || envelope.status === req.query.status);
+  res.json({ workflows: envelopes.map((envelope) => workflows.describe(envelope)) });
+});
+
+/**
+ * State of an envelope and its steps
+ * GET /api/workflows/:id
+ */
+app.get('/api/workflows/:id', requireScope('sign'), (req, res) => {
+  const envelope = findWorkflow(req);
+  if (!envelope) {
+    return res.status(404).json({ error: 'Workflow not found' });
+  }
+  res.json(workflows.describe(envelope));
+});
+
+/**
+ * Sign the client's step of an envelope, as an incremental update of the current version
+ * POST /api/workflows/:id/sign
+ * Body (JSON or form fields): optional step (0-based index), the client's
+ * first step that can be signed otherwise
+ * Responds with the envelope
+ */
+app.post('/api/workflows/:id/sign', requireScope('sign'), auditCall('workflow-sign'), limitSigning, jsonBody, async (req, res) => {
+  const envelope = findWorkflow(req);
+  if (!envelope) {
+    return res.status(404).json({ error: 'Workflow not found' });
+  }
+  req.audit.workflowId = envelope.id;
+
+  try {
+    const source = requestFields(req);
+    const step = workflows.findStep(envelope, req.auth.clientId, source.step, true);
+    req.audit.step = step.index;
+
+    const signer = resolveSigner(req, { signer: step.signer });
+    const options = buildSignOptions(signer, step.fields);
+    Object.assign(req.audit, describeSigner(signer), { reason: options.reason, location: options.location });
+    options.onPreflight = (findings) => {
+      const reported = summarizePreflight(findings);
+      if (reported.length > 0) req.audit.preflight = reported;
+    };
+
+    await workflows.signStep(envelope, step, async (pdf) => {
+      req.audit.inputSha256 = sha256(pdf);
+      return signDocument(signer, pdf, options);
+    });
+    Object.assign(req.audit, { outputSha256: step.outputSha256, workflowStatus: envelope.status });
+    res.json(workflows.describe(envelope));
+  } catch (error) {
+    sendSignError(res, error);
+  }
+});
+
+/**
+ * Decline the client's step of an envelope, which rejects the envelope
+ * POST /api/workflows/:id/reject
+ * Body (JSON or form fields): optional step (0-based index) and reason
+ * Responds with the envelope
+ */
+app.post('/api/workflows/:id/reject', requireScope('sign'), auditCall('workflow-reject'), jsonBody, async (req, res) => {
+  const envelope = findWorkflow(req);
+  if (!envelope) {
+    return res.status(404).json({ error: 'Workflow not found' });
+  }
+  req.audit.workflowId = envelope.id;
+
+  try {
+    const source = requestFields(req);
+    const step = workflows.findStep(envelope, req.auth.clientId, source.step);
+    const reason = source.reason ? String(source.reason).slice(0, 500) : null;
+    Object.assign(req.audit, { step: step.index, reason });
+
+    await workflows.rejectStep(envelope, step, reason);
+    res.json(workflows.describe(envelope));
+  } catch (error) {
+    if (sendDocumentError(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to reject workflow step',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Current version of an envelope's document, signed by the steps completed so far
+ * GET /api/workflows/:id/document
+ */
+app.get('/api/workflows/:id/document', requireScope('sign'), (req, res) => {
+  const envelope = findWorkflow(req);
+  if (!envelope) {
+    return res.status(404).json({ error: 'Workflow not found' });
+  }
+
+  res.set('X-Workflow-Status', envelope.status);
+  res.attachment(path.basename(envelope.name));
+  res.send(workflows.readDocument(envelope));
+});
+
+/**
+ * Final document of a completed envelope
+ * GET /api/workflows/:id/result
+ */
+app.get('/api/workflows/:id/result', requireScope('sign'), (req, res) => {
+  const envelope = findWorkflow(req);
+  if (!envelope) {
+    return res.status(404).json({ error: 'Workflow not found' });
+  }
+  if (envelope.status !== 'completed') {
+    return res.status(409).json({ error: `Workflow is ${envelope.status}`, status: envelope.status });
+  }
+
+  res.attachment(`signed-${path.basename(envelope.name)}`);
+  res.send(workflows.readDocument(envelope));
+});
+
+/**
+ * Check a PDF against the preflight policy without signing it
+ * POST /api/preflight
+ * Body: multipart/form-data with 'pdf' file, optional 'password' of an encrypted PDF
+ * Responds with { passed, findings, document }
+ */
+app.post('/api/preflight', requireScope('verify'), auditCall('preflight'), upload.single('pdf'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No PDF file provided', code: 'MISSING_PDF' });
+  }
+
+  try {
+    const pdfBuffer = req.file.buffer;
+    req.audit.inputSha256 = sha256(pdfBuffer);
+    const report = await preflight.inspect(pdfBuffer, { password: req.body.password });
+    Object.assign(req.audit, { passed: report.passed, findings: report.findings.map((finding) => finding.code) });
+    res.json(report);
+  } catch (error) {
+    if (sendDocumentError(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to run preflight checks',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Verify the signatures of a PDF
+ * POST /api/verify
+ * Body: multipart/form-data with 'pdf' file, optional 'password' of an encrypted PDF
+ */
+app.post('/api/verify', requireScope('verify'), auditCall('verify'), upload.single('pdf'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No PDF file provided', code: 'MISSING_PDF' });
+  }
+
+  try {
+    const pdfBuffer = req.file.buffer;
+    req.audit.inputSha256 = sha256(pdfBuffer);
+    const report = await signers.get().verifyPdfBuffer(pdfBuffer, { password: req.body.password });
+    Object.assign(req.audit, { valid: report.valid, signatureCount: report.signatureCount });
+    verifications.inc({ result: report.signatureCount === 0 ? 'unsigned' : report.valid ? 'valid' : 'invalid' });
+    res.json(report);
+  } catch (error) {
+    verifications.inc({ result: 'error' });
+    if (sendDocumentError(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to verify PDF',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Add long-term validation data (DSS with VRI) to every signature of a signed PDF
+ * POST /api/ltv
+ * Body: multipart/form-data with 'pdf' file, optional 'password' of an encrypted PDF
+ */
+app.post('/api/ltv', requireScope('sign'), auditCall('ltv'), limitSigning, upload.single('pdf'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No PDF file provided', code: 'MISSING_PDF' });
+  }
+
+  try {
+    const pdfBuffer = req.file.buffer;
+    req.audit.inputSha256 = sha256(pdfBuffer);
+    const { pdf, signatures } = await signers.get().addLtv(pdfBuffer, { password: req.body.password });
+    Object.assign(req.audit, { signatureCount: signatures.length, outputSha256: sha256(pdf) });
+
+    res.set('X-LTV-Signatures', String(signatures.length));
+    res.attachment(`ltv-${req.file.originalname}`);
+    res.send(pdf);
+  } catch (error) {
+    if (sendDocumentError(res, error)) return;
+    res.status(502).json({
+      error: 'Failed to add LTV data',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Append a document timestamp (ETSI.RFC3161) covering the whole PDF
+ * POST /api/timestamp
+ * Body: multipart/form-data with 'pdf' file, optional ltv=true to add
+ * validation data for the existing signatures first and 'password' of an encrypted PDF
+ */
+app.post('/api/timestamp', requireScope('sign'), auditCall('timestamp'), limitSigning, upload.single('pdf'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No PDF file provided', code: 'MISSING_PDF' });
+  }
+
+  const signer = signers.get();
+  if (!signer.tsaClient) {
+    return res.status(400).json({ error: 'Timestamping is not configured (set TSA_URL)', code: 'TSA_NOT_CONFIGURED' });
+  }
+
+  try {
+    const pdfBuffer = req.file.buffer;
+    const ltv = String(req.body.ltv) === 'true';
+    Object.assign(req.audit, { inputSha256: sha256(pdfBuffer), ltv });
+    const { pdf, time } = await signer.timestampPdfBuffer(pdfBuffer, { ltv, password: req.body.password });
+    Object.assign(req.audit, { timestampTime: time.toISOString(), outputSha256: sha256(pdf) });
+
+    res.set('X-Timestamp-Time', time.toISOString());
+    res.attachment(`timestamped-${req.file.originalname}`);
+    res.send(pdf);
+  } catch (error) {
+    if (sendDocumentError(res, error)) return;
+    res.status(502).json({
+      error: 'Failed to timestamp PDF',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * List the signature fields of a PDF
+ * GET or POST /api/fields
+ * Body: multipart/form-data with 'pdf' file, optional 'password' of an encrypted PDF
+ */
+const listFields = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No PDF file provided', code: 'MISSING_PDF' });
+  }
+
+  try {
+    const pdfBuffer = req.file.buffer;
+    req.audit.inputSha256 = sha256(pdfBuffer);
+    const fields = await signers.get().listSignatureFields(pdfBuffer, { password: req.body.password });
+    req.audit.fieldCount = fields.length;
+    res.json({ fields });
+  } catch (error) {
+    if (sendDocumentError(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to read signature fields',
+      details: error.message
+    });
+  }
+};
+
+// GET for the documented route; POST for clients that cannot send a GET body
+app.get('/api/fields', requireScope('verify'), auditCall('fields'), upload.single('pdf'), listFields);
+app.post('/api/fields', requireScope('verify'), auditCall('fields'), upload.single('pdf'), listFields);
+
+/**
+ * Query the audit log
+ * GET /api/audit
+ * Optional query: from, to (ISO dates), clientId, action (sign, verify), result, signer,
+ * sha256 (input or output document hash), afterSeq, limit (max 1000), verify=true
+ */
+app.get('/api/audit', requireScope('audit:read'), (req, res) => {
+  try {
+    const result = auditLog.query(req.query);
+    if (req.query.verify === 'true') {
+      result.integrity = auditLog.verify();
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to read audit log',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * List the signing identities
+ * GET /api/certs
+ */
+app.get('/api/certs', requireScope('cert:read'), async (req, res) => {
+  try {
+    const certificates = await signers.list();
+    res.json({
+      certificates: certificates.filter((cert) => Authenticator.canUseSigner(req.auth, cert.id))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to list certificates',
       details: error.message
     });
   }
@@ -187,10 +1554,18 @@ app.post('/api/sign/base64', async (req, res) => {
 /**
  * Get certificate info
  * GET /api/cert/info
+ * Optional query: signer (or certId), the default identity otherwise
  */
-app.get('/api/cert/info', async (req, res) => {
+app.get('/api/cert/info', requireScope('cert:read'), async (req, res) => {
+  let signer;
   try {
-    const info = await pdfSigner.getCertificateInfo();
+    signer = resolveSigner(req, req.query);
+  } catch (error) {
+    return res.status(error.status || 404).json({ error: error.message });
+  }
+
+  try {
+    const info = await signer.getCertificateInfo();
     res.json(info);
   } catch (error) {
     res.status(500).json({
@@ -202,15 +1577,32 @@ app.get('/api/cert/info', async (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({
-    error: err.message || 'Internal server error'
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      const limit = req.path === '/api/sign/batch' ? BATCH_MAX_SIZE : MAX_UPLOAD_SIZE;
+      return res.status(413).json({ error: `File too large (limit ${limit} bytes)`, code: 'FILE_TOO_LARGE' });
+    }
+    return res.status(400).json({ error: err.message, code: 'INVALID_UPLOAD' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body too large (limit ${err.limit} bytes)`, code: 'FILE_TOO_LARGE' });
+  }
+  if (!err.status) {
+    console.error('Error:', err);
+  }
+  res.status(err.status || 500).json({
+    error: err.message || 'Internal server error',
+    code: err.code
   });
 });
 
 // Initialize and start server
 (async () => {
+  initializeAuth();
+  initializeAudit();
   await initializeSigner();
+  initializeJobs();
+  initializeWorkflows();
   
   app.listen(PORT, () => {
     console.log(`
@@ -221,8 +1613,28 @@ app.use((err, req, res, next) => {
 
 Available Endpoints:
   GET  /health                    - Health check
+  GET  /health/ready              - Readiness (signers can sign)
+  GET  /metrics                   - Prometheus metrics
   POST /api/sign                  - Sign PDF (multipart)
   POST /api/sign/base64           - Sign PDF (base64)
+  POST /api/sign/batch            - Sign many PDFs (multipart or ZIP)
+  POST /api/sign/prepare          - Prepare a document for an external signature
+  POST /api/sign/complete         - Embed an external signature
+  POST /api/jobs                  - Queue a signing job
+  GET  /api/jobs/:id              - Job status
+  GET  /api/jobs/:id/result       - Download a job's signed PDF
+  POST /api/workflows             - Create a multi-party signing envelope
+  GET  /api/workflows/:id         - Envelope status
+  POST /api/workflows/:id/sign    - Sign a step of an envelope
+  POST /api/workflows/:id/reject  - Reject a step of an envelope
+  GET  /api/workflows/:id/result  - Download a completed envelope's PDF
+  POST /api/ltv                   - Add LTV data to a signed PDF
+  POST /api/timestamp             - Add a document timestamp
+  POST /api/preflight             - Check a PDF before signing
+  POST /api/verify                - Verify PDF signatures
+  GET  /api/fields                - List signature fields
+  GET  /api/audit                 - Query the audit log
+  GET  /api/certs                 - List signing identities
   GET  /api/cert/info             - Certificate info
     `);
   });
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'psk';
+const SCOPES = ['sign', 'verify', 'cert:read', 'audit:read'];
+const ALL_SIGNERS = '*';
+
+// Keys are 256 random bits, so a plain SHA-256 is enough to make a leaked
+// keys file useless without slowing every request down with a password hash
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Split a presented key into its public id and secret
+ * @returns {{ keyId: string, secret: string }|null}
+ */
+const parseApiKey = (apiKey) => {
+  const match = /^psk_([a-z0-9]+)_([A-Za-z0-9_-]+)$/.exec(String(apiKey || ''));
+  return match ? { keyId: match[1], secret: match[2] } : null;
+};
+
+/**
+ * API keys kept in a JSON file, only as hashes. Each key belongs to a client
+ * and carries its scopes and the signing identities it may use.
+ * The file is re-read when it changes, so keys created or revoked with
+ * scripts/apiKeys.js apply without a restart.
+ */
+class ApiKeyStore {
+  /**
+   * @param {string} filePath - JSON keys file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.keys = [];
+    this.mtimeMs = null;
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Current keys, re-reading the file when it changed on disk
+   */
+  getKeys() {
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (error) {
+      this.keys = [];
+      this.mtimeMs = null;
+      return this.keys;
+    }
+
+    if (stat.mtimeMs !== this.mtimeMs) {
+      const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.keys = content.keys || [];
+      this.mtimeMs = stat.mtimeMs;
+    }
+    return this.keys;
+  }
+
+  save(keys) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify({ keys }, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+    this.keys = keys;
+    this.mtimeMs = null;
+  }
+
+  /**
+   * Create a key for a client
+   * @param {string} clientId - Client the key is attributed to
+   * @param {object} options - { scopes, signers, description }
+   * @returns {{ apiKey: string, record: object }} The key, shown only once, and its stored record
+   */
+  create(clientId, options = {}) {
+    if (!/^[A-Za-z0-9._@-]+$/.test(clientId || '')) {
+      throw new Error('Client id may only contain letters, digits, ".", "_", "@" and "-"');
+    }
+    const scopes = options.scopes || ['sign', 'verify', 'cert:read'];
+    const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope(s) ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`);
+    }
+
+    const keyId = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const record = {
+      keyId,
+      clientId,
+      description: options.description || '',
+      hash: hashSecret(secret),
+      scopes,
+      signers: options.signers || [ALL_SIGNERS],
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+    };
+
+    this.save([...this.getKeys(), record]);
+    return { apiKey: `${KEY_PREFIX}_${keyId}_${secret}`, record };
+  }
+
+  /**
+   * Revoke a key so it can no longer authenticate
+   */
+  revoke(keyId) {
+    const keys = this.getKeys();
+    const record = keys.find((key) => key.keyId === keyId);
+    if (!record) {
+      throw new Error(`Unknown key ${keyId}`);
+    }
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    this.save(keys);
+    return record;
+  }
+
+  /**
+   * Find the active record matching a presented key
+   * @param {string} apiKey - Key as sent by the client
+   * @returns {{ record: object|null, keyId: string|null, clientId: string|null, reason: string|null }}
+   */
+  authenticate(apiKey) {
+    const parsed = parseApiKey(apiKey);
+    if (!parsed) {
+      return { record: null, keyId: null, clientId: null, reason: 'Malformed API key' };
+    }
+
+    const record = this.getKeys().find((key) => key.keyId === parsed.keyId);
+    const expected = Buffer.from(record ? record.hash : hashSecret(''), 'hex');
+    const matches = crypto.timingSafeEqual(expected, Buffer.from(hashSecret(parsed.secret), 'hex'));
+    if (!record || !matches) {
+      // A known key id with the wrong secret is still attributed to its client
+      return {
+        record: null,
+        keyId: parsed.keyId,
+        clientId: record ? record.clientId : null,
+        reason: 'Unknown API key',
+      };
+    }
+    if (record.revokedAt) {
+      return { record: null, keyId: parsed.keyId, clientId: record.clientId, reason: 'API key has been revoked' };
+    }
+    return { record, keyId: parsed.keyId, clientId: record.clientId, reason: null };
+  }
+}
+
+module.exports = {
+  ApiKeyStore,
+  SCOPES,
+  ALL_SIGNERS,
+  parseApiKey,
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { GENESIS_HASH, hashEntry, verifyChain } = require('../utils/auditChain');
+
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Append-only, hash-chained audit trail of signing and verification calls,
+ * stored as one JSON entry per line
+ */
+class AuditLog {
+  /**
+   * @param {string} filePath - JSON lines file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.lastSeq = 0;
+    this.lastHash = GENESIS_HASH;
+    this.integrity = null;
+  }
+
+  /**
+   * Read the existing trail to continue its chain, checking it on the way
+   * @returns {object} Result of verifyChain over the whole file
+   */
+  open() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const entries = this.readEntries();
+    this.integrity = verifyChain(entries);
+
+    const last = [...entries].reverse().find((entry) => !entry.corrupt);
+    if (last) {
+      this.lastSeq = last.seq;
+      // Keep chaining from the actual last line so later entries stay verifiable
+      // against it even when an earlier break has been reported
+      this.lastHash = last.hash;
+    }
+    return this.integrity;
+  }
+
+  readEntries() {
+    if (!fs.existsSync(this.filePath)) return [];
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return { seq: null, corrupt: true, line: index + 1 };
+        }
+      });
+  }
+
+  /**
+   * Append an entry chained to the previous one
+   * @param {object} fields - Entry content (action, clientId, result, ...)
+   * @returns {object} Stored entry
+   */
+  append(fields) {
+    const entry = {
+      seq: this.lastSeq + 1,
+      time: new Date().toISOString(),
+      ...fields,
+      prevHash: this.lastHash,
+    };
+    entry.hash = hashEntry(entry);
+
+    // Synchronous append keeps entries ordered and the chain consistent
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+    this.lastSeq = entry.seq;
+    this.lastHash = entry.hash;
+    return entry;
+  }
+
+  /**
+   * Entries matching a filter, oldest first
+   * @param {object} filter - { from, to, clientId, action, result, signer, sha256, afterSeq, limit }
+   * @returns {{ entries: object[], total: number, head: { seq: number, hash: string } }}
+   */
+  query(filter = {}) {
+    const from = filter.from ? new Date(filter.from) : null;
+    const to = filter.to ? new Date(filter.to) : null;
+    const afterSeq = Number(filter.afterSeq) || 0;
+    const limit = Math.min(Number(filter.limit) || 100, MAX_PAGE_SIZE);
+
+    const matches = this.readEntries().filter((entry) => (
+      entry.seq > afterSeq
+      && (!from || new Date(entry.time) >= from)
+      && (!to || new Date(entry.time) <= to)
+      && (!filter.clientId || entry.clientId === filter.clientId)
+      && (!filter.action || entry.action === filter.action)
+      && (!filter.result || entry.result === filter.result)
+      && (!filter.signer || entry.signer === filter.signer)
+      && (!filter.sha256 || entry.inputSha256 === filter.sha256 || entry.outputSha256 === filter.sha256)
+    ));
+
+    return {
+      entries: matches.slice(0, limit),
+      total: matches.length,
+      head: { seq: this.lastSeq, hash: this.lastHash },
+    };
+  }
+
+  /**
+   * Check the whole trail
+   */
+  verify() {
+    return verifyChain(this.readEntries());
+  }
+}
+
+module.exports = { AuditLog };
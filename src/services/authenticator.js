@@ -0,0 +1,129 @@
+const { verifyJwt } = require('../utils/jwt');
+const { SCOPES, ALL_SIGNERS } = require('./apiKeyStore');
+
+/**
+ * Authentication or authorization failure, with the HTTP status to answer
+ * and the client it is attributed to when known
+ */
+class AuthError extends Error {
+  constructor(message, status = 401, clientId = null) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = status === 403 ? 'FORBIDDEN' : 'UNAUTHENTICATED';
+    this.clientId = clientId;
+  }
+}
+
+/**
+ * Identifies the client behind a request from an API key (X-API-Key or
+ * Authorization: Bearer psk_...) or a JWT bearer token signed by the
+ * configured issuer key.
+ */
+class Authenticator {
+  /**
+   * @param {object} options
+   *   apiKeyStore: ApiKeyStore holding the hashed API keys
+   *   jwtPublicKey: crypto.KeyObject verifying bearer tokens, JWTs are refused without it
+   *   jwtIssuer, jwtAudience: required iss / aud claims, when set
+   *   enabled: false lets every request through as the "anonymous" client with all scopes
+   */
+  constructor(options = {}) {
+    this.apiKeyStore = options.apiKeyStore || null;
+    this.jwtPublicKey = options.jwtPublicKey || null;
+    this.jwtIssuer = options.jwtIssuer || null;
+    this.jwtAudience = options.jwtAudience || null;
+    this.enabled = options.enabled !== false;
+  }
+
+  /**
+   * Identify the client of a request
+   * @param {object} req - Express request
+   * @returns {{ clientId: string, method: string, keyId: string|null, scopes: string[], signers: string[] }}
+   */
+  authenticate(req) {
+    if (!this.enabled) {
+      return { clientId: 'anonymous', method: 'none', keyId: null, scopes: SCOPES, signers: [ALL_SIGNERS] };
+    }
+
+    const authorization = req.get('authorization') || '';
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+    const apiKey = req.get('x-api-key') || (bearer && bearer[1].startsWith('psk_') ? bearer[1] : null);
+
+    if (apiKey) {
+      return this.authenticateApiKey(apiKey);
+    }
+    if (bearer) {
+      return this.authenticateJwt(bearer[1]);
+    }
+    throw new AuthError('Authentication required (X-API-Key header or Authorization: Bearer token)');
+  }
+
+  authenticateApiKey(apiKey) {
+    if (!this.apiKeyStore) {
+      throw new AuthError('API keys are not enabled');
+    }
+
+    const { record, keyId, clientId, reason } = this.apiKeyStore.authenticate(apiKey);
+    if (!record) {
+      throw new AuthError(keyId ? `${reason} (${keyId})` : reason, 401, clientId);
+    }
+    return {
+      clientId: record.clientId,
+      method: 'api-key',
+      keyId: record.keyId,
+      scopes: record.scopes || [],
+      signers: record.signers || [],
+    };
+  }
+
+  authenticateJwt(token) {
+    if (!this.jwtPublicKey) {
+      throw new AuthError('Bearer tokens are not enabled');
+    }
+
+    let claims;
+    try {
+      claims = verifyJwt(token, this.jwtPublicKey, {
+        issuer: this.jwtIssuer,
+        audience: this.jwtAudience,
+      });
+    } catch (error) {
+      throw new AuthError(error.message);
+    }
+
+    const clientId = claims.client_id || claims.sub;
+    if (!clientId) {
+      throw new AuthError('Token has no sub or client_id claim');
+    }
+    const scopes = Array.isArray(claims.scopes)
+      ? claims.scopes
+      : String(claims.scope || '').split(' ').filter(Boolean);
+
+    return {
+      clientId: String(clientId),
+      method: 'jwt',
+      keyId: claims.jti || null,
+      scopes: scopes.filter((scope) => SCOPES.includes(scope)),
+      signers: Array.isArray(claims.signers) ? claims.signers : [],
+    };
+  }
+
+  /**
+   * Throw unless the client holds a scope
+   */
+  static requireScope(client, scope) {
+    if (!client.scopes.includes(scope)) {
+      throw new AuthError(`Client "${client.clientId}" lacks the "${scope}" scope`, 403, client.clientId);
+    }
+  }
+
+  static canUseSigner(client, signerId) {
+    return client.signers.includes(ALL_SIGNERS) || client.signers.includes(signerId);
+  }
+}
+
+module.exports = {
+  Authenticator,
+  AuthError,
+};
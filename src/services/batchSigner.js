@@ -0,0 +1,168 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createZip, readZip } = require('../utils/zip');
+
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// Entry name of the manifest in the output archive
+const MANIFEST_NAME = 'manifest.json';
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Archive-safe relative name: forward slashes, no drive, root or parent segments
+ */
+const sanitizeName = (name) => name
+  .replace(/\\/g, '/')
+  .replace(/^[A-Za-z]:/, '')
+  .split('/')
+  .filter((segment) => segment && segment !== '.' && segment !== '..')
+  .join('/') || 'document.pdf';
+
+/**
+ * Signs many PDFs in one call. Each file is signed on its own, so a bad file
+ * only fails its own manifest entry.
+ */
+class BatchSigner {
+  /**
+   * @param {object} options - { maxFiles, maxFileSize, maxTotalSize }
+   *   maxFileSize: largest document; maxTotalSize: most bytes expanded from ZIP archives per batch
+   */
+  constructor(options = {}) {
+    this.maxFiles = options.maxFiles || 1000;
+    this.maxFileSize = options.maxFileSize || 50 * 1024 * 1024;
+    this.maxTotalSize = options.maxTotalSize || 200 * 1024 * 1024;
+  }
+
+  /**
+   * Turn uploaded files into the list of documents to sign, expanding ZIP archives
+   * @param {{ name: string, data: Buffer }[]} uploads
+   * @returns {{ name: string, data: Buffer|null, error: string|null, code: string|null }[]}
+   * @throws {Error} When the batch has more than maxFiles documents or its archives expand beyond maxTotalSize
+   */
+  expand(uploads) {
+    const files = [];
+    let expanded = 0;
+    uploads.forEach((upload) => {
+      if (!upload.data.subarray(0, 4).equals(ZIP_MAGIC)) {
+        const tooLarge = upload.data.length > this.maxFileSize;
+        files.push({
+          name: sanitizeName(upload.name),
+          data: tooLarge ? null : upload.data,
+          error: tooLarge ? `File is larger than ${this.maxFileSize} bytes` : null,
+          code: tooLarge ? 'FILE_TOO_LARGE' : null
+        });
+        return;
+      }
+
+      let entries;
+      try {
+        // Limits are checked before anything is inflated
+        entries = readZip(upload.data, {
+          maxEntrySize: this.maxFileSize,
+          maxEntries: Math.max(this.maxFiles - files.length, 0),
+          maxTotalSize: this.maxTotalSize - expanded,
+          include: (name) => !path.basename(name).startsWith('.') && !name.startsWith('__MACOSX/')
+        });
+      } catch (error) {
+        if (error.code === 'LIMIT_EXCEEDED') {
+          throw new Error(`${sanitizeName(upload.name)}: ${error.message} (batch limits: ${this.maxFiles} files, ${this.maxTotalSize} bytes)`);
+        }
+        files.push({ name: sanitizeName(upload.name), data: null, error: `Invalid ZIP archive: ${error.message}`, code: 'INVALID_ARCHIVE' });
+        return;
+      }
+      // An entry that cannot be read only fails its own manifest entry
+      entries.forEach((entry) => {
+        if (entry.error) {
+          files.push({ name: sanitizeName(entry.name), data: null, error: entry.error.message, code: entry.error.code });
+          return;
+        }
+        expanded += entry.data.length;
+        files.push({ name: sanitizeName(entry.name), data: entry.data, error: null, code: null });
+      });
+    });
+
+    if (files.length > this.maxFiles) {
+      throw new Error(`Batch contains ${files.length} files, the limit is ${this.maxFiles}`);
+    }
+    return this.deduplicateNames(files);
+  }
+
+  /**
+   * Suffix repeated names so every output, and the manifest, has its own archive entry
+   */
+  deduplicateNames(files) {
+    const taken = new Set([MANIFEST_NAME]);
+    return files.map((file) => {
+      let name = file.name;
+      const extension = path.extname(file.name);
+      for (let count = 2; taken.has(name); count++) {
+        name = `${file.name.slice(0, file.name.length - extension.length)}-${count}${extension}`;
+      }
+      taken.add(name);
+      return name === file.name ? file : { ...file, name };
+    });
+  }
+
+  /**
+   * Sign every file, one at a time
+   * @param {object[]} files - Output of expand()
+   * @param {Function} signFile - async (file) => { output: Buffer, signer: string }
+   * @returns {Promise<{ manifest: object, outputs: { name: string, data: Buffer }[] }>}
+   */
+  async signAll(files, signFile) {
+    const entries = [];
+    const outputs = [];
+
+    for (const file of files) {
+      const entry = {
+        name: file.name,
+        status: 'failed',
+        inputSha256: file.data ? sha256(file.data) : null,
+        outputSha256: null,
+        signer: null,
+        error: file.error,
+        code: file.code || null,
+      };
+
+      if (file.data) {
+        try {
+          const result = await signFile(file);
+          entry.status = 'signed';
+          entry.signer = result.signer;
+          entry.outputSha256 = sha256(result.output);
+          entry.size = result.output.length;
+          outputs.push({ name: file.name, data: result.output });
+        } catch (error) {
+          entry.error = error.message;
+          entry.code = error.code || null;
+        }
+      }
+      entries.push(entry);
+    }
+
+    const signed = entries.filter((entry) => entry.status === 'signed').length;
+    return {
+      manifest: {
+        createdAt: new Date().toISOString(),
+        total: entries.length,
+        signed,
+        failed: entries.length - signed,
+        files: entries,
+      },
+      outputs,
+    };
+  }
+
+  /**
+   * ZIP with the signed documents and manifest.json
+   */
+  createArchive({ manifest, outputs }) {
+    return createZip([
+      ...outputs,
+      { name: MANIFEST_NAME, data: Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`) },
+    ]);
+  }
+}
+
+module.exports = { BatchSigner };
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { Signer } = require('@signpdf/signpdf');
+const {
+  OIDS,
+  fromDer,
+  attribute,
+  encodeSet,
+  signatureAlgorithmFor,
+  signingCertificateV2Attribute,
+  createSignedAttributes,
+  createSignedData,
+} = require('../utils/cms');
+const { parseTimeStampToken } = require('../utils/tsp');
+
+/**
+ * Produces detached CMS signatures for @signpdf/signpdf with the key of a signer
+ * backend. Unlike P12Signer it supports EC keys and an RFC 3161 signature timestamp.
+ */
+class CmsSigner extends Signer {
+  /**
+   * @param {object} options
+   * @param {object} options.key - Signer backend; key.sign(data) returns the SHA-256 signature
+   * @param {Buffer} options.certificate - Signer certificate (DER)
+   * @param {Buffer[]} [options.chain] - Other certificates to embed (DER)
+   * @param {TsaClient} [options.tsaClient] - Adds a signatureTimeStampToken when set
+   * @param {boolean} [options.pades] - CAdES attributes for ETSI.CAdES.detached: adds
+   *   signing-certificate-v2 and leaves out signing-time (the time goes in /M)
+   */
+  constructor({ key, certificate, chain = [], tsaClient = null, pades = false }) {
+    super();
+    this.key = key;
+    this.certificate = certificate;
+    this.chain = chain;
+    this.tsaClient = tsaClient;
+    this.pades = pades;
+    this.timestampToken = null;
+  }
+
+  /**
+   * @param {Buffer} pdfBuffer - Bytes covered by the ByteRange
+   * @param {Date} [signingTime]
+   * @returns {Promise<Buffer>} DER encoded CMS
+   */
+  async sign(pdfBuffer, signingTime = undefined) {
+    const signedAttributes = createSignedAttributes({
+      messageDigest: crypto.createHash('sha256').update(pdfBuffer).digest(),
+      signingTime: this.pades ? null : signingTime || new Date(),
+      extra: this.pades ? [signingCertificateV2Attribute(this.certificate)] : [],
+    });
+
+    const signature = await this.key.sign(encodeSet(signedAttributes));
+
+    const unsignedAttributes = [];
+    if (this.tsaClient) {
+      const digest = crypto.createHash('sha256').update(signature).digest();
+      const token = await this.tsaClient.timestamp(digest, 'sha256');
+      this.timestampToken = token;
+      unsignedAttributes.push(attribute(OIDS.timeStampToken, [fromDer(token)]));
+    }
+
+    return createSignedData({
+      certificate: this.certificate,
+      chain: this.chain,
+      signedAttributes,
+      signature,
+      signatureAlgorithm: signatureAlgorithmFor(new crypto.X509Certificate(this.certificate).publicKey),
+      unsignedAttributes,
+    });
+  }
+}
+
+/**
+ * Produces the Contents of a document timestamp (ETSI.RFC3161): the TSA's
+ * token over the ByteRange content, with no signing key involved
+ */
+class DocumentTimestampSigner extends Signer {
+  /**
+   * @param {TsaClient} tsaClient
+   */
+  constructor(tsaClient) {
+    super();
+    this.tsaClient = tsaClient;
+    this.time = null;
+  }
+
+  /**
+   * @param {Buffer} pdfBuffer - Bytes covered by the ByteRange
+   * @returns {Promise<Buffer>} DER encoded TimeStampToken
+   */
+  async sign(pdfBuffer) {
+    const token = await this.tsaClient.timestamp(crypto.createHash('sha256').update(pdfBuffer).digest(), 'sha256');
+    this.time = parseTimeStampToken(token).tstInfo.genTime;
+    return token;
+  }
+}
+
+module.exports = { CmsSigner, DocumentTimestampSigner };
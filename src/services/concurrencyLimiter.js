@@ -0,0 +1,81 @@
+/**
+ * Raised when no slot frees up: the wait queue is full or the wait timed out
+ */
+class BusyError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'BusyError';
+    this.status = 503;
+    this.code = 'BUSY';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Bounds how many signing operations run at once. Callers beyond the limit
+ * wait in a bounded FIFO queue, and are turned away once it is full.
+ */
+class ConcurrencyLimiter {
+  /**
+   * @param {object} options - { concurrency, maxQueue, queueTimeout (ms) }
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 4;
+    this.maxQueue = options.maxQueue === undefined ? 32 : options.maxQueue;
+    this.queueTimeout = options.queueTimeout || 30000;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  get queued() {
+    return this.waiting.length;
+  }
+
+  /**
+   * Wait for a slot
+   * @returns {Promise<Function>} Releases the slot; safe to call more than once
+   */
+  acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve(this.createRelease());
+    }
+    const retryAfter = Math.ceil(this.queueTimeout / 1000);
+    if (this.waiting.length >= this.maxQueue) {
+      return Promise.reject(new BusyError(`Server busy: ${this.active} signing operations running and ${this.waiting.length} waiting`, retryAfter));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve,
+        timer: setTimeout(() => {
+          this.waiting.splice(this.waiting.indexOf(waiter), 1);
+          reject(new BusyError(`Server busy: no signing slot freed up within ${this.queueTimeout}ms`, retryAfter));
+        }, this.queueTimeout)
+      };
+      this.waiting.push(waiter);
+    });
+  }
+
+  createRelease() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const next = this.waiting.shift();
+      if (next) {
+        // Hand the slot over without decrementing, so it cannot be taken in between
+        clearTimeout(next.timer);
+        next.resolve(this.createRelease());
+      } else {
+        this.active--;
+      }
+    };
+  }
+}
+
+module.exports = {
+  BusyError,
+  ConcurrencyLimiter,
+};
@@ -0,0 +1,337 @@
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFRef,
+  PDFStream,
+  PDFString,
+  PDFHexString,
+  PDFInvalidObject,
+} = require('pdf-lib');
+const { serializeObject } = require('./incrementalWriter');
+
+/**
+ * Certification signatures (ISO 32000-1 12.8.2.2): a DocMDP transform on the
+ * signature dictionary declares which changes later revisions may make.
+ */
+
+const DOCMDP_PERMISSIONS = {
+  1: 'No changes allowed',
+  2: 'Form filling and signing allowed',
+  3: 'Form filling, signing and annotation changes allowed',
+};
+
+// Entries of a form field or widget that filling it in or signing it changes
+const FIELD_VALUE_KEYS = ['V', 'AS', 'AP'];
+const ACROFORM_KEYS = ['Fields', 'SigFlags', 'DR', 'DA', 'NeedAppearances'];
+
+/**
+ * Turn a signature dictionary into a certification signature and point the
+ * catalog /Perms entry at it
+ * @param {PDFDocument} pdfDoc
+ * @param {PDFRef} signatureRef - Signature dictionary
+ * @param {number} permission - DocMDP level 1, 2 or 3
+ */
+const addDocMdp = (pdfDoc, signatureRef, permission) => {
+  const { context } = pdfDoc;
+  const reference = context.obj([{
+    Type: 'SigRef',
+    TransformMethod: 'DocMDP',
+    DigestMethod: 'SHA256',
+    TransformParams: { Type: 'TransformParams', P: permission, V: PDFName.of('1.2') },
+  }]);
+
+  const signature = context.lookup(signatureRef);
+  if (signature instanceof PDFDict) {
+    signature.set(PDFName.of('Reference'), reference);
+  } else {
+    // The placeholder stores the signature dictionary as raw bytes so pdf-lib
+    // keeps its ByteRange and Contents placeholders intact
+    const bytes = serializeObject(signature).toString('latin1');
+    const end = bytes.lastIndexOf('>>');
+    const updated = `${bytes.slice(0, end)}/Reference ${serializeObject(reference).toString('latin1')}\n>>`;
+    context.assign(signatureRef, PDFInvalidObject.of(Buffer.from(updated, 'latin1')));
+  }
+  pdfDoc.catalog.set(PDFName.of('Perms'), context.obj({ DocMDP: signatureRef }));
+};
+
+/**
+ * DocMDP permission declared by a signature dictionary, or null for approval signatures
+ * @param {PDFDict} signature
+ * @returns {number|null}
+ */
+const readDocMdpPermission = (signature) => {
+  const references = signature.lookupMaybe(PDFName.of('Reference'), PDFArray);
+  if (!references) return null;
+
+  for (let i = 0; i < references.size(); i++) {
+    const reference = references.lookupMaybe(i, PDFDict);
+    if (reference && reference.get(PDFName.of('TransformMethod')) === PDFName.of('DocMDP')) {
+      const params = reference.lookupMaybe(PDFName.of('TransformParams'), PDFDict);
+      const permission = params && params.lookupMaybe(PDFName.of('P'), PDFNumber);
+      return permission ? permission.asNumber() : 2;
+    }
+  }
+  return null;
+};
+
+/**
+ * Certification of a document, from the catalog /Perms entry
+ * @returns {{ permission: number, signatureRef: PDFRef }|null}
+ */
+const readDocMdp = (pdfDoc) => {
+  const perms = pdfDoc.catalog.lookupMaybe(PDFName.of('Perms'), PDFDict);
+  const signatureRef = perms && perms.get(PDFName.of('DocMDP'));
+  if (!(signatureRef instanceof PDFRef)) return null;
+
+  const signature = pdfDoc.context.lookupMaybe(signatureRef, PDFDict);
+  const permission = signature && readDocMdpPermission(signature);
+  return permission ? { permission, signatureRef } : null;
+};
+
+const refKey = (ref) => `${ref.objectNumber} ${ref.generationNumber}`;
+
+const serialize = (object) => (object === undefined ? '' : serializeObject(object).toString('latin1'));
+
+/**
+ * Keys whose values differ between two dictionaries
+ */
+const changedKeys = (before, after) => {
+  const keys = new Set([...before.keys(), ...after.keys()].map((key) => key.decodeText()));
+  return [...keys].filter((key) => serialize(before.get(PDFName.of(key))) !== serialize(after.get(PDFName.of(key))));
+};
+
+/**
+ * Field flags, absent meaning 0
+ */
+const fieldFlags = (dict) => {
+  const flags = dict.lookupMaybe(PDFName.of('Ff'), PDFNumber);
+  return flags ? flags.asNumber() : 0;
+};
+
+const decodeText = (value) => (
+  value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null
+);
+
+/**
+ * Field type of a field or widget, inherited from its parents
+ */
+const fieldType = (dict) => {
+  let node = dict;
+  for (let depth = 0; node && depth < 32; depth++) {
+    const type = node.get(PDFName.of('FT'));
+    if (type) return type.decodeText();
+    node = node.lookupMaybe(PDFName.of('Parent'), PDFDict);
+  }
+  return null;
+};
+
+const isField = (dict) => dict.has(PDFName.of('FT')) || dict.has(PDFName.of('Parent'))
+  || dict.get(PDFName.of('Subtype')) === PDFName.of('Widget');
+
+const isSignature = (dict) => dict.has(PDFName.of('ByteRange')) && dict.has(PDFName.of('Contents'));
+
+const describeField = (dict) => `"${decodeText(dict.get(PDFName.of('T'))) || 'unnamed'}"`;
+
+/**
+ * Whether a signature field holds a document timestamp (ETSI.RFC3161)
+ */
+const isDocumentTimestampField = (dict) => {
+  const value = dict.lookupMaybe(PDFName.of('V'), PDFDict);
+  return Boolean(value) && value.get(PDFName.of('Type')) === PDFName.of('DocTimeStamp');
+};
+
+/**
+ * Whether a Fields array only gained document timestamp fields
+ */
+const addsOnlyTimestampFields = (context, previousFields, fields) => {
+  const previous = new Set((previousFields ? previousFields.asArray() : []).map(serialize));
+  const current = fields ? fields.asArray() : [];
+  const currentKeys = new Set(current.map(serialize));
+  return [...previous].every((entry) => currentKeys.has(entry))
+    && current.filter((entry) => !previous.has(serialize(entry))).every((entry) => {
+      const field = context.lookupMaybe(entry, PDFDict);
+      return Boolean(field) && isDocumentTimestampField(field);
+    });
+};
+
+const isAnnotation = (dict) => dict.has(PDFName.of('Subtype')) && dict.has(PDFName.of('Rect'));
+
+/**
+ * Annotations of a page, keyed by reference
+ */
+const pageAnnotations = (page) => {
+  const annots = page && page.lookupMaybe(PDFName.of('Annots'), PDFArray);
+  const refs = annots ? annots.asArray().filter((ref) => ref instanceof PDFRef) : [];
+  return new Map(refs.map((ref) => [refKey(ref), ref]));
+};
+
+/**
+ * Indirect objects making up the DSS, which may be updated at any time
+ */
+const dssObjectKeys = (catalog) => {
+  const keys = new Set();
+  const dssRef = catalog.get(PDFName.of('DSS'));
+  const dss = catalog.lookupMaybe(PDFName.of('DSS'), PDFDict);
+  if (dssRef instanceof PDFRef) keys.add(refKey(dssRef));
+  if (dss) {
+    ['Certs', 'CRLs', 'OCSPs', 'VRI'].forEach((name) => {
+      const entry = dss.get(PDFName.of(name));
+      if (entry instanceof PDFRef) keys.add(refKey(entry));
+    });
+  }
+  return keys;
+};
+
+/**
+ * Changes made after a certification signature that its DocMDP permission does not allow.
+ * DSS updates and document timestamps are always allowed (ISO 32000-2 12.8.4.3).
+ * @param {PDFDocument} certifiedDoc - Revision covered by the certification signature
+ * @param {PDFDocument} currentDoc - Whole document
+ * @param {number} permission - DocMDP level
+ * @returns {string[]} Violations, empty when every change is allowed
+ */
+const findDocMdpViolations = (certifiedDoc, currentDoc, permission) => {
+  const violations = new Set();
+  const before = new Map(certifiedDoc.context.enumerateIndirectObjects().map(([ref, object]) => [refKey(ref), object]));
+  const { context, catalog } = currentDoc;
+  const catalogKey = refKey(context.trailerInfo.Root);
+  const infoKey = context.trailerInfo.Info instanceof PDFRef ? refKey(context.trailerInfo.Info) : null;
+  const dssKeys = dssObjectKeys(catalog);
+
+  const acroFormRef = catalog.get(PDFName.of('AcroForm'));
+  const acroForm = catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  const fieldsRef = acroForm && acroForm.get(PDFName.of('Fields'));
+  const acroFormKey = acroFormRef instanceof PDFRef ? refKey(acroFormRef) : null;
+  const fieldsKey = fieldsRef instanceof PDFRef ? refKey(fieldsRef) : null;
+
+  // Pages, and Annots arrays stored as their own objects, by reference
+  const pages = new Map();
+  const annotArrays = new Map();
+  currentDoc.getPages().forEach((page, index) => {
+    pages.set(refKey(page.ref), { ref: page.ref, number: index + 1 });
+    const annots = page.node.get(PDFName.of('Annots'));
+    if (annots instanceof PDFRef) annotArrays.set(refKey(annots), pages.get(refKey(page.ref)));
+  });
+
+  const checkNewField = (field) => {
+    if (isDocumentTimestampField(field)) return;
+    if (fieldType(field) !== 'Sig') {
+      violations.add(`Form field ${describeField(field)} added`);
+    } else if (permission < 2) {
+      violations.add('Signature added');
+    }
+  };
+
+  const checkAnnotations = ({ ref, number }) => {
+    const previous = pageAnnotations(certifiedDoc.context.lookupMaybe(ref, PDFDict));
+    const current = pageAnnotations(context.lookupMaybe(ref, PDFDict));
+
+    current.forEach((annotationRef, key) => {
+      if (previous.has(key)) return;
+      const annotation = context.lookupMaybe(annotationRef, PDFDict);
+      if (annotation && isField(annotation)) {
+        checkNewField(annotation);
+      } else if (permission < 3) {
+        violations.add(`Annotation added on page ${number}`);
+      }
+    });
+    if (permission < 3 && [...previous.keys()].some((key) => !current.has(key))) {
+      violations.add(`Annotation removed from page ${number}`);
+    }
+  };
+
+  const checkFormDefinition = (previousForm, form) => {
+    if (!form) {
+      violations.add('Form definition removed');
+    } else if (permission < 2) {
+      const timestampsOnly = previousForm && changedKeys(previousForm, form).every((entry) => entry === 'SigFlags'
+        || (entry === 'Fields' && addsOnlyTimestampFields(
+          context,
+          previousForm.lookupMaybe(PDFName.of('Fields'), PDFArray),
+          form.lookupMaybe(PDFName.of('Fields'), PDFArray)
+        )));
+      if (!timestampsOnly) violations.add('Form fields changed');
+    } else if (previousForm && changedKeys(previousForm, form).some((entry) => !ACROFORM_KEYS.includes(entry))) {
+      violations.add('Form definition changed');
+    }
+  };
+
+  context.enumerateIndirectObjects().forEach(([ref, object]) => {
+    const key = refKey(ref);
+    const previous = before.get(key);
+    if (previous && serialize(previous) === serialize(object)) return;
+    if (dssKeys.has(key)) return;
+
+    if (object instanceof PDFStream) {
+      const type = object.dict.get(PDFName.of('Type'));
+      // New streams only matter once a changed dictionary uses them
+      if (previous && type !== PDFName.of('XRef') && type !== PDFName.of('ObjStm')) {
+        violations.add(`Stream object ${ref.objectNumber} modified`);
+      }
+      return;
+    }
+
+    if (!previous) {
+      // New dictionaries and arrays (resources, DSS, ...) only matter once a
+      // changed object uses them, except fields which the form references
+      if (object instanceof PDFDict && isField(object)) checkNewField(object);
+      else if (object instanceof PDFDict && isSignature(object)
+        && object.get(PDFName.of('Type')) !== PDFName.of('DocTimeStamp') && permission < 2) {
+        violations.add('Signature added');
+      }
+      return;
+    }
+
+    if (annotArrays.has(key)) {
+      checkAnnotations(annotArrays.get(key));
+    } else if (key === fieldsKey) {
+      if (permission < 2 && !addsOnlyTimestampFields(context, previous, object)) {
+        violations.add('Form fields changed');
+      }
+    } else if (key === acroFormKey) {
+      checkFormDefinition(previous, object);
+    } else if (key === catalogKey) {
+      changedKeys(previous, object).forEach((name) => {
+        if (name === 'DSS') return;
+        if (name === 'AcroForm') {
+          checkFormDefinition(previous.lookupMaybe(PDFName.of('AcroForm'), PDFDict), acroForm);
+        } else {
+          violations.add(`Document catalog entry /${name} changed`);
+        }
+      });
+    } else if (pages.has(key)) {
+      const entries = changedKeys(previous, object);
+      if (entries.includes('Annots')) checkAnnotations(pages.get(key));
+      if (entries.some((entry) => entry !== 'Annots')) {
+        violations.add(`Page ${pages.get(key).number} modified`);
+      }
+    } else if (object instanceof PDFDict && isSignature(object)) {
+      violations.add(`Signature dictionary ${ref.objectNumber} modified`);
+    } else if (object instanceof PDFDict && isField(object)) {
+      if (permission < 2) {
+        violations.add(`Form field ${describeField(object)} filled in`);
+      } else if (changedKeys(previous, object).some((entry) => !FIELD_VALUE_KEYS.includes(entry)
+        && !(entry === 'Ff' && fieldFlags(previous) === fieldFlags(object)))) {
+        violations.add(`Form field ${describeField(object)} modified`);
+      }
+    } else if (object instanceof PDFDict && isAnnotation(object)) {
+      if (permission < 3) violations.add(`Annotation ${ref.objectNumber} modified`);
+    } else if (key === infoKey) {
+      violations.add('Document information dictionary modified');
+    } else {
+      violations.add(`Object ${ref.objectNumber} modified`);
+    }
+  });
+
+  return [...violations];
+};
+
+module.exports = {
+  DOCMDP_PERMISSIONS,
+  addDocMdp,
+  readDocMdp,
+  readDocMdpPermission,
+  findDocMdpViolations,
+};
@@ -0,0 +1,323 @@
+const {
+  StandardFonts,
+  degrees,
+  rgb,
+  PDFTextField,
+  PDFCheckBox,
+  PDFDropdown,
+  PDFOptionList,
+  PDFRadioGroup,
+  PDFSignature,
+  pushGraphicsState,
+  popGraphicsState,
+  translate,
+  drawObject,
+} = require('pdf-lib');
+const { embedImage, sanitizeLine } = require('./signatureAppearance');
+const { codedError } = require('../utils/errors');
+
+const METADATA_KEYS = ['title', 'author', 'subject', 'keywords'];
+
+const TEXT_WATERMARK_DEFAULTS = { size: 60, rotate: 45, opacity: 0.3, color: '#808080' };
+const IMAGE_WATERMARK_DEFAULTS = { rotate: 0, opacity: 0.3 };
+
+/**
+ * Parse a #rrggbb color
+ */
+const parseColor = (value) => {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid watermark color "${value}" (expected #rrggbb)`);
+  }
+  return rgb(...match.slice(1).map((hex) => parseInt(hex, 16) / 255));
+};
+
+const parseNumber = (value, name, min, max) => {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`Invalid watermark option "${name}": ${value}`);
+  }
+  return number;
+};
+
+/**
+ * Validate one watermark, filling in defaults
+ */
+const parseWatermark = (watermark, index, watermarkImage) => {
+  if (!watermark || typeof watermark !== 'object') {
+    throw new Error(`Watermark ${index} must be an object`);
+  }
+  const isImage = watermark.type === 'image';
+  if (!isImage && watermark.type !== undefined && watermark.type !== 'text') {
+    throw new Error(`Invalid watermark type "${watermark.type}" (expected text or image)`);
+  }
+  if (isImage && !watermarkImage) {
+    throw new Error('Image watermarks need a watermarkImage (PNG or JPEG)');
+  }
+  if (!isImage && (typeof watermark.text !== 'string' || watermark.text.trim() === '')) {
+    throw new Error(`Watermark ${index} needs a text`);
+  }
+
+  const defaults = isImage ? IMAGE_WATERMARK_DEFAULTS : TEXT_WATERMARK_DEFAULTS;
+  const option = (key, min, max) => (watermark[key] === undefined
+    ? defaults[key]
+    : parseNumber(watermark[key], key, min, max));
+
+  let pages = null;
+  if (watermark.pages !== undefined && watermark.pages !== 'all') {
+    if (!Array.isArray(watermark.pages) || watermark.pages.length === 0) {
+      throw new Error('Watermark pages must be "all" or a list of zero-based page indexes');
+    }
+    pages = watermark.pages.map((page) => parseNumber(page, 'pages', 0, Number.MAX_SAFE_INTEGER));
+  }
+
+  return {
+    type: isImage ? 'image' : 'text',
+    text: isImage ? undefined : watermark.text,
+    image: isImage ? watermarkImage : undefined,
+    pages,
+    x: watermark.x === undefined ? undefined : parseNumber(watermark.x, 'x', 0, Infinity),
+    y: watermark.y === undefined ? undefined : parseNumber(watermark.y, 'y', 0, Infinity),
+    size: isImage ? undefined : option('size', 1, 500),
+    width: isImage && watermark.width !== undefined ? parseNumber(watermark.width, 'width', 1, Infinity) : undefined,
+    rotate: option('rotate', -360, 360),
+    opacity: option('opacity', 0, 1),
+    color: isImage ? undefined : parseColor(watermark.color === undefined ? defaults.color : watermark.color),
+  };
+};
+
+/**
+ * Validate the pre-sign transforms of a signing request.
+ * Accepts the JSON text of multipart requests or an already parsed object.
+ * @param {string|object} value - { fields, watermarks, flatten, metadata }
+ * @param {Buffer} [watermarkImage] - PNG or JPEG used by image watermarks
+ * @returns {object|undefined} Normalized transforms, undefined when none were requested
+ */
+const parseTransforms = (value, watermarkImage) => {
+  if (value === undefined || value === '') return undefined;
+
+  let transforms = value;
+  if (typeof value === 'string') {
+    try {
+      transforms = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid transforms JSON: ${error.message}`);
+    }
+  }
+  if (!transforms || typeof transforms !== 'object' || Array.isArray(transforms)) {
+    throw new Error('Transforms must be a JSON object');
+  }
+  const unknown = Object.keys(transforms).filter((key) => !['fields', 'watermarks', 'flatten', 'metadata'].includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown transform "${unknown[0]}" (expected fields, watermarks, flatten or metadata)`);
+  }
+
+  const result = {};
+  if (transforms.fields !== undefined) {
+    if (!transforms.fields || typeof transforms.fields !== 'object' || Array.isArray(transforms.fields)) {
+      throw new Error('Transform "fields" must map field names to values');
+    }
+    result.fields = transforms.fields;
+  }
+  if (transforms.watermarks !== undefined) {
+    if (!Array.isArray(transforms.watermarks)) {
+      throw new Error('Transform "watermarks" must be a list');
+    }
+    result.watermarks = transforms.watermarks.map((watermark, index) => parseWatermark(watermark, index, watermarkImage));
+  }
+  if (transforms.flatten !== undefined && String(transforms.flatten) !== 'false') {
+    result.flatten = true;
+  }
+  if (transforms.metadata !== undefined) {
+    const metadata = transforms.metadata || {};
+    const unknownKey = Object.keys(metadata).find((key) => !METADATA_KEYS.includes(key));
+    if (unknownKey) {
+      throw new Error(`Unknown metadata entry "${unknownKey}" (expected ${METADATA_KEYS.join(', ')})`);
+    }
+    result.metadata = metadata;
+  }
+  return Object.keys(result).length > 0 ? result : undefined;
+};
+
+/**
+ * Set AcroForm field values by fully qualified name. Signature fields and
+ * push buttons cannot be filled.
+ */
+const fillFields = (form, values) => {
+  Object.entries(values).forEach(([name, value]) => {
+    const field = form.getFieldMaybe(name);
+    if (!field) {
+      throw codedError(`Form field "${name}" not found`, 'INVALID_OPTIONS');
+    }
+
+    try {
+      if (field instanceof PDFTextField) {
+        field.setText(value === null ? undefined : String(value));
+      } else if (field instanceof PDFCheckBox) {
+        if (value === true || value === 'true') field.check();
+        else if (value === false || value === 'false') field.uncheck();
+        else throw codedError(`Checkbox "${name}" takes true or false`, 'INVALID_OPTIONS');
+      } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+        // pdf-lib would make the field editable to accept an unknown option
+        const selected = Array.isArray(value) ? value.map(String) : [String(value)];
+        const unknown = selected.find((option) => !field.getOptions().includes(option));
+        if (unknown !== undefined && !(field instanceof PDFDropdown && field.isEditable())) {
+          throw codedError(`"${unknown}" is not an option of form field "${name}"`, 'INVALID_OPTIONS');
+        }
+        field.select(Array.isArray(value) ? selected : selected[0]);
+      } else if (field instanceof PDFRadioGroup) {
+        field.select(String(value));
+      } else {
+        throw codedError(`Form field "${name}" cannot be filled`, 'INVALID_OPTIONS');
+      }
+    } catch (error) {
+      // pdf-lib refuses values the field does not allow: too long, or not one of its options
+      if (error.code) throw error;
+      throw codedError(`Form field "${name}" cannot take this value: ${error.message}`, 'INVALID_OPTIONS');
+    }
+  });
+  try {
+    form.updateFieldAppearances();
+  } catch (error) {
+    // e.g. characters the standard font of the fields cannot encode
+    throw codedError(`Form fields cannot be drawn with these values: ${error.message}`, 'INVALID_OPTIONS');
+  }
+};
+
+/**
+ * Draw the appearance of every field except signature fields into its page
+ * and remove the field. Signature fields stay so they can still be signed.
+ */
+const flattenForm = (form) => {
+  form.updateFieldAppearances();
+  form.getFields()
+    .filter((field) => !(field instanceof PDFSignature))
+    .forEach((field) => {
+      field.acroField.getWidgets().forEach((widget) => {
+        const page = form.findWidgetPage(widget);
+        const appearanceRef = form.findWidgetAppearanceRef(field, widget);
+        const name = page.node.newXObject('FlatWidget', appearanceRef);
+        const rectangle = widget.getRectangle();
+        page.pushOperators(
+          pushGraphicsState(),
+          translate(rectangle.x, rectangle.y),
+          drawObject(name),
+          popGraphicsState()
+        );
+      });
+      form.removeField(field);
+    });
+};
+
+/**
+ * Place a box of the given size so its center is at (cx, cy) after rotating
+ * it about its origin. Returns the origin to draw at.
+ */
+const centerRotated = (cx, cy, width, height, rotate) => {
+  const angle = (rotate * Math.PI) / 180;
+  return {
+    x: cx - ((width / 2) * Math.cos(angle) - (height / 2) * Math.sin(angle)),
+    y: cy - ((width / 2) * Math.sin(angle) + (height / 2) * Math.cos(angle)),
+  };
+};
+
+/**
+ * Draw watermarks over the page content, centered unless x/y are given
+ */
+const drawWatermarks = async (pdfDoc, watermarks) => {
+  const pages = pdfDoc.getPages();
+  let font;
+  const images = new Map();
+
+  for (const watermark of watermarks) {
+    const targets = watermark.pages || pages.map((page, index) => index);
+    const missing = targets.find((index) => !pages[index]);
+    if (missing !== undefined) {
+      throw codedError(`Watermark page ${missing} does not exist (document has ${pages.length} pages)`, 'INVALID_OPTIONS');
+    }
+
+    if (watermark.type === 'text') {
+      font = font || await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+      const text = sanitizeLine(font, watermark.text);
+      const width = font.widthOfTextAtSize(text, watermark.size);
+      const height = font.heightAtSize(watermark.size, { descender: false });
+      targets.forEach((index) => {
+        const page = pages[index];
+        const { width: pageWidth, height: pageHeight } = page.getSize();
+        const origin = centerRotated(pageWidth / 2, pageHeight / 2, width, height, watermark.rotate);
+        page.drawText(text, {
+          x: watermark.x === undefined ? origin.x : watermark.x,
+          y: watermark.y === undefined ? origin.y : watermark.y,
+          size: watermark.size,
+          font,
+          color: watermark.color,
+          opacity: watermark.opacity,
+          rotate: degrees(watermark.rotate),
+        });
+      });
+    } else {
+      if (!images.has(watermark.image)) {
+        images.set(watermark.image, await embedImage(pdfDoc, watermark.image));
+      }
+      const image = images.get(watermark.image);
+      targets.forEach((index) => {
+        const page = pages[index];
+        const { width: pageWidth, height: pageHeight } = page.getSize();
+        const width = watermark.width || pageWidth / 2;
+        const height = (image.height / image.width) * width;
+        const origin = centerRotated(pageWidth / 2, pageHeight / 2, width, height, watermark.rotate);
+        page.drawImage(image, {
+          x: watermark.x === undefined ? origin.x : watermark.x,
+          y: watermark.y === undefined ? origin.y : watermark.y,
+          width,
+          height,
+          opacity: watermark.opacity,
+          rotate: degrees(watermark.rotate),
+        });
+      });
+    }
+  }
+};
+
+/**
+ * Update the document information dictionary
+ */
+const updateMetadata = (pdfDoc, metadata) => {
+  if (metadata.title !== undefined) pdfDoc.setTitle(String(metadata.title));
+  if (metadata.author !== undefined) pdfDoc.setAuthor(String(metadata.author));
+  if (metadata.subject !== undefined) pdfDoc.setSubject(String(metadata.subject));
+  if (metadata.keywords !== undefined) {
+    const keywords = Array.isArray(metadata.keywords)
+      ? metadata.keywords.map(String)
+      : String(metadata.keywords).split(',').map((keyword) => keyword.trim()).filter(Boolean);
+    pdfDoc.setKeywords(keywords);
+  }
+  pdfDoc.setModificationDate(new Date());
+};
+
+/**
+ * Apply pre-sign transforms to a loaded document, in a fixed order: fill
+ * fields, flatten, draw watermarks (on top of the flattened fields), then
+ * update metadata.
+ * @param {PDFDocument} pdfDoc
+ * @param {object} transforms - Output of parseTransforms()
+ */
+const applyTransforms = async (pdfDoc, transforms) => {
+  if (transforms.fields && Object.keys(transforms.fields).length > 0) {
+    fillFields(pdfDoc.getForm(), transforms.fields);
+  }
+  if (transforms.flatten) {
+    flattenForm(pdfDoc.getForm());
+  }
+  if (transforms.watermarks && transforms.watermarks.length > 0) {
+    await drawWatermarks(pdfDoc, transforms.watermarks);
+  }
+  if (transforms.metadata) {
+    updateMetadata(pdfDoc, transforms.metadata);
+  }
+};
+
+module.exports = {
+  parseTransforms,
+  applyTransforms,
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFString,
+  PDFRawStream,
+  decodePDFRawStream,
+} = require('pdf-lib');
+const { IncrementalWriter } = require('./incrementalWriter');
+const { loadPdf } = require('./pdfEncryption');
+
+/**
+ * Key of a signature in the DSS VRI dictionary: upper-case hex SHA-1 of the
+ * bytes of its /Contents (ISO 32000-2 12.8.4.4)
+ * @param {Buffer} contents - Decoded /Contents value, padding included
+ */
+const vriKey = (contents) => crypto.createHash('sha1').update(contents).digest('hex').toUpperCase();
+
+/**
+ * Read the raw bytes of every stream in a DSS array
+ */
+const readStreams = (array) => {
+  if (!array) return [];
+  return array.asArray()
+    .map((ref) => array.context.lookup(ref))
+    .filter((stream) => stream instanceof PDFRawStream)
+    .map((stream) => Buffer.from(decodePDFRawStream(stream).decode()));
+};
+
+/**
+ * Read the Document Security Store (PAdES / ISO 32000-2 12.8.4.3) of a document
+ * @param {PDFDocument} pdfDoc
+ * @returns {{ certificates: Buffer[], crls: Buffer[], ocsps: Buffer[] }|null}
+ */
+const readDss = (pdfDoc) => {
+  const dss = pdfDoc.catalog.lookupMaybe(PDFName.of('DSS'), PDFDict);
+  if (!dss) return null;
+
+  return {
+    certificates: readStreams(dss.lookupMaybe(PDFName.of('Certs'), PDFArray)),
+    crls: readStreams(dss.lookupMaybe(PDFName.of('CRLs'), PDFArray)),
+    ocsps: readStreams(dss.lookupMaybe(PDFName.of('OCSPs'), PDFArray)),
+    vri: dss.lookupMaybe(PDFName.of('VRI'), PDFDict)
+      ? dss.lookup(PDFName.of('VRI'), PDFDict).keys().map((key) => key.decodeText())
+      : [],
+  };
+};
+
+class DssWriter {
+  /**
+   * Add validation data to the DSS of a signed PDF as an incremental update
+   * @param {Buffer} pdfBuffer - Signed PDF
+   * @param {object} data - { certificates, crls, ocsps, vri } DER buffers
+   *   vri: [{ key, certificates, crls, ocsps }] data used for each signature,
+   *   by vriKey(). Listed in the DSS arrays too.
+   * @param {object} [options] - { encryption } handler of an encrypted document, see loadPdf()
+   * @returns {Promise<Buffer>} PDF with the update appended
+   */
+  async addValidationData(pdfBuffer, { certificates = [], crls = [], ocsps = [], vri = [] }, options = {}) {
+    const { pdfDoc, encryption } = await loadPdf(pdfBuffer, { encryption: options.encryption });
+    const writer = new IncrementalWriter(pdfBuffer, pdfDoc, { encryption });
+    const { context } = pdfDoc;
+
+    let dss = pdfDoc.catalog.lookupMaybe(PDFName.of('DSS'), PDFDict);
+    if (!dss) {
+      dss = context.obj({});
+      pdfDoc.catalog.set(PDFName.of('DSS'), context.register(dss));
+    }
+
+    const all = (key) => [].concat(...vri.map((entry) => entry[key] || []));
+    const certRefs = this.appendStreams(pdfDoc, dss, 'Certs', certificates.concat(all('certificates')));
+    const crlRefs = this.appendStreams(pdfDoc, dss, 'CRLs', crls.concat(all('crls')));
+    const ocspRefs = this.appendStreams(pdfDoc, dss, 'OCSPs', ocsps.concat(all('ocsps')));
+
+    if (vri.length > 0) {
+      let vriDict = dss.lookupMaybe(PDFName.of('VRI'), PDFDict);
+      if (!vriDict) {
+        vriDict = context.obj({});
+        dss.set(PDFName.of('VRI'), vriDict);
+      }
+      const refsOf = (refs, buffers = []) => context.obj(buffers.map((buffer) => refs.get(buffer.toString('base64'))));
+      vri.forEach((entry) => {
+        const signatureData = context.obj({});
+        if (entry.certificates && entry.certificates.length > 0) {
+          signatureData.set(PDFName.of('Cert'), refsOf(certRefs, entry.certificates));
+        }
+        if (entry.crls && entry.crls.length > 0) {
+          signatureData.set(PDFName.of('CRL'), refsOf(crlRefs, entry.crls));
+        }
+        if (entry.ocsps && entry.ocsps.length > 0) {
+          signatureData.set(PDFName.of('OCSP'), refsOf(ocspRefs, entry.ocsps));
+        }
+        signatureData.set(PDFName.of('TU'), PDFString.fromDate(new Date()));
+        vriDict.set(PDFName.of(entry.key), signatureData);
+      });
+    }
+
+    return writer.write();
+  }
+
+  /**
+   * Append each buffer not already stored to a DSS array as a stream
+   * @returns {Map<string, PDFRef>} Stream of each buffer (stored or added), by base64 content
+   */
+  appendStreams(pdfDoc, dss, key, buffers) {
+    const refs = new Map();
+    if (buffers.length === 0) return refs;
+
+    let array = dss.lookupMaybe(PDFName.of(key), PDFArray);
+    if (!array) {
+      array = pdfDoc.context.obj([]);
+      dss.set(PDFName.of(key), array);
+    }
+
+    array.asArray().forEach((ref) => {
+      const stream = pdfDoc.context.lookup(ref);
+      if (stream instanceof PDFRawStream) {
+        refs.set(Buffer.from(decodePDFRawStream(stream).decode()).toString('base64'), ref);
+      }
+    });
+    buffers.forEach((buffer) => {
+      const id = buffer.toString('base64');
+      if (refs.has(id)) return;
+      const ref = pdfDoc.context.register(pdfDoc.context.flateStream(buffer));
+      array.push(ref);
+      refs.set(id, ref);
+    });
+    return refs;
+  }
+}
+
+module.exports = { DssWriter, readDss, vriKey };
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+
+/**
+ * Serialize a pdf-lib object to its raw bytes
+ */
+const serializeObject = (object) => {
+  const bytes = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(bytes, 0);
+  return Buffer.from(bytes);
+};
+
+const hashObject = (object) => crypto.createHash('sha1').update(serializeObject(object)).digest('hex');
+
+/**
+ * Appends the changes made to a pdf-lib document as an incremental update.
+ *
+ * The original bytes are left untouched so signatures over earlier revisions
+ * stay valid. Usage: create the writer right after loading the document (it
+ * snapshots every object), modify the document, then call write().
+ */
+class IncrementalWriter {
+  /**
+   * @param {Buffer} originalBuffer - Bytes the document was loaded from
+   * @param {PDFDocument} pdfDoc - Document loaded from originalBuffer
+   * @param {object} [options] - { encryption }
+   *   encryption: security handler of an encrypted document, see loadPdf()
+   */
+  constructor(originalBuffer, pdfDoc, options = {}) {
+    this.originalBuffer = originalBuffer;
+    this.pdfDoc = pdfDoc;
+    this.encryption = options.encryption || null;
+    this.snapshot = new Map();
+
+    pdfDoc.context.enumerateIndirectObjects().forEach(([ref, object]) => {
+      this.snapshot.set(ref, hashObject(object));
+    });
+
+    // pdf-lib drops cross-reference streams: keep new objects from reusing their numbers
+    const size = this.findPreviousSize();
+    if (size > pdfDoc.context.largestObjectNumber + 1) {
+      pdfDoc.context.largestObjectNumber = size - 1;
+    }
+  }
+
+  /**
+   * /Size of the last trailer of the original file, 0 when it cannot be read
+   */
+  findPreviousSize() {
+    try {
+      const previousXref = this.findPreviousXref();
+      // A cross-reference stream starts with its dictionary, a table ends with the trailer
+      const text = this.usesXrefStream(previousXref)
+        ? this.originalBuffer.toString('latin1', previousXref, previousXref + 1024)
+        : this.originalBuffer.toString('latin1', Math.max(previousXref, this.originalBuffer.length - 2048));
+      const match = text.match(/\/Size\s+(\d+)/);
+      return match ? Number(match[1]) : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Offset of the last cross-reference section of the original file
+   */
+  findPreviousXref() {
+    const tail = this.originalBuffer.toString('latin1', Math.max(0, this.originalBuffer.length - 2048));
+    const matches = [...tail.matchAll(/startxref\s+(\d+)/g)];
+    if (matches.length === 0) {
+      throw new Error('Cannot find startxref in original document');
+    }
+    return Number(matches[matches.length - 1][1]);
+  }
+
+  /**
+   * Whether the original file uses a cross-reference stream rather than a table
+   */
+  usesXrefStream(previousXref) {
+    return !this.originalBuffer.toString('latin1', previousXref, previousXref + 4).startsWith('xref');
+  }
+
+  /**
+   * Objects added or modified since the writer was created
+   */
+  collectChangedObjects() {
+    return this.pdfDoc.context.enumerateIndirectObjects()
+      .filter(([ref, object]) => this.snapshot.get(ref) !== hashObject(object))
+      .sort(([a], [b]) => a.objectNumber - b.objectNumber);
+  }
+
+  /**
+   * Build the trailer entries shared by both cross-reference formats
+   */
+  trailerEntries(size, previousXref) {
+    const { Root, Info, ID, Encrypt } = this.pdfDoc.context.trailerInfo;
+    const entries = [`/Size ${size}`, `/Root ${Root}`];
+    if (Info) entries.push(`/Info ${Info}`);
+    if (Encrypt) entries.push(`/Encrypt ${Encrypt}`);
+    if (ID) entries.push(`/ID ${ID}`);
+    entries.push(`/Prev ${previousXref}`);
+    return entries.join(' ');
+  }
+
+  /**
+   * Group sorted object numbers into contiguous xref subsections
+   */
+  subsections(entries) {
+    const sections = [];
+    entries.forEach((entry) => {
+      const current = sections[sections.length - 1];
+      if (current && current.start + current.entries.length === entry.objectNumber) {
+        current.entries.push(entry);
+      } else {
+        sections.push({ start: entry.objectNumber, entries: [entry] });
+      }
+    });
+    return sections;
+  }
+
+  /**
+   * Append the changed objects, a cross-reference section and a trailer
+   * @returns {Promise<Buffer>} Original bytes followed by the update
+   */
+  async write() {
+    await this.pdfDoc.flush();
+
+    const previousXref = this.findPreviousXref();
+    const changed = this.collectChangedObjects();
+    const chunks = [this.originalBuffer];
+    let offset = this.originalBuffer.length;
+
+    const push = (chunk) => {
+      const buffer = typeof chunk === 'string' ? Buffer.from(chunk, 'latin1') : chunk;
+      chunks.push(buffer);
+      offset += buffer.length;
+    };
+
+    if (this.originalBuffer[this.originalBuffer.length - 1] !== 0x0a) {
+      push('\n');
+    }
+
+    const xrefEntries = changed.map(([ref, object]) => {
+      const entry = { objectNumber: ref.objectNumber, generation: ref.generationNumber, offset };
+      push(`${ref.objectNumber} ${ref.generationNumber} obj\n`);
+      push(serializeObject(this.encryption ? this.encryption.encryptObject(ref, object, this.pdfDoc.context) : object));
+      push('\nendobj\n');
+      return entry;
+    });
+
+    const size = Math.max(
+      this.pdfDoc.context.largestObjectNumber + 1,
+      ...xrefEntries.map((entry) => entry.objectNumber + 1)
+    );
+
+    if (this.usesXrefStream(previousXref)) {
+      this.writeXrefStream(push, () => offset, xrefEntries, size, previousXref);
+    } else {
+      this.writeXrefTable(push, () => offset, xrefEntries, size, previousXref);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  writeXrefTable(push, currentOffset, xrefEntries, size, previousXref) {
+    const xrefOffset = currentOffset();
+    push('xref\n');
+    this.subsections(xrefEntries).forEach(({ start, entries }) => {
+      push(`${start} ${entries.length}\n`);
+      entries.forEach((entry) => {
+        push(`${String(entry.offset).padStart(10, '0')} ${String(entry.generation).padStart(5, '0')} n\r\n`);
+      });
+    });
+    push(`trailer\n<< ${this.trailerEntries(size, previousXref)} >>\n`);
+    push(`startxref\n${xrefOffset}\n%%EOF\n`);
+  }
+
+  writeXrefStream(push, currentOffset, xrefEntries, size, previousXref) {
+    const streamObjectNumber = size;
+    const xrefOffset = currentOffset();
+    const entries = [
+      ...xrefEntries,
+      { objectNumber: streamObjectNumber, generation: 0, offset: xrefOffset },
+    ];
+
+    // Type 1 entries: [type (1 byte), offset (4 bytes), generation (2 bytes)]
+    const data = Buffer.alloc(entries.length * 7);
+    entries.forEach((entry, index) => {
+      data.writeUInt8(1, index * 7);
+      data.writeUInt32BE(entry.offset, index * 7 + 1);
+      data.writeUInt16BE(entry.generation, index * 7 + 5);
+    });
+
+    const index = this.subsections(entries)
+      .map(({ start, entries: section }) => `${start} ${section.length}`)
+      .join(' ');
+    const trailer = this.trailerEntries(size + 1, previousXref);
+
+    push(`${streamObjectNumber} 0 obj\n`);
+    push(`<< /Type /XRef ${trailer} /W [1 4 2] /Index [${index}] /Length ${data.length} >>\nstream\n`);
+    push(data);
+    push('\nendstream\nendobj\n');
+    push(`startxref\n${xrefOffset}\n%%EOF\n`);
+  }
+}
+
+module.exports = { IncrementalWriter, serializeObject };
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { request } = require('../utils/http');
+const { isPrivateAddress, publicLookup } = require('../utils/network');
+const { codedError } = require('../utils/errors');
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Delays before each webhook delivery attempt
+const WEBHOOK_RETRY_DELAYS = [0, 5000, 30000, 120000];
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", hex encoded
+ */
+const signWebhook = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Signing jobs run in the background, a few at a time. Each job is kept in
+ * the jobs directory as <id>.json with its input (<id>.pdf, <id>.image, <id>.watermark) and
+ * output (<id>.signed.pdf) next to it, so queued jobs survive a restart.
+ */
+class JobQueue {
+  /**
+   * @param {object} options - { dir, concurrency, maxQueued, retentionMs, webhookSecret, webhookTimeout, webhookAllowedHosts, processor }
+   *   maxQueued: most jobs waiting to run, further jobs are refused with QUEUE_FULL
+   *   webhookAllowedHosts: callback hosts accepted even on private addresses
+   *   processor: async (job, { pdf, image, watermarkImage }) => Buffer, the signed document
+   */
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.concurrency = options.concurrency || 2;
+    this.maxQueued = options.maxQueued || 100;
+    this.retentionMs = options.retentionMs || 24 * 60 * 60 * 1000;
+    this.webhookSecret = options.webhookSecret || null;
+    this.webhookTimeout = options.webhookTimeout || 10000;
+    this.webhookAllowedHosts = (options.webhookAllowedHosts || []).map((host) => host.toLowerCase());
+    this.processor = options.processor;
+    this.jobs = new Map();
+    this.running = 0;
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Load persisted jobs and start processing. Jobs interrupted by a
+   * shutdown are queued again; undelivered webhooks are retried.
+   * @returns {{ queued: number, total: number }}
+   */
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+
+    fs.readdirSync(this.dir)
+      .filter((name) => name.endsWith('.json'))
+      .forEach((name) => {
+        try {
+          const job = JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8'));
+          if (job.status === 'running') {
+            job.status = 'queued';
+            job.startedAt = null;
+          }
+          this.jobs.set(job.id, job);
+        } catch (error) {
+          console.warn(`! Skipping unreadable job file ${name}: ${error.message}`);
+        }
+      });
+
+    this.purge();
+    this.jobs.forEach((job) => {
+      if (job.callback && !job.callback.delivered && job.finishedAt && job.callback.attempts < WEBHOOK_RETRY_DELAYS.length) {
+        this.notify(job);
+      }
+    });
+
+    this.cleanupTimer = setInterval(() => this.purge(), Math.min(this.retentionMs, 10 * 60 * 1000));
+    this.cleanupTimer.unref();
+
+    const { queued } = this;
+    this.pump();
+    return { queued, total: this.jobs.size };
+  }
+
+  close() {
+    clearInterval(this.cleanupTimer);
+  }
+
+  filePath(id, suffix) {
+    return path.join(this.dir, `${id}${suffix}`);
+  }
+
+  save(job) {
+    const target = this.filePath(job.id, '.json');
+    const tempPath = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify(job, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(tempPath, target);
+  }
+
+  get queued() {
+    return [...this.jobs.values()].filter((job) => job.status === 'queued').length;
+  }
+
+  /**
+   * Throw QUEUE_FULL (status 503) when no more jobs can be queued
+   */
+  assertCapacity() {
+    if (this.queued >= this.maxQueued) {
+      throw codedError(`Job queue is full (${this.queued} jobs waiting)`, 'QUEUE_FULL', { status: 503, retryAfter: 60 });
+    }
+  }
+
+  /**
+   * Check a callback URL. Loopback, private and link-local hosts are refused
+   * unless listed in webhookAllowedHosts; names are checked again when they
+   * are resolved for each delivery.
+   * @returns {Function|undefined} lookup to connect with
+   */
+  checkCallbackUrl(callbackUrl) {
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      throw codedError(`Invalid callback URL: ${callbackUrl}`, 'INVALID_OPTIONS');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw codedError('Callback URL must use http or https', 'INVALID_OPTIONS');
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+    if (this.webhookAllowedHosts.includes(host)) {
+      return undefined;
+    }
+    if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+      throw codedError(`Callback URL must not point at a private address: ${url.hostname} (see WEBHOOK_ALLOWED_HOSTS)`, 'INVALID_OPTIONS');
+    }
+    return publicLookup;
+  }
+
+  /**
+   * Queue a signing job. Throws QUEUE_FULL, or INVALID_OPTIONS for a callback URL
+   * that is refused; other errors are failures to write the job files.
+   * @param {object} params - { clientId, name, pdf, image, watermarkImage, signer, fields, callbackUrl }
+   *   fields: signing options as received, replayed by the processor
+   * @returns {object} The job
+   */
+  create(params) {
+    this.assertCapacity();
+    if (params.callbackUrl) {
+      if (!this.webhookSecret) {
+        throw codedError('Webhook callbacks are not configured (set WEBHOOK_SECRET)', 'INVALID_OPTIONS');
+      }
+      this.checkCallbackUrl(params.callbackUrl);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      clientId: params.clientId,
+      status: 'queued',
+      name: params.name,
+      signer: params.signer,
+      fields: params.fields,
+      hasImage: Boolean(params.image),
+      hasWatermarkImage: Boolean(params.watermarkImage),
+      inputSha256: sha256(params.pdf),
+      outputSha256: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      callback: params.callbackUrl
+        ? { url: params.callbackUrl, delivered: false, attempts: 0, lastError: null }
+        : null
+    };
+
+    fs.writeFileSync(this.filePath(job.id, '.pdf'), params.pdf, { mode: 0o600 });
+    if (params.image) {
+      fs.writeFileSync(this.filePath(job.id, '.image'), params.image, { mode: 0o600 });
+    }
+    if (params.watermarkImage) {
+      fs.writeFileSync(this.filePath(job.id, '.watermark'), params.watermarkImage, { mode: 0o600 });
+    }
+    this.save(job);
+    this.jobs.set(job.id, job);
+    this.pump();
+    return job;
+  }
+
+  /**
+   * Job by id, or null when unknown or expired
+   */
+  get(id) {
+    return (JOB_ID_PATTERN.test(String(id)) && this.jobs.get(id)) || null;
+  }
+
+  /**
+   * Signed document of a finished job
+   */
+  readResult(job) {
+    return fs.readFileSync(this.filePath(job.id, '.signed.pdf'));
+  }
+
+  /**
+   * Job fields exposed to clients and webhooks
+   */
+  describe(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      name: job.name,
+      signer: job.signer,
+      inputSha256: job.inputSha256,
+      outputSha256: job.outputSha256,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      expiresAt: job.finishedAt ? new Date(Date.parse(job.finishedAt) + this.retentionMs).toISOString() : null,
+      resultUrl: job.status === 'done' ? `/api/jobs/${job.id}/result` : null,
+      callback: job.callback && { url: job.callback.url, delivered: job.callback.delivered, attempts: job.callback.attempts }
+    };
+  }
+
+  /**
+   * Start queued jobs, oldest first, up to the concurrency limit
+   */
+  pump() {
+    const queued = [...this.jobs.values()]
+      .filter((job) => job.status === 'queued')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    while (this.running < this.concurrency && queued.length > 0) {
+      const job = queued.shift();
+      this.run(job).catch((error) => {
+        console.error(`✗ Failed to record job ${job.id}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Sign a job. Rejects when the job file cannot be written; the job then
+   * fails in memory and its slot is freed all the same.
+   */
+  async run(job) {
+    this.running++;
+    try {
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      this.save(job);
+
+      try {
+        const pdf = fs.readFileSync(this.filePath(job.id, '.pdf'));
+        const image = job.hasImage ? fs.readFileSync(this.filePath(job.id, '.image')) : undefined;
+        const watermarkImage = job.hasWatermarkImage ? fs.readFileSync(this.filePath(job.id, '.watermark')) : undefined;
+        const output = await this.processor(job, { pdf, image, watermarkImage });
+        fs.writeFileSync(this.filePath(job.id, '.signed.pdf'), output, { mode: 0o600 });
+        job.status = 'done';
+        job.outputSha256 = sha256(output);
+      } catch (error) {
+        job.status = 'failed';
+        job.error = error.message;
+      }
+
+      job.finishedAt = new Date().toISOString();
+      this.removeInputs(job);
+      this.save(job);
+    } catch (error) {
+      Object.assign(job, {
+        status: 'failed',
+        error: `Failed to record job: ${error.message}`,
+        finishedAt: job.finishedAt || new Date().toISOString()
+      });
+      throw error;
+    } finally {
+      this.running--;
+      this.pump();
+    }
+
+    if (job.callback) {
+      this.notify(job);
+    }
+  }
+
+  removeInputs(job) {
+    ['.pdf', '.image', '.watermark'].map((suffix) => this.filePath(job.id, suffix)).forEach((file) => {
+      fs.rm(file, { force: true }, () => {});
+    });
+  }
+
+  /**
+   * POST the finished job to its callback URL, retrying with backoff.
+   * Receivers check X-Webhook-Signature against "<X-Webhook-Timestamp>.<body>".
+   */
+  async notify(job) {
+    const callback = job.callback;
+    while (!callback.delivered && callback.attempts < WEBHOOK_RETRY_DELAYS.length) {
+      await new Promise((resolve) => setTimeout(resolve, WEBHOOK_RETRY_DELAYS[callback.attempts]));
+      if (!this.jobs.has(job.id)) return;
+
+      const body = JSON.stringify({ event: `job.${job.status}`, job: this.describe(job) });
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      callback.attempts++;
+      try {
+        const lookup = this.checkCallbackUrl(callback.url);
+        const response = await request(callback.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Job-Id': job.id,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${signWebhook(this.webhookSecret, timestamp, body)}`
+          },
+          body: Buffer.from(body),
+          timeout: this.webhookTimeout,
+          lookup
+        });
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          throw new Error(`HTTP ${response.statusCode}`);
+        }
+        callback.delivered = true;
+        callback.lastError = null;
+      } catch (error) {
+        callback.lastError = error.message;
+        console.warn(`! Webhook for job ${job.id} failed (attempt ${callback.attempts}): ${error.message}`);
+      }
+      try {
+        if (this.jobs.has(job.id)) this.save(job);
+      } catch (error) {
+        console.warn(`! Failed to record webhook delivery of job ${job.id}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Delete finished jobs older than the retention period
+   */
+  purge() {
+    const cutoff = Date.now() - this.retentionMs;
+    this.jobs.forEach((job) => {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(job.id);
+        ['.json', '.pdf', '.image', '.watermark', '.signed.pdf'].forEach((suffix) => {
+          fs.rm(this.filePath(job.id, suffix), { force: true }, () => {});
+        });
+      }
+    });
+  }
+}
+
+module.exports = {
+  JobQueue,
+  signWebhook,
+};
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PdfSigner } = require('./pdfSigner');
+const { createBackend } = require('./signerBackends');
+
+// Identity used when a request names no signer and none is configured
+const DEFAULT_CERT_ID = 'signing-cert';
+const RELOAD_DELAY = 500;
+const ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Environment variable holding the passphrase of a keystore found in a directory
+ */
+const passphraseEnvFor = (id) => `CERT_PASSPHRASE_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+
+// Backend options holding file paths, resolved against the config file directory
+const PATH_OPTIONS = ['path', 'keyPath', 'certPath', 'chainPath', 'library', 'adapter'];
+
+/**
+ * Hash of an identity's configuration and the files its backend reads
+ */
+const sourceHash = (source, files) => {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(source));
+  files.forEach((file) => hash.update(fs.readFileSync(file)));
+  return hash.digest('hex');
+};
+
+/**
+ * Named signing identities (one PdfSigner per identity), loaded from a
+ * config file, a single CERT_PATH keystore or every *.p12 of a directory,
+ * and reloaded when their files change on disk. Config file identities can
+ * use any signer backend; the others are P12 keystores.
+ */
+class KeystoreRegistry {
+  /**
+   * @param {object} options
+   *   configPath: JSON file { default, identities: [{ id, type, ...backend options }] }
+   *     type 'p12' (default): path, passphrase | passphraseEnv | passphraseFile
+   *     type 'pem': keyPath, certPath, chainPath, passphrase | passphraseEnv | passphraseFile
+   *     type 'pkcs11': library, slot | tokenLabel, keyLabel | keyId, pin | pinEnv | pinFile, certPath, chainPath
+   *     type 'remote': url | adapter, keyId, certPath, chainPath, headers, tokenEnv, timeout
+   *   certPath: single keystore, registered under certId (defaults to its file name)
+   *   certDir: directory scanned for <id>.p12 keystores when neither of the above is given
+   *   defaultId: identity used when a request names none
+   *   signerOptions: options passed to every PdfSigner (tsaClient, revocationSource)
+   */
+  constructor(options = {}) {
+    this.configPath = options.configPath || null;
+    this.certPath = options.certPath || null;
+    this.certId = options.certId || null;
+    this.certDir = options.certDir || null;
+    this.defaultId = options.defaultId || null;
+    this.configDefaultId = null;
+    this.signerOptions = options.signerOptions || {};
+    this.entries = new Map();
+    this.watchers = [];
+    this.reloadTimer = null;
+    this.reloading = null;
+  }
+
+  /**
+   * Load every identity. Any identity that cannot be used is an error at startup.
+   */
+  async load() {
+    const errors = await this.reload();
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    if (this.entries.size === 0) {
+      throw new Error('No signing certificate found');
+    }
+    this.getDefaultId();
+    return this;
+  }
+
+  /**
+   * Describe the identities the configuration points at
+   * @returns {object[]} Backend configurations with their id: { id, type, ...options }
+   */
+  readSources() {
+    if (this.configPath) {
+      const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+      const baseDir = path.dirname(this.configPath);
+      this.configDefaultId = config.default || null;
+      return (config.identities || []).map((identity) => this.resolveIdentity(identity, baseDir));
+    }
+
+    if (this.certPath) {
+      const id = this.certId || path.basename(this.certPath, path.extname(this.certPath));
+      return [{ id, type: 'p12', path: this.certPath, passphrase: this.resolvePassphrase({ id }) }];
+    }
+
+    if (!fs.existsSync(this.certDir)) return [];
+    return fs.readdirSync(this.certDir)
+      .filter((file) => file.toLowerCase().endsWith('.p12'))
+      .sort()
+      .map((file) => {
+        const id = path.basename(file, path.extname(file));
+        const passphraseFile = path.join(this.certDir, `${id}.passphrase`);
+        return {
+          id,
+          type: 'p12',
+          path: path.join(this.certDir, file),
+          passphrase: this.resolvePassphrase({
+            id,
+            passphraseFile: fs.existsSync(passphraseFile) ? passphraseFile : undefined,
+          }),
+        };
+      });
+  }
+
+  /**
+   * Backend configuration of a config file identity, with paths made absolute
+   * and secrets read from where they are kept
+   */
+  resolveIdentity(identity, baseDir) {
+    const { passphraseEnv, passphraseFile, pinEnv, pinFile, tokenEnv, ...source } = identity;
+    source.type = identity.type || 'p12';
+    PATH_OPTIONS.forEach((option) => {
+      if (source[option]) source[option] = path.resolve(baseDir, source[option]);
+    });
+
+    if (source.type === 'p12' || source.type === 'pem') {
+      source.passphrase = this.resolvePassphrase(identity, baseDir);
+    }
+    if (source.type === 'pkcs11' && source.pin === undefined) {
+      if (pinEnv) source.pin = process.env[pinEnv] || '';
+      if (pinFile) source.pin = fs.readFileSync(path.resolve(baseDir, pinFile), 'utf8').trim();
+    }
+    if (tokenEnv) {
+      source.headers = { ...source.headers, Authorization: `Bearer ${process.env[tokenEnv] || ''}` };
+    }
+    return source;
+  }
+
+  /**
+   * Passphrase of an identity: inline, from a named variable, from a file,
+   * from CERT_PASSPHRASE_<ID>, then CERT_PASSPHRASE
+   */
+  resolvePassphrase(identity, baseDir = '.') {
+    if (identity.passphrase !== undefined) return identity.passphrase;
+    if (identity.passphraseEnv) return process.env[identity.passphraseEnv] || '';
+    if (identity.passphraseFile) {
+      return fs.readFileSync(path.resolve(baseDir, identity.passphraseFile), 'utf8').trim();
+    }
+    return process.env[passphraseEnvFor(identity.id)] || process.env.CERT_PASSPHRASE || 'password';
+  }
+
+  /**
+   * Load new and changed identities and drop removed ones.
+   * An identity that fails to load keeps its previous version in service.
+   * @returns {Promise<string[]>} Load errors
+   */
+  async reload() {
+    const errors = [];
+    let sources;
+    try {
+      sources = this.readSources();
+    } catch (error) {
+      return [`Cannot read signer configuration: ${error.message}`];
+    }
+
+    const ids = new Set();
+    for (const source of sources) {
+      if (!ID_PATTERN.test(source.id || '') || ids.has(source.id)) {
+        errors.push(`Invalid or duplicate signer id "${source.id}"`);
+        continue;
+      }
+      ids.add(source.id);
+
+      const entry = this.entries.get(source.id);
+      let files = [];
+      try {
+        const backend = createBackend(source);
+        files = backend.files;
+        const hash = sourceHash(source, files);
+        if (entry && entry.signer && entry.hash === hash) {
+          // Back to the version in service after a failed change
+          entry.error = null;
+          continue;
+        }
+        const signer = await new PdfSigner(backend, { ...this.signerOptions, id: source.id }).loadCertificate();
+        this.entries.set(source.id, { signer, hash, files, error: null });
+        if (entry) {
+          if (entry.signer) entry.signer.close();
+          console.log(`✓ Reloaded signer "${source.id}"`);
+        }
+      } catch (error) {
+        // Keep filesystem locations out of messages served by GET /api/certs
+        const reason = files.reduce((text, file) => text.split(file).join(path.basename(file)), error.message);
+        const message = `Signer "${source.id}": ${reason}`;
+        errors.push(message);
+        this.entries.set(source.id, { ...(entry || { signer: null, hash: null, files }), error: message });
+      }
+    }
+
+    [...this.entries.keys()]
+      .filter((id) => !ids.has(id))
+      .forEach((id) => {
+        const { signer } = this.entries.get(id);
+        if (signer) signer.close();
+        this.entries.delete(id);
+        console.log(`✓ Removed signer "${id}"`);
+      });
+
+    return errors;
+  }
+
+  /**
+   * Identity used when a request names no signer
+   */
+  getDefaultId() {
+    const available = [...this.entries.keys()].filter((id) => this.entries.get(id).signer);
+    const configured = this.defaultId || this.configDefaultId;
+    if (configured) {
+      if (!available.includes(configured)) {
+        throw new Error(`Default signer "${configured}" is not available`);
+      }
+      return configured;
+    }
+    return available.includes(DEFAULT_CERT_ID) ? DEFAULT_CERT_ID : available[0] || null;
+  }
+
+  /**
+   * Signer for an identity
+   * @param {string} [id] - Identity id, the default one when omitted
+   * @returns {PdfSigner}
+   */
+  get(id) {
+    const signerId = id || this.getDefaultId();
+    const entry = this.entries.get(signerId);
+    if (!entry || !entry.signer) {
+      const error = new Error(`Unknown signer "${signerId}"`);
+      error.code = 'UNKNOWN_SIGNER';
+      throw error;
+    }
+    return entry.signer;
+  }
+
+  has(id) {
+    const entry = this.entries.get(id);
+    return Boolean(entry && entry.signer);
+  }
+
+  /**
+   * Summary of every identity for listings
+   */
+  async list() {
+    let defaultId = null;
+    try {
+      defaultId = this.getDefaultId();
+    } catch (error) {
+      // Reported through each entry's error
+    }
+
+    const entries = [...this.entries.entries()].sort(([a], [b]) => a.localeCompare(b));
+    return Promise.all(entries.map(async ([id, entry]) => {
+      const summary = { id, default: id === defaultId, loaded: Boolean(entry.signer), error: entry.error };
+      if (!entry.signer) return summary;
+
+      const info = await entry.signer.getCertificateInfo();
+      return {
+        ...summary,
+        subject: info.subject,
+        issuer: info.issuer,
+        notAfter: info.notAfter,
+        daysUntilExpiry: info.daysUntilExpiry,
+        expired: info.expired,
+        backend: info.backend,
+        keyAlgorithm: info.keyAlgorithm,
+        fingerprint256: info.fingerprint256,
+      };
+    }));
+  }
+
+  /**
+   * Readiness of every identity: loaded from files that can still be read,
+   * with a valid certificate and a key that signs (PdfSigner.selfTest)
+   * @param {object} [options] - Passed to selfTest: { maxAge }
+   * @returns {Promise<{ ready: boolean, signers: object[] }>}
+   */
+  async checkReadiness(options) {
+    const entries = [...this.entries.entries()].sort(([a], [b]) => a.localeCompare(b));
+    const signers = await Promise.all(entries.map(async ([id, entry]) => {
+      if (!entry.signer) return { id, ok: false, error: entry.error };
+      // A replaced keystore that cannot be opened leaves the previous version signing
+      const test = await entry.signer.selfTest(options);
+      return { id, ...test, ok: test.ok && !entry.error, error: entry.error || test.error };
+    }));
+    return { ready: signers.length > 0 && signers.every((signer) => signer.ok), signers };
+  }
+
+  /**
+   * Reload when keystores, certificates (or the config file) are added, replaced or removed
+   */
+  watch() {
+    const directories = new Set();
+    if (this.configPath) {
+      directories.add(path.dirname(path.resolve(this.configPath)));
+      this.entries.forEach((entry) => {
+        (entry.files || []).forEach((file) => directories.add(path.dirname(file)));
+      });
+    } else if (this.certPath) {
+      directories.add(path.dirname(path.resolve(this.certPath)));
+    } else if (this.certDir) {
+      directories.add(path.resolve(this.certDir));
+    }
+
+    directories.forEach((directory) => {
+      if (!fs.existsSync(directory)) return;
+      const watcher = fs.watch(directory, () => this.scheduleReload());
+      watcher.unref();
+      this.watchers.push(watcher);
+    });
+    return this;
+  }
+
+  /**
+   * Coalesce the bursts of events a file copy produces into one reload
+   */
+  scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      // Chained so a slow backend (PKCS#11 login, remote key) never loads twice at once
+      this.reloading = (this.reloading || Promise.resolve())
+        .then(() => this.reload())
+        .then((errors) => errors.forEach((error) => console.error(`Signer reload failed: ${error}`)));
+    }, RELOAD_DELAY);
+    this.reloadTimer.unref();
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers = [];
+    this.entries.forEach((entry) => entry.signer && entry.signer.close());
+  }
+}
+
+module.exports = { KeystoreRegistry };
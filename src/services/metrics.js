@@ -0,0 +1,167 @@
+// Prometheus text exposition format
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value for the Prometheus text format
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+const labelKey = (labels) => JSON.stringify(Object.keys(labels).sort().map((name) => [name, labels[name]]));
+
+/**
+ * Monotonic count per label set
+ */
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.series = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelKey(labels);
+    const entry = this.series.get(key) || { labels, value: 0 };
+    entry.value += value;
+    this.series.set(key, entry);
+  }
+
+  samples() {
+    return [...this.series.values()].map(({ labels, value }) => ({ name: this.name, labels, value }));
+  }
+}
+
+/**
+ * Value per label set, set directly or read from a callback when scraped
+ */
+class Gauge extends Counter {
+  /**
+   * @param {Function} [collect] - Returns [{ labels, value }] at scrape time
+   */
+  constructor(name, help, collect = null) {
+    super(name, help);
+    this.type = 'gauge';
+    this.collect = collect;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  set(labels, value) {
+    this.series.set(labelKey(labels), { labels, value });
+  }
+
+  samples() {
+    if (!this.collect) return super.samples();
+    return this.collect().map(({ labels = {}, value }) => ({ name: this.name, labels, value }));
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets, per label set
+ */
+class Histogram {
+  /**
+   * @param {number[]} buckets - Upper bounds, ascending
+   */
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = labelKey(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, entry);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Observe the seconds a function takes, whether it resolves or throws
+   * @param {object} labels
+   * @param {Function} fn - Sync or async
+   */
+  async time(labels, fn) {
+    const start = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  }
+
+  samples() {
+    return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, index) => ({
+        name: `${this.name}_bucket`,
+        labels: { ...labels, le: formatValue(bound) },
+        value: counts[index],
+      })),
+      { name: `${this.name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+      { name: `${this.name}_sum`, labels, value: sum },
+      { name: `${this.name}_count`, labels, value: count },
+    ]);
+  }
+}
+
+/**
+ * Metrics of the server, rendered in the Prometheus text exposition format
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  /**
+   * Every metric in the text format (CONTENT_TYPE)
+   */
+  render() {
+    return this.metrics.map((metric) => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.samples().map(({ name, labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`),
+    ].join('\n')).join('\n') + '\n';
+  }
+}
+
+module.exports = { CONTENT_TYPE, Counter, Gauge, Histogram, MetricsRegistry };
@@ -0,0 +1,484 @@
+const crypto = require('crypto');
+const {
+  PDFDocument,
+  PDFParser,
+  PDFObjectParser,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFBool,
+  PDFString,
+  PDFHexString,
+  PDFStream,
+  PDFRawStream,
+  PDFInvalidObject,
+  PDFNull,
+  ParseSpeeds,
+} = require('pdf-lib');
+const {
+  PERMISSION_BITS,
+  passwordBytes,
+  computeFileKey,
+  computeU,
+  computeO,
+  userPasswordFromOwner,
+  checkU,
+  computeFileKeyR6,
+  createR6Entries,
+  objectKey,
+  encryptData,
+  decryptData,
+  encodePermissions,
+  decodePermissions,
+} = require('../utils/pdfCrypto');
+const { serializeObject } = require('./incrementalWriter');
+const { codedError } = require('../utils/errors');
+
+/**
+ * Password-protected PDFs (standard security handler): opening them with a
+ * password, encrypting what is appended to them and encrypting new documents
+ */
+
+const PERMISSIONS = Object.keys(PERMISSION_BITS);
+
+// Algorithms offered for new encryption: { V, R, key length in bytes, crypt filter method }
+const ALGORITHMS = {
+  'AES-256': { V: 5, R: 6, length: 32, method: 'AESV3' },
+  'AES-128': { V: 4, R: 4, length: 16, method: 'AESV2' },
+  'RC4-128': { V: 2, R: 3, length: 16, method: 'V2' },
+};
+
+const bytesOf = (value) => (
+  value instanceof PDFString || value instanceof PDFHexString ? Buffer.from(value.asBytes()) : Buffer.alloc(0)
+);
+
+// Signature /Contents are never encrypted (ISO 32000-2 7.6.2)
+const isSignature = (dict) => dict.has(PDFName.of('ByteRange')) && dict.has(PDFName.of('Contents'));
+
+/**
+ * Apply fn to the bytes of every string in an object. Containers are changed
+ * in place, or copied when copy is set so the document keeps its own values.
+ */
+const mapStrings = (object, fn, copy) => {
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    return PDFHexString.of(fn(bytesOf(object)).toString('hex'));
+  }
+  if (object instanceof PDFArray) {
+    const target = copy ? PDFArray.withContext(object.context) : object;
+    object.asArray().forEach((element, index) => {
+      const mapped = mapStrings(element, fn, copy);
+      if (copy) target.push(mapped);
+      else target.set(index, mapped);
+    });
+    return target;
+  }
+  if (object instanceof PDFDict) {
+    const target = copy ? PDFDict.withContext(object.context) : object;
+    const signature = isSignature(object);
+    object.entries().forEach(([key, value]) => {
+      target.set(key, signature && key === PDFName.of('Contents') ? value : mapStrings(value, fn, copy));
+    });
+    return target;
+  }
+  return object;
+};
+
+class StandardSecurityHandler {
+  /**
+   * @param {object} options - { fileKey, revision, stringMethod, streamMethod, encryptMetadata, P, owner, encryptRef }
+   *   stringMethod, streamMethod: 'V2' (RC4), 'AESV2', 'AESV3' or null (not encrypted)
+   *   owner: opened with the owner password, which lifts the permission flags
+   */
+  constructor(options) {
+    this.fileKey = options.fileKey;
+    this.revision = options.revision;
+    this.stringMethod = options.stringMethod;
+    this.streamMethod = options.streamMethod;
+    this.encryptMetadata = options.encryptMetadata !== false;
+    this.P = options.P;
+    this.owner = Boolean(options.owner);
+    this.encryptRef = options.encryptRef || null;
+    this.entries = options.entries || null;
+  }
+
+  /**
+   * Authenticate with the user or the owner password of an encrypted document
+   * @param {PDFDocument} pdfDoc - Document loaded with ignoreEncryption
+   * @param {string} [password] - Empty or missing opens documents without a user password
+   * @throws {Error} code PASSWORD_REQUIRED, INVALID_PASSWORD or UNSUPPORTED_ENCRYPTION
+   */
+  static open(pdfDoc, password) {
+    const { context } = pdfDoc;
+    const encrypt = context.lookupMaybe(context.trailerInfo.Encrypt, PDFDict);
+    const filter = encrypt && encrypt.get(PDFName.of('Filter'));
+    if (!encrypt || filter !== PDFName.of('Standard')) {
+      throw codedError(`Unsupported security handler ${filter ? filter.decodeText() : '(none)'}, only password encryption is supported`, 'UNSUPPORTED_ENCRYPTION');
+    }
+
+    const number = (name, fallback) => {
+      const value = encrypt.lookupMaybe(PDFName.of(name), PDFNumber);
+      return value ? value.asNumber() : fallback;
+    };
+    const V = number('V', 0);
+    const R = number('R', 0);
+    const cryptFilter = (name) => {
+      const filterName = encrypt.get(PDFName.of(name));
+      if (!filterName || filterName === PDFName.of('Identity')) return null;
+      const filters = encrypt.lookupMaybe(PDFName.of('CF'), PDFDict);
+      const definition = filters && filters.lookupMaybe(filterName, PDFDict);
+      const method = definition && definition.get(PDFName.of('CFM'));
+      return method && method !== PDFName.of('None') ? method.decodeText() : null;
+    };
+
+    let stringMethod;
+    let streamMethod;
+    if (V === 1 || V === 2) {
+      stringMethod = 'V2';
+      streamMethod = 'V2';
+    } else if (V === 4 || V === 5) {
+      stringMethod = cryptFilter('StrF');
+      streamMethod = cryptFilter('StmF');
+    }
+    const methods = [stringMethod, streamMethod].filter(Boolean);
+    const supported = (V === 5 ? ['AESV3'] : ['V2', 'AESV2']);
+    if (stringMethod === undefined || ![2, 3, 4, 5, 6].includes(R) || methods.some((method) => !supported.includes(method))) {
+      throw codedError(`Unsupported encryption (V ${V}, R ${R}${methods.length ? `, ${methods.join('/')}` : ''})`, 'UNSUPPORTED_ENCRYPTION');
+    }
+
+    const metadata = encrypt.get(PDFName.of('EncryptMetadata'));
+    const encryptMetadata = !(metadata instanceof PDFBool) || metadata.asBoolean();
+    const O = bytesOf(encrypt.lookup(PDFName.of('O')));
+    const U = bytesOf(encrypt.lookup(PDFName.of('U')));
+    const P = number('P', 0) | 0;
+    const secret = passwordBytes(password, R);
+
+    let fileKey = null;
+    let owner = false;
+    if (R >= 5) {
+      const result = computeFileKeyR6({
+        password: secret,
+        O,
+        U,
+        OE: bytesOf(encrypt.lookup(PDFName.of('OE'))),
+        UE: bytesOf(encrypt.lookup(PDFName.of('UE'))),
+        revision: R,
+      });
+      if (result) ({ fileKey, owner } = result);
+    } else {
+      const ids = context.lookupMaybe(context.trailerInfo.ID, PDFArray);
+      const id = ids ? bytesOf(ids.lookup(0)) : Buffer.alloc(0);
+      const length = number('Length', 40) / 8;
+      const keyParams = { O, P, id, length, revision: R, encryptMetadata };
+
+      const userKey = computeFileKey({ ...keyParams, password: secret });
+      if (checkU(userKey, U, id, R)) {
+        fileKey = userKey;
+      } else {
+        const recovered = userPasswordFromOwner({ ownerPassword: secret, O, length, revision: R });
+        const ownerKey = computeFileKey({ ...keyParams, password: recovered });
+        if (checkU(ownerKey, U, id, R)) {
+          fileKey = ownerKey;
+          owner = true;
+        }
+      }
+    }
+
+    if (!fileKey) {
+      throw password
+        ? codedError('Incorrect password for the encrypted PDF', 'INVALID_PASSWORD')
+        : codedError('The PDF is password protected, a password is required', 'PASSWORD_REQUIRED');
+    }
+
+    return new StandardSecurityHandler({
+      fileKey,
+      revision: R,
+      stringMethod,
+      streamMethod,
+      encryptMetadata,
+      P,
+      owner,
+      encryptRef: context.trailerInfo.Encrypt,
+    });
+  }
+
+  /**
+   * Security handler for encrypting a new document
+   * @param {object} options - { userPassword, ownerPassword, permissions, algorithm }
+   *   userPassword: needed to open the document, empty for none
+   *   ownerPassword: lifts the restrictions, a random one when omitted
+   *   permissions: names from PERMISSIONS granted to users, all by default
+   *   algorithm: 'AES-256' (default), 'AES-128' or 'RC4-128'
+   * @param {Buffer} id - First element of the trailer /ID
+   */
+  static create(options, id) {
+    const algorithm = ALGORITHMS[options.algorithm || 'AES-256'];
+    if (!algorithm) {
+      throw new Error(`Unknown encryption algorithm "${options.algorithm}" (expected one of ${Object.keys(ALGORITHMS).join(', ')})`);
+    }
+    const permissions = options.permissions || PERMISSIONS;
+    const unknown = permissions.filter((name) => !PERMISSIONS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permission ${unknown.join(', ')} (expected ${PERMISSIONS.join(', ')})`);
+    }
+
+    const { V, R, length, method } = algorithm;
+    const P = encodePermissions(permissions);
+    const userPassword = passwordBytes(options.userPassword, R);
+    const ownerPassword = passwordBytes(options.ownerPassword || crypto.randomBytes(16).toString('hex'), R);
+
+    let fileKey;
+    let entries;
+    if (R === 6) {
+      fileKey = crypto.randomBytes(length);
+      entries = createR6Entries({ fileKey, userPassword, ownerPassword, P });
+    } else {
+      const O = computeO({ ownerPassword, userPassword, length, revision: R });
+      fileKey = computeFileKey({ password: userPassword, O, P, id, length, revision: R });
+      entries = { O, U: computeU(fileKey, id, R) };
+    }
+
+    return new StandardSecurityHandler({
+      fileKey,
+      revision: R,
+      stringMethod: method,
+      streamMethod: method,
+      P,
+      owner: true,
+      entries: { V, length, ...entries },
+    });
+  }
+
+  /**
+   * Encryption dictionary of a handler made by create()
+   */
+  createEncryptDict(context) {
+    const { V, length, ...values } = this.entries;
+    const dict = {
+      Filter: 'Standard',
+      V,
+      R: this.revision,
+      Length: length * 8,
+      P: this.P,
+    };
+    Object.entries(values).forEach(([key, value]) => {
+      dict[key] = PDFHexString.of(value.toString('hex'));
+    });
+    if (V >= 4) {
+      dict.CF = { StdCF: { AuthEvent: 'DocOpen', CFM: this.stringMethod, Length: length } };
+      dict.StmF = 'StdCF';
+      dict.StrF = 'StdCF';
+    }
+    return context.obj(dict);
+  }
+
+  /**
+   * Algorithm name and the permissions granted to users
+   */
+  describe() {
+    const algorithm = {
+      V2: this.fileKey.length === 5 ? 'RC4-40' : 'RC4-128',
+      AESV2: 'AES-128',
+      AESV3: 'AES-256',
+    }[this.streamMethod || this.stringMethod] || 'none';
+    return { algorithm, permissions: decodePermissions(this.P) };
+  }
+
+  /**
+   * Whether the permission flags let this user sign: adding or filling in fields.
+   * Always true with the owner password.
+   */
+  allowsSigning() {
+    const granted = decodePermissions(this.P);
+    return this.owner || granted.includes('fillForms') || granted.includes('annotate');
+  }
+
+  crypt(ref, method, data, encrypt) {
+    if (!method) return data;
+    const key = method === 'AESV3'
+      ? this.fileKey
+      : objectKey(this.fileKey, ref.objectNumber, ref.generationNumber, method === 'AESV2');
+    return encrypt ? encryptData(method, key, data) : decryptData(method, key, data);
+  }
+
+  /**
+   * Streams whose contents stay in clear text
+   */
+  isClearStream(stream) {
+    const type = stream.dict.get(PDFName.of('Type'));
+    return type === PDFName.of('XRef') || (type === PDFName.of('Metadata') && !this.encryptMetadata);
+  }
+
+  /**
+   * Decrypt the strings and stream contents of an indirect object as it is parsed
+   * @returns {PDFObject} The object, changed in place, or a new stream
+   */
+  decryptObject(ref, object) {
+    if (this.encryptRef && ref === this.encryptRef) return object;
+    if (object instanceof PDFRawStream) {
+      if (object.dict.get(PDFName.of('Type')) === PDFName.of('XRef')) return object;
+      mapStrings(object.dict, (data) => this.crypt(ref, this.stringMethod, data, false), false);
+      return this.isClearStream(object)
+        ? object
+        : PDFRawStream.of(object.dict, this.crypt(ref, this.streamMethod, Buffer.from(object.contents), false));
+    }
+    return mapStrings(object, (data) => this.crypt(ref, this.stringMethod, data, false), false);
+  }
+
+  /**
+   * Encrypted copy of an indirect object, for writing it out; the document
+   * keeps the decrypted original
+   * @param {PDFContext} context - Context of the document holding the object
+   */
+  encryptObject(ref, object, context) {
+    if (this.encryptRef && ref === this.encryptRef) return object;
+    let source = object;
+    if (object instanceof PDFInvalidObject) {
+      // Raw signature dictionaries written by the placeholder
+      try {
+        source = PDFObjectParser.forBytes(serializeObject(object), context).parseObject();
+      } catch (error) {
+        return object;
+      }
+    }
+
+    const encryptString = (data) => this.crypt(ref, this.stringMethod, data, true);
+    if (source instanceof PDFStream) {
+      const dict = mapStrings(source.dict, encryptString, true);
+      const contents = Buffer.from(source.getContents());
+      return PDFRawStream.of(dict, this.isClearStream(source) ? contents : this.crypt(ref, this.streamMethod, contents, true));
+    }
+    return mapStrings(source, encryptString, true);
+  }
+}
+
+/**
+ * Parser reading the trailer and the encryption dictionary of an encrypted
+ * document: its object streams cannot be unpacked before decryption
+ */
+class EncryptionProbe extends PDFParser {
+  constructor(pdfBytes) {
+    super(pdfBytes, ParseSpeeds.Fastest, false, false);
+  }
+
+  parseObject() {
+    const object = super.parseObject();
+    return object instanceof PDFRawStream && object.dict.get(PDFName.of('Type')) === PDFName.of('ObjStm')
+      ? PDFNull
+      : object;
+  }
+}
+
+/**
+ * Parser decrypting each indirect object before pdf-lib unpacks object streams
+ */
+class DecryptingParser extends PDFParser {
+  constructor(pdfBytes, handler) {
+    super(pdfBytes, ParseSpeeds.Slow, false, false);
+    this.handler = handler;
+    this.depth = 0;
+    this.parsingIndirectObject = false;
+    this.currentRef = null;
+  }
+
+  parseIndirectObject() {
+    // The header and the object are parsed before the first await
+    this.parsingIndirectObject = true;
+    try {
+      return super.parseIndirectObject();
+    } finally {
+      this.parsingIndirectObject = false;
+    }
+  }
+
+  // Also used to look ahead, only the one of parseIndirectObject() counts
+  parseIndirectObjectHeader() {
+    const ref = super.parseIndirectObjectHeader();
+    if (this.parsingIndirectObject) {
+      this.currentRef = ref;
+      this.parsingIndirectObject = false;
+    }
+    return ref;
+  }
+
+  parseObject() {
+    const ref = this.depth === 0 ? this.currentRef : null;
+    this.currentRef = null;
+    this.depth += 1;
+    let object;
+    try {
+      object = super.parseObject();
+    } finally {
+      this.depth -= 1;
+    }
+    return ref ? this.handler.decryptObject(ref, object) : object;
+  }
+}
+
+/**
+ * Load a PDF, decrypting it when it is encrypted
+ * @param {Buffer} pdfBuffer
+ * @param {object} [options] - { password, encryption }
+ *   password: user or owner password of an encrypted document
+ *   encryption: handler of an earlier revision of the same document, instead of the password
+ * @returns {Promise<{ pdfDoc: PDFDocument, encryption: StandardSecurityHandler|null }>}
+ * @throws {Error} code PASSWORD_REQUIRED, INVALID_PASSWORD or UNSUPPORTED_ENCRYPTION
+ */
+const loadPdf = async (pdfBuffer, { password, encryption } = {}) => {
+  const bytes = Buffer.from(pdfBuffer.buffer, pdfBuffer.byteOffset, pdfBuffer.byteLength);
+  const probe = bytes.includes('/Encrypt')
+    ? new PDFDocument(await new EncryptionProbe(pdfBuffer).parseDocument(), true, false)
+    : null;
+  if (!probe || !probe.isEncrypted) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+    return { pdfDoc, encryption: null };
+  }
+
+  const handler = encryption || StandardSecurityHandler.open(probe, password);
+  const context = await new DecryptingParser(pdfBuffer, handler).parseDocument();
+  return { pdfDoc: new PDFDocument(context, true, false), encryption: handler };
+};
+
+/**
+ * Drop the encryption of a decrypted document before saving it in full
+ */
+const removeEncryption = (pdfDoc) => {
+  const { context } = pdfDoc;
+  if (context.trailerInfo.Encrypt) {
+    context.delete(context.trailerInfo.Encrypt);
+    context.trailerInfo.Encrypt = undefined;
+  }
+};
+
+/**
+ * Encrypt a whole unencrypted document with a password
+ * @param {Buffer} pdfBuffer
+ * @param {object} options - See StandardSecurityHandler.create()
+ * @returns {Promise<{ pdf: Buffer, encryption: StandardSecurityHandler }>}
+ */
+const encryptPdf = async (pdfBuffer, options) => {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const { context } = pdfDoc;
+
+  const ids = context.lookupMaybe(context.trailerInfo.ID, PDFArray);
+  const id = ids && bytesOf(ids.lookup(0)).length ? bytesOf(ids.lookup(0)) : crypto.randomBytes(16);
+  const handler = StandardSecurityHandler.create(options, id);
+
+  const objects = context.enumerateIndirectObjects();
+  handler.encryptRef = context.register(handler.createEncryptDict(context));
+  objects.forEach(([ref, object]) => context.assign(ref, handler.encryptObject(ref, object, context)));
+  context.trailerInfo.Encrypt = handler.encryptRef;
+  context.trailerInfo.ID = context.obj([PDFHexString.of(id.toString('hex')), PDFHexString.of(id.toString('hex'))]);
+
+  const pdf = await pdfDoc.save({ useObjectStreams: false, updateFieldAppearances: false, addDefaultPage: false });
+  return { pdf: Buffer.from(pdf), encryption: handler };
+};
+
+module.exports = {
+  PERMISSIONS,
+  ENCRYPTION_ALGORITHMS: Object.keys(ALGORITHMS),
+  StandardSecurityHandler,
+  loadPdf,
+  removeEncryption,
+  encryptPdf,
+};
@@ -1,48 +1,174 @@
 const fs = require('fs');
-const { PDFDocument } = require('pdf-lib');
+const crypto = require('crypto');
+const {
+  PDFName,
+  PDFArray,
+  PDFDict,
+  PDFString,
+  PDFHexString,
+} = require('pdf-lib');
 const { pdflibAddPlaceholder } = require('@signpdf/placeholder-pdf-lib');
 const { SignPdf } = require('@signpdf/signpdf');
-const { P12Signer } = require('@signpdf/signer-p12');
+const {
+  SUBFILTER_ADOBE_PKCS7_DETACHED,
+  SUBFILTER_ETSI_CADES_DETACHED,
+} = require('@signpdf/utils');
+const { SignatureVerifier } = require('./signatureVerifier');
+const { createAppearanceStream, formatDate } = require('./signatureAppearance');
+const { IncrementalWriter } = require('./incrementalWriter');
+const { CmsSigner, DocumentTimestampSigner } = require('./cmsSigner');
+const { DssWriter, readDss, vriKey } = require('./dssWriter');
+const { DOCMDP_PERMISSIONS, addDocMdp, readDocMdp } = require('./docMdp');
+const {
+  findSignatureFields,
+  describeSignatureField,
+  getEmptySignatureField,
+  addSignatureField,
+  addFieldPlaceholder,
+} = require('./signatureFields');
+const { applyTransforms } = require('./documentTransforms');
+const { HttpRevocationSource } = require('./revocationSource');
+const { checkKeyMatchesCertificate } = require('./signerBackends');
+const { loadPdf, removeEncryption, encryptPdf } = require('./pdfEncryption');
+const { Preflight, isPdf } = require('./preflight');
+const { PDFA_MODES, identifyPdfa, checkAppearance } = require('./pdfa');
+const { OIDS, nodeToDer, parseSignedData, findAttribute, findSignerCertificate } = require('../utils/cms');
+const { buildChain, findIssuer, isSelfSigned, describeCertificate, getCommonName } = require('../utils/x509');
+const { codedError } = require('../utils/errors');
+
+const SIGNATURE_LENGTH = 8192;
+// Room for the TSA token and its certificate chain
+const TIMESTAMPED_SIGNATURE_LENGTH = 16384;
+const SUBFILTER_ETSI_RFC3161 = 'ETSI.RFC3161';
+
+// PAdES baseline levels (ETSI EN 319 142-1) the signer can produce
+const PADES_PROFILES = ['B-B', 'B-T', 'B-LT'];
 
 class PdfSigner {
-  constructor(certPath, passphrase) {
-    this.certPath = certPath;
-    this.passphrase = passphrase;
-    this.certificate = null;
+  /**
+   * @param {object} backend - Holder of the signing key (see signerBackends)
+   * @param {object} options - { id, tsaClient, revocationSource, preflight }
+   *   id: name of the identity in a KeystoreRegistry
+   *   tsaClient: timestamp authority used for timestamp requests and PAdES B-T/B-LT
+   *   revocationSource: provider of CRLs/OCSP responses for PAdES B-LT
+   *   preflight: Preflight checking documents before they are signed (default policy otherwise)
+   */
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.id = options.id || null;
+    this.tsaClient = options.tsaClient || null;
+    this.revocationSource = options.revocationSource || new HttpRevocationSource();
+    this.preflight = options.preflight || new Preflight();
+    this.dssWriter = new DssWriter();
+    this.identity = null;
     this.signPdfLib = new SignPdf();
+    this.verifier = new SignatureVerifier();
     this.certificateInfo = null;
-    
-    this.loadCertificate();
+    this.signerName = null;
+    this.lastSelfTest = null;
   }
 
   /**
-   * Load and verify the P12 certificate exists
+   * Open the backend and check the signing certificate can be used.
+   * Fails on a missing file, a wrong passphrase or PIN, a key that does not
+   * match the certificate or an expired certificate.
+   * @returns {Promise<PdfSigner>}
    */
-  loadCertificate() {
+  async loadCertificate() {
     try {
-      const certBuffer = fs.readFileSync(this.certPath);
-      this.certificate = certBuffer;
-      this.parseCertificateInfo();
-      console.log('✓ Certificate loaded successfully');
+      await this.backend.load();
+      this.identity = { certificate: this.backend.certificate, chain: this.backend.chain };
+      this.certificateInfo = this.parseCertificateInfo();
+      this.signerName = this.readSignerName();
     } catch (error) {
+      this.close();
       throw new Error(`Failed to load certificate: ${error.message}`);
     }
+
+    const { notBefore, notAfter, expired, daysUntilExpiry } = this.certificateInfo;
+    if (expired) {
+      this.close();
+      throw new Error(`Signing certificate expired on ${notAfter}`);
+    }
+    if (new Date(notBefore) > new Date()) {
+      this.close();
+      throw new Error(`Signing certificate is not valid before ${notBefore}`);
+    }
+    if (daysUntilExpiry < 30) {
+      console.warn(`! Signing certificate expires in ${daysUntilExpiry} days`);
+    }
+    console.log(`✓ Certificate loaded successfully (${this.backend.type})`);
+    return this;
+  }
+
+  /**
+   * Check the signer can sign now: the certificate is within its validity
+   * period and the key produces a test signature that verifies with it.
+   * The test signature is reused for maxAge, as HSM and KMS backends may
+   * charge or throttle signatures.
+   * @param {object} [options] - { maxAge (ms, default 60000) }
+   * @returns {Promise<{ ok: boolean, error: string|null, notAfter: string, testedAt: string }>}
+   */
+  async selfTest({ maxAge = 60000 } = {}) {
+    const { notBefore, notAfter } = this.certificateInfo;
+    const now = new Date();
+    if (new Date(notAfter) < now) {
+      return { ok: false, error: `Signing certificate expired on ${notAfter}`, notAfter, testedAt: null };
+    }
+    if (new Date(notBefore) > now) {
+      return { ok: false, error: `Signing certificate is not valid before ${notBefore}`, notAfter, testedAt: null };
+    }
+
+    if (!this.lastSelfTest || now - this.lastSelfTest.at > maxAge) {
+      let error = null;
+      try {
+        await checkKeyMatchesCertificate(this.backend);
+      } catch (cause) {
+        error = `Test signature failed: ${cause.message}`;
+      }
+      this.lastSelfTest = { at: now, error };
+    }
+    const { at, error } = this.lastSelfTest;
+    return { ok: !error, error, notAfter, testedAt: at.toISOString() };
   }
 
   /**
-   * Parse certificate info
+   * Release the backend (PKCS#11 session)
+   */
+  close() {
+    this.backend.close();
+  }
+
+  /**
+   * Describe the signing certificate and its chain as provided by the backend
    */
   parseCertificateInfo() {
+    const { certificate, chain } = this.identity;
+    return {
+      loaded: true,
+      ...this.backend.describe(),
+      hasPrivateKey: true,
+      ...describeCertificate(certificate),
+      chain: buildChain(certificate, chain).map((der) => describeCertificate(der)),
+    };
+  }
+
+  /**
+   * Signer certificate and the other certificates provided with it
+   * @returns {{ certificate: Buffer, chain: Buffer[] }}
+   */
+  getIdentity() {
+    return this.identity;
+  }
+
+  /**
+   * Read the common name of the signing certificate, used in visible signatures
+   */
+  readSignerName() {
     try {
-      this.certificateInfo = {
-        loaded: true,
-        path: this.certPath,
-        timestamp: fs.statSync(this.certPath).mtime,
-        algorithm: 'PKCS#7/CMS (Detached)',
-        hasPrivateKey: true
-      };
+      return getCommonName(this.getIdentity().certificate);
     } catch (error) {
-      this.certificateInfo = { loaded: false, error: error.message };
+      return null;
     }
   }
 
@@ -50,9 +176,13 @@ class PdfSigner {
    * Get certificate information
    */
   async getCertificateInfo() {
+    // Recomputed so the expiry fields stay current on long running servers
+    const info = this.parseCertificateInfo();
     return {
-      ...this.certificateInfo,
-      message: 'Certificate is loaded and ready for signing'
+      ...info,
+      message: info.expired
+        ? 'Certificate has expired, signing will fail'
+        : 'Certificate is loaded and ready for signing'
     };
   }
 
@@ -65,10 +195,6 @@ class PdfSigner {
   async signPdf(inputPath, outputPath, signatureOptions = {}) {
     try {
       const pdfBuffer = fs.readFileSync(inputPath);
-      if (!this.isPdfValid(pdfBuffer)) {
-        throw new Error('Invalid or corrupted PDF file');
-      }
-
       const signedPdfBytes = await this.signPdfBuffer(pdfBuffer, signatureOptions);
       fs.writeFileSync(outputPath, signedPdfBytes);
       
@@ -82,62 +208,527 @@ class PdfSigner {
   /**
    * Sign a PDF buffer and return signed buffer
    * @param {Buffer} pdfBuffer - PDF file buffer
-   * @param {object} signatureOptions - { reason, location, contact }
+   * @param {object} signatureOptions - { reason, location, contact, name, appearance, incremental, timestamp, profile, certify }
+   *   appearance: { page, x, y, width, height, text, image } makes the signature visible
+   *   incremental: append the signature as an incremental update. Always used when
+   *   the document is already signed so earlier signatures stay valid.
+   *   timestamp: embed an RFC 3161 signature timestamp from the configured TSA
+   *   profile: PAdES baseline level 'B-B', 'B-T' (timestamped) or 'B-LT' (timestamped,
+   *   with a DSS holding the chain and revocation data). Uses ETSI.CAdES.detached.
+   *   ltv: append the chain and its CRLs/OCSP responses in a DSS with a VRI entry
+   *   for this signature, with or without a profile.
+   *   certify: DocMDP permission (1, 2 or 3) making this a certification signature.
+   *   Only an unsigned document can be certified.
+   *   fieldName: sign into this existing empty signature field instead of adding one.
+   *   A visible field gets the appearance drawn in its own rectangle; page and
+   *   position options are ignored.
+   *   transforms: pre-sign changes applied in the same pass (see documentTransforms):
+   *   { fields, watermarks, flatten, metadata }. A signed document only accepts fields.
+   *   password: user or owner password of an encrypted document. It is signed
+   *   incrementally and keeps its encryption.
+   *   encrypt: password-protect the output (see StandardSecurityHandler.create):
+   *   { userPassword, ownerPassword, permissions, algorithm }. The document is
+   *   rewritten, so only unsigned documents can be encrypted.
+   *   pdfa: 'warn' or 'require'. A document claiming PDF/A is signed as an incremental
+   *   update that keeps its conformance: no transforms or encryption, and only
+   *   appearances its level allows. Other documents are signed as usual ('warn')
+   *   or refused ('require').
+   *   onPreflight: called with the preflight findings of the document before it is signed
+   *   onPdfa: called in PDF/A mode with the identification of the document (see
+   *   identifyPdfa), null when it does not claim PDF/A
    * @returns {Promise<Buffer>} Signed PDF buffer
+   * @throws {Error} with a code for documents or options the signer refuses:
+   *   INVALID_PDF, PREFLIGHT_FAILED (with the findings), INVALID_OPTIONS, TSA_NOT_CONFIGURED,
+   *   FIELD_NOT_FOUND, FIELD_SIGNED, DOCUMENT_SIGNED, DOCUMENT_LOCKED, NOT_PDFA, and PASSWORD_REQUIRED,
+   *   INVALID_PASSWORD, PERMISSION_DENIED or UNSUPPORTED_ENCRYPTION for encrypted documents
    */
   async signPdfBuffer(pdfBuffer, signatureOptions = {}) {
     try {
-      if (!this.isPdfValid(pdfBuffer)) {
-        throw new Error('Invalid or corrupted PDF file');
+      if (new Date(this.certificateInfo.notAfter) < new Date()) {
+        throw new Error(`Signing certificate expired on ${this.certificateInfo.notAfter}`);
       }
+      const prepared = await this.preparePdfBuffer(pdfBuffer, signatureOptions);
 
-      const pdfDoc = await PDFDocument.load(pdfBuffer, {
-        updateMetadata: false,
+      const cmsSigner = new CmsSigner({
+        ...this.getIdentity(),
+        key: this.backend,
+        tsaClient: prepared.timestamp ? this.tsaClient : null,
+        pades: Boolean(prepared.profile),
       });
+      return await this.finishPdfBuffer(prepared, cmsSigner);
+    } catch (error) {
+      const wrapped = new Error(`Failed to sign PDF buffer: ${error.message}`);
+      if (error.code) Object.assign(wrapped, { code: error.code, findings: error.findings });
+      throw wrapped;
+    }
+  }
 
-      pdflibAddPlaceholder({
-        pdfDoc,
-        reason: signatureOptions.reason || 'Document signed by server',
-        location: signatureOptions.location || 'Server',
-        contactInfo: signatureOptions.contact || 'N/A',
-        name: 'PDF Signing Server',
-        signatureLength: 8192,
-      });
+  /**
+   * First half of signing: apply the options and insert the signature placeholder.
+   * Takes the options of signPdfBuffer, plus signatureLength (bytes reserved for
+   * the CMS). The signer name shown in appearances is signatureOptions.name,
+   * defaulting to this identity's name.
+   * @returns {Promise<{ pdf: Buffer, signingTime: Date, incremental: boolean, profile: string|undefined, timestamp: boolean, ltv: boolean, encryption: StandardSecurityHandler|null, preflight: object[], pdfa: object|null }>}
+   *   pdf: the document with an empty ByteRange and Contents placeholder
+   *   encryption: security handler of the output, null when it is not encrypted
+   *   preflight: findings of the preflight checks, stripped content is not in pdf
+   *   pdfa: PDF/A identification of the document, null outside PDF/A mode or when it claims none
+   */
+  async preparePdfBuffer(pdfBuffer, signatureOptions = {}) {
+    const structure = this.preflight.checkStructure(pdfBuffer);
+    this.preflight.assertPassed(structure);
+    const { profile } = signatureOptions;
+    if (profile && !PADES_PROFILES.includes(profile)) {
+      throw codedError(`Unknown PAdES profile "${profile}" (expected one of ${PADES_PROFILES.join(', ')})`, 'INVALID_OPTIONS');
+    }
+    const timestamp = Boolean(signatureOptions.timestamp) || profile === 'B-T' || profile === 'B-LT';
+    if (timestamp && !this.tsaClient) {
+      throw codedError('Timestamping requested but no TSA is configured', 'TSA_NOT_CONFIGURED');
+    }
+    const certify = signatureOptions.certify ? Number(signatureOptions.certify) : null;
+    if (certify && !DOCMDP_PERMISSIONS[certify]) {
+      throw codedError(`Invalid DocMDP permission ${signatureOptions.certify} (expected 1, 2 or 3)`, 'INVALID_OPTIONS');
+    }
+    if (certify && this.hasSignatures(pdfBuffer)) {
+      throw codedError('Cannot certify a document that is already signed', 'DOCUMENT_SIGNED');
+    }
+    const pdfaMode = signatureOptions.pdfa;
+    if (pdfaMode && !PDFA_MODES.includes(pdfaMode)) {
+      throw codedError(`Invalid PDF/A mode "${pdfaMode}" (expected ${PDFA_MODES.join(' or ')})`, 'INVALID_OPTIONS');
+    }
 
-      const pdfBytesWithPlaceholder = await pdfDoc.save({
-        useObjectStreams: false,
-      });
+    const { pdfDoc, encryption } = await this.preflight.load(pdfBuffer, { password: signatureOptions.password });
+    if (encryption && !encryption.allowsSigning()) {
+      throw codedError('The permissions of the encrypted PDF do not allow signing, use the owner password', 'PERMISSION_DENIED');
+    }
+    const findings = [...structure, ...this.preflight.checkDocument(pdfDoc)];
+    this.preflight.assertPassed(findings);
 
-      const p12Signer = new P12Signer(this.certificate, {
-        passphrase: this.passphrase,
-      });
+    const pdfa = pdfaMode ? identifyPdfa(pdfDoc) : null;
+    if (signatureOptions.onPdfa && pdfaMode) {
+      signatureOptions.onPdfa(pdfa);
+    }
+    if (pdfaMode && !pdfa) {
+      if (pdfaMode === 'require') {
+        throw codedError('Document does not claim PDF/A conformance (no pdfaid:part in its XMP metadata)', 'NOT_PDFA');
+      }
+      console.warn('! Document does not claim PDF/A conformance, signing it as usual');
+    }
+    if (pdfa) {
+      pdfa.warnings.forEach((warning) => console.warn(`! ${pdfa.level}: ${warning}`));
+    }
 
-      const signedPdfBytes = await this.signPdfLib.sign(Buffer.from(pdfBytesWithPlaceholder), p12Signer);
-      
-      console.log('✓ PDF buffer signed successfully');
-      
-      return signedPdfBytes;
-    } catch (error) {
-      throw new Error(`Failed to sign PDF buffer: ${error.message}`);
+    const docMdp = readDocMdp(pdfDoc);
+    if (docMdp && docMdp.permission === 1) {
+      throw codedError('Document is certified with no changes allowed (DocMDP P=1)', 'DOCUMENT_LOCKED');
+    }
+
+    const { transforms } = signatureOptions;
+    const signed = this.hasSignatures(pdfBuffer);
+    if (transforms && signed && (transforms.watermarks || transforms.flatten || transforms.metadata)) {
+      throw codedError('Watermarks, flattening and metadata changes are only applied to unsigned documents', 'DOCUMENT_SIGNED');
+    }
+
+    // Font programs are not embedded by form filling and watermarks, and metadata changes bypass the XMP
+    if (pdfa && transforms) {
+      throw codedError(`Transforms would break the ${pdfa.level} conformance of the document`, 'INVALID_OPTIONS');
+    }
+
+    const { encrypt } = signatureOptions;
+    if (encrypt && pdfa) {
+      throw codedError(`${pdfa.level} does not allow encryption`, 'INVALID_OPTIONS');
+    }
+    if (encrypt && signed) {
+      throw codedError('Only unsigned documents can be encrypted when signing, the document is rewritten', 'DOCUMENT_SIGNED');
+    }
+    if (encrypt && signatureOptions.incremental) {
+      throw codedError('Encrypting rewrites the document, it cannot be combined with incremental', 'INVALID_OPTIONS');
+    }
+    if (encrypt && encryption && !encryption.owner) {
+      throw codedError('Changing the encryption of a PDF needs its owner password', 'PERMISSION_DENIED');
+    }
+
+    // Encrypted documents are updated incrementally unless their encryption is replaced.
+    // So are PDF/A documents: a full save would rewrite their structure around the XMP and output intents.
+    const incremental = !encrypt
+      && (Boolean(signatureOptions.incremental) || signed || Boolean(encryption) || Boolean(pdfa));
+    if (incremental) {
+      this.preflight.assertAppendable(findings);
+    }
+    const writer = incremental ? new IncrementalWriter(pdfBuffer, pdfDoc, { encryption }) : null;
+    this.preflight.sanitize(pdfDoc, findings);
+    if (signatureOptions.onPreflight) {
+      signatureOptions.onPreflight(findings);
+    }
+
+    if (transforms) {
+      await applyTransforms(pdfDoc, transforms);
+    }
+
+    const signingTime = new Date();
+    const reason = signatureOptions.reason || 'Document signed by server';
+    const location = signatureOptions.location || 'Server';
+    const { appearance } = signatureOptions;
+    const placeholderOptions = {
+      pdfDoc,
+      reason,
+      location,
+      contactInfo: signatureOptions.contact || 'N/A',
+      name: 'PDF Signing Server',
+      signingTime,
+      signatureLength: signatureOptions.signatureLength
+        || (timestamp ? TIMESTAMPED_SIGNATURE_LENGTH : SIGNATURE_LENGTH),
+      subFilter: profile ? SUBFILTER_ETSI_CADES_DETACHED : SUBFILTER_ADOBE_PKCS7_DETACHED,
+    };
+
+    const values = {
+      name: signatureOptions.name || this.signerName || placeholderOptions.name,
+      date: formatDate(signingTime),
+      reason,
+      location,
+    };
+
+    let signatureRef;
+    if (signatureOptions.fieldName) {
+      const entry = getEmptySignatureField(pdfDoc, signatureOptions.fieldName);
+      signatureRef = addFieldPlaceholder(pdfDoc, entry.field, placeholderOptions);
+
+      const widget = describeSignatureField(entry);
+      if (widget.visible) {
+        const [x1, y1, x2, y2] = widget.rect;
+        await this.applyAppearance(pdfDoc, entry.widgets[0].dict, {
+          ...appearance,
+          width: Math.abs(x2 - x1),
+          height: Math.abs(y2 - y1),
+        }, values, pdfa);
+      } else if (appearance) {
+        throw codedError(`Signature field "${entry.name}" is invisible and cannot show an appearance`, 'INVALID_OPTIONS');
+      }
+    } else {
+      if (appearance) {
+        const pages = pdfDoc.getPages();
+        const page = pages[appearance.page || 0];
+        if (!page) {
+          throw codedError(`Page ${appearance.page} does not exist (document has ${pages.length} pages)`, 'INVALID_OPTIONS');
+        }
+        placeholderOptions.pdfPage = page;
+        placeholderOptions.widgetRect = [
+          appearance.x,
+          appearance.y,
+          appearance.x + appearance.width,
+          appearance.y + appearance.height,
+        ];
+      }
+
+      pdflibAddPlaceholder(placeholderOptions);
+      const field = this.nameSignatureField(pdfDoc);
+      signatureRef = field.get(PDFName.of('V'));
+
+      if (appearance) {
+        // The placeholder merges the widget into the field
+        await this.applyAppearance(pdfDoc, field, appearance, values, pdfa);
+      }
+    }
+
+    if (certify) {
+      addDocMdp(pdfDoc, signatureRef, certify);
+    }
+
+    let pdfBytesWithPlaceholder;
+    let outputEncryption = encryption;
+    if (writer) {
+      pdfBytesWithPlaceholder = await writer.write();
+    } else {
+      removeEncryption(pdfDoc);
+      pdfBytesWithPlaceholder = await pdfDoc.save({ useObjectStreams: false });
+      if (encrypt) {
+        ({ pdf: pdfBytesWithPlaceholder, encryption: outputEncryption } = await encryptPdf(
+          Buffer.from(pdfBytesWithPlaceholder),
+          encrypt
+        ));
+      }
     }
+
+    return {
+      pdf: Buffer.from(pdfBytesWithPlaceholder),
+      signingTime,
+      incremental,
+      profile,
+      timestamp,
+      ltv: Boolean(signatureOptions.ltv),
+      encryption: outputEncryption,
+      preflight: findings,
+      pdfa,
+    };
+  }
+
+  /**
+   * Second half of signing: compute the ByteRange, embed the CMS from cmsSigner
+   * and add the PAdES B-LT or LTV validation data.
+   * @param {object} prepared - Output of preparePdfBuffer()
+   * @param {Signer} cmsSigner - Produces the CMS over the ByteRange content
+   * @param {object} [identity] - { certificate, chain } of the signer, for B-LT and LTV
+   * @returns {Promise<Buffer>} Signed PDF buffer
+   */
+  async finishPdfBuffer(prepared, cmsSigner, identity = this.getIdentity()) {
+    let signedPdfBytes = await this.signPdfLib.sign(prepared.pdf, cmsSigner, prepared.signingTime);
+
+    if (prepared.profile === 'B-LT' || prepared.ltv) {
+      signedPdfBytes = await this.addValidationData(signedPdfBytes, cmsSigner.timestampToken, identity, prepared.encryption);
+    }
+
+    console.log(`✓ PDF buffer signed successfully${prepared.incremental ? ' (incremental update)' : ''}`);
+
+    return signedPdfBytes;
+  }
+
+  /**
+   * Append a DSS with the signer and TSA chains and their revocation data, and
+   * a VRI entry for the signature just applied (PAdES B-LT, LTV)
+   * @param {Buffer} signedPdf - PDF with the signature just applied
+   * @param {Buffer|null} timestampToken - Signature timestamp token, its chain is included
+   * @param {object} [identity] - { certificate, chain } of the signer
+   * @param {StandardSecurityHandler} [encryption] - Security handler of an encrypted document
+   */
+  async addValidationData(signedPdf, timestampToken, identity = this.getIdentity(), encryption = null) {
+    const chains = [buildChain(identity.certificate, identity.chain)];
+    if (timestampToken) {
+      chains.push(this.timestampChain(timestampToken));
+    }
+
+    const data = await this.collectValidationData(chains);
+    const byteRanges = [...signedPdf.toString('latin1').matchAll(/\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)/g)]
+      .map((match) => [Number(match[2]), Number(match[3])]);
+    const latest = byteRanges.reduce((a, b) => (b[1] > a[1] ? b : a));
+
+    return this.dssWriter.addValidationData(signedPdf, {
+      ...data,
+      vri: [{ key: vriKey(this.readContents(signedPdf, latest)), ...data }],
+    }, { encryption });
+  }
+
+  /**
+   * Append an RFC 3161 document timestamp (ETSI.RFC3161) covering the whole
+   * document as an incremental update. No signing key is involved and earlier
+   * signatures stay valid. Timestamping again, after adding fresh LTV data,
+   * extends the lifetime of archived documents (PAdES B-LTA).
+   * @param {Buffer} pdfBuffer - PDF file buffer, signed or not
+   * @param {object} [options] - { ltv, password }
+   *   ltv: add validation data for the existing signatures first (see addLtv)
+   *   password: user or owner password of an encrypted document
+   * @returns {Promise<{ pdf: Buffer, time: Date }>} Timestamped PDF and the TSA time
+   */
+  async timestampPdfBuffer(pdfBuffer, options = {}) {
+    if (!this.tsaClient) {
+      throw codedError('Timestamping requested but no TSA is configured', 'TSA_NOT_CONFIGURED');
+    }
+    this.preflight.checkAppendable(pdfBuffer);
+    if (options.ltv && this.hasSignatures(pdfBuffer)) {
+      ({ pdf: pdfBuffer } = await this.addLtv(pdfBuffer, { password: options.password }));
+    }
+
+    const { pdfDoc, encryption } = await loadPdf(pdfBuffer, { password: options.password });
+    const writer = new IncrementalWriter(pdfBuffer, pdfDoc, { encryption });
+    const field = addSignatureField(pdfDoc, 'DocTimeStamp');
+    addFieldPlaceholder(pdfDoc, field, {
+      type: 'DocTimeStamp',
+      subFilter: SUBFILTER_ETSI_RFC3161,
+      signatureLength: TIMESTAMPED_SIGNATURE_LENGTH,
+    });
+
+    const timestampSigner = new DocumentTimestampSigner(this.tsaClient);
+    const pdf = await this.signPdfLib.sign(Buffer.from(await writer.write()), timestampSigner);
+    console.log('✓ Document timestamp added');
+    return { pdf, time: timestampSigner.time };
+  }
+
+  /**
+   * Add long-term validation data for every signature of a signed document:
+   * the certificate chains found in the signatures and the DSS, their CRLs or
+   * OCSP responses from the revocation source, and a VRI entry per signature.
+   * Appended as an incremental update so the signatures stay valid.
+   * @param {Buffer} pdfBuffer - Signed PDF
+   * @param {object} [options] - { password } of an encrypted document
+   * @returns {Promise<{ pdf: Buffer, signatures: object[] }>} Updated PDF and what
+   *   was added for each signature ({ fieldName, certificates, crls, ocsps })
+   * @throws {Error} code INVALID_PDF, PREFLIGHT_FAILED, NOT_SIGNED, INVALID_SIGNATURE or
+   *   INCOMPLETE_CHAIN for documents LTV data cannot be added to
+   */
+  async addLtv(pdfBuffer, options = {}) {
+    this.preflight.checkAppendable(pdfBuffer);
+    const { pdfDoc, encryption } = await loadPdf(pdfBuffer, { password: options.password });
+    const report = await this.verifier.verify(pdfBuffer, { encryption });
+    const invalid = report.signatures.find((signature) => !signature.valid);
+    if (!report.signed || invalid) {
+      throw report.signed
+        ? codedError(`Signature ${invalid.fieldName || invalid.index} is not valid, LTV data is only added to valid signatures`, 'INVALID_SIGNATURE')
+        : codedError('Document has no signatures', 'NOT_SIGNED');
+    }
+
+    const dss = readDss(pdfDoc);
+    const pool = dss ? dss.certificates : [];
+
+    const vri = [];
+    for (const signature of report.signatures) {
+      const contents = this.readContents(pdfBuffer, signature.byteRange.slice(1, 3));
+      const { certificates, signerInfos } = parseSignedData(contents);
+      const signerCertificate = findSignerCertificate(certificates, signerInfos[0]);
+      const chains = [buildChain(signerCertificate.raw, [...certificates, ...pool])];
+      const tokenNode = findAttribute(signerInfos[0].unsignedAttributes, OIDS.timeStampToken);
+      if (tokenNode) {
+        chains.push(this.timestampChain(nodeToDer(tokenNode), pool));
+      }
+      vri.push({ key: vriKey(contents), fieldName: signature.fieldName, ...await this.collectValidationData(chains) });
+    }
+
+    return {
+      pdf: await this.dssWriter.addValidationData(pdfBuffer, { vri }, { encryption }),
+      signatures: vri.map(({ fieldName, certificates, crls, ocsps }) => ({
+        fieldName,
+        certificates: certificates.length,
+        crls: crls.length,
+        ocsps: ocsps.length,
+      })),
+    };
+  }
+
+  /**
+   * Chain of the TSA that issued a timestamp token
+   * @param {Buffer} timestampToken - DER token
+   * @param {Buffer[]} [pool] - Other certificates to complete the chain with
+   */
+  timestampChain(timestampToken, pool = []) {
+    const { certificates, signerInfos } = parseSignedData(timestampToken);
+    const tsaCertificate = findSignerCertificate(certificates, signerInfos[0]);
+    return tsaCertificate ? buildChain(tsaCertificate.raw, [...certificates, ...pool]) : [];
   }
 
   /**
-   * Validate if buffer is a valid PDF
+   * Revocation data for every certificate of some chains from the revocation source
+   * @param {Buffer[][]} chains - DER certificates, end entity first
+   * @returns {Promise<{ certificates: Buffer[], crls: Buffer[], ocsps: Buffer[] }>}
    */
-  isPdfValid(buffer) {
-    // Check for PDF header
-    if (buffer.length < 4) return false;
-    
-    const header = buffer.toString('ascii', 0, 4);
-    if (!header.startsWith('%PDF')) {
-      return false;
+  async collectValidationData(chains) {
+    const certificates = chains.flat()
+      .filter((der, index, all) => all.findIndex((other) => other.equals(der)) === index);
+    const parsed = certificates.map((der) => new crypto.X509Certificate(der));
+    const crls = [];
+    const ocsps = [];
+
+    for (let i = 0; i < certificates.length; i++) {
+      if (isSelfSigned(parsed[i])) continue;
+
+      const issuer = findIssuer(parsed[i], parsed);
+      if (!issuer) {
+        throw codedError(`Issuer of ${parsed[i].subject.split('\n').join(', ')} is not available for LTV`, 'INCOMPLETE_CHAIN');
+      }
+      const data = await this.revocationSource.getRevocationData(
+        certificates[i],
+        certificates[parsed.indexOf(issuer)]
+      );
+      crls.push(...data.crls);
+      ocsps.push(...data.ocsps);
+    }
+
+    return { certificates, crls, ocsps };
+  }
+
+  /**
+   * Decoded /Contents of a signature, padding included
+   * @param {number[]} gap - [end of the first ByteRange part, start of the second]
+   */
+  readContents(pdfBuffer, [firstEnd, secondStart]) {
+    return Buffer.from(pdfBuffer.toString('latin1', firstEnd + 1, secondStart - 1).trim(), 'hex');
+  }
+
+  /**
+   * Whether the document already carries a completed signature
+   */
+  hasSignatures(pdfBuffer) {
+    return /\/ByteRange\s*\[\s*\d+\s+\d+/.test(pdfBuffer.toString('latin1'));
+  }
+
+  /**
+   * Give the field just added by the placeholder a name unique in the AcroForm.
+   * The placeholder always calls it Signature1, which would merge it with an
+   * earlier signature field of the same name.
+   * @returns {PDFDict} The field
+   */
+  nameSignatureField(pdfDoc) {
+    const acroForm = pdfDoc.catalog.lookup(PDFName.of('AcroForm'), PDFDict);
+    const fields = acroForm.lookup(PDFName.of('Fields'), PDFArray);
+    const field = fields.lookup(fields.size() - 1, PDFDict);
+
+    const existingNames = new Set();
+    for (let i = 0; i < fields.size() - 1; i++) {
+      const name = fields.lookup(i, PDFDict).get(PDFName.of('T'));
+      if (name instanceof PDFString || name instanceof PDFHexString) {
+        existingNames.add(name.decodeText());
+      }
     }
 
-    return true;
+    let index = 1;
+    while (existingNames.has(`Signature${index}`)) index++;
+    field.set(PDFName.of('T'), PDFString.of(`Signature${index}`));
+    return field;
+  }
+
+  /**
+   * Replace the appearance of a signature widget
+   * @param {object|null} [pdfa] - PDF/A identification of the document, the appearance must conform to it
+   */
+  async applyAppearance(pdfDoc, widget, appearance, values, pdfa = null) {
+    const appearanceRef = await createAppearanceStream(pdfDoc, appearance, values);
+    if (pdfa) {
+      // Fonts and images are only written to the document when it is flushed
+      await pdfDoc.flush();
+    }
+    const problems = pdfa ? checkAppearance(pdfDoc, appearanceRef, pdfa) : [];
+    if (problems.length > 0) {
+      throw codedError(`The signature appearance would break ${pdfa.level} conformance: ${problems.join(', ')}`, 'INVALID_OPTIONS');
+    }
+    widget.set(PDFName.of('AP'), pdfDoc.context.obj({ N: appearanceRef }));
+  }
+
+  /**
+   * Signature fields of a document, signed or not
+   * @param {Buffer} pdfBuffer - PDF file buffer
+   * @param {object} [options] - { password } of an encrypted document
+   * @returns {Promise<object[]>} { name, signed, visible, page, rect } per field
+   */
+  async listSignatureFields(pdfBuffer, options = {}) {
+    if (!isPdf(pdfBuffer)) {
+      throw codedError('Invalid or corrupted PDF file', 'INVALID_PDF');
+    }
+    const { pdfDoc } = await loadPdf(pdfBuffer, { password: options.password });
+    return findSignatureFields(pdfDoc).map(describeSignatureField);
+  }
+
+  /**
+   * Verify every signature in a PDF buffer
+   * @param {Buffer} pdfBuffer - PDF file buffer
+   * @param {object} [options] - { password } of an encrypted document
+   * @returns {Promise<object>} Report with one entry per /Sig dictionary
+   */
+  async verifyPdfBuffer(pdfBuffer, options = {}) {
+    try {
+      if (!isPdf(pdfBuffer)) {
+        throw codedError('Invalid or corrupted PDF file', 'INVALID_PDF');
+      }
+
+      const report = await this.verifier.verify(pdfBuffer, { password: options.password });
+
+      console.log(`✓ PDF verified: ${report.signatureCount} signature(s), valid=${report.valid}`);
+
+      return report;
+    } catch (error) {
+      const wrapped = new Error(`Failed to verify PDF: ${error.message}`);
+      if (error.code) wrapped.code = error.code;
+      throw wrapped;
+    }
   }
 
 }
 
-module.exports = { PdfSigner };
+module.exports = { PdfSigner, PADES_PROFILES };
 
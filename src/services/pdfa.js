@@ -0,0 +1,163 @@
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFStream,
+  PDFRawStream,
+  PDFNumber,
+  decodePDFRawStream,
+} = require('pdf-lib');
+
+// How signing treats documents that do not claim PDF/A: sign them as usual, or refuse them
+const PDFA_MODES = ['warn', 'require'];
+
+// Colour space of the output intent profile, by its number of components
+const OUTPUT_INTENT_SPACES = { 1: 'Gray', 3: 'RGB', 4: 'CMYK' };
+
+// Device colour spaces an output intent allows; DeviceGray goes with any of them
+const DEVICE_SPACES = { DeviceGray: ['Gray', 'RGB', 'CMYK'], DeviceRGB: ['RGB'], DeviceCMYK: ['CMYK'] };
+
+/**
+ * Parse a PDF/A mode from PDFA_MODE or the pdfa request option
+ * @param {string} [value] - warn, require (or true), off (or false)
+ * @returns {string|null} 'warn', 'require', or null when off or not set
+ */
+const parsePdfaMode = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const mode = String(value).toLowerCase();
+  if (mode === 'true') return 'require';
+  if (mode === 'false' || mode === 'off') return null;
+  if (!PDFA_MODES.includes(mode)) {
+    throw new Error(`Invalid PDF/A mode "${value}" (expected ${PDFA_MODES.join(', ')} or off)`);
+  }
+  return mode;
+};
+
+const decodeStream = (stream) => {
+  try {
+    return Buffer.from(stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents());
+  } catch (error) {
+    return Buffer.from(stream.getContents());
+  }
+};
+
+/**
+ * Value of an XMP property, written either as an attribute or as an element
+ */
+const readXmpProperty = (xmp, name) => {
+  const match = new RegExp(`${name}\\s*=\\s*["']([^"']*)["']|<${name}>\\s*([^<]*?)\\s*</${name}>`).exec(xmp);
+  if (!match) return null;
+  return match[1] !== undefined ? match[1] : match[2];
+};
+
+/**
+ * Colour space of the GTS_PDFA1 output intent: 'Gray', 'RGB', 'CMYK', or null without one
+ */
+const readOutputIntent = (pdfDoc) => {
+  const intents = pdfDoc.catalog.lookupMaybe(PDFName.of('OutputIntents'), PDFArray);
+  if (!intents) return null;
+
+  for (let i = 0; i < intents.size(); i++) {
+    const intent = intents.lookupMaybe(i, PDFDict);
+    if (!intent || intent.get(PDFName.of('S')) !== PDFName.of('GTS_PDFA1')) continue;
+    const profile = intent.lookupMaybe(PDFName.of('DestOutputProfile'), PDFStream);
+    const components = profile && profile.dict.lookupMaybe(PDFName.of('N'), PDFNumber);
+    return components ? OUTPUT_INTENT_SPACES[components.asNumber()] || null : null;
+  }
+  return null;
+};
+
+/**
+ * PDF/A part and conformance level the document claims in its XMP metadata
+ * (pdfaid:part, pdfaid:conformance), with the output intent's colour space and
+ * what contradicts the claim
+ * @param {PDFDocument} pdfDoc
+ * @returns {{ level: string, part: number, conformance: string|null, outputIntent: string|null, warnings: string[] }|null}
+ *   level e.g. PDF/A-2b; null when the document does not claim PDF/A
+ */
+const identifyPdfa = (pdfDoc) => {
+  const metadata = pdfDoc.catalog.lookupMaybe(PDFName.of('Metadata'), PDFStream);
+  if (!metadata) return null;
+
+  const xmp = decodeStream(metadata).toString('utf8');
+  const part = Number(readXmpProperty(xmp, 'pdfaid:part'));
+  if (!Number.isInteger(part) || part < 1) return null;
+
+  const conformance = readXmpProperty(xmp, 'pdfaid:conformance');
+  const outputIntent = readOutputIntent(pdfDoc);
+  const warnings = [];
+  if (!outputIntent) {
+    warnings.push('No PDF/A output intent, device colours cannot be used');
+  }
+  if (pdfDoc.context.trailerInfo.Encrypt) {
+    warnings.push('Document is encrypted, which PDF/A does not allow');
+  }
+
+  return {
+    level: `PDF/A-${part}${conformance ? conformance.toLowerCase() : ''}`,
+    part,
+    conformance: conformance ? conformance.toUpperCase() : null,
+    outputIntent,
+    warnings,
+  };
+};
+
+/**
+ * Whether a font program is embedded in the document. Type 3 glyphs are content streams.
+ */
+const isEmbeddedFont = (font) => {
+  const subtype = font.get(PDFName.of('Subtype'));
+  if (subtype === PDFName.of('Type3')) return true;
+
+  const descendants = font.lookupMaybe(PDFName.of('DescendantFonts'), PDFArray);
+  const described = descendants ? descendants.lookupMaybe(0, PDFDict) : font;
+  const descriptor = described && described.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+  return Boolean(descriptor) && ['FontFile', 'FontFile2', 'FontFile3'].some((key) => descriptor.has(PDFName.of(key)));
+};
+
+/**
+ * What in an appearance stream the document's PDF/A level does not allow:
+ * fonts that are not embedded, device colour images that do not match the
+ * output intent, and soft masks in PDF/A-1
+ * @param {PDFDocument} pdfDoc
+ * @param {PDFRef} appearanceRef - Form XObject of the appearance
+ * @param {object} pdfa - Output of identifyPdfa()
+ * @returns {string[]} Problems, empty when the appearance conforms
+ */
+const checkAppearance = (pdfDoc, appearanceRef, pdfa) => {
+  const stream = pdfDoc.context.lookup(appearanceRef, PDFStream);
+  const resources = stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict);
+  if (!resources) return [];
+
+  const lookupAll = (key) => {
+    const dict = resources.lookupMaybe(PDFName.of(key), PDFDict);
+    return dict ? dict.keys().map((name) => dict.lookup(name)) : [];
+  };
+  const problems = [];
+
+  lookupAll('Font').filter((font) => font instanceof PDFDict && !isEmbeddedFont(font)).forEach((font) => {
+    const name = font.get(PDFName.of('BaseFont'));
+    // Appearance text is drawn in a standard font, which pdf-lib references but cannot embed
+    problems.push(`font ${name ? name.decodeText() : 'without a name'} is not embedded`
+      + ' (signature text cannot be shown in PDF/A, use an image stamp with an empty text)');
+  });
+
+  lookupAll('XObject')
+    .filter((xObject) => xObject instanceof PDFStream && xObject.dict.get(PDFName.of('Subtype')) === PDFName.of('Image'))
+    .forEach((image) => {
+      const space = image.dict.get(PDFName.of('ColorSpace'));
+      const device = space instanceof PDFName ? space.decodeText() : null;
+      if (device && DEVICE_SPACES[device] && !DEVICE_SPACES[device].includes(pdfa.outputIntent)) {
+        problems.push(pdfa.outputIntent
+          ? `${device} image does not match the ${pdfa.outputIntent} output intent`
+          : `${device} image without a PDF/A output intent`);
+      }
+      if (pdfa.part === 1 && image.dict.has(PDFName.of('SMask'))) {
+        problems.push('image transparency (soft mask) is not allowed in PDF/A-1');
+      }
+    });
+
+  return problems;
+};
+
+module.exports = { PDFA_MODES, parsePdfaMode, identifyPdfa, checkAppearance };
@@ -0,0 +1,504 @@
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFStream,
+  PDFRawStream,
+  PDFString,
+  PDFHexString,
+  PDFInvalidObject,
+  decodePDFRawStream,
+} = require('pdf-lib');
+const { loadPdf } = require('./pdfEncryption');
+const { findSignatureFields } = require('./signatureFields');
+const { identifyPdfa } = require('./pdfa');
+const { codedError } = require('../utils/errors');
+
+// What to do with a finding: nothing, report it, remove the content, refuse the document
+const ACTIONS = ['allow', 'warn', 'strip', 'reject'];
+
+// Action per category of finding. Damaged structure cannot be stripped.
+const DEFAULT_POLICY = {
+  structure: 'reject',
+  javascript: 'strip',
+  launch: 'reject',
+  openAction: 'warn',
+  embeddedFiles: 'warn',
+  executables: 'reject',
+};
+
+const EXECUTABLE_EXTENSIONS = ['exe', 'bat', 'cmd', 'com', 'scr', 'pif', 'js', 'jse', 'vbs', 'vbe', 'wsf', 'ps1',
+  'msi', 'jar', 'sh', 'dll', 'app', 'elf'];
+
+// PE, ELF, scripts and Mach-O binaries
+const EXECUTABLE_MAGIC = ['4d5a', '7f454c46', '2321', 'feedface', 'feedfacf', 'cefaedfe', 'cffaedfe', 'cafebabe']
+  .map((hex) => Buffer.from(hex, 'hex'));
+
+// Findings about the cross-reference data an incremental update links to
+const XREF_CODES = ['MISSING_EOF', 'BROKEN_XREF', 'XREF_OFFSET_MISMATCH'];
+
+// Objects removed when a finding is stripped, kept out of JSON reports
+const TARGETS = Symbol('targets');
+
+/**
+ * Whether a buffer starts with a PDF header
+ */
+const isPdf = (buffer) => buffer.length >= 5 && buffer.toString('latin1', 0, 5) === '%PDF-';
+
+/**
+ * Parse a policy such as "javascript=reject,embeddedFiles=strip" over the defaults
+ */
+const parsePreflightPolicy = (value) => {
+  const policy = { ...DEFAULT_POLICY };
+  String(value || '').split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [category, action] = entry.split('=').map((part) => part.trim());
+    if (!(category in DEFAULT_POLICY)) {
+      throw new Error(`Unknown preflight category "${category}" (expected ${Object.keys(DEFAULT_POLICY).join(', ')})`);
+    }
+    if (!ACTIONS.includes(action) || (category === 'structure' && action === 'strip')) {
+      throw new Error(`Invalid preflight action "${action}" for ${category}`);
+    }
+    policy[category] = action;
+  });
+  return policy;
+};
+
+const nameOf = (dict, key) => {
+  const value = dict.get(PDFName.of(key));
+  return value instanceof PDFName ? value.decodeText() : null;
+};
+
+const textOf = (value) => (value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null);
+
+/**
+ * Call visit(node, ref, indirect) for every dictionary and array reachable from
+ * the catalog, parents before their direct children. ref is the indirect object
+ * holding the node. Unreferenced objects, such as those an incremental update
+ * replaced or stripped, are never shown by a viewer and are skipped.
+ */
+const walk = (context, visit) => {
+  const seen = new Set();
+  const pending = [context.trailerInfo.Root];
+  const visitNode = (node, ref, indirect) => {
+    const dict = node instanceof PDFStream ? node.dict : node;
+    if (node instanceof PDFRef) {
+      pending.push(node);
+    } else if (dict instanceof PDFDict) {
+      visit(dict, ref, indirect);
+      dict.entries().forEach(([, value]) => visitNode(value, ref, false));
+    } else if (node instanceof PDFArray) {
+      visit(node, ref, indirect);
+      node.asArray().forEach((value) => visitNode(value, ref, false));
+    }
+  };
+
+  while (pending.length > 0) {
+    const ref = pending.pop();
+    if (ref instanceof PDFRef && !seen.has(ref.tag)) {
+      seen.add(ref.tag);
+      visitNode(context.lookup(ref), ref, true);
+    }
+  }
+};
+
+/**
+ * Checks documents before they are signed: damaged structure, and active
+ * content (JavaScript, launch actions, open actions, embedded files) that
+ * would carry the signature. Each finding gets the action of its category in
+ * the policy; rejected findings stop signing and stripped content is removed
+ * from the signed revision.
+ */
+class Preflight {
+  /**
+   * @param {object} [policy] - Action per category, see DEFAULT_POLICY
+   */
+  constructor(policy = {}) {
+    this.policy = { ...DEFAULT_POLICY, ...policy };
+  }
+
+  /**
+   * Findings and document summary, without signing
+   * @param {Buffer} pdfBuffer
+   * @param {object} [options] - { password } of an encrypted document
+   * @returns {Promise<{ passed: boolean, findings: object[], document: object }>}
+   * @throws {Error} code PASSWORD_REQUIRED, INVALID_PASSWORD or UNSUPPORTED_ENCRYPTION
+   */
+  async inspect(pdfBuffer, options = {}) {
+    const findings = this.checkStructure(pdfBuffer);
+    const header = /^%PDF-(\d\.\d)/.exec(pdfBuffer.toString('latin1', 0, 16));
+    const document = { version: header ? header[1] : null, pages: 0, encrypted: false, signed: false, pdfa: null };
+
+    if (isPdf(pdfBuffer)) {
+      try {
+        const { pdfDoc, encryption } = await this.load(pdfBuffer, options);
+        findings.push(...this.checkDocument(pdfDoc));
+        document.encrypted = Boolean(encryption);
+        if (!findings.some((finding) => finding.code === 'NO_PAGES')) {
+          document.pages = pdfDoc.getPageCount();
+          document.signed = findSignatureFields(pdfDoc).some((field) => field.signed);
+          document.pdfa = identifyPdfa(pdfDoc);
+        }
+      } catch (error) {
+        if (!error.findings) throw error;
+        findings.push(...error.findings);
+      }
+    }
+
+    return {
+      passed: !findings.some((finding) => finding.action === 'reject'),
+      findings,
+      document,
+    };
+  }
+
+  /**
+   * Load a document for signing, parse failures becoming PREFLIGHT_FAILED
+   * @returns {Promise<{ pdfDoc: PDFDocument, encryption: StandardSecurityHandler|null }>}
+   */
+  async load(pdfBuffer, options = {}) {
+    try {
+      return await loadPdf(pdfBuffer, options);
+    } catch (error) {
+      if (error.code) throw error;
+      const findings = [this.finding('PARSE_ERROR', null, `Document cannot be parsed: ${error.message}`)];
+      throw codedError(`Preflight failed: ${findings[0].message}`, 'PREFLIGHT_FAILED', { findings });
+    }
+  }
+
+  /**
+   * Header, end of file marker and cross-reference sections of the raw bytes
+   * @returns {object[]} Findings
+   */
+  checkStructure(pdfBuffer) {
+    if (!isPdf(pdfBuffer)) {
+      return [this.finding('NOT_PDF', null, 'File does not start with a %PDF- header')];
+    }
+
+    const text = pdfBuffer.toString('latin1');
+    const findings = [];
+    const eof = text.lastIndexOf('%%EOF');
+    if (eof === -1) {
+      findings.push(this.finding('MISSING_EOF', 'structure', 'No %%EOF marker, the file is truncated'));
+    } else if (/[^\s\0]/.test(text.slice(eof + 5))) {
+      findings.push(this.finding('TRAILING_DATA', 'structure', `${text.length - eof - 5} bytes of data after the last %%EOF`));
+    }
+
+    const startxref = /startxref\s+(\d+)/y;
+    startxref.lastIndex = Math.max(text.lastIndexOf('startxref'), 0);
+    const xrefOffset = startxref.exec(text);
+    if (!xrefOffset) {
+      findings.push(this.finding('BROKEN_XREF', 'structure', 'No startxref, the cross-reference table cannot be found'));
+      return findings;
+    }
+
+    const mismatched = [];
+    const visited = new Set();
+    let offset = Number(xrefOffset[1]);
+    while (offset !== null) {
+      if (visited.has(offset) || offset >= text.length) {
+        findings.push(this.finding('BROKEN_XREF', 'structure', visited.has(offset)
+          ? 'Cross-reference sections form a loop'
+          : `Cross-reference offset ${offset} is past the end of the file`));
+        return findings;
+      }
+      visited.add(offset);
+
+      const section = this.readXrefSection(text, offset, mismatched);
+      if (section.error) {
+        findings.push(this.finding('BROKEN_XREF', 'structure', section.error));
+        return findings;
+      }
+      offset = section.prev;
+    }
+
+    if (mismatched.length > 0) {
+      findings.push(this.finding('XREF_OFFSET_MISMATCH', 'structure',
+        `${mismatched.length} cross-reference entries do not point at their objects (${mismatched.slice(0, 5).join(', ')}${mismatched.length > 5 ? ', ...' : ''})`));
+    }
+    return findings;
+  }
+
+  /**
+   * Check one cross-reference table or stream and find the previous one.
+   * Table entries in use must point at their object; stream entries are not checked.
+   * @param {number[]} mismatched - Collects object numbers whose entries are wrong
+   * @returns {{ prev: number|null, error: string|undefined }}
+   */
+  readXrefSection(text, offset, mismatched) {
+    const start = offset + /^\s*/.exec(text.slice(offset, offset + 64))[0].length;
+    const prevOf = (dictText) => {
+      const prev = /\/Prev\s+(\d+)/.exec(dictText);
+      return prev ? Number(prev[1]) : null;
+    };
+
+    if (!text.startsWith('xref', start)) {
+      const object = /(\d+)\s+(\d+)\s+obj/y;
+      object.lastIndex = start;
+      const dictText = object.test(text) ? text.slice(start, text.indexOf('stream', start)) : '';
+      if (!/\/Type\s*\/XRef\b/.test(dictText)) {
+        return { error: `Offset ${offset} is not a cross-reference section` };
+      }
+      return { prev: prevOf(dictText) };
+    }
+
+    const trailer = /\s*trailer/y;
+    const subsection = /\s*(\d+)\s+(\d+)/y;
+    const entry = /\s*(\d{10})\s(\d{5})\s([nf])/y;
+    let position = start + 4;
+    for (;;) {
+      trailer.lastIndex = position;
+      if (trailer.test(text)) break;
+
+      subsection.lastIndex = position;
+      const header = subsection.exec(text);
+      if (!header) {
+        return { error: `Cross-reference table at offset ${offset} is damaged or truncated` };
+      }
+      position = subsection.lastIndex;
+
+      const first = Number(header[1]);
+      for (let i = 0; i < Number(header[2]); i++) {
+        entry.lastIndex = position;
+        const match = entry.exec(text);
+        if (!match) {
+          return { error: `Cross-reference table at offset ${offset} is damaged or truncated` };
+        }
+        position = entry.lastIndex;
+        if (match[3] === 'n' && !this.isObjectAt(text, Number(match[1]), first + i)) {
+          mismatched.push(first + i);
+        }
+      }
+    }
+
+    const end = text.indexOf('startxref', trailer.lastIndex);
+    return { prev: prevOf(text.slice(trailer.lastIndex, end === -1 ? undefined : end)) };
+  }
+
+  isObjectAt(text, offset, objectNumber) {
+    const object = /\s*(\d+)\s+\d+\s+obj/y;
+    object.lastIndex = offset;
+    const match = object.exec(text);
+    return Boolean(match) && Number(match[1]) === objectNumber;
+  }
+
+  /**
+   * Unreadable objects, missing pages and active content of a loaded document.
+   * Content of a signed document cannot be stripped, it is rejected instead.
+   * @returns {object[]} Findings
+   */
+  checkDocument(pdfDoc) {
+    const { context, catalog } = pdfDoc;
+    const findings = [];
+
+    const invalid = context.enumerateIndirectObjects().filter(([, object]) => object instanceof PDFInvalidObject);
+    if (invalid.length > 0) {
+      findings.push(this.finding('INVALID_OBJECTS', 'structure', `${invalid.length} objects cannot be parsed`, {
+        objects: invalid.map(([ref]) => ref.toString()),
+      }));
+    }
+
+    let pages = 0;
+    try {
+      pages = pdfDoc.getPageCount();
+    } catch (error) {
+      // No usable catalog or page tree
+    }
+    if (pages === 0) {
+      findings.push(this.finding('NO_PAGES', null, 'Document has no readable pages'));
+      return findings;
+    }
+
+    const actions = { javascript: [], launch: [] };
+    const fileSpecs = [];
+    const attachments = [];
+    walk(context, (node, ref, indirect) => {
+      if (!(node instanceof PDFDict)) return;
+      const target = indirect ? ref : node;
+      const type = nameOf(node, 'S');
+      if (type === 'JavaScript' || node.has(PDFName.of('JS'))) {
+        const script = node.get(PDFName.of('JS'));
+        actions.javascript.push({ ref, targets: script instanceof PDFRef ? [target, script] : [target] });
+      } else if (type === 'Launch') {
+        actions.launch.push({ ref, targets: [target] });
+      }
+      if (node.has(PDFName.of('EF'))) {
+        fileSpecs.push({ ref, node, target });
+      }
+      if (nameOf(node, 'Subtype') === 'FileAttachment') {
+        attachments.push({ fileSpec: node.get(PDFName.of('FS')), target });
+      }
+    });
+
+    const actionFinding = (code, category, label, found) => {
+      if (found.length === 0) return;
+      findings.push(this.finding(code, category, `${found.length} ${label}`, {
+        objects: [...new Set(found.map(({ ref }) => ref.toString()))],
+        [TARGETS]: { nodes: found.flatMap(({ targets }) => targets) },
+      }));
+    };
+    actionFinding('JAVASCRIPT', 'javascript', 'JavaScript action(s)', actions.javascript);
+    actionFinding('LAUNCH_ACTION', 'launch', 'launch action(s) starting external applications', actions.launch);
+
+    const openAction = catalog.lookup(PDFName.of('OpenAction'));
+    if (openAction instanceof PDFDict) {
+      findings.push(this.finding('OPEN_ACTION', 'openAction',
+        `Document runs a ${nameOf(openAction, 'S') || 'unknown'} action when opened`, {
+          [TARGETS]: { nodes: [], keys: [[catalog, 'OpenAction']] },
+        }));
+    }
+
+    const files = { embedded: [], executable: [] };
+    fileSpecs.forEach((fileSpec) => {
+      const ef = context.lookupMaybe(fileSpec.node.get(PDFName.of('EF')), PDFDict);
+      const streams = ef ? ef.values().filter((value) => value instanceof PDFRef) : [];
+      const name = textOf(context.lookup(fileSpec.node.get(PDFName.of('UF'))))
+        || textOf(context.lookup(fileSpec.node.get(PDFName.of('F'))))
+        || 'unnamed';
+      const isTarget = (value) => (value instanceof PDFRef && fileSpec.target instanceof PDFRef
+        ? value.tag === fileSpec.target.tag
+        : value === fileSpec.target);
+      const entry = {
+        ref: fileSpec.ref,
+        name,
+        targets: [
+          fileSpec.target,
+          ...streams,
+          ...attachments.filter((attachment) => isTarget(attachment.fileSpec)).map((attachment) => attachment.target),
+        ],
+      };
+      files[this.isExecutable(name, streams.map((ref) => context.lookup(ref))) ? 'executable' : 'embedded'].push(entry);
+    });
+
+    const fileFinding = (code, category, label, found) => {
+      if (found.length === 0) return;
+      findings.push(this.finding(code, category, `${label}: ${found.map((file) => file.name).join(', ')}`, {
+        objects: found.map(({ ref }) => ref.toString()),
+        files: found.map((file) => file.name),
+        [TARGETS]: { nodes: found.flatMap(({ targets }) => targets) },
+      }));
+    };
+    fileFinding('EMBEDDED_FILE', 'embeddedFiles', 'Embedded files', files.embedded);
+    fileFinding('EXECUTABLE_FILE', 'executables', 'Embedded executables', files.executable);
+
+    if (findSignatureFields(pdfDoc).some((field) => field.signed)) {
+      findings.filter((finding) => finding.action === 'strip').forEach((finding) => {
+        Object.assign(finding, {
+          action: 'reject',
+          message: `${finding.message}, which cannot be removed from a signed document`,
+        });
+      });
+    }
+    return findings;
+  }
+
+  /**
+   * Whether an embedded file is a program, by its name or its first bytes
+   */
+  isExecutable(name, streams) {
+    const extension = /\.([a-z0-9]+)$/i.exec(name);
+    if (extension && EXECUTABLE_EXTENSIONS.includes(extension[1].toLowerCase())) {
+      return true;
+    }
+    return streams.some((stream) => {
+      if (!(stream instanceof PDFRawStream)) return false;
+      let content;
+      try {
+        content = Buffer.from(decodePDFRawStream(stream).decode());
+      } catch (error) {
+        content = Buffer.from(stream.getContents());
+      }
+      return EXECUTABLE_MAGIC.some((magic) => content.subarray(0, magic.length).equals(magic));
+    });
+  }
+
+  /**
+   * Throw unless no finding is rejected
+   * @throws {Error} code INVALID_PDF for files that are no PDF, PREFLIGHT_FAILED with the findings otherwise
+   */
+  assertPassed(findings) {
+    if (findings.some((finding) => finding.code === 'NOT_PDF')) {
+      throw codedError('Invalid or corrupted PDF file', 'INVALID_PDF');
+    }
+    const rejected = findings.filter((finding) => finding.action === 'reject');
+    if (rejected.length > 0) {
+      throw codedError(`Preflight failed: ${rejected.map((finding) => finding.message).join('; ')}`, 'PREFLIGHT_FAILED', { findings });
+    }
+  }
+
+  /**
+   * Throw when an incremental update cannot be appended: it links to the
+   * last cross-reference section, which has to be intact whatever the policy
+   */
+  assertAppendable(findings) {
+    const broken = findings.find((finding) => XREF_CODES.includes(finding.code));
+    if (broken) {
+      throw codedError(`Preflight failed: ${broken.message}, an incremental update cannot be appended`, 'PREFLIGHT_FAILED', { findings });
+    }
+  }
+
+  /**
+   * Structure checks for documents updated without being rewritten (timestamps, LTV data)
+   */
+  checkAppendable(pdfBuffer) {
+    const findings = this.checkStructure(pdfBuffer);
+    this.assertPassed(findings);
+    this.assertAppendable(findings);
+    return findings;
+  }
+
+  /**
+   * Remove the content of findings with the strip action from a loaded document:
+   * every reference to it (dictionary entries, array and name tree entries) and
+   * its objects. An incremental update leaves them in the earlier revision,
+   * unreferenced.
+   * @param {PDFDocument} pdfDoc - Document the findings were made on
+   * @param {object[]} findings - Output of checkDocument()
+   * @returns {object[]} The stripped findings
+   */
+  sanitize(pdfDoc, findings) {
+    const stripped = findings.filter((finding) => finding.action === 'strip' && finding[TARGETS]);
+    if (stripped.length === 0) return stripped;
+
+    const { context } = pdfDoc;
+    const refs = new Map();
+    const nodes = new Set();
+    stripped.forEach((finding) => {
+      const { nodes: targets = [], keys = [] } = finding[TARGETS];
+      targets.forEach((target) => (target instanceof PDFRef ? refs.set(target.tag, target) : nodes.add(target)));
+      keys.forEach(([dict, key]) => dict.delete(PDFName.of(key)));
+    });
+    const isTarget = (value) => (value instanceof PDFRef ? refs.has(value.tag) : nodes.has(value));
+
+    walk(context, (node) => {
+      if (node instanceof PDFDict) {
+        node.entries().filter(([, value]) => isTarget(value)).forEach(([key]) => node.delete(key));
+        return;
+      }
+      for (let i = node.size() - 1; i >= 0; i--) {
+        if (!isTarget(node.get(i))) continue;
+        node.remove(i);
+        // Name tree leaves pair a string key with each value
+        if (i % 2 === 1 && textOf(node.get(i - 1)) !== null) {
+          node.remove(i - 1);
+          i--;
+        }
+      }
+    });
+    refs.forEach((ref) => context.delete(ref));
+
+    console.log(`✓ Preflight removed ${stripped.map((finding) => finding.code).join(', ')}`);
+    return stripped;
+  }
+
+  finding(code, category, message, extra = {}) {
+    return { code, category, action: category ? this.policy[category] : 'reject', message, ...extra };
+  }
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  Preflight,
+  parsePreflightPolicy,
+  isPdf,
+};
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const { SignPdf, Signer, SignPdfError } = require('@signpdf/signpdf');
+const {
+  OIDS,
+  fromDer,
+  attribute,
+  encodeSet,
+  signatureAlgorithmFor,
+  signingCertificateV2Attribute,
+  createSignedAttributes,
+  createSignedData,
+  parseSignedData,
+} = require('../utils/cms');
+const { getCommonName } = require('../utils/x509');
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Room for a client CMS with a long chain or its own timestamp
+const REMOTE_SIGNATURE_LENGTH = 16384;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest();
+
+/**
+ * Raised for session requests the client can fix, with its code and the HTTP status to answer
+ */
+class SessionError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Records the digest of the ByteRange content instead of signing it
+ */
+class DigestCapture extends Signer {
+  async sign(content) {
+    this.digest = sha256(content);
+    return Buffer.alloc(0);
+  }
+}
+
+/**
+ * Hands @signpdf/signpdf a CMS built outside of it, after checking the
+ * ByteRange content is still the one prepared
+ */
+class PreparedSigner extends Signer {
+  constructor(digest, createCms) {
+    super();
+    this.digest = digest;
+    this.createCms = createCms;
+    this.timestampToken = null;
+  }
+
+  async sign(content) {
+    if (!sha256(content).equals(this.digest)) {
+      throw new Error('Prepared document changed since it was prepared');
+    }
+    return this.createCms(this);
+  }
+}
+
+/**
+ * Two-phase signing for keys the server does not hold (smart cards, wallets).
+ * prepare() inserts the signature placeholder and returns what the client has
+ * to sign; complete() embeds the client's signature. Prepared documents are
+ * kept in memory until completed or expired.
+ */
+class RemoteSigningSessions {
+  /**
+   * @param {object} options - { ttlMs, maxSessions }
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 5 * 60 * 1000;
+    this.maxSessions = options.maxSessions || 50;
+    this.sessions = new Map();
+    this.cleanupTimer = setInterval(() => this.purge(), Math.min(this.ttlMs, 60 * 1000));
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Insert the signature placeholder and open a session
+   * @param {PdfSigner} pdfSigner - Supplies the TSA, revocation source and DSS writer
+   * @param {Buffer} pdfBuffer - Document to sign
+   * @param {object} options - Signing options as for PdfSigner.signPdfBuffer
+   * @param {object} params - { clientId, name, certificate, chain }
+   *   certificate: signer certificate (DER). Needed to complete with a raw
+   *   signature, and for timestamped or PAdES signatures.
+   *   chain: other certificates to embed (DER)
+   * @returns {Promise<object>} Session description with the data to sign
+   */
+  async prepare(pdfSigner, pdfBuffer, options, params) {
+    this.purge();
+    if (this.sessions.size >= this.maxSessions) {
+      throw new SessionError(`Too many open signing sessions (limit ${this.maxSessions})`, 'TOO_MANY_SESSIONS', 503);
+    }
+
+    const { certificate = null, chain = [] } = params;
+    const timestamp = Boolean(options.timestamp) || options.profile === 'B-T' || options.profile === 'B-LT';
+    if (certificate) {
+      const { validFrom, validTo } = new crypto.X509Certificate(certificate);
+      const now = new Date();
+      if (new Date(validTo) < now || new Date(validFrom) > now) {
+        throw new SessionError(`Signer certificate is not valid now (valid ${validFrom} to ${validTo})`, 'INVALID_CERTIFICATE');
+      }
+    } else if (options.profile || timestamp || options.ltv) {
+      throw new SessionError('PAdES, LTV and timestamped remote signatures need the signer certificate', 'CERTIFICATE_REQUIRED');
+    }
+
+    const prepared = await pdfSigner.preparePdfBuffer(pdfBuffer, {
+      ...options,
+      name: options.name || (certificate && getCommonName(certificate)) || 'Remote signer',
+      signatureLength: REMOTE_SIGNATURE_LENGTH,
+    });
+    const capture = new DigestCapture();
+    await new SignPdf().sign(prepared.pdf, capture, prepared.signingTime);
+
+    const session = {
+      id: crypto.randomUUID(),
+      clientId: params.clientId,
+      name: params.name,
+      pdfSigner,
+      prepared,
+      digest: capture.digest,
+      certificate,
+      chain,
+      signedAttributes: certificate
+        ? createSignedAttributes({
+          messageDigest: capture.digest,
+          signingTime: prepared.profile ? null : prepared.signingTime,
+          extra: prepared.profile ? [signingCertificateV2Attribute(certificate)] : [],
+        })
+        : null,
+      expiresAt: new Date(Date.now() + this.ttlMs),
+    };
+    this.sessions.set(session.id, session);
+    return this.describe(session);
+  }
+
+  /**
+   * What the client signs. documentDigest goes into the messageDigest of a CMS
+   * built by the client; signedAttributes (DER) is signed as is for a raw
+   * signature, signedAttributesDigest being its hash for prehashed keys.
+   */
+  describe(session) {
+    const signedAttributes = session.signedAttributes && encodeSet(session.signedAttributes);
+    return {
+      sessionId: session.id,
+      expiresAt: session.expiresAt.toISOString(),
+      digestAlgorithm: 'sha256',
+      documentDigest: session.digest.toString('hex'),
+      signedAttributes: signedAttributes ? signedAttributes.toString('base64') : null,
+      signedAttributesDigest: signedAttributes ? sha256(signedAttributes).toString('hex') : null,
+      subFilter: session.prepared.profile ? 'ETSI.CAdES.detached' : 'adbe.pkcs7.detached',
+      timestamp: session.prepared.timestamp,
+      maxCmsSize: REMOTE_SIGNATURE_LENGTH,
+      preflight: session.prepared.preflight,
+      pdfa: session.prepared.pdfa,
+    };
+  }
+
+  /**
+   * Open session of a client, or null when unknown or expired
+   */
+  get(id, clientId) {
+    const session = SESSION_ID_PATTERN.test(String(id)) && this.sessions.get(id);
+    if (!session || session.clientId !== clientId || session.expiresAt < new Date()) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Embed the client's signature and close the session
+   * @param {string} id - Session id
+   * @param {string} clientId - Client that prepared the session
+   * @param {Function} readInput - () => { signature, cms }, called once the session is
+   *   claimed: signature, a raw signature over signedAttributes, or cms, a complete
+   *   detached CMS over the document digest (DER)
+   * @returns {Promise<{ signedPdf: Buffer, session: object }>}
+   */
+  async complete(id, clientId, readInput) {
+    const session = this.get(id, clientId);
+    if (!session) {
+      throw new SessionError('Signing session not found or expired', 'SESSION_NOT_FOUND', 404);
+    }
+    // Claimed before the first await so a concurrent request cannot embed a second signature
+    if (session.completing) {
+      throw new SessionError('Signing session is already being completed', 'SESSION_BUSY', 409);
+    }
+
+    session.completing = true;
+    try {
+      const signedPdf = await this.embed(session, readInput());
+      this.sessions.delete(session.id);
+      return { signedPdf, session };
+    } finally {
+      session.completing = false;
+    }
+  }
+
+  /**
+   * Check the client's signature and embed it in the prepared document
+   * @returns {Promise<Buffer>} The signed PDF
+   */
+  async embed(session, { signature, cms }) {
+    if (Boolean(signature) === Boolean(cms)) {
+      throw new SessionError('Provide either a signature or a cms', 'INVALID_OPTIONS');
+    }
+
+    const { pdfSigner, prepared } = session;
+    let createCms;
+    if (signature) {
+      if (!session.certificate) {
+        throw new SessionError('Session was prepared without a certificate, complete it with a cms', 'CERTIFICATE_REQUIRED');
+      }
+      const { publicKey } = new crypto.X509Certificate(session.certificate);
+      if (!crypto.verify('sha256', encodeSet(session.signedAttributes), publicKey, signature)) {
+        throw new SessionError('Signature does not verify with the signer certificate', 'INVALID_SIGNATURE');
+      }
+      createCms = async (signer) => {
+        const unsignedAttributes = [];
+        if (prepared.timestamp) {
+          signer.timestampToken = await pdfSigner.tsaClient.timestamp(sha256(signature), 'sha256');
+          unsignedAttributes.push(attribute(OIDS.timeStampToken, [fromDer(signer.timestampToken)]));
+        }
+        return createSignedData({
+          certificate: session.certificate,
+          chain: session.chain,
+          signedAttributes: session.signedAttributes,
+          signature,
+          signatureAlgorithm: signatureAlgorithmFor(publicKey),
+          unsignedAttributes,
+        });
+      };
+    } else {
+      if (prepared.timestamp) {
+        throw new SessionError('Session adds a signature timestamp, complete it with a raw signature', 'INVALID_OPTIONS');
+      }
+      try {
+        parseSignedData(cms);
+      } catch (error) {
+        throw new SessionError(`Invalid CMS: ${error.message}`, 'INVALID_SIGNATURE');
+      }
+      createCms = async () => cms;
+    }
+
+    let signedPdf;
+    try {
+      signedPdf = await pdfSigner.finishPdfBuffer(
+        prepared,
+        new PreparedSigner(session.digest, createCms),
+        { certificate: session.certificate, chain: session.chain }
+      );
+    } catch (error) {
+      if (error instanceof SignPdfError) {
+        throw new SessionError(error.message, 'INVALID_SIGNATURE');
+      }
+      throw error;
+    }
+
+    const report = await pdfSigner.verifier.verify(signedPdf, { encryption: prepared.encryption });
+    const result = report.signatures[report.signatures.length - 1];
+    if (!result || !result.integrity.digestMatches || !result.integrity.signatureValid) {
+      const reasons = result ? result.errors.join('; ') : 'no signature found';
+      throw new SessionError(`CMS does not sign the prepared document: ${reasons}`, 'INVALID_SIGNATURE');
+    }
+    return signedPdf;
+  }
+
+  /**
+   * Drop expired sessions
+   */
+  purge() {
+    const now = new Date();
+    this.sessions.forEach((session, id) => {
+      if (session.expiresAt < now) this.sessions.delete(id);
+    });
+  }
+}
+
+module.exports = {
+  RemoteSigningSessions,
+  SessionError,
+};
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { request } = require('../utils/http');
+const { getCrlUrls, getOcspUrls, getNames, parseCrl } = require('../utils/x509');
+const { createOcspRequest, parseOcspResponse } = require('../utils/ocsp');
+
+// How long data without a nextUpdate is used from a FileRevocationSource
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Interface of revocation data providers.
+ * Implementations return DER encoded CRLs and OCSP responses for a certificate.
+ */
+class RevocationSource {
+  /**
+   * @param {Buffer} certificate - Certificate to check (DER)
+   * @param {Buffer} issuer - Its issuer certificate (DER)
+   * @returns {Promise<{ crls: Buffer[], ocsps: Buffer[] }>}
+   */
+  async getRevocationData(certificate, issuer) {
+    throw new Error(`getRevocationData() is not implemented on ${this.constructor.name}`);
+  }
+}
+
+/**
+ * Fetches revocation data from the OCSP responders and CRL distribution
+ * points advertised in the certificate
+ */
+class HttpRevocationSource extends RevocationSource {
+  /**
+   * @param {object} options - { timeout, preferOcsp }
+   */
+  constructor(options = {}) {
+    super();
+    this.timeout = options.timeout || 10000;
+    this.preferOcsp = options.preferOcsp !== false;
+  }
+
+  async getRevocationData(certificate, issuer) {
+    const data = { crls: [], ocsps: [] };
+    const errors = [];
+
+    for (const url of getOcspUrls(certificate)) {
+      try {
+        data.ocsps.push(await this.fetchOcsp(url, certificate, issuer));
+        break;
+      } catch (error) {
+        errors.push(`${url}: ${error.message}`);
+      }
+    }
+
+    if (data.ocsps.length === 0 || !this.preferOcsp) {
+      for (const url of getCrlUrls(certificate)) {
+        try {
+          data.crls.push(await this.fetchCrl(url));
+          break;
+        } catch (error) {
+          errors.push(`${url}: ${error.message}`);
+        }
+      }
+    }
+
+    if (data.crls.length === 0 && data.ocsps.length === 0 && errors.length > 0) {
+      throw new Error(`No revocation data available (${errors.join('; ')})`);
+    }
+    return data;
+  }
+
+  async fetchOcsp(url, certificate, issuer) {
+    const response = await request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/ocsp-request' },
+      body: createOcspRequest(certificate, issuer),
+      timeout: this.timeout
+    });
+    if (response.statusCode !== 200) {
+      throw new Error(`HTTP ${response.statusCode}`);
+    }
+
+    const { status } = parseOcspResponse(response.body);
+    if (status !== 'successful') {
+      throw new Error(`OCSP responder answered ${status}`);
+    }
+    return response.body;
+  }
+
+  async fetchCrl(url) {
+    const response = await request(url, { timeout: this.timeout });
+    if (response.statusCode !== 200) {
+      throw new Error(`HTTP ${response.statusCode}`);
+    }
+    return response.body;
+  }
+}
+
+/**
+ * Serves CRLs (*.crl, DER or PEM) and OCSP responses (*.ocsp, DER) from a
+ * directory. With a fallback source it acts as a cache: data missing or no
+ * longer current is fetched from the fallback and written to the directory.
+ * Without one it is an offline responder, e.g. for tests or air-gapped setups.
+ */
+class FileRevocationSource extends RevocationSource {
+  /**
+   * @param {object} options - { dir, fallback, maxAgeMs }
+   *   fallback: RevocationSource asked when the directory has nothing current
+   *   maxAgeMs: how long data without a nextUpdate counts as current (default 24 h)
+   */
+  constructor(options = {}) {
+    super();
+    this.dir = options.dir;
+    this.fallback = options.fallback || null;
+    this.maxAgeMs = options.maxAgeMs || DEFAULT_MAX_AGE;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  async getRevocationData(certificate, issuer) {
+    const stored = this.findStored(certificate);
+    if (stored.ocsps.length > 0 || stored.crls.length > 0) {
+      return stored;
+    }
+    if (!this.fallback) {
+      const { subject } = new crypto.X509Certificate(certificate);
+      throw new Error(`No current revocation data for ${subject.split('\n').join(', ')} in ${path.basename(this.dir)}`);
+    }
+
+    const data = await this.fallback.getRevocationData(certificate, issuer);
+    data.ocsps.forEach((der) => this.store(der, '.ocsp'));
+    data.crls.forEach((der) => this.store(der, '.crl'));
+    return data;
+  }
+
+  /**
+   * Current OCSP responses for the certificate, or else current CRLs of its issuer
+   */
+  findStored(certificate) {
+    const now = Date.now();
+    const isCurrent = (thisUpdate, nextUpdate) => (nextUpdate
+      ? nextUpdate.getTime() > now
+      : Boolean(thisUpdate) && now - thisUpdate.getTime() < this.maxAgeMs);
+
+    const { serialNumber } = new crypto.X509Certificate(certificate);
+    const serial = serialNumber.toLowerCase().replace(/^(00)+/, '');
+    const { issuer } = getNames(certificate);
+    const issuerHashes = ['sha1', 'sha256'].map((algorithm) => crypto.createHash(algorithm).update(issuer).digest('hex'));
+
+    const ocsps = [];
+    const crls = [];
+    fs.readdirSync(this.dir).forEach((file) => {
+      const extension = path.extname(file).toLowerCase();
+      if (extension !== '.ocsp' && extension !== '.crl') return;
+
+      try {
+        const der = this.readDer(path.join(this.dir, file));
+        if (extension === '.ocsp') {
+          const response = parseOcspResponse(der);
+          const matches = response.status === 'successful' && response.responses.some((single) => (
+            single.serialNumber === serial
+            && issuerHashes.includes(single.issuerNameHash)
+            && isCurrent(single.thisUpdate, single.nextUpdate)
+          ));
+          if (matches) ocsps.push({ der, producedAt: response.producedAt });
+        } else {
+          const crl = parseCrl(der);
+          if (crl.issuer.equals(issuer) && isCurrent(crl.thisUpdate, crl.nextUpdate)) crls.push({ der, crl });
+        }
+      } catch (error) {
+        console.warn(`! Ignoring unreadable revocation file ${file}: ${error.message}`);
+      }
+    });
+
+    // Newest response, or newest CRL of the issuer, only
+    if (ocsps.length > 0) {
+      ocsps.sort((a, b) => b.producedAt - a.producedAt);
+      return { crls: [], ocsps: [ocsps[0].der] };
+    }
+    crls.sort((a, b) => b.crl.thisUpdate - a.crl.thisUpdate);
+    return { crls: crls.slice(0, 1).map((entry) => entry.der), ocsps: [] };
+  }
+
+  readDer(file) {
+    const data = fs.readFileSync(file);
+    const pem = /-----BEGIN X509 CRL-----([^-]+)-----END X509 CRL-----/.exec(data.toString('latin1'));
+    return pem ? Buffer.from(pem[1].replace(/\s+/g, ''), 'base64') : data;
+  }
+
+  /**
+   * Keep fetched data under its content hash
+   */
+  store(der, extension) {
+    const target = path.join(this.dir, `${sha256(der).slice(0, 32)}${extension}`);
+    const tempPath = `${target}.tmp`;
+    fs.writeFileSync(tempPath, der);
+    fs.renameSync(tempPath, target);
+  }
+}
+
+module.exports = { RevocationSource, HttpRevocationSource, FileRevocationSource };
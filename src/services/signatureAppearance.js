@@ -0,0 +1,141 @@
+const {
+  StandardFonts,
+  degrees,
+  rgb,
+  drawText,
+  drawImage,
+  pushGraphicsState,
+  popGraphicsState,
+} = require('pdf-lib');
+
+const DEFAULT_TEMPLATE = 'Digitally signed by {name}\nDate: {date}\nReason: {reason}\nLocation: {location}';
+const PADDING = 4;
+const MAX_FONT_SIZE = 12;
+const LINE_HEIGHT = 1.2;
+
+/**
+ * Fill a text template, dropping lines whose placeholders all resolved empty
+ * @param {string} template - Text with {name}, {date}, {reason}, {location} placeholders
+ * @param {object} values - Placeholder values
+ * @returns {string[]} Rendered lines
+ */
+const renderTemplate = (template, values) => template
+  .split(/\r?\n/)
+  .map((line) => {
+    const placeholders = line.match(/\{(\w+)\}/g) || [];
+    const rendered = line.replace(/\{(\w+)\}/g, (match, key) => values[key] || '');
+    const allEmpty = placeholders.length > 0
+      && placeholders.every((placeholder) => !values[placeholder.slice(1, -1)]);
+    return allEmpty ? null : rendered;
+  })
+  .filter((line) => line !== null);
+
+/**
+ * Format a date the way it is printed in signature boxes
+ */
+const formatDate = (date) => `${date.toISOString().replace('T', ' ').slice(0, 19)} UTC`;
+
+/**
+ * Embed a PNG or JPEG image, detected from its magic bytes
+ */
+const embedImage = async (pdfDoc, imageBuffer) => {
+  if (imageBuffer.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]))) {
+    return pdfDoc.embedPng(imageBuffer);
+  }
+  if (imageBuffer[0] === 0xff && imageBuffer[1] === 0xd8) {
+    return pdfDoc.embedJpg(imageBuffer);
+  }
+  throw new Error('Image must be a PNG or JPEG');
+};
+
+/**
+ * Replace characters the standard font cannot encode
+ */
+const sanitizeLine = (font, line) => {
+  const charset = new Set(font.getCharacterSet());
+  return Array.from(line)
+    .map((char) => (charset.has(char.codePointAt(0)) ? char : '?'))
+    .join('');
+};
+
+/**
+ * Build the normal appearance stream of a visible signature widget
+ * @param {PDFDocument} pdfDoc - Document being signed
+ * @param {object} appearance - { width, height, text, image }, text '' for no text
+ * @param {object} values - Template values { name, date, reason, location }
+ * @returns {Promise<PDFRef>} Reference to the form XObject
+ */
+const createAppearanceStream = async (pdfDoc, appearance, values) => {
+  const { width, height } = appearance;
+  const operators = [];
+  const resources = {};
+
+  // An empty text leaves the box to the image
+  const lines = appearance.text === '' ? [] : renderTemplate(appearance.text || DEFAULT_TEMPLATE, values);
+  let textX = PADDING;
+
+  if (appearance.image) {
+    const image = await embedImage(pdfDoc, appearance.image);
+    const boxWidth = lines.length > 0 ? width * 0.4 : width;
+    const scale = Math.min((boxWidth - 2 * PADDING) / image.width, (height - 2 * PADDING) / image.height);
+    const imageWidth = image.width * scale;
+    const imageHeight = image.height * scale;
+
+    resources.XObject = { Im1: image.ref };
+    operators.push(
+      pushGraphicsState(),
+      ...drawImage('Im1', {
+        x: (boxWidth - imageWidth) / 2,
+        y: (height - imageHeight) / 2,
+        width: imageWidth,
+        height: imageHeight,
+        rotate: degrees(0),
+        xSkew: degrees(0),
+        ySkew: degrees(0),
+      }),
+      popGraphicsState()
+    );
+    textX = boxWidth + PADDING;
+  }
+
+  if (lines.length > 0) {
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const safeLines = lines.map((line) => sanitizeLine(font, line));
+    const textWidth = width - textX - PADDING;
+    const widest = Math.max(...safeLines.map((line) => font.widthOfTextAtSize(line, 1)), 1);
+    const size = Math.min(
+      MAX_FONT_SIZE,
+      (height - 2 * PADDING) / (safeLines.length * LINE_HEIGHT),
+      textWidth / widest
+    );
+
+    resources.Font = { F1: font.ref };
+    safeLines.forEach((line, index) => {
+      operators.push(...drawText(font.encodeText(line), {
+        color: rgb(0, 0, 0),
+        font: 'F1',
+        size,
+        x: textX,
+        y: height - PADDING - size - index * size * LINE_HEIGHT,
+        rotate: degrees(0),
+        xSkew: degrees(0),
+        ySkew: degrees(0),
+      }));
+    });
+  }
+
+  const stream = pdfDoc.context.formXObject(operators, {
+    BBox: [0, 0, width, height],
+    Resources: resources,
+  });
+  return pdfDoc.context.register(stream);
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  renderTemplate,
+  formatDate,
+  embedImage,
+  sanitizeLine,
+  createAppearanceStream,
+};
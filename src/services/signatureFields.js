@@ -0,0 +1,236 @@
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFRef,
+  PDFString,
+  PDFHexString,
+  PDFInvalidObject,
+} = require('pdf-lib');
+const { DEFAULT_BYTE_RANGE_PLACEHOLDER, SIG_FLAGS } = require('@signpdf/utils');
+const { codedError } = require('../utils/errors');
+
+// Guard against cyclic /Parent or /Kids chains in malformed files
+const MAX_DEPTH = 32;
+
+const decodeText = (value) => (
+  value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null
+);
+
+/**
+ * Field type, inherited from parent fields
+ */
+const inheritedFieldType = (field) => {
+  let node = field;
+  for (let depth = 0; node && depth < MAX_DEPTH; depth++) {
+    const type = node.get(PDFName.of('FT'));
+    if (type) return type.decodeText();
+    node = node.lookupMaybe(PDFName.of('Parent'), PDFDict);
+  }
+  return null;
+};
+
+/**
+ * Page index of every annotation reference
+ */
+const mapAnnotationPages = (pdfDoc) => {
+  const pages = new Map();
+  pdfDoc.getPages().forEach((page, index) => {
+    const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+    if (!annots) return;
+    annots.asArray()
+      .filter((ref) => ref instanceof PDFRef)
+      .forEach((ref) => pages.set(`${ref.objectNumber} ${ref.generationNumber}`, index));
+  });
+  return pages;
+};
+
+/**
+ * Every terminal field of the AcroForm with its fully qualified name and type
+ */
+const findTerminalFields = (pdfDoc) => {
+  const acroForm = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  const rootFields = acroForm && acroForm.lookupMaybe(PDFName.of('Fields'), PDFArray);
+  if (!rootFields) return [];
+
+  const { context } = pdfDoc;
+  const fields = [];
+  const visit = (array, parentName, depth) => {
+    if (depth > MAX_DEPTH) return;
+    array.asArray().forEach((ref) => {
+      const dict = context.lookupMaybe(ref, PDFDict);
+      if (!dict) return;
+
+      const name = [parentName, decodeText(dict.get(PDFName.of('T')))].filter(Boolean).join('.');
+      const kids = dict.lookupMaybe(PDFName.of('Kids'), PDFArray);
+      const hasKidFields = Boolean(kids) && kids.asArray().some((kid) => {
+        const kidDict = context.lookupMaybe(kid, PDFDict);
+        return kidDict && kidDict.has(PDFName.of('T'));
+      });
+
+      if (hasKidFields) {
+        visit(kids, name, depth + 1);
+        return;
+      }
+      // Widgets are either merged into the field or listed as its kids
+      fields.push({
+        name,
+        type: inheritedFieldType(dict),
+        field: dict,
+        widgetRefs: kids ? kids.asArray() : [ref],
+      });
+    });
+  };
+
+  visit(rootFields, null, 0);
+  return fields;
+};
+
+/**
+ * Every signature field of the AcroForm with its widgets
+ * @param {PDFDocument} pdfDoc
+ * @returns {{ name: string, field: PDFDict, signed: boolean, widgets: { dict: PDFDict, page: number|null, rect: number[] }[] }[]}
+ */
+const findSignatureFields = (pdfDoc) => {
+  const annotationPages = mapAnnotationPages(pdfDoc);
+  const describeWidget = (ref) => {
+    const dict = pdfDoc.context.lookupMaybe(ref, PDFDict);
+    if (!dict) return null;
+    const rect = dict.lookupMaybe(PDFName.of('Rect'), PDFArray);
+    const page = ref instanceof PDFRef ? annotationPages.get(`${ref.objectNumber} ${ref.generationNumber}`) : undefined;
+    return {
+      dict,
+      page: page === undefined ? null : page,
+      rect: rect ? rect.asArray().map((value) => (value instanceof PDFNumber ? value.asNumber() : 0)) : [0, 0, 0, 0],
+    };
+  };
+
+  return findTerminalFields(pdfDoc)
+    .filter((entry) => entry.type === 'Sig')
+    .map((entry) => ({
+      name: entry.name,
+      field: entry.field,
+      signed: entry.field.has(PDFName.of('V')),
+      widgets: entry.widgetRefs.map(describeWidget).filter(Boolean),
+    }));
+};
+
+/**
+ * Plain description of a signature field for API responses.
+ * Pages are 0-based; rect is [x1, y1, x2, y2] in PDF points.
+ */
+const describeSignatureField = (entry) => {
+  const widget = entry.widgets[0];
+  const visible = Boolean(widget) && widget.rect[2] !== widget.rect[0] && widget.rect[3] !== widget.rect[1];
+  return {
+    name: entry.name,
+    signed: entry.signed,
+    visible,
+    page: widget ? widget.page : null,
+    rect: widget ? widget.rect : null,
+  };
+};
+
+/**
+ * Signature field by fully qualified name, checked to be available for signing
+ */
+const getEmptySignatureField = (pdfDoc, name) => {
+  const entry = findSignatureFields(pdfDoc).find((field) => field.name === name);
+  if (!entry) {
+    const other = findTerminalFields(pdfDoc).find((field) => field.name === name);
+    throw codedError(other
+      ? `Field "${name}" is not a signature field`
+      : `Signature field "${name}" not found`, 'FIELD_NOT_FOUND');
+  }
+  if (entry.signed) {
+    throw codedError(`Signature field "${name}" is already signed`, 'FIELD_SIGNED');
+  }
+  return entry;
+};
+
+/**
+ * Add an empty, invisible signature field named <prefix><n>, unique in the form
+ * @param {PDFDocument} pdfDoc
+ * @param {string} [prefix]
+ * @returns {PDFDict} The field, merged with its widget on the first page
+ */
+const addSignatureField = (pdfDoc, prefix = 'Signature') => {
+  const names = new Set(findTerminalFields(pdfDoc).map((entry) => entry.name));
+  let index = 1;
+  while (names.has(`${prefix}${index}`)) index++;
+
+  const page = pdfDoc.getPage(0);
+  const field = pdfDoc.context.obj({
+    FT: 'Sig',
+    T: PDFString.of(`${prefix}${index}`),
+    Type: 'Annot',
+    Subtype: 'Widget',
+    Rect: [0, 0, 0, 0],
+    F: 132, // Print, Locked
+    P: page.ref,
+  });
+  const fieldRef = pdfDoc.context.register(field);
+  pdfDoc.catalog.getOrCreateAcroForm().addField(fieldRef);
+  // page.node.addAnnot() would also rewrite the page content streams
+  const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+  if (annots) annots.push(fieldRef);
+  else page.node.set(PDFName.of('Annots'), pdfDoc.context.obj([fieldRef]));
+  return field;
+};
+
+/**
+ * Signature dictionary with ByteRange and Contents placeholders in an existing
+ * signature field. Mirrors the dictionary pdflibAddPlaceholder creates for new fields.
+ * @param {PDFDocument} pdfDoc
+ * @param {PDFDict} field - Empty signature field
+ * @param {object} options - { type, reason, location, contactInfo, name, signingTime, signatureLength, subFilter }
+ *   type: 'Sig' (default) or 'DocTimeStamp', which carries no signer details
+ * @returns {PDFRef} The signature dictionary
+ */
+const addFieldPlaceholder = (pdfDoc, field, options) => {
+  const { context } = pdfDoc;
+  const placeholder = {
+    Type: options.type || 'Sig',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: options.subFilter,
+    ByteRange: [
+      PDFNumber.of(0),
+      PDFName.of(DEFAULT_BYTE_RANGE_PLACEHOLDER),
+      PDFName.of(DEFAULT_BYTE_RANGE_PLACEHOLDER),
+      PDFName.of(DEFAULT_BYTE_RANGE_PLACEHOLDER),
+    ],
+    Contents: PDFHexString.of('00'.repeat(options.signatureLength)),
+  };
+  const signature = context.obj(options.type === 'DocTimeStamp' ? placeholder : {
+    ...placeholder,
+    Reason: PDFString.of(options.reason),
+    M: PDFString.fromDate(options.signingTime),
+    ContactInfo: PDFString.of(options.contactInfo),
+    Name: PDFString.of(options.name),
+    Location: PDFString.of(options.location),
+    Prop_Build: { Filter: { Name: 'Adobe.PPKLite' } },
+  });
+
+  // Kept as raw bytes so pdf-lib never moves it into an object stream
+  const bytes = new Uint8Array(signature.sizeInBytes());
+  signature.copyBytesInto(bytes, 0);
+  const signatureRef = context.register(PDFInvalidObject.of(bytes));
+  field.set(PDFName.of('V'), signatureRef);
+
+  const acroForm = pdfDoc.catalog.lookup(PDFName.of('AcroForm'), PDFDict);
+  const flags = acroForm.lookupMaybe(PDFName.of('SigFlags'), PDFNumber);
+  acroForm.set(
+    PDFName.of('SigFlags'),
+    PDFNumber.of((flags ? flags.asNumber() : 0) | SIG_FLAGS.SIGNATURES_EXIST | SIG_FLAGS.APPEND_ONLY)
+  );
+  return signatureRef;
+};
+
+module.exports = {
+  findSignatureFields,
+  describeSignatureField,
+  getEmptySignatureField,
+  addSignatureField,
+  addFieldPlaceholder,
+};
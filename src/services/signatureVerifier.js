@@ -0,0 +1,557 @@
+const crypto = require('crypto');
+const {
+  PDFDict,
+  PDFName,
+  PDFArray,
+  PDFNumber,
+  PDFString,
+  PDFHexString,
+} = require('pdf-lib');
+const {
+  OIDS,
+  DIGEST_ALGORITHMS,
+  nodeToDer,
+  parseTime,
+  parseSignedData,
+  findAttribute,
+  findSignerCertificate,
+} = require('../utils/cms');
+const { parseTimeStampToken } = require('../utils/tsp');
+const { buildChain, isSelfSigned, getNames, parseCrl } = require('../utils/x509');
+const { parseOcspResponse } = require('../utils/ocsp');
+const { readDss, vriKey } = require('./dssWriter');
+const { DOCMDP_PERMISSIONS, readDocMdpPermission, findDocMdpViolations } = require('./docMdp');
+const { loadPdf } = require('./pdfEncryption');
+
+const SUBFILTER_ETSI_CADES_DETACHED = 'ETSI.CAdES.detached';
+const SUBFILTER_ETSI_RFC3161 = 'ETSI.RFC3161';
+
+class SignatureVerifier {
+  /**
+   * Verify every signature found in a PDF buffer
+   * @param {Buffer} pdfBuffer - PDF file buffer
+   * @param {object} [options] - { password, encryption } of an encrypted document, see loadPdf()
+   * @returns {Promise<object>} Verification report
+   */
+  async verify(pdfBuffer, options = {}) {
+    const { pdfDoc, encryption } = await loadPdf(pdfBuffer, options);
+
+    const dss = readDss(pdfDoc);
+    const signatures = this.findSignatureDictionaries(pdfDoc)
+      .map((entry) => this.verifySignature(pdfBuffer, entry, dss))
+      .sort((a, b) => a.byteRange[1] - b.byteRange[1])
+      .map((report, index) => ({ index, ...report }));
+
+    await this.checkCertification(pdfBuffer, pdfDoc, signatures, encryption);
+    this.applyArchiveTimestamps(signatures);
+
+    return {
+      signed: signatures.length > 0,
+      signatureCount: signatures.length,
+      valid: signatures.length > 0 && signatures.every((signature) => signature.valid),
+      documentSize: pdfBuffer.length,
+      signatures,
+    };
+  }
+
+  /**
+   * Collect every signature dictionary along with the name of the field using it
+   */
+  findSignatureDictionaries(pdfDoc) {
+    const dictionaries = [];
+    const fieldNames = new Map();
+
+    pdfDoc.context.enumerateIndirectObjects().forEach(([ref, object]) => {
+      if (!(object instanceof PDFDict)) return;
+
+      const value = object.get(PDFName.of('V'));
+      const fieldType = object.get(PDFName.of('FT'));
+      if (fieldType === PDFName.of('Sig') && value) {
+        fieldNames.set(value, this.decodeString(object.get(PDFName.of('T'))));
+      }
+
+      if (object.lookupMaybe(PDFName.of('ByteRange'), PDFArray) && object.has(PDFName.of('Contents'))) {
+        dictionaries.push({ ref, dict: object });
+      }
+    });
+
+    return dictionaries.map((entry) => ({ ...entry, fieldName: fieldNames.get(entry.ref) || null }));
+  }
+
+  /**
+   * Verify a single signature dictionary against the raw file bytes
+   * @param {object|null} dss - Document security store contents from readDss
+   */
+  verifySignature(pdfBuffer, { ref, dict, fieldName }, dss = null) {
+    const byteRange = dict.lookup(PDFName.of('ByteRange'), PDFArray)
+      .asArray()
+      .map((entry) => (entry instanceof PDFNumber ? entry.asNumber() : NaN));
+    const subFilter = dict.get(PDFName.of('SubFilter'));
+
+    const report = {
+      type: subFilter && subFilter.decodeText() === SUBFILTER_ETSI_RFC3161 ? 'timestamp' : 'signature',
+      fieldName,
+      objectNumber: ref.objectNumber,
+      subFilter: subFilter ? subFilter.decodeText() : null,
+      byteRange,
+      reason: this.decodeString(dict.get(PDFName.of('Reason'))),
+      location: this.decodeString(dict.get(PDFName.of('Location'))),
+      contactInfo: this.decodeString(dict.get(PDFName.of('ContactInfo'))),
+      name: this.decodeString(dict.get(PDFName.of('Name'))),
+      signingTime: this.decodeDate(dict.get(PDFName.of('M'))),
+      signer: null,
+      timestamp: null,
+      certification: null,
+      pades: { level: null, reasons: [] },
+      ltv: null,
+      integrity: {
+        byteRangeValid: false,
+        digestAlgorithm: null,
+        digestMatches: false,
+        signatureValid: false,
+      },
+      coversWholeDocument: false,
+      modifiedAfterSigning: false,
+      valid: false,
+      errors: [],
+    };
+
+    const permission = readDocMdpPermission(dict);
+    if (permission) {
+      report.certification = {
+        permission,
+        description: DOCMDP_PERMISSIONS[permission] || 'Unknown permission',
+        violations: [],
+      };
+    }
+
+    if (!this.isByteRangeValid(pdfBuffer, byteRange)) {
+      report.errors.push('ByteRange does not frame the /Contents hex string');
+      return report;
+    }
+    report.integrity.byteRangeValid = true;
+
+    const coveredEnd = byteRange[2] + byteRange[3];
+    const trailing = pdfBuffer.subarray(coveredEnd).toString('latin1');
+    report.coversWholeDocument = trailing.trim().length === 0;
+    report.modifiedAfterSigning = !report.coversWholeDocument;
+
+    let cms = null;
+    try {
+      cms = report.type === 'timestamp'
+        ? this.verifyDocumentTimestamp(pdfBuffer, byteRange, report)
+        : this.verifyCms(pdfBuffer, byteRange, report);
+    } catch (error) {
+      report.errors.push(`Invalid ${report.type === 'timestamp' ? 'timestamp token' : 'CMS signature'}: ${error.message}`);
+    }
+
+    report.valid = report.integrity.byteRangeValid
+      && report.integrity.digestMatches
+      && report.integrity.signatureValid
+      && (!report.timestamp || report.timestamp.valid);
+
+    if (cms) {
+      report.ltv = this.checkLtv(cms, dss);
+      report.pades = report.type === 'timestamp'
+        ? { level: null, reasons: ['Document timestamp, not a signature'] }
+        : this.determinePadesLevel(report, cms, dss);
+    }
+
+    return report;
+  }
+
+  /**
+   * Check the changes made after a certification signature against its DocMDP permission.
+   * Violations make the certification signature invalid.
+   * @param {object[]} signatures - Signature reports in document order
+   */
+  async checkCertification(pdfBuffer, pdfDoc, signatures, encryption) {
+    signatures.filter((report) => report.certification).forEach((report) => {
+      if (report.index > 0) {
+        report.errors.push('Certification signature is not the first signature of the document');
+        report.valid = false;
+      }
+    });
+
+    const report = signatures[0];
+    if (!report || !report.certification || !report.integrity.byteRangeValid || report.coversWholeDocument) {
+      return;
+    }
+
+    const { pdfDoc: certifiedDoc } = await loadPdf(
+      pdfBuffer.subarray(0, report.byteRange[2] + report.byteRange[3]),
+      { encryption }
+    );
+    const violations = findDocMdpViolations(certifiedDoc, pdfDoc, report.certification.permission);
+    report.certification.violations = violations;
+    if (violations.length > 0) {
+      report.errors.push(`Changes after certification are not allowed by DocMDP P=${report.certification.permission}: ${violations.join('; ')}`);
+      report.valid = false;
+    }
+  }
+
+  /**
+   * Check the digest over the ByteRange and the CMS signature value
+   */
+  verifyCms(pdfBuffer, byteRange, report) {
+    const contents = Buffer.from(
+      pdfBuffer.toString('latin1', byteRange[1] + 1, byteRange[2] - 1).trim(),
+      'hex'
+    );
+    const { certificates, encapsulatedContent, signerInfos } = parseSignedData(contents);
+    if (signerInfos.length === 0) {
+      throw new Error('No SignerInfo found');
+    }
+
+    const signerInfo = signerInfos[0];
+    const signedContent = Buffer.concat([
+      pdfBuffer.subarray(byteRange[0], byteRange[0] + byteRange[1]),
+      pdfBuffer.subarray(byteRange[2], byteRange[2] + byteRange[3]),
+    ]);
+
+    const result = this.verifySignerInfo(signedContent, certificates, signerInfo, encapsulatedContent);
+    report.signer = this.describeCertificate(result.certificate);
+    report.integrity.digestAlgorithm = result.digestAlgorithm;
+    report.integrity.digestMatches = result.digestMatches;
+    report.integrity.signatureValid = result.signatureValid;
+    if (result.signingTime) {
+      report.signingTime = result.signingTime.toISOString();
+    }
+
+    if (!report.integrity.digestMatches) {
+      report.errors.push('Document digest does not match the signed digest');
+    }
+    if (!report.integrity.signatureValid) {
+      report.errors.push('Signature value does not verify against the signer certificate');
+    }
+
+    report.timestamp = this.verifyTimestamp(signerInfo, report);
+    return { contents, certificates, signerInfo, certificate: result.certificate };
+  }
+
+  /**
+   * Check a document timestamp (ETSI.RFC3161): the token's imprint must be the
+   * digest of the ByteRange content and the TSA signature must verify. The TSA
+   * is reported as the signer.
+   */
+  verifyDocumentTimestamp(pdfBuffer, byteRange, report) {
+    const contents = Buffer.from(
+      pdfBuffer.toString('latin1', byteRange[1] + 1, byteRange[2] - 1).trim(),
+      'hex'
+    );
+    const token = parseTimeStampToken(contents);
+    if (token.signerInfos.length === 0) {
+      throw new Error('No SignerInfo found');
+    }
+
+    const { tstInfo } = token;
+    const signedContent = Buffer.concat([
+      pdfBuffer.subarray(byteRange[0], byteRange[0] + byteRange[1]),
+      pdfBuffer.subarray(byteRange[2], byteRange[2] + byteRange[3]),
+    ]);
+    const signerInfo = token.signerInfos[0];
+    const result = this.verifySignerInfo(token.encapsulatedContent, token.certificates, signerInfo);
+
+    report.signer = this.describeCertificate(result.certificate);
+    report.signingTime = tstInfo.genTime.toISOString();
+    report.integrity.digestAlgorithm = tstInfo.digestAlgorithm;
+    report.integrity.digestMatches = crypto.createHash(tstInfo.digestAlgorithm)
+      .update(signedContent)
+      .digest()
+      .equals(tstInfo.digest);
+    report.integrity.signatureValid = result.digestMatches && result.signatureValid;
+    report.timestamp = {
+      time: report.signingTime,
+      tsa: this.formatDn(result.certificate.subject),
+      imprintMatches: report.integrity.digestMatches,
+      signatureValid: report.integrity.signatureValid,
+      valid: report.integrity.digestMatches && report.integrity.signatureValid,
+    };
+
+    if (!report.integrity.digestMatches) {
+      report.errors.push('Document digest does not match the timestamp imprint');
+    }
+    if (!report.integrity.signatureValid) {
+      report.errors.push('Timestamp token signature does not verify against the TSA certificate');
+    }
+    return { contents, certificates: token.certificates, signerInfo, certificate: result.certificate };
+  }
+
+  /**
+   * Raise B-LT signatures to B-LTA when a later valid document timestamp covers
+   * them together with their validation data
+   * @param {object[]} signatures - Signature reports in document order
+   */
+  applyArchiveTimestamps(signatures) {
+    signatures
+      .filter((report) => report.pades.level === 'B-LT')
+      .forEach((report) => {
+        const covered = signatures.some((other) => other.type === 'timestamp'
+          && other.index > report.index
+          && other.valid);
+        if (covered) {
+          report.pades = { level: 'B-LTA', reasons: [] };
+        }
+      });
+  }
+
+  /**
+   * Verify a SignerInfo over some content
+   * @param {Buffer} content - Signed content (ByteRange bytes or TSTInfo)
+   * @param {Buffer[]} certificates - Certificates embedded in the SignedData
+   * @param {object} signerInfo - Parsed SignerInfo
+   * @param {Buffer|null} encapsulatedContent - adbe.pkcs7.sha1 style embedded digest
+   */
+  verifySignerInfo(content, certificates, signerInfo, encapsulatedContent = null) {
+    const digestAlgorithm = DIGEST_ALGORITHMS[signerInfo.digestAlgorithm];
+    if (!digestAlgorithm) {
+      throw new Error(`Unsupported digest algorithm ${signerInfo.digestAlgorithm}`);
+    }
+
+    const certificate = findSignerCertificate(certificates, signerInfo);
+    if (!certificate) {
+      throw new Error('Signer certificate not included in signature');
+    }
+
+    const expected = crypto.createHash(digestAlgorithm).update(content).digest();
+    const result = { digestAlgorithm, certificate, signingTime: null };
+
+    let signedBytes;
+    if (signerInfo.signedAttributes) {
+      const messageDigest = findAttribute(signerInfo.signedAttributes, OIDS.messageDigest);
+      result.digestMatches = Boolean(messageDigest)
+        && Buffer.from(messageDigest.value, 'binary').equals(expected);
+
+      const signingTime = findAttribute(signerInfo.signedAttributes, OIDS.signingTime);
+      if (signingTime) {
+        result.signingTime = parseTime(signingTime);
+      }
+      signedBytes = signerInfo.signedAttributesDer;
+    } else if (encapsulatedContent) {
+      // adbe.pkcs7.sha1 style: the encapsulated content is the document digest
+      result.digestMatches = encapsulatedContent.equals(expected);
+      signedBytes = encapsulatedContent;
+    } else {
+      result.digestMatches = true;
+      signedBytes = content;
+    }
+
+    result.signatureValid = crypto.verify(
+      digestAlgorithm,
+      signedBytes,
+      certificate.publicKey,
+      signerInfo.signature
+    );
+
+    return result;
+  }
+
+  /**
+   * Check the RFC 3161 signatureTimeStampToken of a signature, if any
+   */
+  verifyTimestamp(signerInfo, report) {
+    const tokenNode = findAttribute(signerInfo.unsignedAttributes, OIDS.timeStampToken);
+    if (!tokenNode) {
+      return null;
+    }
+
+    const timestamp = {
+      time: null,
+      tsa: null,
+      imprintMatches: false,
+      signatureValid: false,
+      valid: false,
+    };
+
+    try {
+      const token = parseTimeStampToken(nodeToDer(tokenNode));
+      const { tstInfo } = token;
+      timestamp.time = tstInfo.genTime.toISOString();
+      timestamp.imprintMatches = crypto.createHash(tstInfo.digestAlgorithm)
+        .update(signerInfo.signature)
+        .digest()
+        .equals(tstInfo.digest);
+
+      const result = this.verifySignerInfo(
+        token.encapsulatedContent,
+        token.certificates,
+        token.signerInfos[0]
+      );
+      timestamp.tsa = this.formatDn(result.certificate.subject);
+      timestamp.signatureValid = result.digestMatches && result.signatureValid;
+      timestamp.valid = timestamp.imprintMatches && timestamp.signatureValid;
+    } catch (error) {
+      report.errors.push(`Invalid timestamp token: ${error.message}`);
+      return timestamp;
+    }
+
+    if (!timestamp.valid) {
+      report.errors.push('Timestamp token does not match the signature');
+    }
+    return timestamp;
+  }
+
+  /**
+   * Highest PAdES baseline level (B-B, B-T, B-LT) a signature satisfies on its own;
+   * applyArchiveTimestamps raises it to B-LTA
+   * @param {object} report - Signature report with integrity and timestamp filled in
+   * @param {object} cms - { certificates, signerInfo, certificate } from verifyCms
+   * @param {object|null} dss - Document security store contents
+   * @returns {{ level: string|null, reasons: string[] }} Level and why the next one is not met
+   */
+  determinePadesLevel(report, { signerInfo }, dss) {
+    const reasons = [];
+    const attributes = signerInfo.signedAttributes;
+
+    if (report.subFilter !== SUBFILTER_ETSI_CADES_DETACHED) {
+      reasons.push(`SubFilter is ${report.subFilter}, PAdES requires ${SUBFILTER_ETSI_CADES_DETACHED}`);
+    }
+    if (!attributes || !findAttribute(attributes, OIDS.signingCertificateV2)) {
+      reasons.push('Missing signing-certificate-v2 signed attribute');
+    }
+    if (attributes && findAttribute(attributes, OIDS.signingTime)) {
+      reasons.push('PAdES signatures must not carry a CMS signing-time attribute');
+    }
+    if (!report.valid) {
+      reasons.push('Signature is not valid');
+    }
+    if (reasons.length > 0) {
+      return { level: null, reasons };
+    }
+
+    if (!report.timestamp) {
+      return { level: 'B-B', reasons: ['No signature timestamp'] };
+    }
+
+    if (report.ltv.missing.length > 0) {
+      return { level: 'B-T', reasons: report.ltv.missing };
+    }
+    return { level: 'B-LT', reasons: ['No document timestamp after the validation data'] };
+  }
+
+  /**
+   * Whether the DSS holds what is needed to validate a signature later
+   * @param {object} cms - { contents, certificates, signerInfo, certificate } from verifyCms
+   * @param {object|null} dss - Document security store contents
+   * @returns {{ vri: boolean, complete: boolean, missing: string[] }} vri: the DSS has
+   *   a VRI entry for this signature; missing: certificates and revocation data it lacks
+   */
+  checkLtv(cms, dss) {
+    let missing;
+    try {
+      missing = dss ? this.findMissingValidationData(this.validationChains(cms, dss).flat(), dss) : ['No DSS dictionary'];
+    } catch (error) {
+      missing = [`Cannot build the certificate chains: ${error.message}`];
+    }
+    return {
+      vri: Boolean(dss) && dss.vri.includes(vriKey(cms.contents)),
+      complete: missing.length === 0,
+      missing,
+    };
+  }
+
+  /**
+   * Chains a validator needs for a signature: the signer's and, when the
+   * signature is timestamped, the TSA's, completed with DSS certificates
+   */
+  validationChains({ certificates, signerInfo, certificate }, dss) {
+    const pool = dss ? dss.certificates : [];
+    const chains = [buildChain(certificate.raw, [...certificates, ...pool])];
+    const tokenNode = findAttribute(signerInfo.unsignedAttributes, OIDS.timeStampToken);
+    if (tokenNode) {
+      const token = parseTimeStampToken(nodeToDer(tokenNode));
+      const tsaCertificate = findSignerCertificate(token.certificates, token.signerInfos[0]);
+      chains.push(buildChain(tsaCertificate.raw, [...token.certificates, ...pool]));
+    }
+    return chains;
+  }
+
+  /**
+   * List what the DSS lacks to validate each certificate of the given chains
+   * @param {Buffer[]} chain - DER certificates
+   * @param {object} dss - Document security store contents
+   */
+  findMissingValidationData(chain, dss) {
+    const missing = [];
+    const crls = dss.crls.map((der) => parseCrl(der));
+    const serials = new Set(dss.ocsps.flatMap((der) => parseOcspResponse(der).responses
+      .map((response) => response.serialNumber)));
+
+    chain.forEach((der) => {
+      const certificate = new crypto.X509Certificate(der);
+      const subject = this.formatDn(certificate.subject);
+      if (!dss.certificates.some((stored) => stored.equals(der))) {
+        missing.push(`Certificate ${subject} is not in the DSS`);
+      }
+      if (isSelfSigned(certificate)) return;
+
+      const { issuer } = getNames(der);
+      const serial = certificate.serialNumber.toLowerCase().replace(/^(00)+/, '');
+      const hasCrl = crls.some((crl) => crl.issuer.equals(issuer));
+      if (!hasCrl && !serials.has(serial)) {
+        missing.push(`No revocation data for ${subject} in the DSS`);
+      }
+    });
+
+    return missing.filter((reason, index) => missing.indexOf(reason) === index);
+  }
+
+  /**
+   * The gap between both ranges must be exactly the <hex> /Contents value
+   */
+  isByteRangeValid(pdfBuffer, byteRange) {
+    if (byteRange.length !== 4 || byteRange.some((value) => !Number.isInteger(value) || value < 0)) {
+      return false;
+    }
+    const [start, firstLength, secondStart, secondLength] = byteRange;
+    return start === 0
+      && secondStart > firstLength
+      && secondStart + secondLength <= pdfBuffer.length
+      && pdfBuffer[firstLength] === 0x3c // <
+      && pdfBuffer[secondStart - 1] === 0x3e; // >
+  }
+
+  /**
+   * Summarize a signer certificate
+   * @param {crypto.X509Certificate} certificate
+   */
+  describeCertificate(certificate) {
+    const now = new Date();
+    const validFrom = new Date(certificate.validFrom);
+    const validTo = new Date(certificate.validTo);
+    return {
+      subject: this.formatDn(certificate.subject),
+      issuer: this.formatDn(certificate.issuer),
+      serialNumber: certificate.serialNumber,
+      validFrom: validFrom.toISOString(),
+      validTo: validTo.toISOString(),
+      expired: validTo < now,
+      selfSigned: certificate.checkIssued(certificate),
+      fingerprint256: certificate.fingerprint256,
+    };
+  }
+
+  formatDn(dn) {
+    return dn.split('\n').join(', ');
+  }
+
+  decodeString(value) {
+    if (value instanceof PDFString || value instanceof PDFHexString) {
+      return value.decodeText();
+    }
+    return null;
+  }
+
+  decodeDate(value) {
+    try {
+      if (value instanceof PDFString || value instanceof PDFHexString) {
+        return value.decodeDate().toISOString();
+      }
+    } catch (error) {
+      // Malformed dates are reported as missing
+    }
+    return null;
+  }
+}
+
+module.exports = { SignatureVerifier };
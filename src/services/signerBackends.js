@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadPkcs12 } = require('../utils/pkcs12');
+const { parseCertificates } = require('../utils/x509');
+const { request } = require('../utils/http');
+
+// DER prefix of a SHA-256 DigestInfo, prepended for raw RSA PKCS#1 v1.5 mechanisms
+const SHA256_DIGEST_INFO = Buffer.from('3031300d060960864801650304020105000420', 'hex');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest();
+
+/**
+ * Certificates from a PEM bundle or a single DER file
+ */
+const readCertificateFile = (file) => {
+  const data = fs.readFileSync(file);
+  return data[0] === 0x30 ? parseCertificates(data.toString('base64')) : parseCertificates(data.toString('utf8'));
+};
+
+/**
+ * DER encode an ECDSA signature given as r || s (IEEE P1363), as PKCS#11
+ * tokens and some KMS return it. DER signatures are returned unchanged.
+ */
+const toDerEcdsaSignature = (signature, certificate) => {
+  const { namedCurve } = new crypto.X509Certificate(certificate).publicKey.asymmetricKeyDetails;
+  const size = { 'prime256v1': 32, 'secp384r1': 48, 'secp521r1': 66 }[namedCurve];
+  if (!size || signature.length !== size * 2) {
+    return signature;
+  }
+  const integer = (bytes) => {
+    let value = bytes;
+    while (value.length > 1 && value[0] === 0 && value[1] < 0x80) value = value.subarray(1);
+    if (value[0] >= 0x80) value = Buffer.concat([Buffer.from([0]), value]);
+    return Buffer.concat([Buffer.from([0x02, value.length]), value]);
+  };
+  const body = Buffer.concat([integer(signature.subarray(0, size)), integer(signature.subarray(size))]);
+  const length = body.length < 0x80 ? Buffer.from([body.length]) : Buffer.from([0x81, body.length]);
+  return Buffer.concat([Buffer.from([0x30]), length, body]);
+};
+
+/**
+ * Fails when the key does not belong to the certificate, which otherwise
+ * only shows when the first signature is verified
+ */
+const checkKeyMatchesCertificate = async (backend) => {
+  const probe = crypto.randomBytes(32);
+  const signature = await backend.sign(probe);
+  const { publicKey } = new crypto.X509Certificate(backend.certificate);
+  if (!crypto.verify('sha256', probe, publicKey, signature)) {
+    throw new Error('Private key does not match the certificate');
+  }
+};
+
+/**
+ * Key and certificates in a PKCS#12 keystore file
+ */
+class P12Backend {
+  /**
+   * @param {object} options - { path, passphrase }
+   */
+  constructor(options) {
+    this.type = 'p12';
+    this.path = options.path;
+    this.passphrase = options.passphrase;
+    this.files = [this.path];
+  }
+
+  async load() {
+    const { privateKey, certificate, chain } = loadPkcs12(fs.readFileSync(this.path), this.passphrase);
+    this.privateKey = privateKey;
+    this.certificate = certificate;
+    this.chain = chain;
+  }
+
+  async sign(data) {
+    return crypto.sign('sha256', data, this.privateKey);
+  }
+
+  describe() {
+    return { backend: this.type, file: path.basename(this.path) };
+  }
+
+  close() {}
+}
+
+/**
+ * PEM private key (optionally encrypted PKCS#8) with certificate and chain files
+ */
+class PemBackend {
+  /**
+   * @param {object} options - { keyPath, certPath, chainPath, passphrase }
+   */
+  constructor(options) {
+    this.type = 'pem';
+    this.keyPath = options.keyPath;
+    this.certPath = options.certPath;
+    this.chainPath = options.chainPath || null;
+    this.passphrase = options.passphrase;
+    this.files = [this.keyPath, this.certPath, this.chainPath].filter(Boolean);
+  }
+
+  async load() {
+    this.privateKey = crypto.createPrivateKey({
+      key: fs.readFileSync(this.keyPath),
+      passphrase: this.passphrase || undefined,
+    });
+    const [certificate, ...bundled] = readCertificateFile(this.certPath);
+    this.certificate = certificate;
+    this.chain = bundled.concat(this.chainPath ? readCertificateFile(this.chainPath) : []);
+    await checkKeyMatchesCertificate(this);
+  }
+
+  async sign(data) {
+    return crypto.sign('sha256', data, this.privateKey);
+  }
+
+  describe() {
+    return { backend: this.type, file: path.basename(this.certPath) };
+  }
+
+  close() {}
+}
+
+/**
+ * Key held by a PKCS#11 token (HSM, smart card, SoftHSM). Needs the optional
+ * pkcs11js package. The key is found by label or id; the certificate comes
+ * from certPath or from the token object with the same label or id.
+ */
+class Pkcs11Backend {
+  /**
+   * @param {object} options - { library, slot, tokenLabel, pin, keyLabel, keyId, certPath, chainPath }
+   *   slot: slot index among slots with a token, when tokenLabel is not given (default 0)
+   *   keyId: hex CKA_ID
+   */
+  constructor(options) {
+    this.type = 'pkcs11';
+    this.library = options.library;
+    this.slot = options.slot || 0;
+    this.tokenLabel = options.tokenLabel || null;
+    this.pin = options.pin;
+    this.keyLabel = options.keyLabel || null;
+    this.keyId = options.keyId || null;
+    this.certPath = options.certPath || null;
+    this.chainPath = options.chainPath || null;
+    this.files = [this.certPath, this.chainPath].filter(Boolean);
+    this.session = null;
+  }
+
+  async load() {
+    if (!this.library) {
+      throw new Error('PKCS#11 backend needs "library" (path of the PKCS#11 module)');
+    }
+    if (!this.keyLabel && !this.keyId) {
+      throw new Error('PKCS#11 backend needs "keyLabel" or "keyId"');
+    }
+
+    let pkcs11js;
+    try {
+      pkcs11js = require('pkcs11js');
+    } catch (error) {
+      throw new Error('PKCS#11 backend needs the pkcs11js package (npm install pkcs11js)');
+    }
+    this.constants = pkcs11js;
+    this.pkcs11 = new pkcs11js.PKCS11();
+    try {
+      this.pkcs11.load(this.library);
+    } catch (error) {
+      throw new Error(`Cannot load PKCS#11 module ${path.basename(this.library)}`);
+    }
+    try {
+      this.pkcs11.C_Initialize();
+    } catch (error) {
+      // Another identity already initialized the same module
+      if (!String(error.message).includes('CKR_CRYPTOKI_ALREADY_INITIALIZED')) throw error;
+    }
+
+    const slots = this.pkcs11.C_GetSlotList(true);
+    const slot = this.tokenLabel
+      ? slots.find((candidate) => this.pkcs11.C_GetTokenInfo(candidate).label.trim() === this.tokenLabel)
+      : slots[this.slot];
+    if (!slot) {
+      throw new Error(this.tokenLabel ? `Token "${this.tokenLabel}" not found` : `No token in slot ${this.slot}`);
+    }
+
+    this.session = this.pkcs11.C_OpenSession(slot, pkcs11js.CKF_SERIAL_SESSION);
+    this.pkcs11.C_Login(this.session, pkcs11js.CKU_USER, this.pin);
+
+    this.privateKey = this.findObject(pkcs11js.CKO_PRIVATE_KEY);
+    if (!this.privateKey) {
+      throw new Error(`Private key ${this.keyLabel ? `"${this.keyLabel}"` : this.keyId} not found on the token`);
+    }
+
+    if (this.certPath) {
+      const [certificate, ...bundled] = readCertificateFile(this.certPath);
+      this.certificate = certificate;
+      this.chain = bundled;
+    } else {
+      const handle = this.findObject(pkcs11js.CKO_CERTIFICATE);
+      if (!handle) {
+        throw new Error('Certificate not found on the token (set "certPath")');
+      }
+      const [value] = this.pkcs11.C_GetAttributeValue(this.session, handle, [{ type: pkcs11js.CKA_VALUE }]);
+      this.certificate = Buffer.from(value.value);
+      this.chain = [];
+    }
+    if (this.chainPath) {
+      this.chain = this.chain.concat(readCertificateFile(this.chainPath));
+    }
+    this.keyType = new crypto.X509Certificate(this.certificate).publicKey.asymmetricKeyType;
+    await checkKeyMatchesCertificate(this);
+  }
+
+  /**
+   * First object of a class with the configured label or id
+   */
+  findObject(objectClass) {
+    const template = [{ type: this.constants.CKA_CLASS, value: objectClass }];
+    if (this.keyLabel) template.push({ type: this.constants.CKA_LABEL, value: this.keyLabel });
+    if (this.keyId) template.push({ type: this.constants.CKA_ID, value: Buffer.from(this.keyId, 'hex') });
+
+    this.pkcs11.C_FindObjectsInit(this.session, template);
+    try {
+      return this.pkcs11.C_FindObjects(this.session);
+    } finally {
+      this.pkcs11.C_FindObjectsFinal(this.session);
+    }
+  }
+
+  async sign(data) {
+    const digest = sha256(data);
+    const rsa = this.keyType === 'rsa';
+    const mechanism = { mechanism: rsa ? this.constants.CKM_RSA_PKCS : this.constants.CKM_ECDSA };
+    const input = rsa ? Buffer.concat([SHA256_DIGEST_INFO, digest]) : digest;
+
+    this.pkcs11.C_SignInit(this.session, mechanism, this.privateKey);
+    const signature = await new Promise((resolve, reject) => {
+      this.pkcs11.C_Sign(this.session, input, Buffer.alloc(1024), (error, result) => (
+        error ? reject(error) : resolve(Buffer.from(result))
+      ));
+    });
+    return rsa ? signature : toDerEcdsaSignature(signature, this.certificate);
+  }
+
+  describe() {
+    return { backend: this.type, token: this.tokenLabel, key: this.keyLabel || this.keyId };
+  }
+
+  close() {
+    if (!this.session) return;
+    try {
+      this.pkcs11.C_Logout(this.session);
+      this.pkcs11.C_CloseSession(this.session);
+    } catch (error) {
+      // The token may already be gone
+    }
+    this.session = null;
+  }
+}
+
+/**
+ * Key held by a remote service that signs SHA-256 digests (cloud KMS, signing
+ * gateway). Either POSTs { keyId, keyType, digestAlgorithm, digest } (base64
+ * digest) to `url` and reads { signature } (base64), or calls the
+ * signDigest(digest, { keyId, keyType, digestAlgorithm }) export of an adapter module.
+ * RSA signatures are PKCS#1 v1.5; ECDSA ones DER or r || s.
+ */
+class RemoteKeyBackend {
+  /**
+   * @param {object} options - { url, adapter, keyId, certPath, chainPath, headers, timeout }
+   *   adapter: path of a module exporting signDigest
+   *   headers: extra request headers, e.g. an Authorization token
+   */
+  constructor(options) {
+    this.type = 'remote';
+    this.url = options.url || null;
+    this.adapterPath = options.adapter || null;
+    this.keyId = options.keyId;
+    this.certPath = options.certPath;
+    this.chainPath = options.chainPath || null;
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || 10000;
+    this.files = [this.certPath, this.chainPath, this.adapterPath].filter(Boolean);
+  }
+
+  async load() {
+    if (Boolean(this.url) === Boolean(this.adapterPath)) {
+      throw new Error('Remote key backend needs either "url" or "adapter"');
+    }
+    if (!this.certPath) {
+      throw new Error('Remote key backend needs "certPath"');
+    }
+    if (this.adapterPath) {
+      delete require.cache[require.resolve(this.adapterPath)];
+      this.adapter = require(this.adapterPath);
+      if (typeof this.adapter.signDigest !== 'function') {
+        throw new Error(`Adapter ${path.basename(this.adapterPath)} does not export signDigest`);
+      }
+    }
+
+    const [certificate, ...bundled] = readCertificateFile(this.certPath);
+    this.certificate = certificate;
+    this.chain = bundled.concat(this.chainPath ? readCertificateFile(this.chainPath) : []);
+    this.keyType = new crypto.X509Certificate(certificate).publicKey.asymmetricKeyType;
+    await checkKeyMatchesCertificate(this);
+  }
+
+  async sign(data) {
+    const digest = sha256(data);
+    const context = { keyId: this.keyId, keyType: this.keyType, digestAlgorithm: 'sha256' };
+
+    let signature;
+    if (this.adapter) {
+      signature = Buffer.from(await this.adapter.signDigest(digest, context));
+    } else {
+      const response = await request(this.url, {
+        method: 'POST',
+        headers: { ...this.headers, 'Content-Type': 'application/json' },
+        body: Buffer.from(JSON.stringify({ ...context, digest: digest.toString('base64') })),
+        timeout: this.timeout,
+      });
+      if (response.statusCode !== 200) {
+        throw new Error(`Remote key service answered HTTP ${response.statusCode}`);
+      }
+      signature = Buffer.from(JSON.parse(response.body.toString()).signature || '', 'base64');
+    }
+    return this.keyType === 'ec' ? toDerEcdsaSignature(signature, this.certificate) : signature;
+  }
+
+  describe() {
+    return { backend: this.type, key: this.keyId };
+  }
+
+  close() {}
+}
+
+const BACKENDS = {
+  p12: P12Backend,
+  pem: PemBackend,
+  pkcs11: Pkcs11Backend,
+  remote: RemoteKeyBackend,
+};
+
+/**
+ * Backend for an identity configuration
+ * @param {object} config - { type (default p12), ...options of the backend }
+ */
+const createBackend = (config) => {
+  const Backend = BACKENDS[config.type || 'p12'];
+  if (!Backend) {
+    throw new Error(`Unknown signer backend "${config.type}" (expected one of ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return new Backend(config);
+};
+
+module.exports = {
+  BACKEND_TYPES: Object.keys(BACKENDS),
+  P12Backend,
+  PemBackend,
+  Pkcs11Backend,
+  RemoteKeyBackend,
+  createBackend,
+  checkKeyMatchesCertificate,
+};
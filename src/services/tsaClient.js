@@ -0,0 +1,63 @@
+const { request } = require('../utils/http');
+const { createTimeStampRequest, parseTimeStampResponse } = require('../utils/tsp');
+
+/**
+ * Interface of RFC 3161 timestamp authority clients.
+ * Implementations return the DER encoded TimeStampToken for a digest.
+ */
+class TsaClient {
+  /**
+   * @param {Buffer} digest - Hash of the data to timestamp
+   * @param {string} digestAlgorithm - Name of the hash algorithm, e.g. 'sha256'
+   * @returns {Promise<Buffer>} DER encoded TimeStampToken
+   */
+  async timestamp(digest, digestAlgorithm = 'sha256') {
+    throw new Error(`timestamp() is not implemented on ${this.constructor.name}`);
+  }
+}
+
+/**
+ * TSA client speaking the RFC 3161 HTTP transport
+ */
+class HttpTsaClient extends TsaClient {
+  /**
+   * @param {string} url - TSA endpoint
+   * @param {object} options - { username, password, timeout }
+   */
+  constructor(url, options = {}) {
+    super();
+    this.url = url;
+    this.username = options.username || null;
+    this.password = options.password || '';
+    this.timeout = options.timeout || 10000;
+  }
+
+  async timestamp(digest, digestAlgorithm = 'sha256') {
+    const { request: query, nonce } = createTimeStampRequest(digest, digestAlgorithm);
+    const response = await this.post(query);
+    return parseTimeStampResponse(response, digest, nonce);
+  }
+
+  /**
+   * POST a timestamp query and resolve with the raw response body
+   */
+  async post(body) {
+    const headers = { 'Content-Type': 'application/timestamp-query' };
+    if (this.username) {
+      headers.Authorization = `Basic ${Buffer.from(`${this.username}:${this.password}`).toString('base64')}`;
+    }
+
+    const response = await request(this.url, {
+      method: 'POST',
+      headers,
+      body,
+      timeout: this.timeout
+    });
+    if (response.statusCode !== 200) {
+      throw new Error(`TSA returned HTTP ${response.statusCode}`);
+    }
+    return response.body;
+  }
+}
+
+module.exports = { TsaClient, HttpTsaClient };
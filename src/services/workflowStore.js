@@ -0,0 +1,350 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { codedError } = require('../utils/errors');
+
+const WORKFLOW_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Signing order of the steps of an envelope
+const WORKFLOW_ORDERS = ['sequential', 'parallel'];
+
+const MAX_STEPS = 20;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * State of an envelope from the state of its steps
+ */
+const deriveStatus = (steps) => {
+  if (steps.some((step) => step.status === 'rejected')) return 'rejected';
+  if (steps.every((step) => step.status === 'signed')) return 'completed';
+  if (steps.some((step) => step.status === 'signed')) return 'partially-signed';
+  return 'pending';
+};
+
+/**
+ * Multi-party signing envelopes: one document signed by a list of signers,
+ * in order or in any order, each signature an incremental update of the
+ * previous version. Each envelope is kept in the workflows directory as
+ * <id>.json with the current version of its document (<id>.pdf) next to it.
+ */
+class WorkflowStore {
+  /**
+   * @param {object} options - { dir, retentionMs }
+   *   retentionMs: how long completed and rejected envelopes are kept
+   */
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.retentionMs = options.retentionMs || 30 * 24 * 60 * 60 * 1000;
+    this.envelopes = new Map();
+    this.locks = new Map();
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Load persisted envelopes
+   * @returns {{ open: number, total: number }}
+   */
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+
+    fs.readdirSync(this.dir)
+      .filter((name) => name.endsWith('.json'))
+      .forEach((name) => {
+        try {
+          const envelope = JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8'));
+          this.envelopes.set(envelope.id, envelope);
+        } catch (error) {
+          console.warn(`! Skipping unreadable workflow file ${name}: ${error.message}`);
+        }
+      });
+
+    this.purge();
+    this.cleanupTimer = setInterval(() => this.purge(), Math.min(this.retentionMs, 60 * 60 * 1000));
+    this.cleanupTimer.unref();
+
+    const open = [...this.envelopes.values()].filter((envelope) => !envelope.finishedAt).length;
+    return { open, total: this.envelopes.size };
+  }
+
+  close() {
+    clearInterval(this.cleanupTimer);
+  }
+
+  filePath(id, suffix) {
+    return path.join(this.dir, `${id}${suffix}`);
+  }
+
+  writeAtomic(target, data) {
+    const tempPath = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, data, { mode: 0o600 });
+    fs.renameSync(tempPath, target);
+  }
+
+  save(envelope) {
+    this.writeAtomic(this.filePath(envelope.id, '.json'), `${JSON.stringify(envelope, null, 2)}\n`);
+  }
+
+  /**
+   * Create an envelope
+   * @param {object} params - { clientId, name, pdf, order, steps }
+   *   steps: [{ signer, client, label, fields }], fields being the signing options replayed for the step
+   * @returns {object} The envelope
+   */
+  create(params) {
+    const order = params.order || 'sequential';
+    if (!WORKFLOW_ORDERS.includes(order)) {
+      throw new Error(`Invalid order "${order}" (expected one of ${WORKFLOW_ORDERS.join(', ')})`);
+    }
+    if (!Array.isArray(params.steps) || params.steps.length === 0) {
+      throw new Error('A workflow needs at least one signer');
+    }
+    if (params.steps.length > MAX_STEPS) {
+      throw new Error(`A workflow takes at most ${MAX_STEPS} signers`);
+    }
+
+    const now = new Date().toISOString();
+    const envelope = {
+      id: crypto.randomUUID(),
+      clientId: params.clientId,
+      name: params.name,
+      order,
+      status: 'pending',
+      steps: params.steps.map((step, index) => ({
+        index,
+        signer: step.signer,
+        client: step.client || params.clientId,
+        label: step.label || null,
+        fields: step.fields || {},
+        status: 'pending',
+        signedAt: null,
+        rejectedAt: null,
+        rejectionReason: null,
+        outputSha256: null,
+        lastError: null
+      })),
+      inputSha256: sha256(params.pdf),
+      currentSha256: sha256(params.pdf),
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+
+    this.writeAtomic(this.filePath(envelope.id, '.pdf'), params.pdf);
+    this.save(envelope);
+    this.envelopes.set(envelope.id, envelope);
+    return envelope;
+  }
+
+  /**
+   * Envelope by id, or null when unknown or expired
+   */
+  get(id) {
+    return (WORKFLOW_ID_PATTERN.test(String(id)) && this.envelopes.get(id)) || null;
+  }
+
+  /**
+   * Whether a client created the envelope or signs one of its steps
+   */
+  isParticipant(envelope, clientId) {
+    return envelope.clientId === clientId || envelope.steps.some((step) => step.client === clientId);
+  }
+
+  /**
+   * Envelopes a client takes part in, newest first
+   */
+  list(clientId) {
+    return [...this.envelopes.values()]
+      .filter((envelope) => this.isParticipant(envelope, clientId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Steps that may be signed now: the first pending one in sequential
+   * order, every pending one in parallel order, none once rejected
+   */
+  actionableSteps(envelope) {
+    if (envelope.status === 'rejected' || envelope.status === 'completed') return [];
+    const pending = envelope.steps.filter((step) => step.status === 'pending');
+    return envelope.order === 'sequential' ? pending.slice(0, 1) : pending;
+  }
+
+  /**
+   * Step of a client to act on: the given index, or its first pending step
+   * (the first it may sign, when signing). Throws with a code when there is none.
+   * @param {object} envelope
+   * @param {string} clientId
+   * @param {number|string} [index] - Step index, 0-based
+   * @param {boolean} [signing] - Whether the step is to be signed, not rejected
+   */
+  findStep(envelope, clientId, index, signing = false) {
+    if (envelope.finishedAt) {
+      throw codedError(`Workflow is ${envelope.status}`, 'WORKFLOW_CLOSED');
+    }
+
+    const candidates = signing ? this.actionableSteps(envelope) : envelope.steps.filter((step) => step.status === 'pending');
+    if (index !== undefined && index !== '') {
+      const step = envelope.steps[Number(index)];
+      if (!step || !/^\d+$/.test(String(index))) {
+        throw codedError(`Invalid step "${index}" (expected 0 to ${envelope.steps.length - 1})`, 'INVALID_OPTIONS');
+      }
+      if (step.client !== clientId) {
+        throw codedError(`Step ${step.index} is assigned to another client`, 'NOT_ASSIGNED');
+      }
+      if (step.status !== 'pending') {
+        throw codedError(`Step ${step.index} is already ${step.status}`, 'STEP_NOT_PENDING');
+      }
+      if (!candidates.includes(step)) {
+        throw codedError(`Step ${step.index} waits for the previous signers`, 'STEP_NOT_READY');
+      }
+      return step;
+    }
+
+    const step = candidates.find((candidate) => candidate.client === clientId);
+    if (step) return step;
+    if (envelope.steps.some((candidate) => candidate.client === clientId && candidate.status === 'pending')) {
+      throw codedError('Your step waits for the previous signers', 'STEP_NOT_READY');
+    }
+    throw codedError('No pending step is assigned to you', 'NOT_ASSIGNED');
+  }
+
+  /**
+   * Current version of the document: the input, signed by the completed steps
+   */
+  readDocument(envelope) {
+    return fs.readFileSync(this.filePath(envelope.id, '.pdf'));
+  }
+
+  /**
+   * Run fn while holding the lock of an envelope, so its steps are signed one at a time
+   */
+  async withLock(envelope, fn) {
+    const previous = this.locks.get(envelope.id) || Promise.resolve();
+    const current = previous.then(fn, fn);
+    const settled = current.catch(() => {});
+    this.locks.set(envelope.id, settled);
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(envelope.id) === settled) this.locks.delete(envelope.id);
+    }
+  }
+
+  /**
+   * Sign a step: the current version goes through sign, and what it returns
+   * becomes the current version
+   * @param {object} envelope
+   * @param {object} step - From findStep
+   * @param {Function} sign - async (pdf) => Buffer
+   * @returns {Promise<object>} The envelope
+   */
+  async signStep(envelope, step, sign) {
+    return this.withLock(envelope, async () => {
+      // Another request may have signed or rejected while this one waited
+      if (step.status !== 'pending' || !this.actionableSteps(envelope).includes(step)) {
+        throw codedError(`Step ${step.index} cannot be signed, the workflow is ${envelope.status}`, 'STEP_NOT_PENDING');
+      }
+
+      const pdf = this.readDocument(envelope);
+      if (sha256(pdf) !== envelope.currentSha256) {
+        throw new Error(`Document of workflow ${envelope.id} does not match its recorded hash`);
+      }
+
+      let output;
+      try {
+        output = await sign(pdf);
+      } catch (error) {
+        step.lastError = error.message;
+        envelope.updatedAt = new Date().toISOString();
+        this.save(envelope);
+        throw error;
+      }
+
+      this.writeAtomic(this.filePath(envelope.id, '.pdf'), output);
+      Object.assign(step, { status: 'signed', signedAt: new Date().toISOString(), outputSha256: sha256(output), lastError: null });
+      envelope.currentSha256 = step.outputSha256;
+      this.update(envelope);
+      return envelope;
+    });
+  }
+
+  /**
+   * Decline a step, which closes the envelope
+   * @returns {Promise<object>} The envelope
+   */
+  async rejectStep(envelope, step, reason) {
+    return this.withLock(envelope, async () => {
+      if (step.status !== 'pending' || envelope.finishedAt) {
+        throw codedError(`Step ${step.index} cannot be rejected, the workflow is ${envelope.status}`, 'STEP_NOT_PENDING');
+      }
+      Object.assign(step, { status: 'rejected', rejectedAt: new Date().toISOString(), rejectionReason: reason || null });
+      this.update(envelope);
+      return envelope;
+    });
+  }
+
+  update(envelope) {
+    envelope.status = deriveStatus(envelope.steps);
+    envelope.updatedAt = new Date().toISOString();
+    if (envelope.status === 'completed' || envelope.status === 'rejected') {
+      envelope.finishedAt = envelope.updatedAt;
+    }
+    this.save(envelope);
+  }
+
+  /**
+   * Envelope fields exposed to clients; signing options of the steps are left out
+   */
+  describe(envelope) {
+    const actionable = this.actionableSteps(envelope);
+    const signed = envelope.steps.filter((step) => step.status === 'signed').length;
+    return {
+      id: envelope.id,
+      status: envelope.status,
+      name: envelope.name,
+      order: envelope.order,
+      progress: { signed, total: envelope.steps.length },
+      steps: envelope.steps.map((step) => ({
+        index: step.index,
+        signer: step.signer,
+        client: step.client,
+        label: step.label,
+        status: step.status,
+        canSign: actionable.includes(step),
+        signedAt: step.signedAt,
+        rejectedAt: step.rejectedAt,
+        rejectionReason: step.rejectionReason,
+        outputSha256: step.outputSha256,
+        lastError: step.lastError
+      })),
+      inputSha256: envelope.inputSha256,
+      currentSha256: envelope.currentSha256,
+      createdAt: envelope.createdAt,
+      updatedAt: envelope.updatedAt,
+      finishedAt: envelope.finishedAt,
+      expiresAt: envelope.finishedAt ? new Date(Date.parse(envelope.finishedAt) + this.retentionMs).toISOString() : null,
+      documentUrl: `/api/workflows/${envelope.id}/document`,
+      resultUrl: envelope.status === 'completed' ? `/api/workflows/${envelope.id}/result` : null
+    };
+  }
+
+  /**
+   * Delete completed and rejected envelopes older than the retention period
+   */
+  purge() {
+    const cutoff = Date.now() - this.retentionMs;
+    this.envelopes.forEach((envelope) => {
+      if (envelope.finishedAt && Date.parse(envelope.finishedAt) < cutoff) {
+        this.envelopes.delete(envelope.id);
+        ['.json', '.pdf'].forEach((suffix) => {
+          fs.rm(this.filePath(envelope.id, suffix), { force: true }, () => {});
+        });
+      }
+    });
+  }
+}
+
+module.exports = {
+  WorkflowStore,
+  WORKFLOW_ORDERS,
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+/**
+ * Hash chaining of audit entries: each entry stores the hash of the previous
+ * one (prevHash) and its own hash over every other field, so editing,
+ * removing or reordering entries breaks the chain from that point on.
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * JSON with object keys sorted, so the hash does not depend on key order
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash of an entry, covering every field but the hash itself
+ */
+const hashEntry = (entry) => {
+  const { hash, ...fields } = entry;
+  return crypto.createHash('sha256').update(canonicalize(fields)).digest('hex');
+};
+
+/**
+ * Check a contiguous run of entries
+ * @param {object[]} entries - Entries in sequence order
+ * @param {string} [anchor] - prevHash expected on the first entry, the genesis hash by default
+ * @returns {{ valid: boolean, checked: number, brokenAt: number|null, reason: string|null, head: string }}
+ */
+const verifyChain = (entries, anchor = GENESIS_HASH) => {
+  let previous = anchor;
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const fail = (reason) => ({ valid: false, checked: i, brokenAt: entry.seq, reason, head: previous });
+
+    if (i > 0 && entry.seq !== entries[i - 1].seq + 1) {
+      return fail(`Sequence jumps from ${entries[i - 1].seq} to ${entry.seq}`);
+    }
+    if (entry.prevHash !== previous) {
+      return fail('prevHash does not match the previous entry');
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      return fail('Entry content does not match its hash');
+    }
+    previous = entry.hash;
+  }
+  return { valid: true, checked: entries.length, brokenAt: null, reason: null, head: previous };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalize,
+  hashEntry,
+  verifyChain,
+};
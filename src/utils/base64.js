@@ -0,0 +1,18 @@
+const { codedError } = require('./errors');
+
+/**
+ * Decode an optional base64 field of a JSON body. Throws INVALID_OPTIONS when it is not a string.
+ * @param {object} body - Parsed JSON body
+ * @param {string} key - Field name
+ * @returns {Buffer|undefined} undefined when the field is missing or empty
+ */
+const decodeBase64Field = (body, key) => {
+  const value = body[key];
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string') {
+    throw codedError(`"${key}" must be a base64 string`, 'INVALID_OPTIONS');
+  }
+  return Buffer.from(value, 'base64');
+};
+
+module.exports = { decodeBase64Field };
@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+const { asn1 } = forge;
+
+/**
+ * Object identifiers used by the CMS (RFC 5652) structures embedded in PDFs
+ */
+const OIDS = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+  timeStampToken: '1.2.840.113549.1.9.16.2.14',
+  tstInfo: '1.2.840.113549.1.9.16.1.4',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+  ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+};
+
+const DIGEST_ALGORITHMS = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512',
+};
+
+const DIGEST_OIDS = Object.fromEntries(
+  Object.entries(DIGEST_ALGORITHMS).map(([oid, name]) => [name, oid])
+);
+
+const { Class, Type } = asn1;
+
+const toBuffer = (bytes) => Buffer.from(bytes, 'binary');
+
+const nodeToDer = (node) => toBuffer(asn1.toDer(node).getBytes());
+
+/**
+ * Parse a DER buffer, tolerating trailing zero padding as found in /Contents
+ */
+const fromDer = (der) => asn1.fromDer(forge.util.createBuffer(der.toString('binary')), {
+  parseAllBytes: false,
+  decodeBitStrings: false,
+});
+
+const isContextTag = (node, tag) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === tag;
+
+const parseTime = (node) => {
+  if (node.type === asn1.Type.UTCTIME) return asn1.utcTimeToDate(node.value);
+  if (node.type === asn1.Type.GENERALIZEDTIME) return asn1.generalizedTimeToDate(node.value);
+  return null;
+};
+
+/**
+ * Parse a SET of CMS attributes into a list of { type, values, node }
+ */
+const parseAttributes = (setNode) => setNode.value.map((attribute) => ({
+  type: asn1.derToOid(attribute.value[0].value),
+  values: attribute.value[1].value,
+  node: attribute,
+}));
+
+/**
+ * Parse a single SignerInfo structure
+ */
+const parseSignerInfo = (node) => {
+  const children = node.value;
+  let index = 1;
+
+  const sid = children[index++];
+  const signerInfo = {
+    issuer: null,
+    serialNumber: null,
+    subjectKeyIdentifier: null,
+  };
+
+  if (isContextTag(sid, 0)) {
+    signerInfo.subjectKeyIdentifier = toBuffer(sid.value).toString('hex');
+  } else {
+    signerInfo.issuer = nodeToDer(sid.value[0]);
+    signerInfo.serialNumber = forge.util.bytesToHex(sid.value[1].value);
+  }
+
+  signerInfo.digestAlgorithm = asn1.derToOid(children[index++].value[0].value);
+
+  signerInfo.signedAttributes = null;
+  signerInfo.signedAttributesDer = null;
+  if (isContextTag(children[index], 0)) {
+    const signedAttrs = children[index++];
+    signerInfo.signedAttributes = parseAttributes(signedAttrs);
+    // The signature covers the attributes DER-encoded as a SET, not as [0]
+    const der = nodeToDer(signedAttrs);
+    der[0] = 0x31;
+    signerInfo.signedAttributesDer = der;
+  }
+
+  signerInfo.signatureAlgorithm = asn1.derToOid(children[index++].value[0].value);
+  signerInfo.signature = toBuffer(children[index++].value);
+
+  signerInfo.unsignedAttributes = [];
+  if (children[index] && isContextTag(children[index], 1)) {
+    signerInfo.unsignedAttributes = parseAttributes(children[index]);
+  }
+
+  return signerInfo;
+};
+
+/**
+ * Parse a CMS ContentInfo holding SignedData
+ * @param {Buffer} der - DER encoded CMS, trailing zero padding is ignored
+ * @returns {{ certificates: Buffer[], encapsulatedContent: Buffer|null, signerInfos: object[] }}
+ */
+const parseSignedData = (der) => {
+  const contentInfo = fromDer(der);
+  const contentType = asn1.derToOid(contentInfo.value[0].value);
+  if (contentType !== OIDS.signedData) {
+    throw new Error(`Unexpected CMS content type ${contentType}`);
+  }
+
+  const signedData = contentInfo.value[1].value[0].value;
+  const encapContentInfo = signedData[2];
+  let encapsulatedContent = null;
+  if (encapContentInfo.value[1]) {
+    const octets = encapContentInfo.value[1].value[0];
+    encapsulatedContent = toBuffer(
+      Array.isArray(octets.value) ? octets.value.map((part) => part.value).join('') : octets.value
+    );
+  }
+
+  const certificates = [];
+  signedData.slice(3).forEach((node) => {
+    if (isContextTag(node, 0)) {
+      node.value.forEach((cert) => certificates.push(nodeToDer(cert)));
+    }
+  });
+
+  const signerInfos = signedData[signedData.length - 1].value.map(parseSignerInfo);
+
+  return { certificates, encapsulatedContent, signerInfos };
+};
+
+/*
+ * Encoding helpers
+ */
+const sequence = (items) => asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, items);
+const set = (items) => asn1.create(Class.UNIVERSAL, Type.SET, true, items);
+const oid = (value) => asn1.create(Class.UNIVERSAL, Type.OID, false, asn1.oidToDer(value).getBytes());
+const octetString = (buffer) => asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, buffer.toString('binary'));
+const contextTag = (tag, items, constructed = true) => asn1.create(Class.CONTEXT_SPECIFIC, tag, constructed, items);
+const nullValue = () => asn1.create(Class.UNIVERSAL, Type.NULL, false, '');
+const integer = (value) => asn1.create(
+  Class.UNIVERSAL,
+  Type.INTEGER,
+  false,
+  Buffer.isBuffer(value) ? value.toString('binary') : asn1.integerToDer(value).getBytes()
+);
+const time = (date) => (date.getUTCFullYear() < 2050
+  ? asn1.create(Class.UNIVERSAL, Type.UTCTIME, false, asn1.dateToUtcTime(date))
+  : asn1.create(Class.UNIVERSAL, Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(date)));
+
+const algorithmIdentifier = (algorithm, withNullParameters = true) => sequence(
+  withNullParameters ? [oid(algorithm), nullValue()] : [oid(algorithm)]
+);
+
+const attribute = (type, values) => sequence([oid(type), set(values)]);
+
+/**
+ * Signature algorithm OID for a private or public key
+ * @param {crypto.KeyObject} key
+ */
+const signatureAlgorithmFor = (key) => {
+  if (key.asymmetricKeyType === 'rsa') return OIDS.rsaEncryption;
+  if (key.asymmetricKeyType === 'ec') return OIDS.ecdsaWithSHA256;
+  throw new Error(`Unsupported key type ${key.asymmetricKeyType}`);
+};
+
+/**
+ * DER encode a SET OF with its elements sorted as DER requires
+ */
+const encodeSet = (nodes, tag = null) => {
+  const sorted = nodes
+    .map((node) => nodeToDer(node))
+    .sort(Buffer.compare);
+  const node = set(sorted.map((der) => fromDer(der)));
+  const der = nodeToDer(node);
+  if (tag !== null) {
+    der[0] = 0xa0 + tag;
+  }
+  return der;
+};
+
+/**
+ * ESS signing-certificate-v2 attribute (RFC 5035) binding the signer certificate
+ * @param {Buffer} certificateDer - Signer certificate
+ */
+const signingCertificateV2Attribute = (certificateDer) => {
+  const certificate = fromDer(certificateDer);
+  const tbs = certificate.value[0].value;
+  const hasVersion = isContextTag(tbs[0], 0);
+  const serial = tbs[hasVersion ? 1 : 0];
+  const issuer = tbs[hasVersion ? 3 : 2];
+
+  const certHash = crypto.createHash('sha256').update(certificateDer).digest();
+  const essCertIdV2 = sequence([
+    octetString(certHash),
+    sequence([
+      sequence([contextTag(4, [issuer])]),
+      serial,
+    ]),
+  ]);
+
+  return attribute(OIDS.signingCertificateV2, [sequence([sequence([essCertIdV2])])]);
+};
+
+/**
+ * Build the signed attributes of a detached CMS signature
+ * @param {object} options
+ * @param {Buffer} options.messageDigest - Digest of the signed content
+ * @param {Date} [options.signingTime] - Omitted when not given (PAdES forbids it)
+ * @param {string} [options.contentType] - Encapsulated content type OID
+ * @param {object[]} [options.extra] - Additional attribute nodes
+ * @returns {object[]} Attribute nodes
+ */
+const createSignedAttributes = ({
+  messageDigest,
+  signingTime = null,
+  contentType = OIDS.data,
+  extra = [],
+}) => {
+  const attributes = [attribute(OIDS.contentType, [oid(contentType)])];
+  if (signingTime) {
+    attributes.push(attribute(OIDS.signingTime, [time(signingTime)]));
+  }
+  attributes.push(attribute(OIDS.messageDigest, [octetString(messageDigest)]));
+  return attributes.concat(extra);
+};
+
+/**
+ * Assemble a CMS ContentInfo with SignedData around an existing signature value
+ * @param {object} options
+ * @param {Buffer} options.certificate - Signer certificate (DER)
+ * @param {Buffer[]} [options.chain] - Additional certificates to embed (DER)
+ * @param {string} [options.digestAlgorithm] - Digest name, e.g. 'sha256'
+ * @param {object[]} options.signedAttributes - Attribute nodes from createSignedAttributes
+ * @param {Buffer} options.signature - Signature over the DER encoded signed attributes
+ * @param {string} options.signatureAlgorithm - Signature algorithm OID
+ * @param {object[]} [options.unsignedAttributes] - Attribute nodes
+ * @param {string} [options.contentType] - Encapsulated content type OID
+ * @param {Buffer} [options.content] - Encapsulated content, omitted for detached signatures
+ * @returns {Buffer} DER encoded CMS
+ */
+const createSignedData = ({
+  certificate,
+  chain = [],
+  digestAlgorithm = 'sha256',
+  signedAttributes,
+  signature,
+  signatureAlgorithm,
+  unsignedAttributes = [],
+  contentType = OIDS.data,
+  content = null,
+}) => {
+  const certificateNode = fromDer(certificate);
+  const tbs = certificateNode.value[0].value;
+  const hasVersion = isContextTag(tbs[0], 0);
+  const digestAlgorithmId = algorithmIdentifier(DIGEST_OIDS[digestAlgorithm]);
+  const signatureAlgorithmId = algorithmIdentifier(
+    signatureAlgorithm,
+    signatureAlgorithm === OIDS.rsaEncryption
+  );
+
+  const signerInfo = [
+    integer(1),
+    sequence([tbs[hasVersion ? 3 : 2], tbs[hasVersion ? 1 : 0]]),
+    digestAlgorithmId,
+    fromDer(encodeSet(signedAttributes, 0)),
+    signatureAlgorithmId,
+    octetString(signature),
+  ];
+  if (unsignedAttributes.length > 0) {
+    signerInfo.push(fromDer(encodeSet(unsignedAttributes, 1)));
+  }
+
+  const encapContentInfo = [oid(contentType)];
+  if (content) {
+    encapContentInfo.push(contextTag(0, [octetString(content)]));
+  }
+
+  const signedData = sequence([
+    integer(1),
+    set([algorithmIdentifier(DIGEST_OIDS[digestAlgorithm])]),
+    sequence(encapContentInfo),
+    contextTag(0, [certificate, ...chain].map((der) => fromDer(der))),
+    set([sequence(signerInfo)]),
+  ]);
+
+  return nodeToDer(sequence([oid(OIDS.signedData), contextTag(0, [signedData])]));
+};
+
+/**
+ * Find an attribute by OID and return its first value node
+ */
+const findAttribute = (attributes, oid) => {
+  const attribute = (attributes || []).find((attr) => attr.type === oid);
+  return attribute ? attribute.values[0] : null;
+};
+
+/**
+ * Find the certificate a SignerInfo refers to
+ * @param {Buffer[]} certificates - DER certificates from the SignedData
+ * @param {object} signerInfo - Parsed SignerInfo
+ * @returns {crypto.X509Certificate|null}
+ */
+const findSignerCertificate = (certificates, signerInfo) => {
+  const parsed = certificates.map((der) => new crypto.X509Certificate(der));
+  const normalizeSerial = (serial) => serial.toUpperCase().replace(/^0+/, '');
+
+  if (signerInfo.serialNumber) {
+    // Serial numbers are only unique per issuer, so both have to match
+    const serial = normalizeSerial(signerInfo.serialNumber);
+    const issuerOf = (der) => {
+      const tbs = fromDer(der).value[0].value;
+      return nodeToDer(tbs[isContextTag(tbs[0], 0) ? 3 : 2]);
+    };
+    return parsed.find((cert, index) => normalizeSerial(cert.serialNumber) === serial
+      && issuerOf(certificates[index]).equals(signerInfo.issuer)) || null;
+  }
+
+  // Signers identified by subjectKeyIdentifier: the signing certificate is
+  // conventionally the first one in the set
+  return parsed[0] || null;
+};
+
+module.exports = {
+  OIDS,
+  DIGEST_ALGORITHMS,
+  DIGEST_OIDS,
+  asn1,
+  fromDer,
+  nodeToDer,
+  sequence,
+  set,
+  oid,
+  octetString,
+  contextTag,
+  integer,
+  time,
+  algorithmIdentifier,
+  attribute,
+  parseTime,
+  parseSignedData,
+  signatureAlgorithmFor,
+  encodeSet,
+  signingCertificateV2Attribute,
+  createSignedAttributes,
+  createSignedData,
+  findAttribute,
+  findSignerCertificate,
+};
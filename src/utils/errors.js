@@ -0,0 +1,9 @@
+/**
+ * Error with a machine readable code, mapped to an HTTP status by the server
+ * @param {string} message - Message for the client
+ * @param {string} code - e.g. INVALID_PDF, PREFLIGHT_FAILED
+ * @param {object} [extra] - More properties to set, e.g. { findings }
+ */
+const codedError = (message, code, extra = {}) => Object.assign(new Error(message), { code }, extra);
+
+module.exports = { codedError };
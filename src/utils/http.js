@@ -0,0 +1,34 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * Minimal HTTP(S) client resolving with the response body as a Buffer
+ * @param {string} url - Target URL
+ * @param {object} options - { method, headers, body, timeout, lookup }
+ *   lookup: replaces dns.lookup for the connection, e.g. publicLookup
+ * @returns {Promise<{ statusCode: number, headers: object, body: Buffer }>}
+ */
+const request = (url, options = {}) => new Promise((resolve, reject) => {
+  const { method = 'GET', headers = {}, body = null, timeout = 10000, lookup } = options;
+  const protocol = url.startsWith('https') ? https : http;
+  const requestHeaders = { ...headers };
+  if (body) {
+    requestHeaders['Content-Length'] = body.length;
+  }
+
+  const req = protocol.request(url, { method, headers: requestHeaders, timeout, lookup }, (res) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => resolve({
+      statusCode: res.statusCode,
+      headers: res.headers,
+      body: Buffer.concat(chunks)
+    }));
+  });
+
+  req.on('timeout', () => req.destroy(new Error(`${url} did not answer within ${timeout}ms`)));
+  req.on('error', reject);
+  req.end(body || undefined);
+});
+
+module.exports = { request };
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+/**
+ * Verification of JWS compact serialized JWTs (RFC 7519) signed with an
+ * asymmetric key. Shared-secret (HS*) and unsigned tokens are refused.
+ */
+
+const ALGORITHMS = {
+  RS256: { hash: 'sha256', keyType: 'rsa' },
+  RS384: { hash: 'sha384', keyType: 'rsa' },
+  RS512: { hash: 'sha512', keyType: 'rsa' },
+  PS256: { hash: 'sha256', keyType: 'rsa', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', keyType: 'rsa', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', keyType: 'rsa', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', keyType: 'ec' },
+  ES384: { hash: 'sha384', keyType: 'ec' },
+  ES512: { hash: 'sha512', keyType: 'ec' },
+  EdDSA: { hash: null, keyType: 'ed25519' },
+};
+
+// Accepted difference between our clock and the issuer's, in seconds
+const CLOCK_TOLERANCE = 30;
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Verify a JWT and return its claims
+ * @param {string} token - Compact serialized JWT
+ * @param {crypto.KeyObject} publicKey - Issuer public key
+ * @param {object} [options] - { issuer, audience, now }
+ * @returns {object} Claims
+ */
+const verifyJwt = (token, publicKey, options = {}) => {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm || algorithm.keyType !== publicKey.asymmetricKeyType) {
+    throw new Error(`Token algorithm ${header.alg} is not accepted for this key`);
+  }
+
+  const valid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    {
+      key: publicKey,
+      padding: algorithm.padding,
+      dsaEncoding: algorithm.keyType === 'ec' ? 'ieee-p1363' : undefined,
+    },
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!valid) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor((options.now || Date.now()) / 1000);
+  // Tokens without an expiry would stay valid for ever
+  if (typeof claims.exp !== 'number') {
+    throw new Error('Token has no expiry (exp claim)');
+  }
+  if (now > claims.exp + CLOCK_TOLERANCE) {
+    throw new Error('Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && now + CLOCK_TOLERANCE < claims.nbf) {
+    throw new Error('Token is not valid yet');
+  }
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw new Error('Token issuer is not accepted');
+  }
+  if (options.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      throw new Error('Token audience is not accepted');
+    }
+  }
+
+  return claims;
+};
+
+module.exports = {
+  ALGORITHMS,
+  verifyJwt,
+};
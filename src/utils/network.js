@@ -0,0 +1,87 @@
+const dns = require('dns');
+const net = require('net');
+
+const ipv4Number = (address) => address.split('.').reduce((value, part) => value * 256 + Number(part), 0);
+
+// Loopback, private, link-local, shared, reserved and multicast IPv4 ranges
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].map(([base, bits]) => ({ base: ipv4Number(base), size: 2 ** (32 - bits) }));
+
+const isPrivateIpv4 = (address) => {
+  const value = ipv4Number(address);
+  return PRIVATE_IPV4_RANGES.some(({ base, size }) => value >= base && value < base + size);
+};
+
+/**
+ * The eight 16-bit groups of an IPv6 address
+ */
+const ipv6Groups = (address) => {
+  let text = address.toLowerCase().split('%')[0];
+  const embedded = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (embedded) {
+    const [a, b, c, d] = embedded.slice(1).map(Number);
+    text = `${text.slice(0, embedded.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const fill = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...Array(fill).fill('0'), ...tailGroups].map((group) => parseInt(group, 16));
+};
+
+const isPrivateIpv6 = (address) => {
+  const groups = ipv6Groups(address);
+  const embeddedIpv4 = () => `${groups[6] >> 8}.${groups[6] & 0xff}.${groups[7] >> 8}.${groups[7] & 0xff}`;
+
+  if (groups.slice(0, 7).every((group) => group === 0)) return true; // :: and ::1
+  if (groups.slice(0, 5).every((group) => group === 0) && groups[5] === 0xffff) return isPrivateIpv4(embeddedIpv4());
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every((group) => group === 0)) {
+    return isPrivateIpv4(embeddedIpv4());
+  }
+  return (groups[0] & 0xfe00) === 0xfc00 // unique local
+    || (groups[0] & 0xffc0) === 0xfe80 // link-local
+    || (groups[0] & 0xffc0) === 0xfec0 // site-local
+    || (groups[0] & 0xff00) === 0xff00; // multicast
+};
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * a public internet address
+ */
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) return isPrivateIpv4(address);
+  if (net.isIPv6(address)) return isPrivateIpv6(address);
+  return false;
+};
+
+/**
+ * dns.lookup for http.request that refuses hostnames resolving to private
+ * addresses, checked on the address actually connected to
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address (${blocked})`));
+    }
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  publicLookup,
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const {
+  asn1,
+  fromDer,
+  nodeToDer,
+  sequence,
+  octetString,
+  algorithmIdentifier,
+  parseTime,
+} = require('./cms');
+const { tbsFields } = require('./x509');
+
+/**
+ * OCSP (RFC 6960) request encoding and response parsing
+ */
+
+const SHA1 = '1.3.14.3.2.26';
+const BASIC_RESPONSE = '1.3.6.1.5.5.7.48.1.1';
+
+const RESPONSE_STATUS = {
+  0: 'successful',
+  1: 'malformedRequest',
+  2: 'internalError',
+  3: 'tryLater',
+  5: 'sigRequired',
+  6: 'unauthorized',
+};
+
+const CERT_STATUS = ['good', 'revoked', 'unknown'];
+
+const sha1 = (data) => crypto.createHash('sha1').update(data).digest();
+
+const stripSerial = (bytes) => Buffer.from(bytes, 'binary').toString('hex').replace(/^(00)+/, '');
+
+/**
+ * CertID identifying a certificate to its issuer's responder
+ * @param {Buffer} certificateDer - Certificate to check
+ * @param {Buffer} issuerDer - Its issuer
+ */
+const createCertId = (certificateDer, issuerDer) => {
+  const issuer = tbsFields(issuerDer);
+  // The key hash covers the BIT STRING value without its unused-bits byte
+  const publicKey = Buffer.from(issuer.subjectPublicKeyInfo.value[1].value, 'binary').subarray(1);
+
+  return sequence([
+    algorithmIdentifier(SHA1),
+    octetString(sha1(nodeToDer(issuer.subject))),
+    octetString(sha1(publicKey)),
+    tbsFields(certificateDer).serialNumber,
+  ]);
+};
+
+/**
+ * Build an OCSPRequest for one certificate
+ * @returns {Buffer} DER encoded request
+ */
+const createOcspRequest = (certificateDer, issuerDer) => nodeToDer(sequence([
+  sequence([
+    sequence([sequence([createCertId(certificateDer, issuerDer)])]),
+  ]),
+]));
+
+/**
+ * Parse an OCSPResponse
+ * @param {Buffer} der - DER encoded OCSPResponse
+ * @returns {{ status: string, producedAt: Date|null, responses: object[] }}
+ */
+const parseOcspResponse = (der) => {
+  const fields = fromDer(der).value;
+  const statusCode = asn1.derToInteger(fields[0].value);
+  const result = {
+    status: RESPONSE_STATUS[statusCode] || String(statusCode),
+    producedAt: null,
+    responses: [],
+  };
+  if (statusCode !== 0) {
+    return result;
+  }
+
+  const responseBytes = fields[1].value[0].value;
+  if (asn1.derToOid(responseBytes[0].value) !== BASIC_RESPONSE) {
+    throw new Error('Unsupported OCSP response type');
+  }
+
+  const basic = fromDer(Buffer.from(responseBytes[1].value, 'binary'));
+  const tbs = basic.value[0].value;
+  const offset = tbs[0].tagClass === asn1.Class.CONTEXT_SPECIFIC && tbs[0].type === 0 ? 1 : 0;
+  result.producedAt = parseTime(tbs[offset + 1]);
+
+  result.responses = tbs[offset + 2].value.map((single) => {
+    const [certId, certStatus, thisUpdate, ...rest] = single.value;
+    const nextUpdate = rest.find((node) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+    return {
+      serialNumber: stripSerial(certId.value[3].value),
+      issuerNameHash: Buffer.from(certId.value[1].value, 'binary').toString('hex'),
+      certStatus: CERT_STATUS[certStatus.type] || 'unknown',
+      thisUpdate: parseTime(thisUpdate),
+      nextUpdate: nextUpdate ? parseTime(nextUpdate.value[0]) : null,
+    };
+  });
+
+  return result;
+};
+
+module.exports = {
+  createCertId,
+  createOcspRequest,
+  parseOcspResponse,
+};
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+
+/**
+ * Standard security handler of PDF encryption (ISO 32000-2 7.6.4):
+ * RC4 and AES-128 (revisions 2 to 4) and AES-256 (revision 6, also reading 5)
+ */
+
+// Algorithm 2, step a: pads passwords of revisions 2 to 4 to 32 bytes
+const PASSWORD_PADDING = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+
+// Bit positions (1-based) of the user access permissions in /P
+const PERMISSION_BITS = {
+  print: 3,
+  modify: 4,
+  copy: 5,
+  annotate: 6,
+  fillForms: 9,
+  extract: 10,
+  assemble: 11,
+  printHighQuality: 12,
+};
+
+// Bits 7, 8 and 13 to 32 must be set, 1 and 2 cleared
+const RESERVED_PERMISSION_BITS = 0xfffff0c0;
+
+const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+
+const int32LE = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value);
+  return buffer;
+};
+
+/**
+ * RC4 stream cipher, implemented here as OpenSSL 3 only offers it in the legacy provider
+ */
+const rc4 = (key, data) => {
+  const state = Array.from({ length: 256 }, (_, index) => index);
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + state[i] + key[i % key.length]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+
+  const output = Buffer.alloc(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 0xff;
+    j = (j + state[i]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+    output[n] = data[n] ^ state[(state[i] + state[j]) & 0xff];
+  }
+  return output;
+};
+
+/**
+ * RC4 with the key XORed with 1 to 19 after the first pass (revisions 3 and 4)
+ */
+const rc4Rounds = (key, data, rounds = [...Array(20).keys()]) => rounds
+  .reduce((output, round) => rc4(key.map((byte) => byte ^ round), output), data);
+
+const aesCbc = (bits, key, iv, data, encrypt, padding = true) => {
+  const cipher = encrypt
+    ? crypto.createCipheriv(`aes-${bits}-cbc`, key, iv)
+    : crypto.createDecipheriv(`aes-${bits}-cbc`, key, iv);
+  cipher.setAutoPadding(padding);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+};
+
+/**
+ * Password bytes: PDFDocEncoding (approximated by Latin-1) up to revision 4,
+ * UTF-8 limited to 127 bytes from revision 5
+ */
+const passwordBytes = (password, revision) => (revision >= 5
+  ? Buffer.from(String(password || '').normalize('NFKC'), 'utf8').subarray(0, 127)
+  : Buffer.from(String(password || ''), 'latin1'));
+
+const padPassword = (password) => Buffer.concat([password, PASSWORD_PADDING]).subarray(0, 32);
+
+/**
+ * Algorithm 2: file key of revisions 2 to 4 from the (padded) user password
+ * @param {object} params - { password, O, P, id, length (bytes), revision, encryptMetadata }
+ */
+const computeFileKey = ({ password, O, P, id, length, revision, encryptMetadata = true }) => {
+  const parts = [padPassword(password), O.subarray(0, 32), int32LE(P), id];
+  if (revision >= 4 && !encryptMetadata) parts.push(Buffer.from([0xff, 0xff, 0xff, 0xff]));
+  let hash = md5(...parts);
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) hash = md5(hash.subarray(0, length));
+  }
+  return hash.subarray(0, revision === 2 ? 5 : length);
+};
+
+/**
+ * Algorithms 4 and 5: /U entry of revisions 2 to 4 for a file key
+ */
+const computeU = (fileKey, id, revision) => {
+  if (revision === 2) return rc4(fileKey, PASSWORD_PADDING);
+  return Buffer.concat([rc4Rounds(fileKey, md5(PASSWORD_PADDING, id)), Buffer.alloc(16)]);
+};
+
+/**
+ * Algorithm 3, steps a to d: RC4 key derived from the owner password
+ */
+const ownerKey = (ownerPassword, length, revision) => {
+  let hash = md5(padPassword(ownerPassword));
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) hash = md5(hash);
+  }
+  return hash.subarray(0, revision === 2 ? 5 : length);
+};
+
+/**
+ * Algorithm 3: /O entry of revisions 2 to 4
+ */
+const computeO = ({ ownerPassword, userPassword, length, revision }) => {
+  const key = ownerKey(ownerPassword.length ? ownerPassword : userPassword, length, revision);
+  const padded = padPassword(userPassword);
+  return revision === 2 ? rc4(key, padded) : rc4Rounds(key, padded);
+};
+
+/**
+ * Algorithm 7, step b: the padded user password recovered from /O with the owner password
+ */
+const userPasswordFromOwner = ({ ownerPassword, O, length, revision }) => {
+  const key = ownerKey(ownerPassword, length, revision);
+  return revision === 2 ? rc4(key, O.subarray(0, 32)) : rc4Rounds(key, O.subarray(0, 32), [...Array(20).keys()].reverse());
+};
+
+/**
+ * Algorithm 6: whether a file key, derived from a candidate user password, matches /U
+ */
+const checkU = (fileKey, U, id, revision) => {
+  const expected = computeU(fileKey, id, revision);
+  return revision === 2 ? expected.equals(U.subarray(0, 32)) : expected.subarray(0, 16).equals(U.subarray(0, 16));
+};
+
+/**
+ * Algorithm 2.B (revision 6), or the plain SHA-256 of revision 5
+ * @param {Buffer} password
+ * @param {Buffer} salt - Validation or key salt
+ * @param {Buffer} userKey - The 48-byte /U for owner computations, empty for user ones
+ */
+const hashR6 = (password, salt, userKey, revision = 6) => {
+  let key = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+  if (revision === 5) return key;
+
+  for (let round = 0; ; round++) {
+    const block = Buffer.concat([password, key, userKey]);
+    const encrypted = aesCbc(128, key.subarray(0, 16), key.subarray(16, 32), Buffer.concat(Array(64).fill(block)), true, false);
+    const remainder = [...encrypted.subarray(0, 16)].reduce((sum, byte) => sum + byte, 0) % 3;
+    key = crypto.createHash(['sha256', 'sha384', 'sha512'][remainder]).update(encrypted).digest();
+    if (round >= 63 && encrypted[encrypted.length - 1] <= round - 31) break;
+  }
+  return key.subarray(0, 32);
+};
+
+/**
+ * Algorithms 2.A: file key of revisions 5 and 6 from the user or owner password
+ * @param {object} params - { password, O, U, OE, UE, revision }
+ * @returns {{ fileKey: Buffer, owner: boolean }|null} null when the password is wrong
+ */
+const computeFileKeyR6 = ({ password, O, U, OE, UE, revision }) => {
+  const user = U.subarray(0, 48);
+  const candidates = [
+    { owner: true, entry: O, encryptedKey: OE, userKey: user },
+    { owner: false, entry: U, encryptedKey: UE, userKey: Buffer.alloc(0) },
+  ];
+  for (const { owner, entry, encryptedKey, userKey } of candidates) {
+    if (hashR6(password, entry.subarray(32, 40), userKey, revision).equals(entry.subarray(0, 32))) {
+      const intermediate = hashR6(password, entry.subarray(40, 48), userKey, revision);
+      return { fileKey: aesCbc(256, intermediate, Buffer.alloc(16), encryptedKey.subarray(0, 32), false, false), owner };
+    }
+  }
+  return null;
+};
+
+/**
+ * Algorithms 8 to 10: /U, /UE, /O, /OE and /Perms of revision 6 for a new file key
+ */
+const createR6Entries = ({ fileKey, userPassword, ownerPassword, P, encryptMetadata = true }) => {
+  const userSalts = crypto.randomBytes(16);
+  const U = Buffer.concat([hashR6(userPassword, userSalts.subarray(0, 8), Buffer.alloc(0)), userSalts]);
+  const UE = aesCbc(256, hashR6(userPassword, userSalts.subarray(8), Buffer.alloc(0)), Buffer.alloc(16), fileKey, true, false);
+
+  const ownerSalts = crypto.randomBytes(16);
+  const O = Buffer.concat([hashR6(ownerPassword, ownerSalts.subarray(0, 8), U), ownerSalts]);
+  const OE = aesCbc(256, hashR6(ownerPassword, ownerSalts.subarray(8), U), Buffer.alloc(16), fileKey, true, false);
+
+  const perms = Buffer.concat([
+    int32LE(P),
+    Buffer.from([0xff, 0xff, 0xff, 0xff]),
+    Buffer.from(encryptMetadata ? 'Tadb' : 'Fadb', 'latin1'),
+    crypto.randomBytes(4),
+  ]);
+  const cipher = crypto.createCipheriv('aes-256-ecb', fileKey, null);
+  cipher.setAutoPadding(false);
+  return { U, UE, O, OE, Perms: Buffer.concat([cipher.update(perms), cipher.final()]) };
+};
+
+/**
+ * Algorithm 1: key of one object for RC4 and AES-128 (AES-256 uses the file key)
+ */
+const objectKey = (fileKey, objectNumber, generation, aes) => {
+  const suffix = Buffer.alloc(5);
+  suffix.writeUIntLE(objectNumber, 0, 3);
+  suffix.writeUInt16LE(generation, 3);
+  const hash = md5(fileKey, suffix, aes ? Buffer.from('sAlT', 'latin1') : Buffer.alloc(0));
+  return hash.subarray(0, Math.min(fileKey.length + 5, 16));
+};
+
+/**
+ * Encrypt or decrypt a string or stream with a crypt filter method
+ * @param {string} method - 'V2' (RC4), 'AESV2' (AES-128) or 'AESV3' (AES-256)
+ * @param {Buffer} key - Object key (file key for AESV3)
+ */
+const encryptData = (method, key, data) => {
+  if (method === 'V2') return rc4(key, data);
+  const iv = crypto.randomBytes(16);
+  return Buffer.concat([iv, aesCbc(method === 'AESV3' ? 256 : 128, key, iv, data, true)]);
+};
+
+const decryptData = (method, key, data) => {
+  if (method === 'V2') return rc4(key, data);
+  // An IV and at least one padded block; anything shorter is read as empty, as readers do
+  if (data.length < 32) return Buffer.alloc(0);
+  const bits = method === 'AESV3' ? 256 : 128;
+  const blocks = data.subarray(16, 16 + Math.floor((data.length - 16) / 16) * 16);
+  try {
+    return aesCbc(bits, key, data.subarray(0, 16), blocks, false);
+  } catch (error) {
+    // Invalid padding: keep the decrypted bytes
+    return aesCbc(bits, key, data.subarray(0, 16), blocks, false, false);
+  }
+};
+
+/**
+ * /P value allowing the given permissions
+ * @param {string[]} permissions - Names from PERMISSION_BITS
+ */
+const encodePermissions = (permissions) => permissions
+  .reduce((value, name) => value | (1 << (PERMISSION_BITS[name] - 1)), RESERVED_PERMISSION_BITS) | 0;
+
+/**
+ * Permission names allowed by a /P value
+ */
+const decodePermissions = (P) => Object.keys(PERMISSION_BITS)
+  .filter((name) => P & (1 << (PERMISSION_BITS[name] - 1)));
+
+module.exports = {
+  PERMISSION_BITS,
+  passwordBytes,
+  computeFileKey,
+  computeU,
+  computeO,
+  userPasswordFromOwner,
+  checkU,
+  computeFileKeyR6,
+  createR6Entries,
+  objectKey,
+  encryptData,
+  decryptData,
+  encodePermissions,
+  decodePermissions,
+};
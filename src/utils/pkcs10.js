@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const {
+  asn1,
+  fromDer,
+  nodeToDer,
+  sequence,
+  contextTag,
+  integer,
+  attribute,
+} = require('./cms');
+const { encodeName, profileExtensions, signStructure } = require('./x509');
+
+// PKCS#9 extensionRequest, the extensions a CSR asks the CA to include
+const EXTENSION_REQUEST = '1.2.840.113549.1.9.14';
+
+// Digest of the signature algorithms a request may be signed with
+const SIGNATURE_DIGESTS = {
+  '1.2.840.113549.1.1.11': 'sha256',
+  '1.2.840.113549.1.1.12': 'sha384',
+  '1.2.840.113549.1.1.13': 'sha512',
+  '1.2.840.10045.4.3.2': 'sha256',
+  '1.2.840.10045.4.3.3': 'sha384',
+  '1.2.840.10045.4.3.4': 'sha512',
+};
+
+/**
+ * Create a PKCS#10 certification request asking for a certificate profile's extensions
+ * @param {object} options
+ * @param {string|Buffer} options.subject - Subject string or DER Name
+ * @param {crypto.KeyObject} options.privateKey - Key to certify, signs the request
+ * @param {string} [options.profile] - Profile from CERTIFICATE_PROFILES (default documentSigning)
+ * @returns {Buffer} DER CertificationRequest
+ */
+const createCsr = ({ subject, privateKey, profile = 'documentSigning' }) => {
+  const spki = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+  // The authority key identifier is the CA's to set
+  const extensions = profileExtensions(profile, spki);
+  const info = sequence([
+    integer(0),
+    fromDer(Buffer.isBuffer(subject) ? subject : encodeName(subject)),
+    fromDer(spki),
+    contextTag(0, [attribute(EXTENSION_REQUEST, [sequence(extensions)])]),
+  ]);
+  return signStructure(info, privateKey);
+};
+
+/**
+ * Read a PKCS#10 certification request and check its signature
+ * @param {Buffer} der - DER CertificationRequest
+ * @returns {{ subject: Buffer, publicKey: crypto.KeyObject }} DER subject Name and the key to certify
+ */
+const parseCsr = (der) => {
+  let info;
+  let algorithm;
+  let signature;
+  let publicKey;
+  try {
+    const request = fromDer(der);
+    info = request.value[0];
+    algorithm = asn1.derToOid(request.value[1].value[0].value);
+    signature = Buffer.from(request.value[2].value, 'binary').subarray(1);
+    publicKey = crypto.createPublicKey({ key: nodeToDer(info.value[2]), format: 'der', type: 'spki' });
+  } catch (error) {
+    throw new Error(`Invalid certification request: ${error.message}`);
+  }
+
+  if (!SIGNATURE_DIGESTS[algorithm]) {
+    throw new Error(`Unsupported certification request signature algorithm ${algorithm}`);
+  }
+  if (!crypto.verify(SIGNATURE_DIGESTS[algorithm], nodeToDer(info), publicKey, signature)) {
+    throw new Error('Certification request signature does not verify');
+  }
+  return { subject: nodeToDer(info.value[1]), publicKey };
+};
+
+module.exports = { createCsr, parseCsr };
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const {
+  OIDS,
+  asn1,
+  fromDer,
+  nodeToDer,
+  sequence,
+  set,
+  oid,
+  octetString,
+  contextTag,
+  integer,
+  algorithmIdentifier,
+  attribute,
+} = require('./cms');
+
+const { pki } = forge;
+
+const toDer = (asn1Node) => Buffer.from(forge.asn1.toDer(asn1Node).getBytes(), 'binary');
+
+const publicKeyDer = (key) => (key.type === 'public' ? key : crypto.createPublicKey(key))
+  .export({ type: 'spki', format: 'der' });
+
+/**
+ * Open a PKCS#12 keystore.
+ *
+ * forge only understands RSA keys and certificates; other key types are
+ * returned by forge as raw ASN.1 and handed to Node's crypto instead.
+ *
+ * @param {Buffer} p12Buffer - Keystore bytes
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {{ privateKey: crypto.KeyObject, certificate: Buffer, chain: Buffer[] }}
+ *   The signer certificate is the one matching the private key, chain holds the others (DER)
+ */
+const loadPkcs12 = (p12Buffer, passphrase) => {
+  let p12;
+  try {
+    const p12Asn1 = forge.asn1.fromDer(p12Buffer.toString('binary'));
+    p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, false, passphrase);
+  } catch (error) {
+    throw new Error(`Cannot open PKCS#12 keystore (wrong passphrase?): ${error.message}`);
+  }
+
+  const keyBags = [
+    ...(p12.getBags({ bagType: pki.oids.pkcs8ShroudedKeyBag })[pki.oids.pkcs8ShroudedKeyBag] || []),
+    ...(p12.getBags({ bagType: pki.oids.keyBag })[pki.oids.keyBag] || []),
+  ];
+  if (keyBags.length === 0) {
+    throw new Error('PKCS#12 keystore contains no private key');
+  }
+
+  const keyBag = keyBags[0];
+  const privateKey = keyBag.key
+    ? crypto.createPrivateKey(pki.privateKeyToPem(keyBag.key))
+    : crypto.createPrivateKey({
+      key: toDer(keyBag.asn1),
+      format: 'der',
+      type: 'pkcs8',
+    });
+
+  const certificates = (p12.getBags({ bagType: pki.oids.certBag })[pki.oids.certBag] || [])
+    .map((bag) => (bag.cert ? toDer(pki.certificateToAsn1(bag.cert)) : toDer(bag.asn1)));
+
+  const keyDer = publicKeyDer(privateKey);
+  const certificate = certificates.find((der) => publicKeyDer(new crypto.X509Certificate(der).publicKey)
+    .equals(keyDer));
+  if (!certificate) {
+    throw new Error('Failed to find a certificate that matches the private key');
+  }
+
+  return {
+    privateKey,
+    certificate,
+    chain: certificates.filter((der) => der !== certificate),
+  };
+};
+
+const BAG_OIDS = {
+  pkcs8ShroudedKeyBag: '1.2.840.113549.1.12.10.1.2',
+  certBag: '1.2.840.113549.1.12.10.1.3',
+  x509Certificate: '1.2.840.113549.1.9.22.1',
+  friendlyName: '1.2.840.113549.1.9.20',
+  localKeyId: '1.2.840.113549.1.9.21',
+};
+
+// Same as OpenSSL 3 writes by default
+const MAC_ITERATIONS = 2048;
+
+const dataContentInfo = (der) => sequence([oid(OIDS.data), contextTag(0, [octetString(der)])]);
+
+/**
+ * Write a PKCS#12 keystore that loadPkcs12(), OpenSSL and Java read: the
+ * private key as an AES-256 encrypted PKCS#8 bag, the certificates in clear
+ * and an HMAC-SHA256 integrity check
+ * @param {object} options
+ * @param {crypto.KeyObject} options.privateKey
+ * @param {Buffer} options.certificate - DER certificate of the key
+ * @param {Buffer[]} [options.chain] - DER issuer certificates
+ * @param {string} options.passphrase
+ * @param {string} [options.friendlyName] - Alias shown by keystore tools
+ * @returns {Buffer}
+ */
+const createPkcs12 = ({ privateKey, certificate, chain = [], passphrase, friendlyName }) => {
+  if (!passphrase) {
+    throw new Error('A passphrase is required to write a PKCS#12 keystore');
+  }
+  const keyId = crypto.createHash('sha1').update(certificate).digest();
+  const keyAttributes = [attribute(BAG_OIDS.localKeyId, [octetString(keyId)])];
+  if (friendlyName) {
+    keyAttributes.unshift(attribute(BAG_OIDS.friendlyName, [
+      // forge writes BMPString values as UTF-16 itself
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BMPSTRING, false, friendlyName),
+    ]));
+  }
+
+  const certBag = (der, attributes) => sequence([
+    oid(BAG_OIDS.certBag),
+    contextTag(0, [sequence([oid(BAG_OIDS.x509Certificate), contextTag(0, [octetString(der)])])]),
+    ...(attributes ? [set(attributes)] : []),
+  ]);
+  const keyBag = sequence([
+    oid(BAG_OIDS.pkcs8ShroudedKeyBag),
+    contextTag(0, [fromDer(privateKey.export({ type: 'pkcs8', format: 'der', cipher: 'aes-256-cbc', passphrase }))]),
+    set(keyAttributes),
+  ]);
+
+  const authenticatedSafe = nodeToDer(sequence([
+    dataContentInfo(nodeToDer(sequence([certBag(certificate, keyAttributes), ...chain.map((der) => certBag(der))]))),
+    dataContentInfo(nodeToDer(sequence([keyBag]))),
+  ]));
+
+  const salt = crypto.randomBytes(16);
+  const macKey = forge.pkcs12.generateKey(
+    passphrase,
+    forge.util.createBuffer(salt.toString('binary')),
+    3,
+    MAC_ITERATIONS,
+    32,
+    forge.md.sha256.create()
+  );
+  const mac = crypto.createHmac('sha256', Buffer.from(macKey.getBytes(), 'binary')).update(authenticatedSafe).digest();
+
+  return nodeToDer(sequence([
+    integer(3),
+    dataContentInfo(authenticatedSafe),
+    sequence([
+      sequence([algorithmIdentifier(OIDS.sha256), octetString(mac)]),
+      octetString(salt),
+      integer(MAC_ITERATIONS),
+    ]),
+  ]));
+};
+
+module.exports = { loadPkcs12, createPkcs12 };
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const {
+  DIGEST_ALGORITHMS,
+  DIGEST_OIDS,
+  asn1,
+  fromDer,
+  nodeToDer,
+  sequence,
+  oid,
+  octetString,
+  integer,
+  algorithmIdentifier,
+  parseSignedData,
+} = require('./cms');
+
+/**
+ * Time-Stamp Protocol (RFC 3161) message encoding and parsing
+ */
+
+const PKI_STATUS = {
+  0: 'granted',
+  1: 'grantedWithMods',
+  2: 'rejection',
+  3: 'waiting',
+  4: 'revocationWarning',
+  5: 'revocationNotification',
+};
+
+const toBuffer = (bytes) => Buffer.from(bytes, 'binary');
+
+/**
+ * Positive INTEGER from random bytes
+ */
+const randomInteger = (size = 8) => {
+  const bytes = crypto.randomBytes(size);
+  bytes[0] &= 0x7f;
+  return bytes;
+};
+
+/**
+ * Build a TimeStampReq for a digest
+ * @param {Buffer} digest - Hash of the data to timestamp
+ * @param {string} [digestAlgorithm] - Name of the hash algorithm
+ * @returns {{ request: Buffer, nonce: string }} DER request and its nonce (hex)
+ */
+const createTimeStampRequest = (digest, digestAlgorithm = 'sha256') => {
+  const nonce = randomInteger();
+  const request = sequence([
+    integer(1),
+    sequence([algorithmIdentifier(DIGEST_OIDS[digestAlgorithm]), octetString(digest)]),
+    integer(nonce),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, String.fromCharCode(0xff)),
+  ]);
+  return { request: nodeToDer(request), nonce: nonce.toString('hex') };
+};
+
+/**
+ * Parse a TimeStampReq (used by the local TSA stand-in)
+ * @param {Buffer} der - DER encoded request
+ */
+const parseTimeStampRequest = (der) => {
+  const fields = fromDer(der).value;
+  const imprint = fields[1].value;
+  const request = {
+    digestAlgorithm: DIGEST_ALGORITHMS[asn1.derToOid(imprint[0].value[0].value)],
+    digest: toBuffer(imprint[1].value),
+    nonce: null,
+    certReq: false,
+  };
+  fields.slice(2).forEach((node) => {
+    if (node.type === asn1.Type.INTEGER) request.nonce = toBuffer(node.value);
+    if (node.type === asn1.Type.BOOLEAN) request.certReq = node.value !== String.fromCharCode(0);
+  });
+  return request;
+};
+
+/**
+ * Parse TSTInfo from the encapsulated content of a timestamp token
+ * @param {Buffer} der - DER encoded TSTInfo
+ */
+const parseTstInfo = (der) => {
+  const fields = fromDer(der).value;
+  const imprint = fields[2].value;
+  const info = {
+    policy: asn1.derToOid(fields[1].value),
+    digestAlgorithm: DIGEST_ALGORITHMS[asn1.derToOid(imprint[0].value[0].value)],
+    digest: toBuffer(imprint[1].value),
+    serialNumber: toBuffer(fields[3].value).toString('hex'),
+    genTime: asn1.generalizedTimeToDate(fields[4].value),
+    nonce: null,
+  };
+  fields.slice(5).forEach((node) => {
+    if (node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.INTEGER) {
+      info.nonce = toBuffer(node.value).toString('hex').replace(/^(00)+/, '');
+    }
+  });
+  return info;
+};
+
+/**
+ * Parse a timestamp token (CMS SignedData over TSTInfo)
+ * @param {Buffer} der - DER encoded token
+ */
+const parseTimeStampToken = (der) => {
+  const signedData = parseSignedData(der);
+  if (!signedData.encapsulatedContent) {
+    throw new Error('Timestamp token has no TSTInfo');
+  }
+  return { ...signedData, tstInfo: parseTstInfo(signedData.encapsulatedContent) };
+};
+
+/**
+ * Parse a TimeStampResp and return the token after checking it matches the request
+ * @param {Buffer} der - DER encoded response
+ * @param {Buffer} digest - Digest that was sent
+ * @param {string} [nonce] - Nonce that was sent (hex)
+ * @returns {Buffer} DER encoded timestamp token
+ */
+const parseTimeStampResponse = (der, digest, nonce = null) => {
+  const fields = fromDer(der).value;
+  const statusInfo = fields[0].value;
+  const status = asn1.derToInteger(statusInfo[0].value);
+  if (status !== 0 && status !== 1) {
+    const text = statusInfo[1] && statusInfo[1].value.map((node) => node.value).join(' ');
+    throw new Error(`TSA refused the request: ${PKI_STATUS[status] || status}${text ? ` (${text})` : ''}`);
+  }
+  if (!fields[1]) {
+    throw new Error('TSA response contains no timestamp token');
+  }
+
+  const token = nodeToDer(fields[1]);
+  const { tstInfo } = parseTimeStampToken(token);
+  if (!tstInfo.digest.equals(digest)) {
+    throw new Error('Timestamp token does not match the requested digest');
+  }
+  if (nonce && tstInfo.nonce !== nonce.replace(/^(00)+/, '')) {
+    throw new Error('Timestamp token nonce does not match the request');
+  }
+  return token;
+};
+
+/**
+ * Build a TSTInfo (used by the local TSA stand-in)
+ */
+const createTstInfo = ({ policy, digestAlgorithm, digest, serialNumber, genTime, nonce }) => {
+  const fields = [
+    integer(1),
+    oid(policy),
+    sequence([algorithmIdentifier(DIGEST_OIDS[digestAlgorithm]), octetString(digest)]),
+    integer(serialNumber),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(genTime)),
+  ];
+  if (nonce) {
+    fields.push(integer(nonce));
+  }
+  return nodeToDer(sequence(fields));
+};
+
+/**
+ * Wrap a token, or a failure status, in a TimeStampResp
+ */
+const createTimeStampResponse = (token, status = 0) => {
+  const fields = [sequence([integer(status)])];
+  if (token) {
+    fields.push(fromDer(token));
+  }
+  return nodeToDer(sequence(fields));
+};
+
+module.exports = {
+  createTimeStampRequest,
+  parseTimeStampRequest,
+  parseTimeStampResponse,
+  parseTimeStampToken,
+  parseTstInfo,
+  createTstInfo,
+  createTimeStampResponse,
+  randomInteger,
+};
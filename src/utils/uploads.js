@@ -0,0 +1,47 @@
+const { codedError } = require('./errors');
+
+/**
+ * Multer storage keeping files in memory, like multer.memoryStorage(), that
+ * counts bytes as they arrive: each file is held to its own limit and the
+ * files of one request together to totalLimit, answering 413 FILE_TOO_LARGE
+ * before anything beyond them is buffered.
+ * @param {object} options - { fileLimit, totalLimit }
+ *   fileLimit: (file) => largest size of this file, in bytes
+ *   totalLimit: most bytes of all the files of a request
+ */
+const boundedMemoryStorage = ({ fileLimit, totalLimit }) => ({
+  _handleFile(req, file, cb) {
+    const limit = fileLimit(file);
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+
+    file.stream.on('data', (chunk) => {
+      if (failed) return;
+      size += chunk.length;
+      req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+      if (size > limit || req.uploadedBytes > totalLimit) {
+        failed = true;
+        chunks.length = 0;
+        cb(codedError(size > limit
+          ? `File too large (limit ${limit} bytes)`
+          : `Upload too large (limit ${totalLimit} bytes for all files)`, 'FILE_TOO_LARGE', { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    file.stream.on('end', () => {
+      if (!failed) {
+        const buffer = Buffer.concat(chunks, size);
+        cb(null, { buffer, size });
+      }
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  },
+});
+
+module.exports = { boundedMemoryStorage };
@@ -0,0 +1,541 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const {
+  OIDS,
+  asn1,
+  fromDer,
+  nodeToDer,
+  parseTime,
+  sequence,
+  set,
+  oid,
+  octetString,
+  contextTag,
+  integer,
+  time,
+  algorithmIdentifier,
+} = require('./cms');
+
+const EXTENSIONS = {
+  keyUsage: '2.5.29.15',
+  extKeyUsage: '2.5.29.37',
+  basicConstraints: '2.5.29.19',
+  subjectKeyIdentifier: '2.5.29.14',
+  authorityKeyIdentifier: '2.5.29.35',
+  crlDistributionPoints: '2.5.29.31',
+  authorityInfoAccess: '1.3.6.1.5.5.7.1.1',
+};
+
+const ACCESS_METHODS = {
+  ocsp: '1.3.6.1.5.5.7.48.1',
+  caIssuers: '1.3.6.1.5.5.7.48.2',
+};
+
+const KEY_USAGES = [
+  'digitalSignature',
+  'nonRepudiation',
+  'keyEncipherment',
+  'dataEncipherment',
+  'keyAgreement',
+  'keyCertSign',
+  'cRLSign',
+  'encipherOnly',
+  'decipherOnly',
+];
+
+const EXTENDED_KEY_USAGES = {
+  '1.3.6.1.5.5.7.3.1': 'serverAuth',
+  '1.3.6.1.5.5.7.3.2': 'clientAuth',
+  '1.3.6.1.5.5.7.3.3': 'codeSigning',
+  '1.3.6.1.5.5.7.3.4': 'emailProtection',
+  '1.3.6.1.5.5.7.3.8': 'timeStamping',
+  '1.3.6.1.5.5.7.3.9': 'OCSPSigning',
+  '1.3.6.1.5.5.7.3.36': 'documentSigning',
+  '1.2.840.113583.1.1.5': 'adobeAuthenticDocumentsTrust',
+};
+
+// Name attributes accepted in subject strings, with the string type they are encoded as
+const NAME_ATTRIBUTES = {
+  CN: { oid: '2.5.4.3', type: asn1.Type.UTF8 },
+  SERIALNUMBER: { oid: '2.5.4.5', type: asn1.Type.PRINTABLESTRING },
+  C: { oid: '2.5.4.6', type: asn1.Type.PRINTABLESTRING },
+  L: { oid: '2.5.4.7', type: asn1.Type.UTF8 },
+  ST: { oid: '2.5.4.8', type: asn1.Type.UTF8 },
+  O: { oid: '2.5.4.10', type: asn1.Type.UTF8 },
+  OU: { oid: '2.5.4.11', type: asn1.Type.UTF8 },
+  E: { oid: '1.2.840.113549.1.9.1', type: asn1.Type.IA5STRING },
+};
+NAME_ATTRIBUTES.EMAILADDRESS = NAME_ATTRIBUTES.E;
+
+// Extensions of the certificates createCertificate() issues
+const CERTIFICATE_PROFILES = {
+  ca: {
+    basicConstraints: { ca: true, pathLength: 0 },
+    keyUsage: ['keyCertSign', 'cRLSign'],
+    extendedKeyUsage: [],
+  },
+  documentSigning: {
+    basicConstraints: { ca: false },
+    keyUsage: ['digitalSignature', 'nonRepudiation'],
+    // emailProtection is what Acrobat and most validators look for; documentSigning is RFC 9336
+    extendedKeyUsage: ['1.3.6.1.5.5.7.3.36', '1.3.6.1.5.5.7.3.4'],
+  },
+};
+
+const CURVE_SIZES = {
+  prime256v1: 256,
+  secp384r1: 384,
+  secp521r1: 521,
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const isContextTag = (node, tag) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === tag;
+
+/**
+ * Named fields of a certificate's TBSCertificate
+ * @param {Buffer} der - DER certificate
+ */
+const tbsFields = (der) => {
+  const tbs = fromDer(der).value[0].value;
+  const offset = isContextTag(tbs[0], 0) ? 1 : 0;
+  return {
+    serialNumber: tbs[offset],
+    issuer: tbs[offset + 2],
+    subject: tbs[offset + 4],
+    subjectPublicKeyInfo: tbs[offset + 5],
+    extensions: tbs.slice(offset + 6).find((node) => isContextTag(node, 3)) || null,
+  };
+};
+
+/**
+ * List the extensions of a certificate
+ * @param {Buffer} der - DER certificate
+ * @returns {{ oid: string, critical: boolean, value: Buffer }[]}
+ */
+const getExtensions = (der) => {
+  const { extensions } = tbsFields(der);
+  if (!extensions) return [];
+
+  return extensions.value[0].value.map((extension) => {
+    const [id, ...rest] = extension.value;
+    const critical = rest.length > 1 && rest[0].value === String.fromCharCode(0xff);
+    return {
+      oid: asn1.derToOid(id.value),
+      critical,
+      value: Buffer.from(rest[rest.length - 1].value, 'binary'),
+    };
+  });
+};
+
+const getExtension = (der, oid) => getExtensions(der).find((extension) => extension.oid === oid) || null;
+
+/**
+ * Collect the URIs (GeneralName [6]) found anywhere under a node
+ */
+const collectUris = (node, uris = []) => {
+  if (isContextTag(node, 6) && !node.constructed) {
+    uris.push(node.value);
+  } else if (Array.isArray(node.value)) {
+    node.value.forEach((child) => collectUris(child, uris));
+  }
+  return uris;
+};
+
+/**
+ * CRL distribution point URLs of a certificate
+ */
+const getCrlUrls = (der) => {
+  const extension = getExtension(der, EXTENSIONS.crlDistributionPoints);
+  return extension ? collectUris(fromDer(extension.value)).filter((uri) => /^https?:/i.test(uri)) : [];
+};
+
+/**
+ * Authority information access URLs of a certificate for an access method
+ */
+const getAccessUrls = (der, method) => {
+  const extension = getExtension(der, EXTENSIONS.authorityInfoAccess);
+  if (!extension) return [];
+  return fromDer(extension.value).value
+    .filter((description) => asn1.derToOid(description.value[0].value) === method)
+    .flatMap((description) => collectUris(description.value[1]));
+};
+
+const getOcspUrls = (der) => getAccessUrls(der, ACCESS_METHODS.ocsp);
+
+/**
+ * Whether a certificate is self-issued and verifies with its own key
+ * @param {crypto.X509Certificate} certificate
+ */
+const isSelfSigned = (certificate) => certificate.checkIssued(certificate)
+  && certificate.verify(certificate.publicKey);
+
+/**
+ * Find the issuer of a certificate among candidates
+ * @param {crypto.X509Certificate} certificate
+ * @param {crypto.X509Certificate[]} candidates
+ */
+const findIssuer = (certificate, candidates) => candidates.find((candidate) => candidate !== certificate
+  && certificate.checkIssued(candidate)
+  && certificate.verify(candidate.publicKey)) || null;
+
+/**
+ * Order certificates from the given one up to the last issuer found in the pool
+ * @param {Buffer} certificateDer - End entity certificate
+ * @param {Buffer[]} poolDer - Other available certificates
+ * @returns {Buffer[]} DER certificates, end entity first
+ */
+const buildChain = (certificateDer, poolDer) => {
+  const pool = poolDer.map((der) => ({ der, cert: new crypto.X509Certificate(der) }));
+  const chain = [{ der: certificateDer, cert: new crypto.X509Certificate(certificateDer) }];
+
+  while (chain.length <= pool.length) {
+    const current = chain[chain.length - 1].cert;
+    if (isSelfSigned(current)) break;
+    const issuer = findIssuer(current, pool.map((entry) => entry.cert));
+    if (!issuer || chain.some((entry) => entry.cert.fingerprint256 === issuer.fingerprint256)) break;
+    chain.push(pool.find((entry) => entry.cert === issuer));
+  }
+
+  return chain.map((entry) => entry.der);
+};
+
+/**
+ * Names of the key usage bits set in a certificate
+ */
+const getKeyUsage = (der) => {
+  const extension = getExtension(der, EXTENSIONS.keyUsage);
+  if (!extension) return [];
+  // BIT STRING value: unused-bits byte followed by the bits, most significant first
+  const bits = Buffer.from(fromDer(extension.value).value, 'binary').subarray(1);
+  return KEY_USAGES.filter((name, index) => bits.length > index >> 3 && (bits[index >> 3] & (0x80 >> (index & 7))));
+};
+
+/**
+ * Extended key usages of a certificate, by name when known and by OID otherwise
+ */
+const getExtendedKeyUsage = (der) => {
+  const extension = getExtension(der, EXTENSIONS.extKeyUsage);
+  if (!extension) return [];
+  return fromDer(extension.value).value.map((node) => {
+    const id = asn1.derToOid(node.value);
+    return EXTENDED_KEY_USAGES[id] || id;
+  });
+};
+
+/**
+ * Read certificates given as a PEM bundle or as a single base64 DER certificate
+ * @param {string} text
+ * @returns {Buffer[]} DER certificates, in the order given
+ */
+const parseCertificates = (text) => {
+  const pem = [...String(text).matchAll(/-----BEGIN CERTIFICATE-----([^-]+)-----END CERTIFICATE-----/g)];
+  const ders = pem.length > 0
+    ? pem.map((match) => Buffer.from(match[1].replace(/\s+/g, ''), 'base64'))
+    : [Buffer.from(String(text).replace(/\s+/g, ''), 'base64')];
+  ders.forEach((der) => {
+    try {
+      new crypto.X509Certificate(der);
+    } catch (error) {
+      throw new Error(`Invalid certificate: ${error.message}`);
+    }
+  });
+  return ders;
+};
+
+/**
+ * Common name of a certificate subject, or null
+ */
+const getCommonName = (der) => {
+  const commonName = new crypto.X509Certificate(der).subject.split('\n').find((part) => part.startsWith('CN='));
+  return commonName ? commonName.slice(3) : null;
+};
+
+/**
+ * Summarize a certificate for display
+ * @param {Buffer} der - DER certificate
+ * @param {Date} [now] - Reference time for the expiry fields
+ */
+const describeCertificate = (der, now = new Date()) => {
+  const certificate = new crypto.X509Certificate(der);
+  const { publicKey } = certificate;
+  const details = publicKey.asymmetricKeyDetails || {};
+  const notBefore = new Date(certificate.validFrom);
+  const notAfter = new Date(certificate.validTo);
+
+  return {
+    subject: certificate.subject.split('\n').join(', '),
+    issuer: certificate.issuer.split('\n').join(', '),
+    serialNumber: certificate.serialNumber,
+    notBefore: notBefore.toISOString(),
+    notAfter: notAfter.toISOString(),
+    daysUntilExpiry: Math.floor((notAfter - now) / DAY),
+    expired: notAfter < now,
+    keyAlgorithm: publicKey.asymmetricKeyType.toUpperCase(),
+    keySize: details.modulusLength || CURVE_SIZES[details.namedCurve] || null,
+    curve: details.namedCurve || null,
+    keyUsage: getKeyUsage(der),
+    extendedKeyUsage: getExtendedKeyUsage(der),
+    selfSigned: isSelfSigned(certificate),
+    fingerprint256: certificate.fingerprint256,
+  };
+};
+
+/**
+ * DER encoded issuer and subject names of a certificate
+ */
+const getNames = (der) => {
+  const { issuer, subject } = tbsFields(der);
+  return { issuer: nodeToDer(issuer), subject: nodeToDer(subject) };
+};
+
+/**
+ * Parse the fields of a CRL needed to match it with certificates
+ * @param {Buffer} der - DER encoded CertificateList
+ */
+const parseCrl = (der) => {
+  const tbs = fromDer(der).value[0].value;
+  let index = tbs[0].type === asn1.Type.INTEGER ? 1 : 0;
+  index += 1; // signature algorithm
+  const issuer = nodeToDer(tbs[index++]);
+  const thisUpdate = parseTime(tbs[index++]);
+  let nextUpdate = null;
+  if (tbs[index] && [asn1.Type.UTCTIME, asn1.Type.GENERALIZEDTIME].includes(tbs[index].type)) {
+    nextUpdate = parseTime(tbs[index++]);
+  }
+
+  const revoked = [];
+  if (tbs[index] && tbs[index].type === asn1.Type.SEQUENCE && !isContextTag(tbs[index], 0)) {
+    tbs[index].value.forEach((entry) => {
+      revoked.push(Buffer.from(entry.value[0].value, 'binary').toString('hex').replace(/^(00)+/, ''));
+    });
+  }
+
+  return { issuer, thisUpdate, nextUpdate, revoked };
+};
+
+/**
+ * Parse a subject such as "CN=Jane Doe, O=Example, C=US" or "/C=US/O=Example/CN=Jane Doe"
+ * @param {string} subject
+ * @returns {{ name: string, oid: string, type: number, value: string }[]} Attributes in the order given
+ */
+const parseSubject = (subject) => {
+  const text = String(subject || '').trim();
+  const parts = text.startsWith('/')
+    ? text.slice(1).split(/(?<!\\)\//)
+    : text.split(/(?<!\\),/);
+  const attributes = parts.filter((part) => part.trim()).map((part) => {
+    const separator = part.indexOf('=');
+    const name = part.slice(0, separator).trim();
+    const value = part.slice(separator + 1).trim().replace(/\\([,/\\])/g, '$1');
+    const attribute = NAME_ATTRIBUTES[name.toUpperCase()];
+    if (separator < 1 || !attribute) {
+      throw new Error(`Invalid subject attribute "${part.trim()}" (expected CN, O, OU, L, ST, C, E or serialNumber)`);
+    }
+    if (!value) {
+      throw new Error(`Subject attribute ${name} is empty`);
+    }
+    if (attribute.type === asn1.Type.PRINTABLESTRING && !/^[A-Za-z0-9 '()+,\-./:=?]+$/.test(value)) {
+      throw new Error(`Subject attribute ${name} may only use printable characters`);
+    }
+    return { name, ...attribute, value };
+  });
+  if (attributes.length === 0) {
+    throw new Error('Subject is empty');
+  }
+  return attributes;
+};
+
+/**
+ * DER encoded Name for a subject string
+ * @param {string} subject - See parseSubject()
+ */
+const encodeName = (subject) => nodeToDer(sequence(parseSubject(subject).map((attribute) => set([
+  sequence([
+    oid(attribute.oid),
+    asn1.create(
+      asn1.Class.UNIVERSAL,
+      attribute.type,
+      false,
+      attribute.type === asn1.Type.UTF8 ? forge.util.encodeUtf8(attribute.value) : attribute.value
+    ),
+  ]),
+]))));
+
+/**
+ * PEM text for DER data
+ * @param {Buffer} der
+ * @param {string} [label] - e.g. CERTIFICATE REQUEST
+ */
+const toPem = (der, label = 'CERTIFICATE') => [
+  `-----BEGIN ${label}-----`,
+  ...der.toString('base64').match(/.{1,64}/g),
+  `-----END ${label}-----`,
+  '',
+].join('\n');
+
+const bitString = (bytes) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, bytes.toString('binary'));
+const boolean = (value) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, value ? '\xff' : '\x00');
+
+const extension = (id, critical, valueNode) => sequence([
+  oid(id),
+  ...(critical ? [boolean(true)] : []),
+  octetString(nodeToDer(valueNode)),
+]);
+
+/**
+ * KeyUsage BIT STRING, with the trailing zero bits dropped as DER requires
+ */
+const keyUsageBits = (names) => {
+  const bytes = Buffer.alloc(2);
+  names.forEach((name) => {
+    const index = KEY_USAGES.indexOf(name);
+    bytes[index >> 3] |= 0x80 >> (index & 7);
+  });
+  const used = bytes.subarray(0, bytes[1] ? 2 : 1);
+  const last = used[used.length - 1];
+  let unused = 0;
+  while (unused < 7 && !(last & (1 << unused))) unused++;
+  return bitString(Buffer.concat([Buffer.from([unused]), used]));
+};
+
+/**
+ * Subject key identifier: SHA-1 of the subjectPublicKey bits (RFC 5280 method 1)
+ * @param {Buffer} spki - DER SubjectPublicKeyInfo
+ */
+const keyIdentifier = (spki) => crypto.createHash('sha1')
+  .update(Buffer.from(fromDer(spki).value[1].value, 'binary').subarray(1))
+  .digest();
+
+/**
+ * Extensions of a profile from CERTIFICATE_PROFILES as DER Extension nodes
+ * @param {string} profile - ca or documentSigning
+ * @param {Buffer} spki - DER SubjectPublicKeyInfo of the subject
+ * @param {object} [options] - { authorityKeyId, selfSigned }
+ */
+const profileExtensions = (profile, spki, { authorityKeyId, selfSigned } = {}) => {
+  const { basicConstraints, extendedKeyUsage } = CERTIFICATE_PROFILES[profile];
+  // OpenSSL only accepts a certificate as its own issuer when it may sign certificates
+  const keyUsage = selfSigned && !CERTIFICATE_PROFILES[profile].keyUsage.includes('keyCertSign')
+    ? [...CERTIFICATE_PROFILES[profile].keyUsage, 'keyCertSign']
+    : CERTIFICATE_PROFILES[profile].keyUsage;
+  const extensions = [
+    extension(EXTENSIONS.basicConstraints, true, sequence(basicConstraints.ca
+      ? [boolean(true), integer(basicConstraints.pathLength)]
+      : [])),
+    extension(EXTENSIONS.keyUsage, true, keyUsageBits(keyUsage)),
+  ];
+  if (extendedKeyUsage.length > 0) {
+    extensions.push(extension(EXTENSIONS.extKeyUsage, false, sequence(extendedKeyUsage.map((id) => oid(id)))));
+  }
+  extensions.push(extension(EXTENSIONS.subjectKeyIdentifier, false, octetString(keyIdentifier(spki))));
+  if (authorityKeyId) {
+    extensions.push(extension(EXTENSIONS.authorityKeyIdentifier, false, sequence([
+      contextTag(0, authorityKeyId.toString('binary'), false),
+    ])));
+  }
+  return extensions;
+};
+
+/**
+ * AlgorithmIdentifier for SHA-256 signatures made with a private key
+ */
+const signatureAlgorithm = (privateKey) => {
+  if (privateKey.asymmetricKeyType === 'rsa') return algorithmIdentifier(OIDS.sha256WithRSAEncryption);
+  if (privateKey.asymmetricKeyType === 'ec') return algorithmIdentifier(OIDS.ecdsaWithSHA256, false);
+  throw new Error(`Unsupported key type ${privateKey.asymmetricKeyType}`);
+};
+
+/**
+ * Sign a to-be-signed structure and wrap it with the algorithm and signature,
+ * as certificates and certification requests are
+ * @param {object} tbs - ASN.1 node
+ * @param {crypto.KeyObject} privateKey
+ * @returns {Buffer} DER
+ */
+const signStructure = (tbs, privateKey) => {
+  const signature = crypto.sign('sha256', nodeToDer(tbs), privateKey);
+  return nodeToDer(sequence([
+    tbs,
+    signatureAlgorithm(privateKey),
+    bitString(Buffer.concat([Buffer.from([0]), signature])),
+  ]));
+};
+
+/**
+ * Create an X.509 v3 certificate
+ * @param {object} options
+ * @param {string|Buffer} options.subject - Subject string (see parseSubject()) or DER Name
+ * @param {crypto.KeyObject} options.publicKey - Key to certify
+ * @param {crypto.KeyObject} options.signingKey - Private key of the issuer, or of the subject when self-signed
+ * @param {Buffer} [options.issuerCertificate] - DER certificate of the issuing CA; self-signed when omitted
+ * @param {string} [options.profile] - ca or documentSigning (default)
+ * @param {number} options.days - Validity in days
+ * @param {Date} [options.notBefore]
+ * @returns {Buffer} DER certificate
+ */
+const createCertificate = ({
+  subject,
+  publicKey,
+  signingKey,
+  issuerCertificate,
+  profile = 'documentSigning',
+  days,
+  notBefore = new Date(),
+}) => {
+  if (!CERTIFICATE_PROFILES[profile]) {
+    throw new Error(`Unknown certificate profile "${profile}"`);
+  }
+  const subjectName = Buffer.isBuffer(subject) ? subject : encodeName(subject);
+  const spki = publicKey.export({ type: 'spki', format: 'der' });
+  let issuerName = subjectName;
+  let authorityKeyId = null;
+  if (issuerCertificate) {
+    const issuer = tbsFields(issuerCertificate);
+    issuerName = nodeToDer(issuer.subject);
+    authorityKeyId = keyIdentifier(nodeToDer(issuer.subjectPublicKeyInfo));
+  }
+
+  // Positive 16 byte serial number, as random as the CA/Browser Forum asks
+  const serialNumber = crypto.randomBytes(16);
+  serialNumber[0] = (serialNumber[0] & 0x7f) | 0x40;
+  const notAfter = new Date(notBefore.getTime() + days * DAY);
+
+  const tbs = sequence([
+    contextTag(0, [integer(2)]),
+    integer(serialNumber),
+    signatureAlgorithm(signingKey),
+    fromDer(issuerName),
+    sequence([time(notBefore), time(notAfter)]),
+    fromDer(subjectName),
+    fromDer(spki),
+    contextTag(3, [sequence(profileExtensions(profile, spki, { authorityKeyId, selfSigned: !issuerCertificate }))]),
+  ]);
+  return signStructure(tbs, signingKey);
+};
+
+module.exports = {
+  EXTENSIONS,
+  CERTIFICATE_PROFILES,
+  tbsFields,
+  getExtensions,
+  getExtension,
+  getCrlUrls,
+  getOcspUrls,
+  getKeyUsage,
+  getExtendedKeyUsage,
+  describeCertificate,
+  isSelfSigned,
+  findIssuer,
+  buildChain,
+  parseCertificates,
+  getCommonName,
+  getNames,
+  parseCrl,
+  parseSubject,
+  encodeName,
+  toPem,
+  profileExtensions,
+  signStructure,
+  createCertificate,
+};
@@ -0,0 +1,219 @@
+const zlib = require('zlib');
+const { codedError } = require('./errors');
+
+/**
+ * Minimal ZIP (PKWARE APPNOTE) reading and writing for batch signing:
+ * stored and deflated entries, no ZIP64, no encryption.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const ENCRYPTED_FLAG = 0x0001;
+
+// Limits against archive bombs
+const MAX_ENTRIES = 10000;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * MS-DOS date and time fields
+ */
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Build a ZIP archive
+ * @param {{ name: string, data: Buffer, date?: Date }[]} entries
+ * @returns {Buffer}
+ */
+const createZip = (entries) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach((entry) => {
+    const name = Buffer.from(entry.name, 'utf8');
+    const deflated = zlib.deflateRawSync(entry.data);
+    const stored = deflated.length >= entry.data.length;
+    const body = stored ? entry.data : deflated;
+    const crc = crc32(entry.data);
+    const { time, date } = dosDateTime(entry.date || new Date());
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * Locate the end of central directory record, which may be followed by a comment
+ */
+const findEndOfCentralDirectory = (buffer) => {
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      return i;
+    }
+  }
+  throw codedError('Not a ZIP archive', 'INVALID_ARCHIVE');
+};
+
+/**
+ * Inflate and check one entry of the central directory
+ */
+const readEntry = (buffer, { name, method, crc, compressedSize, size, localOffset }) => {
+  if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+    throw codedError(`Corrupt ZIP entry ${name}`, 'INVALID_ARCHIVE');
+  }
+  const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+  let data;
+  if (method === 0) {
+    data = Buffer.from(raw);
+  } else if (method === 8) {
+    try {
+      data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    } catch (error) {
+      throw codedError(`ZIP entry ${name} is corrupt`, 'INVALID_ARCHIVE');
+    }
+  } else {
+    throw codedError(`ZIP entry ${name} uses unsupported compression method ${method}`, 'INVALID_ARCHIVE');
+  }
+  if (data.length !== size || crc32(data) !== crc) {
+    throw codedError(`ZIP entry ${name} is corrupt`, 'INVALID_ARCHIVE');
+  }
+  return data;
+};
+
+/**
+ * Read the file entries of a ZIP archive. Limits are checked against the
+ * central directory before anything is inflated. An entry that cannot be
+ * read comes back with an error (FILE_TOO_LARGE or INVALID_ARCHIVE) instead
+ * of its data; an unreadable archive throws INVALID_ARCHIVE.
+ * @param {Buffer} buffer - Archive
+ * @param {object} [options] - { maxEntrySize, maxEntries, maxTotalSize, include }
+ *   maxEntrySize: largest uncompressed entry read
+ *   maxEntries, maxTotalSize: most files and uncompressed bytes read, throwing LIMIT_EXCEEDED beyond
+ *   include: (name) => boolean, files to read; the others are skipped and not counted
+ * @returns {{ name: string, data: Buffer|null, error: Error|null }[]} Files (directories are skipped)
+ */
+const readZip = (buffer, options = {}) => {
+  const maxEntrySize = options.maxEntrySize || Infinity;
+  const maxEntries = options.maxEntries === undefined ? Infinity : options.maxEntries;
+  const maxTotalSize = options.maxTotalSize === undefined ? Infinity : options.maxTotalSize;
+  const include = options.include || (() => true);
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+
+  if (count > MAX_ENTRIES) {
+    throw codedError(`ZIP archive has more than ${MAX_ENTRIES} entries`, 'INVALID_ARCHIVE');
+  }
+
+  const records = [];
+  for (let i = 0; i < count; i++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_HEADER) {
+      throw codedError('Corrupt ZIP central directory', 'INVALID_ARCHIVE');
+    }
+    const flags = buffer.readUInt16LE(position + 8);
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || !include(name)) continue;
+    let error = null;
+    if (flags & ENCRYPTED_FLAG) {
+      error = codedError(`ZIP entry ${name} is encrypted`, 'INVALID_ARCHIVE');
+    } else if (size > maxEntrySize) {
+      error = codedError(`ZIP entry ${name} is larger than ${maxEntrySize} bytes`, 'FILE_TOO_LARGE');
+    }
+    records.push({ name, method, crc, compressedSize, size, localOffset, error });
+  }
+
+  if (records.length > maxEntries) {
+    throw codedError(`ZIP archive has more than ${maxEntries} files`, 'LIMIT_EXCEEDED');
+  }
+  // Entries refused above are not inflated, so they do not count
+  const totalSize = records.reduce((sum, record) => sum + (record.error ? 0 : record.size), 0);
+  if (totalSize > maxTotalSize) {
+    throw codedError(`ZIP archive expands to more than ${maxTotalSize} bytes`, 'LIMIT_EXCEEDED');
+  }
+
+  return records.map((record) => {
+    if (record.error) return { name: record.name, data: null, error: record.error };
+    try {
+      return { name: record.name, data: readEntry(buffer, record), error: null };
+    } catch (error) {
+      return { name: record.name, data: null, error };
+    }
+  });
+};
+
+module.exports = {
+  crc32,
+  createZip,
+  readZip,
+};
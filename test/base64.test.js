@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeBase64Field } = require('../src/utils/base64');
+
+test('decodeBase64Field decodes strings and skips missing fields', () => {
+  assert.deepStrictEqual(decodeBase64Field({ pdf: Buffer.from('%PDF').toString('base64') }, 'pdf'), Buffer.from('%PDF'));
+  assert.strictEqual(decodeBase64Field({}, 'image'), undefined);
+  assert.strictEqual(decodeBase64Field({ image: '' }, 'image'), undefined);
+  assert.strictEqual(decodeBase64Field({ image: null }, 'image'), undefined);
+});
+
+test('decodeBase64Field refuses non-string pdf and image fields with INVALID_OPTIONS', () => {
+  [123, true, ['JVBERi0='], { length: 100000000 }].forEach((value) => {
+    assert.throws(() => decodeBase64Field({ pdf: value }, 'pdf'), { code: 'INVALID_OPTIONS', message: '"pdf" must be a base64 string' });
+    assert.throws(() => decodeBase64Field({ image: value }, 'image'), { code: 'INVALID_OPTIONS', message: '"image" must be a base64 string' });
+  });
+});
+
+test('decodeBase64Field refuses a non-string watermarkImage with INVALID_OPTIONS', () => {
+  assert.throws(() => decodeBase64Field({ watermarkImage: true }, 'watermarkImage'), { code: 'INVALID_OPTIONS', message: '"watermarkImage" must be a base64 string' });
+  assert.strictEqual(decodeBase64Field({ watermarkImage: 'iVBORw0KGgo=' }, 'watermarkImage').subarray(1, 4).toString(), 'PNG');
+});
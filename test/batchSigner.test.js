@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BatchSigner } = require('../src/services/batchSigner');
+const { createZip } = require('../src/utils/zip');
+
+const pdf = (size = 100) => Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(size)]);
+
+test('expand refuses archives with more files than the batch allows before inflating them', () => {
+  const signer = new BatchSigner({ maxFiles: 3 });
+  const archive = createZip(['a', 'b', 'c', 'd'].map((name) => ({ name: `${name}.pdf`, data: pdf() })));
+  assert.throws(() => signer.expand([{ name: 'docs.zip', data: archive }]), /more than 3 files/);
+});
+
+test('expand keeps one uncompressed size budget across the archives of a batch', () => {
+  const signer = new BatchSigner({ maxTotalSize: 1500 });
+  const archive = createZip([{ name: 'a.pdf', data: pdf(1000) }]);
+  assert.strictEqual(signer.expand([{ name: 'one.zip', data: archive }]).length, 1);
+  assert.throws(() => signer.expand([
+    { name: 'one.zip', data: archive },
+    { name: 'two.zip', data: archive }
+  ]), /expands to more than/);
+});
+
+test('expand fails only the archive entries that cannot be read', () => {
+  const signer = new BatchSigner({ maxFileSize: 500 });
+  const archive = createZip([
+    { name: 'good.pdf', data: pdf() },
+    { name: 'huge.pdf', data: pdf(1000) },
+    { name: 'broken.pdf', data: Buffer.from('%PDF-1.7 stored as is') }
+  ]);
+  // Damage the stored bytes of broken.pdf so its CRC no longer matches
+  archive[archive.indexOf('%PDF-1.7 stored') + 3] ^= 0xff;
+
+  const files = signer.expand([{ name: 'docs.zip', data: archive }, { name: 'big.pdf', data: pdf(1000) }]);
+  assert.deepStrictEqual(files.map(({ name, code }) => [name, code]), [
+    ['good.pdf', null],
+    ['huge.pdf', 'FILE_TOO_LARGE'],
+    ['broken.pdf', 'INVALID_ARCHIVE'],
+    ['big.pdf', 'FILE_TOO_LARGE']
+  ]);
+  assert.ok(files[0].data);
+  assert.ok(files.slice(1).every((file) => file.data === null && file.error));
+});
+
+test('expand reports an unreadable archive as one failed entry', () => {
+  const [file] = new BatchSigner().expand([{ name: 'bad.zip', data: Buffer.from('PK\x03\x04 not really') }]);
+  assert.strictEqual(file.code, 'INVALID_ARCHIVE');
+  assert.match(file.error, /Invalid ZIP archive/);
+});
+
+test('expand skips hidden files and keeps manifest.json free', () => {
+  const archive = createZip([
+    { name: '__MACOSX/._a.pdf', data: pdf() },
+    { name: '.DS_Store', data: Buffer.alloc(10) },
+    { name: 'manifest.json', data: pdf() },
+    { name: 'dir/a.pdf', data: pdf() }
+  ]);
+  const files = new BatchSigner().expand([{ name: 'docs.zip', data: archive }, { name: 'dir/a.pdf', data: pdf() }]);
+  assert.deepStrictEqual(files.map((file) => file.name), ['manifest-2.json', 'dir/a.pdf', 'dir/a-2.pdf']);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { createSignedAttributes, createSignedData, parseSignedData, findSignerCertificate, signatureAlgorithmFor } = require('../src/utils/cms');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const forgeKey = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+/**
+ * Self-signed DER certificate with a fixed serial number
+ */
+const certificate = (commonName, serialNumber) => {
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+  cert.serialNumber = serialNumber;
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const name = [{ name: 'commonName', value: commonName }];
+  cert.setSubject(name);
+  cert.setIssuer(name);
+  cert.sign(forgeKey, forge.md.sha256.create());
+  return Buffer.from(forge.asn1.toDer(forge.pki.certificateToAsn1(cert)).getBytes(), 'binary');
+};
+
+test('findSignerCertificate matches issuer and serial number together', () => {
+  const signer = certificate('Signer', '0a0b0c');
+  const decoy = certificate('Other CA', '0a0b0c');
+  const signedAttributes = createSignedAttributes({ messageDigest: crypto.randomBytes(32), signingTime: new Date() });
+  const cms = createSignedData({
+    certificate: signer,
+    chain: [decoy],
+    signedAttributes,
+    signature: Buffer.alloc(256),
+    signatureAlgorithm: signatureAlgorithmFor(publicKey),
+  });
+  const { signerInfos } = parseSignedData(cms);
+
+  assert.strictEqual(findSignerCertificate([decoy, signer], signerInfos[0]).subject, 'CN=Signer');
+  assert.strictEqual(findSignerCertificate([decoy], signerInfos[0]), null);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument } = require('pdf-lib');
+const { parseTransforms, applyTransforms } = require('../src/services/documentTransforms');
+
+const formDocument = async () => {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage();
+  const form = pdfDoc.getForm();
+  const code = form.createTextField('code');
+  code.setMaxLength(3);
+  code.addToPage(page, { x: 50, y: 700 });
+  const country = form.createDropdown('country');
+  country.addOptions(['FR', 'DE']);
+  country.addToPage(page, { x: 50, y: 600 });
+  const size = form.createRadioGroup('size');
+  size.addOptionToPage('S', page, { x: 50, y: 500 });
+  size.addOptionToPage('L', page, { x: 100, y: 500 });
+  return PDFDocument.load(await pdfDoc.save());
+};
+
+const fill = async (fields) => applyTransforms(await formDocument(), parseTransforms({ fields }));
+
+test('fillFields sets values the fields allow', async () => {
+  await fill({ code: 'abc', country: 'DE', size: 'L' });
+});
+
+test('fillFields answers INVALID_OPTIONS naming the field for values pdf-lib refuses', async () => {
+  await assert.rejects(fill({ code: 'abcd' }), { code: 'INVALID_OPTIONS', message: /field "code"/ });
+  await assert.rejects(fill({ country: 'XX' }), { code: 'INVALID_OPTIONS', message: /field "country"/ });
+  await assert.rejects(fill({ size: 'XL' }), { code: 'INVALID_OPTIONS', message: /field "size"/ });
+  await assert.rejects(fill({ code: '日本' }), { code: 'INVALID_OPTIONS', message: /cannot be drawn/ });
+  await assert.rejects(fill({ missing: 'x' }), { code: 'INVALID_OPTIONS', message: /"missing" not found/ });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue } = require('../src/services/jobQueue');
+
+const openQueue = (options) => {
+  const queue = new JobQueue({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-')), ...options });
+  queue.open();
+  return queue;
+};
+
+const finished = (queue, jobs) => new Promise((resolve) => {
+  const check = () => {
+    if (queue.running === 0 && jobs.every((job) => job.finishedAt)) return resolve();
+    setTimeout(check, 5);
+  };
+  check();
+});
+
+const params = (name) => ({ clientId: 'erp', name, pdf: Buffer.from('%PDF-1.7'), signer: 'default', fields: {} });
+
+test('a job whose file cannot be written fails and frees its slot', async (t) => {
+  const queue = openQueue({ concurrency: 1, processor: async () => Buffer.from('%PDF-1.7 signed') });
+  t.after(() => {
+    queue.close();
+    fs.rmSync(queue.dir, { recursive: true, force: true });
+  });
+  const save = queue.save.bind(queue);
+  queue.save = (job) => {
+    if (job.name === 'bad.pdf' && job.status !== 'queued') throw new Error('disk full');
+    save(job);
+  };
+  const errors = [];
+  t.mock.method(console, 'error', (message) => errors.push(message));
+
+  const jobs = [queue.create(params('bad.pdf')), queue.create(params('good.pdf'))];
+  await finished(queue, jobs);
+
+  assert.strictEqual(queue.running, 0);
+  assert.strictEqual(jobs[0].status, 'failed');
+  assert.match(jobs[0].error, /Failed to record job: disk full/);
+  assert.strictEqual(jobs[1].status, 'done');
+  assert.strictEqual(errors.length, 1);
+});
+
+test('create refuses callbacks to private addresses and a full queue', (t) => {
+  let release;
+  const gate = new Promise((resolve) => { release = resolve; });
+  const queue = openQueue({
+    concurrency: 1,
+    maxQueued: 1,
+    webhookSecret: 'secret',
+    processor: async () => {
+      await gate;
+      return Buffer.from('%PDF-1.7');
+    }
+  });
+  t.after(async () => {
+    release();
+    queue.close();
+    await finished(queue, [...queue.jobs.values()]);
+    fs.rmSync(queue.dir, { recursive: true, force: true });
+  });
+
+  ['http://127.0.0.1/hook', 'http://localhost:8080/hook', 'http://[::1]/hook', 'http://169.254.169.254/', 'ftp://example.com/'].forEach((callbackUrl) => {
+    assert.throws(() => queue.create({ ...params('a.pdf'), callbackUrl }), { code: 'INVALID_OPTIONS' });
+  });
+
+  queue.create(params('running.pdf'));
+  queue.create(params('queued.pdf'));
+  assert.throws(() => queue.create(params('refused.pdf')), { code: 'QUEUE_FULL', status: 503 });
+});
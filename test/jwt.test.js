@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifyJwt } = require('../src/utils/jwt');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (claims) => {
+  const input = `${encode({ alg: 'ES256', typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.sign('sha256', Buffer.from(input), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${input}.${signature.toString('base64url')}`;
+};
+
+const now = Math.floor(Date.now() / 1000);
+
+test('verifyJwt accepts a token with a future exp', () => {
+  assert.strictEqual(verifyJwt(sign({ sub: 'erp', exp: now + 60 }), publicKey).sub, 'erp');
+});
+
+test('verifyJwt refuses a token without exp', () => {
+  assert.throws(() => verifyJwt(sign({ sub: 'erp' }), publicKey), /no expiry/);
+  assert.throws(() => verifyJwt(sign({ sub: 'erp', exp: String(now + 60) }), publicKey), /no expiry/);
+});
+
+test('verifyJwt refuses an expired token', () => {
+  assert.throws(() => verifyJwt(sign({ sub: 'erp', exp: now - 120 }), publicKey), /expired/);
+});
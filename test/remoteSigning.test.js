@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RemoteSigningSessions } = require('../src/services/remoteSigning');
+
+const SESSION_ID = '11111111-1111-4111-8111-111111111111';
+
+/**
+ * Sessions with one open session whose embedding takes a moment and fails when asked to
+ */
+const openSessions = (t) => {
+  const sessions = new RemoteSigningSessions();
+  t.after(() => clearInterval(sessions.cleanupTimer));
+  sessions.sessions.set(SESSION_ID, { id: SESSION_ID, clientId: 'erp', expiresAt: new Date(Date.now() + 60000) });
+  sessions.embed = async (session, { signature }) => {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    if (signature.toString() === 'bad') throw new Error('Signature does not verify');
+    return Buffer.from('%PDF-1.7 signed');
+  };
+  return sessions;
+};
+
+const input = (signature) => () => ({ signature: Buffer.from(signature) });
+
+test('complete claims the session so a concurrent complete answers SESSION_BUSY', async (t) => {
+  const sessions = openSessions(t);
+  const results = await Promise.allSettled([
+    sessions.complete(SESSION_ID, 'erp', input('good')),
+    sessions.complete(SESSION_ID, 'erp', input('good'))
+  ]);
+  assert.strictEqual(results[0].status, 'fulfilled');
+  assert.strictEqual(results[1].reason.code, 'SESSION_BUSY');
+  assert.strictEqual(results[1].reason.status, 409);
+  await assert.rejects(sessions.complete(SESSION_ID, 'erp', input('good')), { code: 'SESSION_NOT_FOUND', status: 404 });
+});
+
+test('a failed complete leaves the session open for another attempt', async (t) => {
+  const sessions = openSessions(t);
+  await assert.rejects(sessions.complete(SESSION_ID, 'erp', input('bad')), /does not verify/);
+  const { signedPdf } = await sessions.complete(SESSION_ID, 'erp', input('good'));
+  assert.strictEqual(signedPdf.toString(), '%PDF-1.7 signed');
+});
+
+test('complete reads the input only once the session is claimed', async (t) => {
+  const sessions = openSessions(t);
+  let read = false;
+  const readInput = () => {
+    read = true;
+    return { signature: Buffer.from('good') };
+  };
+  await assert.rejects(sessions.complete(SESSION_ID, 'other-client', readInput), { code: 'SESSION_NOT_FOUND' });
+  await assert.rejects(sessions.complete('x', 'erp', readInput), { code: 'SESSION_NOT_FOUND' });
+  assert.strictEqual(read, false);
+
+  const invalid = () => {
+    throw Object.assign(new Error('"signature" must be a base64 string'), { code: 'INVALID_OPTIONS' });
+  };
+  await assert.rejects(sessions.complete(SESSION_ID, 'erp', invalid), { code: 'INVALID_OPTIONS' });
+  await sessions.complete(SESSION_ID, 'erp', readInput);
+  assert.strictEqual(read, true);
+});
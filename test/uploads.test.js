@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { boundedMemoryStorage } = require('../src/utils/uploads');
+
+const storage = boundedMemoryStorage({
+  fileLimit: (file) => (file.originalname.endsWith('.zip') ? 100 : 10),
+  totalLimit: 150
+});
+
+const handle = (req, originalname, size) => new Promise((resolve) => {
+  const stream = Readable.from([Buffer.alloc(size)]);
+  storage._handleFile(req, { originalname, stream }, (error, info) => resolve(error || info));
+});
+
+test('boundedMemoryStorage keeps files within their limit in memory', async () => {
+  const info = await handle({}, 'a.pdf', 10);
+  assert.strictEqual(info.size, 10);
+  assert.strictEqual(info.buffer.length, 10);
+});
+
+test('boundedMemoryStorage refuses a file over its own limit', async () => {
+  const error = await handle({}, 'a.pdf', 11);
+  assert.strictEqual(error.code, 'FILE_TOO_LARGE');
+  assert.strictEqual(error.status, 413);
+  assert.strictEqual((await handle({}, 'a.zip', 100)).size, 100);
+});
+
+test('boundedMemoryStorage refuses the files of a request beyond the total limit', async () => {
+  const req = {};
+  assert.strictEqual((await handle(req, 'a.zip', 100)).size, 100);
+  assert.strictEqual((await handle(req, 'b.pdf', 10)).size, 10);
+  const error = await handle(req, 'c.zip', 50);
+  assert.strictEqual(error.code, 'FILE_TOO_LARGE');
+  assert.match(error.message, /150 bytes for all files/);
+});